@@ -11,6 +11,10 @@ import config from './config/environment.js';
 import logger from './utils/logger.js';
 import { connectDB } from './config/database.js';
 import { createRedisClient, closeRedisConnection } from './config/redis.js';
+import AccountDeletionService from './services/accountDeletionService.js';
+import PasswordExpiryService from './services/passwordExpiryService.js';
+import ProofOfWorkService from './services/proofOfWorkService.js';
+import KeyringService from './services/keyringService.js';
 import { responseHandler, responseTime } from './middleware/responseHandler.js';
 import {
   errorHandler,
@@ -28,6 +32,10 @@ import oauthRoutes from './routes/oauth.routes.js';
 import adminSecurityRoutes from './routes/adminSecurity.routes.js';
 import healthRoutes from './routes/health.routes.js';
 import metricsRoutes from './routes/metrics.routes.js';
+import wellKnownRoutes from './routes/wellKnown.routes.js';
+import oauthServerRoutes from './routes/oauthServer.routes.js';
+import apiKeyRoutes from './routes/apiKey.routes.js';
+import invitationRoutes from './routes/invitation.routes.js';
 
 // Passport configuration
 import passport from './config/passport.js';
@@ -112,7 +120,13 @@ app.use(
     },
     credentials: config.cors.credentials,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-Requested-With',
+      'X-PoW-Challenge',
+      'X-PoW-Solution',
+    ],
     exposedHeaders: ['X-Total-Count', 'X-Request-Id'],
     maxAge: 600, // 10 minutes
   })
@@ -219,16 +233,22 @@ app.get(config.app.apiPrefix, (req, res) => {
       users: `${config.app.apiPrefix}/users`,
       audit: `${config.app.apiPrefix}/audit`,
       security: `${config.app.apiPrefix}/security`,
+      oauth: `${config.app.apiPrefix}/oauth`,
+      apiKeys: `${config.app.apiPrefix}/api-keys`,
     },
   });
 });
 
 // Mount routes
+app.use('/.well-known', wellKnownRoutes); // Public discovery documents (JWKS, OIDC)
 app.use(`${config.app.apiPrefix}/health`, healthRoutes);
 app.use(`${config.app.apiPrefix}/metrics`, metricsRoutes);
 app.use(`${config.app.apiPrefix}/auth`, authRoutes);
 app.use(`${config.app.apiPrefix}/auth`, oauthRoutes); // OAuth routes under /auth
+app.use(`${config.app.apiPrefix}/oauth`, oauthServerRoutes); // OAuth 2.1 / OIDC provider
 app.use(`${config.app.apiPrefix}/users`, userRoutes);
+app.use(`${config.app.apiPrefix}/api-keys`, apiKeyRoutes);
+app.use(`${config.app.apiPrefix}/invitations`, invitationRoutes);
 app.use(`${config.app.apiPrefix}/audit`, auditRoutes);
 app.use(`${config.app.apiPrefix}/security`, securityRoutes);
 app.use(`${config.app.apiPrefix}/admin/security`, adminSecurityRoutes);
@@ -256,6 +276,20 @@ const startServer = async () => {
     // Connect to Redis (optional - app will work without it)
     await createRedisClient();
 
+    // Load JWT signing keys (generates the first key if none exist)
+    if (KeyringService.isEnabled()) {
+      await KeyringService.initialize();
+    }
+
+    // Purge accounts whose deletion grace period has ended
+    AccountDeletionService.startPurgeSchedule();
+
+    // Warn users whose password is about to expire
+    PasswordExpiryService.startWarningSchedule();
+
+    // Drop expired proof-of-work counters kept in memory
+    ProofOfWorkService.startCleanupSchedule();
+
     // Start Express server
     server = app.listen(PORT, HOST, () => {
       logger.info(`
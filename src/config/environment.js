@@ -23,6 +23,18 @@ const config = {
     expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     refreshSecret: process.env.JWT_REFRESH_SECRET,
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    // Access token signing: RS256 | ES256 | EdDSA (keyring) or HS256 (JWT_SECRET)
+    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    keyStore: process.env.JWT_KEY_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongodb'),
+    keyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30,
+    keyRetentionDays: parseInt(process.env.JWT_KEY_RETENTION_DAYS, 10) || 1,
+  },
+
+  // Refresh Token Store (redis falls back to mongodb when Redis is unavailable)
+  tokenStore: {
+    driver:
+      process.env.TOKEN_STORE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis'),
+    redisPrefix: process.env.TOKEN_STORE_REDIS_PREFIX || 'rt:',
   },
 
   // Session
@@ -52,6 +64,21 @@ const config = {
     loginMax: parseInt(process.env.RATE_LIMIT_LOGIN_MAX, 10) || 20,
   },
 
+  // Proof-of-work challenge for login, register and forgot-password after repeated failures
+  proofOfWork: {
+    enabled: process.env.PROOF_OF_WORK_ENABLED !== 'false',
+    // Failures from one IP, or against one account, before a challenge is required
+    ipThreshold: parseInt(process.env.PROOF_OF_WORK_IP_THRESHOLD, 10) || 5,
+    accountThreshold: parseInt(process.env.PROOF_OF_WORK_ACCOUNT_THRESHOLD, 10) || 3,
+    // How long failures are remembered
+    windowMinutes: parseInt(process.env.PROOF_OF_WORK_WINDOW_MINUTES, 10) || 15,
+    // Leading zero bits required in SHA-256(challenge:solution); each further failure adds one
+    difficulty: parseInt(process.env.PROOF_OF_WORK_DIFFICULTY, 10) || 18,
+    maxDifficulty: parseInt(process.env.PROOF_OF_WORK_MAX_DIFFICULTY, 10) || 22,
+    challengeExpiresInSeconds:
+      parseInt(process.env.PROOF_OF_WORK_CHALLENGE_EXPIRES_SECONDS, 10) || 300,
+  },
+
   // Database - MongoDB
   database: {
     mongodb: {
@@ -100,6 +127,14 @@ const config = {
     },
   },
 
+  // OAuth 2.1 / OpenID Connect Authorization Server
+  oauthServer: {
+    issuer: process.env.OAUTH_ISSUER || process.env.BASE_URL || 'http://localhost:5000',
+    loginUrl: process.env.OAUTH_LOGIN_URL, // Frontend page that signs the user in and asks for consent
+    codeTtlSeconds: parseInt(process.env.OAUTH_CODE_TTL_SECONDS, 10) || 60,
+    idTokenExpiresIn: process.env.OAUTH_ID_TOKEN_EXPIRES_IN || '1h',
+  },
+
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5242880,
@@ -136,6 +171,17 @@ const config = {
   twoFactor: {
     appName: process.env.TWO_FACTOR_APP_NAME || 'Nexus UI',
     issuer: process.env.TWO_FACTOR_ISSUER || 'NexusUI',
+    // Let 2FA users finish a login with an emailed or WhatsApp code instead
+    allowSentCodes: process.env.TWO_FACTOR_ALLOW_SENT_CODES !== 'false',
+  },
+
+  // WebAuthn / passkeys
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost', // Domain passkeys are bound to
+    rpName: process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'Nexus UI',
+    // Frontend origins allowed to run ceremonies (defaults to the CORS origins)
+    origins: process.env.WEBAUTHN_ORIGINS?.split(',') ||
+      process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
   },
 
   // Twilio (SMS/WhatsApp)
@@ -152,6 +198,105 @@ const config = {
     cspDirectives: process.env.CSP_DIRECTIVES,
   },
 
+  // Offline breached-password corpus (SHA-1 prefix files, e.g. an HIBP range dump)
+  breachedPasswords: {
+    // Directory of <first 5 hex chars>.txt files; the check is off when unset
+    dir: process.env.BREACHED_PASSWORDS_DIR,
+    // 'reject' new passwords found in the corpus, only 'warn' about them, or 'off'
+    policy: process.env.BREACHED_PASSWORDS_POLICY || 'reject',
+  },
+
+  // Password expiry (the maximum age itself is part of the password policy)
+  passwordExpiry: {
+    // Days before a password expires that the warning email is sent
+    warningDays: parseInt(process.env.PASSWORD_EXPIRY_WARNING_DAYS, 10) || 7,
+    // Restricted token issued at login when the password must be changed
+    changeTokenExpiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '5m',
+  },
+
+  // Sign-up
+  registration: {
+    // false = POST /auth/register only accepts an invitation token
+    open: process.env.REGISTRATION_OPEN !== 'false',
+    // Disposable email domains, one per line; the check is off when unset.
+    // Allowed and denied domains are part of the registration policy.
+    disposableDomainsFile: process.env.DISPOSABLE_EMAIL_DOMAINS_FILE,
+  },
+
+  // Admin-issued sign-up invitations (POST /invitations)
+  invitations: {
+    expiresInDays: parseInt(process.env.INVITATION_EXPIRES_DAYS, 10) || 7,
+  },
+
+  // Email address verification links
+  emailVerification: {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    // Block password and passkey login until the address is verified
+    required: process.env.EMAIL_VERIFICATION_REQUIRED === 'true',
+  },
+
+  // Changing the login email address
+  emailChange: {
+    // Confirmation link sent to the new address
+    expiresIn: process.env.EMAIL_CHANGE_EXPIRES_IN || '1h',
+    // Link sent to the old address to undo the change
+    revertExpiresIn: process.env.EMAIL_CHANGE_REVERT_EXPIRES_IN || '7d',
+  },
+
+  // Changing the phone number (WhatsApp codes and alerts)
+  phoneChange: {
+    // Code sent by WhatsApp to the new number
+    expiresIn: process.env.PHONE_CHANGE_EXPIRES_IN || '10m',
+    maxAttempts: parseInt(process.env.PHONE_CHANGE_MAX_ATTEMPTS, 10) || 5,
+  },
+
+  // Passwordless login links
+  magicLink: {
+    expiresIn: process.env.MAGIC_LINK_EXPIRES_IN || '15m',
+  },
+
+  // Risk-based login: compares each sign-in with the user's recent successful logins
+  loginRisk: {
+    enabled: process.env.LOGIN_RISK_ENABLED !== 'false',
+    // Scores (0-100) at which a "new sign-in" alert is sent and a second factor is required
+    alertScore: parseInt(process.env.LOGIN_RISK_ALERT_SCORE, 10) || 40,
+    stepUpScore: parseInt(process.env.LOGIN_RISK_STEP_UP_SCORE, 10) || 70,
+    // Successful logins compared against
+    historySize: parseInt(process.env.LOGIN_RISK_HISTORY_SIZE, 10) || 20,
+    lookbackDays: parseInt(process.env.LOGIN_RISK_LOOKBACK_DAYS, 10) || 90,
+    // Token for completing a login that needs a second factor
+    verificationExpiresIn: process.env.LOGIN_VERIFICATION_EXPIRES_IN || '10m',
+    maxVerificationAttempts: parseInt(process.env.LOGIN_VERIFICATION_MAX_ATTEMPTS, 10) || 5,
+  },
+
+  // "Remember this device": browsers that skip the second factor for a while
+  trustedDevices: {
+    enabled: process.env.TRUSTED_DEVICES_ENABLED !== 'false',
+    expiresInDays: parseInt(process.env.TRUSTED_DEVICE_DAYS, 10) || 30,
+    // The oldest device is forgotten when a user trusts one more
+    maxPerUser: parseInt(process.env.TRUSTED_DEVICE_MAX_PER_USER, 10) || 10,
+  },
+
+  // Step-up authentication for sensitive operations
+  reauth: {
+    maxAge: parseInt(process.env.REAUTH_MAX_AGE_SECONDS, 10) || 300,
+  },
+
+  // Admin impersonation ("login as user")
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+  },
+
+  // Self-service account deletion
+  accountDeletion: {
+    gracePeriodDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+  },
+
+  // Personal data exports (GET /users/me/export)
+  dataExport: {
+    expiresInHours: parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS, 10) || 24,
+  },
+
   // API Keys
   apiKey: {
     salt: process.env.API_KEY_SALT,
@@ -204,6 +349,11 @@ const validateConfig = () => {
     throw new Error('JWT_SECRET must be at least 32 characters long');
   }
 
+  // Validate JWT signing algorithm
+  if (!['RS256', 'ES256', 'EdDSA', 'HS256'].includes(config.jwt.algorithm)) {
+    throw new Error('JWT_ALGORITHM must be one of RS256, ES256, EdDSA or HS256');
+  }
+
   // Validate encryption key length
   if (process.env.ENCRYPTION_KEY && process.env.ENCRYPTION_KEY.length !== 32) {
     throw new Error('ENCRYPTION_KEY must be exactly 32 characters long');
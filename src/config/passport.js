@@ -3,6 +3,7 @@ import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as GitHubStrategy } from 'passport-github2';
 import config from './environment.js';
 import User from '../models/User.mongoose.js';
+import RegistrationPolicyService from '../services/registrationPolicyService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -72,6 +73,13 @@ if (config.features.enableOAuth && config.oauth.google.clientId) {
             return done(null, user);
           }
 
+          // Invite-only: new accounts must register with an invitation first
+          if (!config.registration.open) {
+            return done(new Error('Registration is by invitation only'), null);
+          }
+
+          await RegistrationPolicyService.assertEmailAllowed(email, { provider: 'google' });
+
           // Create new user
           const newUser = new User({
             email,
@@ -152,6 +160,13 @@ if (config.features.enableOAuth && config.oauth.github.clientId) {
             return done(null, user);
           }
 
+          // Invite-only: new accounts must register with an invitation first
+          if (!config.registration.open) {
+            return done(new Error('Registration is by invitation only'), null);
+          }
+
+          await RegistrationPolicyService.assertEmailAllowed(primaryEmail, { provider: 'github' });
+
           // Create new user
           const newUser = new User({
             email: primaryEmail,
@@ -14,6 +14,7 @@ export const PERMISSIONS = {
   USER_UPDATE: 'user:update',
   USER_DELETE: 'user:delete',
   USER_LIST: 'user:list',
+  USER_IMPERSONATE: 'user:impersonate',
 
   // Profile Permissions (own profile)
   PROFILE_READ: 'profile:read',
@@ -136,6 +137,17 @@ export const hasHigherOrEqualRole = (role1, role2) => {
   return level1 >= level2;
 };
 
+/**
+ * Check if a role may impersonate a user with the target role
+ * Only users with strictly lower privileges can be impersonated
+ */
+export const canImpersonate = (actorRole, targetRole) => {
+  return (
+    hasPermission(actorRole, PERMISSIONS.USER_IMPERSONATE) &&
+    !hasHigherOrEqualRole(targetRole, actorRole)
+  );
+};
+
 export default {
   PERMISSIONS,
   ROLE_PERMISSIONS,
@@ -146,4 +158,5 @@ export default {
   getRolePermissions,
   isResourceOwner,
   hasHigherOrEqualRole,
+  canImpersonate,
 };
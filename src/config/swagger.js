@@ -41,6 +41,12 @@ const getSwaggerOptions = () => {
             bearerFormat: 'JWT',
             description: 'Enter your access token',
           },
+          ApiKeyAuth: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key',
+            description: 'Personal API key (see /api-keys)',
+          },
         },
         schemas: {
           User: {
@@ -96,11 +102,29 @@ const getSwaggerOptions = () => {
               },
             },
           },
+          ReauthenticationRequired: {
+            description: 'Recent sign-in required; call POST /auth/reauthenticate and retry',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' },
+                example: {
+                  success: false,
+                  message: 'Please confirm your identity to continue',
+                  error: 'insufficient_user_authentication',
+                  data: { maxAge: 300, factors: [] },
+                },
+              },
+            },
+          },
         },
       },
       tags: [
         { name: 'Authentication', description: 'User authentication and authorization endpoints' },
-        { name: 'Two-Factor Authentication', description: 'Multi-method 2FA endpoints (TOTP, Email, WhatsApp)' },
+        {
+          name: 'Two-Factor Authentication',
+          description: 'Multi-method 2FA endpoints (TOTP, Email, WhatsApp, Passkey)',
+        },
+        { name: 'Passkeys', description: 'WebAuthn passkey registration and passwordless login' },
         { name: 'OAuth', description: 'OAuth 2.0 social login endpoints (Google, GitHub)' },
         { name: 'Users', description: 'User management endpoints' },
         { name: 'Audit Logs', description: 'Security audit log endpoints' },
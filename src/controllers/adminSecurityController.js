@@ -1,6 +1,14 @@
 import User from '../models/User.mongoose.js';
 import logger, { logSecurityEvent } from '../utils/logger.js';
 import TokenService from '../services/tokenService.js';
+import TrustedDeviceService from '../services/trustedDeviceService.js';
+import KeyringService from '../services/keyringService.js';
+import BreachedPasswordService from '../services/breachedPasswordService.js';
+import PasswordExpiryService from '../services/passwordExpiryService.js';
+import PasswordPolicyService from '../services/passwordPolicyService.js';
+import RegistrationPolicyService from '../services/registrationPolicyService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import config from '../config/environment.js';
 
 /**
  * Admin Security Controller
@@ -73,7 +81,7 @@ class AdminSecurityController {
       await user.save();
 
       // Revoke all user's tokens to force re-login
-      TokenService.revokeAllUserTokens(userId);
+      await TokenService.revokeAllUserSessions(userId);
 
       logSecurityEvent('FORCE_PASSWORD_CHANGE', {
         adminId: req.userId,
@@ -165,7 +173,7 @@ class AdminSecurityController {
         });
       }
 
-      const activeSessions = TokenService.getUserRefreshTokens(userId);
+      const activeSessions = await TokenService.getUserRefreshTokens(userId);
 
       const summary = {
         userId: user._id,
@@ -221,7 +229,8 @@ class AdminSecurityController {
         });
       }
 
-      const count = TokenService.revokeAllUserTokens(userId);
+      const count = await TokenService.revokeAllUserSessions(userId);
+      await TrustedDeviceService.revokeAll(userId, 'revoked_by_admin', getRequestContext(req));
 
       logSecurityEvent('SESSIONS_REVOKED_BY_ADMIN', {
         adminId: req.userId,
@@ -256,15 +265,10 @@ class AdminSecurityController {
   static async getPasswordPolicy(req, res) {
     try {
       const policy = {
-        minLength: 8,
-        requireUppercase: true,
-        requireLowercase: true,
-        requireNumbers: true,
-        requireSpecialChars: true,
-        historyCount: 5,
-        expirationDays: null, // null = no expiration
-        maxLoginAttempts: 5,
-        lockoutDurationMinutes: 15,
+        ...(await PasswordPolicyService.getPolicy()),
+        breachedPasswords: BreachedPasswordService.isEnabled()
+          ? config.breachedPasswords.policy
+          : 'off',
       };
 
       return res.status(200).json({
@@ -281,18 +285,102 @@ class AdminSecurityController {
     }
   }
 
+  /**
+   * Update password policy
+   * Applies to passwords set from now on; existing passwords are not checked again.
+   * PATCH /api/v1/admin/security/password-policy
+   */
+  static async updatePasswordPolicy(req, res) {
+    try {
+      const policy = await PasswordPolicyService.updatePolicy(
+        req.body,
+        req.user,
+        getRequestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Password policy updated',
+        data: policy,
+      });
+    } catch (error) {
+      logger.error('Update password policy error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update password policy',
+      });
+    }
+  }
+
+  /**
+   * Get registration policy
+   * GET /api/v1/admin/security/registration-policy
+   */
+  static async getRegistrationPolicy(req, res) {
+    try {
+      const policy = {
+        ...(await RegistrationPolicyService.getPolicy()),
+        registrationOpen: config.registration.open,
+        disposableDomainCount: await RegistrationPolicyService.getDisposableDomainCount(),
+      };
+
+      return res.status(200).json({
+        success: true,
+        data: policy,
+      });
+    } catch (error) {
+      logger.error('Get registration policy error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve registration policy',
+      });
+    }
+  }
+
+  /**
+   * Update registration policy
+   * Applies to sign-ups from now on; existing accounts are not affected.
+   * PATCH /api/v1/admin/security/registration-policy
+   */
+  static async updateRegistrationPolicy(req, res) {
+    try {
+      const policy = await RegistrationPolicyService.updatePolicy(
+        req.body,
+        req.user,
+        getRequestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registration policy updated',
+        data: policy,
+      });
+    } catch (error) {
+      logger.error('Update registration policy error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update registration policy',
+      });
+    }
+  }
+
   /**
    * Get security statistics
    * GET /api/v1/admin/security/stats
    */
   static async getSecurityStats(req, res) {
     try {
-      const [totalUsers, lockedAccounts, unverifiedEmails, oauthUsers] = await Promise.all([
-        User.countDocuments({ isActive: true }),
-        User.countDocuments({ lockUntil: { $gt: Date.now() } }),
-        User.countDocuments({ isEmailVerified: false }),
-        User.countDocuments({ authProvider: { $ne: 'local' } }),
-      ]);
+      const [totalUsers, lockedAccounts, unverifiedEmails, oauthUsers, passwordExpiry] =
+        await Promise.all([
+          User.countDocuments({ isActive: true }),
+          User.countDocuments({ lockUntil: { $gt: Date.now() } }),
+          User.countDocuments({ isEmailVerified: false }),
+          User.countDocuments({ authProvider: { $ne: 'local' } }),
+          PasswordExpiryService.getExpiryStats(),
+        ]);
 
       const stats = {
         totalActiveUsers: totalUsers,
@@ -300,6 +388,7 @@ class AdminSecurityController {
         unverifiedEmails,
         oauthUsers,
         localUsers: totalUsers - oauthUsers,
+        passwordExpiry,
         timestamp: new Date().toISOString(),
       };
 
@@ -317,6 +406,30 @@ class AdminSecurityController {
     }
   }
 
+  /**
+   * Report users whose password was found in the breached-password corpus
+   * Users are checked when they sign in, so the counts cover those who have
+   * signed in since the corpus was configured.
+   * GET /api/v1/admin/security/breached-passwords
+   */
+  static async getBreachedPasswordReport(req, res) {
+    try {
+      const report = await BreachedPasswordService.getReport();
+
+      return res.status(200).json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      logger.error('Get breached password report error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve breached password report',
+      });
+    }
+  }
+
   /**
    * Bulk unlock accounts
    * POST /api/v1/admin/security/bulk-unlock
@@ -356,6 +469,77 @@ class AdminSecurityController {
       });
     }
   }
+
+  /**
+   * List JWT signing keys (metadata only)
+   * GET /api/v1/admin/security/signing-keys
+   */
+  static async getSigningKeys(req, res) {
+    try {
+      if (!KeyringService.isEnabled()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Asymmetric signing is disabled (JWT_ALGORITHM=HS256)',
+        });
+      }
+
+      const keys = await KeyringService.listKeys();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          keys,
+        },
+      });
+    } catch (error) {
+      logger.error('Get signing keys error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve signing keys',
+      });
+    }
+  }
+
+  /**
+   * Rotate the JWT signing key immediately
+   * POST /api/v1/admin/security/signing-keys/rotate
+   */
+  static async rotateSigningKey(req, res) {
+    try {
+      if (!KeyringService.isEnabled()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Asymmetric signing is disabled (JWT_ALGORITHM=HS256)',
+        });
+      }
+
+      await KeyringService.initialize();
+      const kid = await KeyringService.rotate();
+
+      logSecurityEvent('SIGNING_KEY_ROTATED_BY_ADMIN', {
+        adminId: req.userId,
+        kid,
+      });
+
+      logger.info(`Admin ${req.userId} rotated the JWT signing key`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Signing key rotated',
+        data: {
+          kid,
+        },
+      });
+    } catch (error) {
+      logger.error('Rotate signing key error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to rotate signing key',
+      });
+    }
+  }
 }
 
 export default AdminSecurityController;
@@ -0,0 +1,93 @@
+import ApiKeyService from '../services/apiKeyService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * API Key Controller
+ * Lets users manage personal API keys for scripts and CI jobs
+ */
+
+class ApiKeyController {
+  /**
+   * List the current user's API keys
+   * GET /api/v1/api-keys
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKeyService.listKeys(req.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map((apiKey) => apiKey.toJSON()),
+        },
+      });
+    } catch (error) {
+      logger.error('Get API keys error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve API keys',
+      });
+    }
+  }
+
+  /**
+   * Create an API key
+   * POST /api/v1/api-keys
+   */
+  static async createApiKey(req, res) {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      const { apiKey, key } = await ApiKeyService.createKey(req.user, {
+        name,
+        scopes,
+        expiresInDays,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now; it cannot be retrieved again.',
+        data: {
+          apiKey: apiKey.toJSON(),
+          key,
+        },
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to create API key',
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/v1/api-keys/:keyId
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const apiKey = await ApiKeyService.revokeKey(req.userId, req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'API key revoked',
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API key',
+      });
+    }
+  }
+}
+
+export default ApiKeyController;
@@ -18,6 +18,8 @@ class AuditController {
       const skip = (page - 1) * limit;
       const event = req.query.event;
       const severity = req.query.severity;
+      const impersonatorId = req.query.impersonatorId;
+      const clientId = req.query.clientId;
 
       const query = {};
       if (event) {
@@ -26,6 +28,14 @@ class AuditController {
       if (severity) {
         query.severity = severity;
       }
+      // Everything an admin did while impersonating users
+      if (impersonatorId) {
+        query.impersonatorId = String(impersonatorId);
+      }
+      // Everything a service client did
+      if (clientId) {
+        query.clientId = String(clientId);
+      }
 
       const logs = await AuditLog.find(query)
         .sort({ timestamp: -1 })
@@ -1,4 +1,11 @@
+import AuditLog from '../models/AuditLog.js';
+import AccountDeletionService from '../services/accountDeletionService.js';
 import AuthService from '../services/authService.js';
+import EmailChangeService from '../services/emailChangeService.js';
+import PhoneNumberService from '../services/phoneNumberService.js';
+import TokenService from '../services/tokenService.js';
+import TrustedDeviceService, { TRUSTED_DEVICE_COOKIE } from '../services/trustedDeviceService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -13,15 +20,31 @@ class AuthController {
    */
   static async register(req, res) {
     try {
-      const { email, username, password, firstName, lastName } = req.body;
-
-      const result = await AuthService.register({
-        email,
-        username,
-        password,
-        firstName,
-        lastName,
-      });
+      const { email, username, password, firstName, lastName, invitationToken } = req.body;
+
+      const result = await AuthService.register(
+        {
+          email,
+          username,
+          password,
+          firstName,
+          lastName,
+          invitationToken,
+        },
+        getRequestContext(req)
+      );
+
+      // EMAIL_VERIFICATION_REQUIRED: no session until the email is verified
+      if (!result.tokens) {
+        return res.status(201).json({
+          success: true,
+          message: 'User registered successfully. Please check your email to verify your account.',
+          data: {
+            user: result.user,
+            passwordWarning: result.passwordWarning || undefined,
+          },
+        });
+      }
 
       // Set refresh token in httpOnly cookie
       res.cookie('refreshToken', result.tokens.refreshToken, {
@@ -38,6 +61,7 @@ class AuthController {
           user: result.user,
           accessToken: result.tokens.accessToken,
           expiresIn: result.tokens.expiresIn,
+          passwordWarning: result.passwordWarning || undefined,
         },
       });
     } catch (error) {
@@ -58,9 +82,42 @@ class AuthController {
     try {
       const { email, password } = req.body;
       console.log({ email });
-      const ipAddress = req.ip;
-      const userAgent = req.get('user-agent');
-      const result = await AuthService.login({ email, password }, ipAddress, userAgent);
+      const result = await AuthService.login(
+        { email, password },
+        { ...getRequestContext(req), trustedDeviceToken: req.cookies?.[TRUSTED_DEVICE_COOKIE] }
+      );
+
+      // 2FA or an unusual sign-in: no tokens until a second factor is entered
+      if (result.requires2FA) {
+        return res.status(200).json({
+          success: true,
+          message: 'Please enter a verification code to finish signing in',
+          data: {
+            requires2FA: true,
+            mfaToken: result.mfaToken,
+            methods: result.methods,
+            expiresIn: result.expiresIn,
+          },
+        });
+      }
+
+      // Expired or admin-reset password: a restricted token for change-password only
+      if (result.requiresPasswordChange) {
+        return res.status(200).json({
+          success: true,
+          message:
+            result.passwordChangeReason === 'expired'
+              ? 'Your password has expired. Please choose a new one.'
+              : 'You must change your password before continuing.',
+          data: {
+            user: result.user,
+            requiresPasswordChange: true,
+            passwordChangeReason: result.passwordChangeReason,
+            accessToken: result.accessToken,
+            expiresIn: result.expiresIn,
+          },
+        });
+      }
 
       // Set refresh token in httpOnly cookie
       res.cookie('refreshToken', result.tokens.refreshToken, {
@@ -89,6 +146,76 @@ class AuthController {
     }
   }
 
+  /**
+   * Complete a login that needs a second factor
+   * POST /api/v1/auth/login/verify
+   * POST /api/v1/auth/2fa/verify
+   */
+  static async verifyLogin(req, res) {
+    try {
+      const { mfaToken, code, token, backupCode, passkey, rememberDevice } = req.body;
+
+      // /2fa/verify has always called the authenticator code `token`
+      const result = await AuthService.verifyLogin(
+        mfaToken,
+        { code: code ?? token, backupCode, passkey },
+        getRequestContext(req),
+        { rememberDevice }
+      );
+
+      // "Remember this device": later logins from this browser skip the second factor
+      if (result.trustedDevice) {
+        res.cookie(
+          TRUSTED_DEVICE_COOKIE,
+          result.trustedDevice.token,
+          TrustedDeviceService.getCookieOptions(result.trustedDevice.expiresAt)
+        );
+      }
+
+      if (result.requiresPasswordChange) {
+        return res.status(200).json({
+          success: true,
+          message:
+            result.passwordChangeReason === 'expired'
+              ? 'Your password has expired. Please choose a new one.'
+              : 'You must change your password before continuing.',
+          data: {
+            user: result.user,
+            requiresPasswordChange: true,
+            passwordChangeReason: result.passwordChangeReason,
+            accessToken: result.accessToken,
+            expiresIn: result.expiresIn,
+          },
+        });
+      }
+
+      // Set refresh token in httpOnly cookie
+      res.cookie('refreshToken', result.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: result.user,
+          accessToken: result.tokens.accessToken,
+          expiresIn: result.tokens.expiresIn,
+        },
+      });
+    } catch (error) {
+      logger.error('Login verification controller error:', error);
+
+      return res.status(401).json({
+        success: false,
+        message: error.message || 'Login verification failed',
+      });
+    }
+  }
+
   /**
    * Logout user
    * POST /api/v1/auth/logout
@@ -98,7 +225,11 @@ class AuthController {
       const userId = req.userId;
       const tokenId = req.tokenId;
 
-      await AuthService.logout(userId, tokenId);
+      // Also revoke the access token if one was sent
+      const authHeader = req.headers.authorization;
+      const accessToken = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+      await AuthService.logout(userId, tokenId, accessToken);
 
       // Clear refresh token cookie
       res.clearCookie('refreshToken');
@@ -127,8 +258,9 @@ class AuthController {
 
       const result = await AuthService.logoutAll(userId);
 
-      // Clear refresh token cookie
+      // Clear refresh token cookie; trusted devices are forgotten too
       res.clearCookie('refreshToken');
+      res.clearCookie(TRUSTED_DEVICE_COOKIE);
 
       return res.status(200).json({
         success: true,
@@ -155,7 +287,7 @@ class AuthController {
     try {
       const refreshToken = req.refreshToken;
 
-      const result = await AuthService.refreshToken(refreshToken);
+      const result = await AuthService.refreshToken(refreshToken, getRequestContext(req));
 
       return res.status(200).json({
         success: true,
@@ -186,7 +318,7 @@ class AuthController {
     try {
       const refreshToken = req.refreshToken;
 
-      const result = await AuthService.rotateToken(refreshToken);
+      const result = await AuthService.rotateToken(refreshToken, getRequestContext(req));
 
       // Set new refresh token in httpOnly cookie
       res.cookie('refreshToken', result.refreshToken, {
@@ -256,6 +388,8 @@ class AuthController {
       return res.status(200).json({
         success: true,
         message: result.message,
+        // BREACHED_PASSWORDS_POLICY=warn: the password was accepted but is known to be breached
+        ...(result.passwordWarning && { data: { passwordWarning: result.passwordWarning } }),
       });
     } catch (error) {
       logger.error('Change password controller error:', error);
@@ -267,6 +401,160 @@ class AuthController {
     }
   }
 
+  /**
+   * Request a change of login email address
+   * POST /api/v1/auth/change-email
+   */
+  static async changeEmail(req, res) {
+    try {
+      const { newEmail, password } = req.body;
+
+      await EmailChangeService.requestChange(
+        req.userId,
+        { newEmail, password },
+        getRequestContext(req)
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: `A confirmation link has been sent to ${newEmail}. Your email changes once you confirm it.`,
+      });
+    } catch (error) {
+      logger.error('Change email controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Email change failed',
+      });
+    }
+  }
+
+  /**
+   * Confirm an email change with the link sent to the new address
+   * POST /api/v1/auth/change-email/confirm
+   */
+  static async confirmEmailChange(req, res) {
+    try {
+      const email = await EmailChangeService.confirmChange(req.body.token, getRequestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Email address changed',
+        data: {
+          email,
+        },
+      });
+    } catch (error) {
+      logger.error('Confirm email change controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Email change failed',
+      });
+    }
+  }
+
+  /**
+   * Undo an email change with the link sent to the old address
+   * POST /api/v1/auth/change-email/revert
+   */
+  static async revertEmailChange(req, res) {
+    try {
+      await EmailChangeService.revertChange(req.body.token, getRequestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message:
+          'Your email address has been restored and every session signed out. We recommend resetting your password.',
+      });
+    } catch (error) {
+      logger.error('Revert email change controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to undo email change',
+      });
+    }
+  }
+
+  /**
+   * Start changing the phone number: a code is sent to the new number by WhatsApp
+   * POST /api/v1/auth/change-phone
+   */
+  static async changePhoneNumber(req, res) {
+    try {
+      const result = await PhoneNumberService.requestChange(
+        req.userId,
+        req.body.phoneNumber,
+        getRequestContext(req)
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'A code has been sent to the new number. Your number changes once you enter it.',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Change phone number controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Phone number change failed',
+      });
+    }
+  }
+
+  /**
+   * Confirm a phone number change with the code sent to the new number
+   * POST /api/v1/auth/change-phone/confirm
+   */
+  static async confirmPhoneNumberChange(req, res) {
+    try {
+      const phoneNumber = await PhoneNumberService.confirmChange(
+        req.userId,
+        req.body.code,
+        getRequestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Phone number changed',
+        data: {
+          phoneNumber,
+        },
+      });
+    } catch (error) {
+      logger.error('Confirm phone number change controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Phone number change failed',
+      });
+    }
+  }
+
+  /**
+   * Remove the phone number
+   * DELETE /api/v1/auth/phone-number
+   */
+  static async removePhoneNumber(req, res) {
+    try {
+      await PhoneNumberService.removeNumber(req.userId, getRequestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Phone number removed',
+      });
+    } catch (error) {
+      logger.error('Remove phone number controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to remove phone number',
+      });
+    }
+  }
+
   /**
    * Request password reset
    * POST /api/v1/auth/forgot-password
@@ -291,6 +579,108 @@ class AuthController {
     }
   }
 
+  /**
+   * Email a passwordless login link
+   * POST /api/v1/auth/magic-link
+   */
+  static async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+
+      const result = await AuthService.requestMagicLink(email, getRequestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error('Magic link request controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: 'Login link request failed',
+      });
+    }
+  }
+
+  /**
+   * Log in with a magic link token
+   * POST /api/v1/auth/magic-link/verify
+   */
+  static async verifyMagicLink(req, res) {
+    try {
+      const { token, twoFactorCode, rememberDevice } = req.body;
+
+      const result = await AuthService.loginWithMagicLink(
+        token,
+        twoFactorCode,
+        { ...getRequestContext(req), trustedDeviceToken: req.cookies?.[TRUSTED_DEVICE_COOKIE] },
+        { rememberDevice }
+      );
+
+      if (result.requires2FA) {
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            requires2FA: true,
+          },
+        });
+      }
+
+      if (result.trustedDevice) {
+        res.cookie(
+          TRUSTED_DEVICE_COOKIE,
+          result.trustedDevice.token,
+          TrustedDeviceService.getCookieOptions(result.trustedDevice.expiresAt)
+        );
+      }
+
+      // Expired or admin-reset password: a restricted token for change-password only
+      if (result.requiresPasswordChange) {
+        return res.status(200).json({
+          success: true,
+          message:
+            result.passwordChangeReason === 'expired'
+              ? 'Your password has expired. Please choose a new one.'
+              : 'You must change your password before continuing.',
+          data: {
+            user: result.user,
+            requiresPasswordChange: true,
+            passwordChangeReason: result.passwordChangeReason,
+            accessToken: result.accessToken,
+            expiresIn: result.expiresIn,
+          },
+        });
+      }
+
+      // Set refresh token in httpOnly cookie
+      res.cookie('refreshToken', result.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: result.user,
+          accessToken: result.tokens.accessToken,
+          expiresIn: result.tokens.expiresIn,
+        },
+      });
+    } catch (error) {
+      logger.error('Magic link login controller error:', error);
+
+      return res.status(401).json({
+        success: false,
+        message: error.message || 'Login failed',
+      });
+    }
+  }
+
   /**
    * Reset password with token
    * POST /api/v1/auth/reset-password
@@ -304,6 +694,7 @@ class AuthController {
       return res.status(200).json({
         success: true,
         message: result.message,
+        ...(result.passwordWarning && { data: { passwordWarning: result.passwordWarning } }),
       });
     } catch (error) {
       logger.error('Reset password controller error:', error);
@@ -316,15 +707,12 @@ class AuthController {
   }
 
   /**
-   * Verify email
-   * POST /api/v1/auth/verify-email
+   * Verify email with the token from the verification link
+   * GET/POST /api/v1/auth/verify-email/:token
    */
   static async verifyEmail(req, res) {
     try {
-      const userId = req.userId;
-      const { verificationToken } = req.body;
-
-      const result = await AuthService.verifyEmail(userId, verificationToken);
+      const result = await AuthService.verifyEmail(req.params.token, getRequestContext(req));
 
       return res.status(200).json({
         success: true,
@@ -340,6 +728,125 @@ class AuthController {
     }
   }
 
+  /**
+   * Resend the email verification link
+   * POST /api/v1/auth/verify-email/resend
+   */
+  static async resendVerificationEmail(req, res) {
+    try {
+      const result = await AuthService.resendEmailVerification(
+        req.body.email,
+        getRequestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error('Resend verification email controller error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email',
+      });
+    }
+  }
+
+  /**
+   * Confirm identity again before a sensitive operation (step-up)
+   * POST /api/v1/auth/reauthenticate
+   */
+  static async reauthenticate(req, res) {
+    try {
+      const { password, twoFactorCode } = req.body;
+
+      const result = await AuthService.reauthenticate(
+        req.userId,
+        req.tokenPayload?.sid,
+        { password, twoFactorCode },
+        getRequestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Identity confirmed',
+        data: {
+          accessToken: result.accessToken,
+          expiresIn: result.expiresIn,
+          amr: result.amr,
+        },
+      });
+    } catch (error) {
+      logger.error('Reauthenticate controller error:', error);
+
+      return res.status(401).json({
+        success: false,
+        message: error.message || 'Reauthentication failed',
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending account deletion with the emailed token
+   * POST /api/v1/auth/account-deletion/cancel
+   */
+  static async cancelAccountDeletion(req, res) {
+    try {
+      await AccountDeletionService.cancelDeletion(req.body.token, getRequestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Account deletion cancelled. You can log in again.',
+      });
+    } catch (error) {
+      logger.error('Cancel account deletion controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel account deletion',
+      });
+    }
+  }
+
+  /**
+   * Stop impersonating a user; revokes the impersonation token
+   * POST /api/v1/auth/impersonation/end
+   */
+  static async endImpersonation(req, res) {
+    try {
+      if (!req.impersonator) {
+        return res.status(400).json({
+          success: false,
+          message: 'Not impersonating a user',
+        });
+      }
+
+      const accessToken = req.headers.authorization.substring(7);
+      await TokenService.revokeAccessToken(accessToken);
+
+      await AuditLog.logEvent('IMPERSONATION_ENDED', {
+        userId: req.userId,
+        impersonatorId: req.impersonator.id,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        severity: 'high',
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Impersonation ended',
+      });
+    } catch (error) {
+      logger.error('End impersonation controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to end impersonation',
+      });
+    }
+  }
+
   /**
    * Get active sessions
    * GET /api/v1/auth/sessions
@@ -348,7 +855,7 @@ class AuthController {
     try {
       const userId = req.userId;
 
-      const result = await AuthService.getActiveSessions(userId);
+      const result = await AuthService.getActiveSessions(userId, req.tokenPayload?.sid);
 
       return res.status(200).json({
         success: true,
@@ -366,6 +873,42 @@ class AuthController {
       });
     }
   }
+
+  /**
+   * Revoke a single session (e.g. a lost device)
+   * DELETE /api/v1/auth/sessions/:sessionId
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const revoked = await AuthService.revokeSession(req.userId, sessionId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+        });
+      }
+
+      // Revoking this device's own session is a logout
+      if (sessionId === req.tokenPayload?.sid) {
+        res.clearCookie('refreshToken');
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Session revoked',
+      });
+    } catch (error) {
+      logger.error('Revoke session controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to revoke session',
+      });
+    }
+  }
 }
 
 export default AuthController;
@@ -0,0 +1,101 @@
+import InvitationService from '../services/invitationService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Invitation Controller
+ * Lets admins invite people to register, for invite-only deployments
+ */
+
+class InvitationController {
+  /**
+   * List invitations, optionally by status
+   * GET /api/v1/invitations
+   */
+  static async getInvitations(req, res) {
+    try {
+      const invitations = await InvitationService.listInvitations(req.query.status);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          invitations: invitations.map((invitation) => invitation.toJSON()),
+        },
+      });
+    } catch (error) {
+      logger.error('Get invitations error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve invitations',
+      });
+    }
+  }
+
+  /**
+   * Create an invitation
+   * POST /api/v1/invitations
+   */
+  static async createInvitation(req, res) {
+    try {
+      const { email, allowedDomain, role } = req.body;
+
+      const { invitation, inviteUrl, emailSent } = await InvitationService.createInvitation(
+        req.user,
+        { email, allowedDomain, role },
+        getRequestContext(req)
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation created and emailed'
+          : 'Invitation created. Share the link now; it cannot be retrieved again.',
+        data: {
+          invitation: invitation.toJSON(),
+          inviteUrl,
+          emailSent,
+        },
+      });
+    } catch (error) {
+      logger.error('Create invitation error:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to create invitation',
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/v1/invitations/:invitationId
+   */
+  static async revokeInvitation(req, res) {
+    try {
+      const invitation = await InvitationService.revokeInvitation(
+        req.params.invitationId,
+        req.user,
+        getRequestContext(req)
+      );
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pending invitation not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Invitation revoked',
+      });
+    } catch (error) {
+      logger.error('Revoke invitation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+      });
+    }
+  }
+}
+
+export default InvitationController;
@@ -1,4 +1,5 @@
 import tokenService from '../services/tokenService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
 import logger from '../utils/logger.js';
 import config from '../config/environment.js';
 
@@ -16,12 +17,17 @@ class OAuthController {
         return res.redirect(`${config.cors.origin[0]}/auth/error?message=Authentication failed`);
       }
 
-      // Generate tokens
-      const accessToken = tokenService.generateAccessToken(user);
-      const refreshToken = tokenService.generateRefreshToken(user);
-
-      // Store refresh token
-      await tokenService.storeRefreshToken(user._id, refreshToken);
+      // Generate tokens (refresh token is persisted by the token store)
+      const { accessToken, refreshToken } = await tokenService.generateTokenPair(
+        {
+          userId: user.id,
+          email: user.email,
+          role: user.role,
+          authTime: new Date(),
+          amr: ['oauth'],
+        },
+        { context: getRequestContext(req) }
+      );
 
       // Log successful OAuth login
       logger.info(`OAuth login successful for user: ${user.email}`);
@@ -0,0 +1,413 @@
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.mongoose.js';
+import OAuthClient from '../models/OAuthClient.js';
+import OAuthServerService from '../services/oauthServerService.js';
+import TokenService from '../services/tokenService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import logger from '../utils/logger.js';
+import OAuthError from '../utils/OAuthError.js';
+
+/**
+ * OAuth Server Controller
+ * Authorization, token, userinfo and client management endpoints
+ *
+ * Protocol endpoints (/authorize redirects, /token, /userinfo) answer in the
+ * standard OAuth format; management endpoints use the usual API envelope.
+ */
+
+/**
+ * Read client credentials from HTTP Basic auth or the request body
+ */
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader?.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return {
+        clientId: decodeURIComponent(decoded.substring(0, separator)),
+        clientSecret: decodeURIComponent(decoded.substring(separator + 1)),
+      };
+    }
+  }
+
+  return {
+    clientId: req.body?.client_id,
+    clientSecret: req.body?.client_secret,
+  };
+};
+
+/**
+ * Send an OAuth protocol error
+ */
+const sendOAuthError = (res, error) => {
+  if (error instanceof OAuthError) {
+    if (error.statusCode === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+
+  logger.error('OAuth server error:', error);
+  return res.status(500).json({
+    error: 'server_error',
+    error_description: 'Internal server error',
+  });
+};
+
+class OAuthServerController {
+  /**
+   * Start an authorization request (browser redirect from the client app)
+   * GET /api/v1/oauth/authorize
+   *
+   * Validates the request and hands it to the login page, which signs the
+   * user in and then calls POST /oauth/authorize with the same parameters.
+   */
+  static async authorize(req, res) {
+    try {
+      await OAuthServerService.validateAuthorizationRequest(req.query);
+
+      if (!config.oauthServer.loginUrl) {
+        return res.status(503).json({
+          error: 'temporarily_unavailable',
+          error_description: 'OAUTH_LOGIN_URL is not configured',
+        });
+      }
+
+      const loginUrl = OAuthServerService.buildRedirectUri(config.oauthServer.loginUrl, req.query);
+      return res.redirect(302, loginUrl);
+    } catch (error) {
+      if (error.redirectUri) {
+        return res.redirect(302, error.redirectUri);
+      }
+      return sendOAuthError(res, error);
+    }
+  }
+
+  /**
+   * Complete an authorization request for the signed-in user
+   * POST /api/v1/oauth/authorize
+   *
+   * Returns consentRequired when the user has not yet approved the requested
+   * scopes; the login page shows a consent screen and calls again with
+   * approve=true or approve=false.
+   */
+  static async decide(req, res) {
+    try {
+      const request = await OAuthServerService.validateAuthorizationRequest(req.body);
+      const { approve } = req.body;
+
+      if (approve === false || approve === 'false') {
+        return res.status(200).json({
+          success: true,
+          data: {
+            redirectUri: OAuthServerService.buildRedirectUri(request.redirectUri, {
+              error: 'access_denied',
+              error_description: 'The user denied the request',
+              state: request.state,
+            }),
+          },
+        });
+      }
+
+      const approved = approve === true || approve === 'true';
+
+      if (
+        !approved &&
+        !(await OAuthServerService.hasConsent(req.userId, request.client, request.scopes))
+      ) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            consentRequired: true,
+            client: {
+              clientId: request.client.clientId,
+              name: request.client.name,
+            },
+            scopes: request.scopes,
+          },
+        });
+      }
+
+      if (approved) {
+        await OAuthServerService.grantConsent(req.userId, request.client.clientId, request.scopes);
+      }
+
+      const code = await OAuthServerService.createAuthorizationCode(request, {
+        userId: req.userId,
+        authTime: req.tokenPayload.auth_time || req.tokenPayload.iat,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          redirectUri: OAuthServerService.buildRedirectUri(request.redirectUri, {
+            code,
+            state: request.state,
+          }),
+        },
+      });
+    } catch (error) {
+      if (error.redirectUri) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            redirectUri: error.redirectUri,
+          },
+        });
+      }
+      if (error instanceof OAuthError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      logger.error('OAuth authorize error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization failed',
+      });
+    }
+  }
+
+  /**
+   * Token endpoint
+   * POST /api/v1/oauth/token
+   */
+  static async token(req, res) {
+    // Token responses must never be cached
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      const { clientId, clientSecret } = getClientCredentials(req);
+      const client = await OAuthServerService.authenticateClient(clientId, clientSecret);
+      const context = getRequestContext(req);
+
+      let response;
+      switch (req.body?.grant_type) {
+        case 'authorization_code':
+          response = await OAuthServerService.exchangeAuthorizationCode(client, req.body);
+          break;
+        case 'refresh_token':
+          response = await OAuthServerService.exchangeRefreshToken(client, req.body, context);
+          break;
+        case 'client_credentials':
+          response = await OAuthServerService.exchangeClientCredentials(client, req.body);
+
+          // No user is involved, so the audit entry is the client's
+          await AuditLog.logEvent('SERVICE_CLIENT_TOKEN_ISSUED', {
+            clientId: client.clientId,
+            ip: context.ip,
+            userAgent: context.userAgent,
+            details: { scopes: OAuthServerService.parseScope(response.scope) },
+            severity: 'low',
+          });
+          break;
+        default:
+          throw new OAuthError('unsupported_grant_type', 'Unsupported grant_type');
+      }
+
+      return res.status(200).json(response);
+    } catch (error) {
+      return sendOAuthError(res, error);
+    }
+  }
+
+  /**
+   * Token revocation (RFC 7009)
+   * POST /api/v1/oauth/revoke
+   */
+  static async revoke(req, res) {
+    try {
+      const { clientId, clientSecret } = getClientCredentials(req);
+      const client = await OAuthServerService.authenticateClient(clientId, clientSecret);
+      const { token } = req.body || {};
+
+      if (!token) {
+        throw new OAuthError('invalid_request', 'token is required');
+      }
+
+      // Only revoke genuine tokens that belong to the requesting client
+      const refresh = TokenService.verifyRefreshTokenSignature(token);
+      if (refresh) {
+        if (refresh.clientId === client.clientId) {
+          await TokenService.revokeRefreshToken(refresh.tokenId);
+        }
+      } else {
+        let access = null;
+        try {
+          access = await TokenService.verifyAccessToken(token);
+        } catch {
+          // Expired or forged access tokens are not ours to revoke
+        }
+        if (access?.client_id === client.clientId) {
+          await TokenService.revokeAccessToken(token);
+        }
+      }
+
+      // Unknown or foreign tokens still get 200 per RFC 7009
+      return res.status(200).end();
+    } catch (error) {
+      return sendOAuthError(res, error);
+    }
+  }
+
+  /**
+   * OpenID Connect userinfo endpoint
+   * GET /api/v1/oauth/userinfo
+   */
+  static async userinfo(req, res) {
+    try {
+      const scopes = OAuthServerService.parseScope(req.tokenPayload.scope);
+
+      if (!scopes.includes('openid')) {
+        res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="openid"');
+        return res.status(403).json({
+          error: 'insufficient_scope',
+          error_description: 'The openid scope is required',
+        });
+      }
+
+      const user = await User.findById(req.userId);
+
+      return res.status(200).json(OAuthServerService.getUserInfo(user, scopes));
+    } catch (error) {
+      return sendOAuthError(res, error);
+    }
+  }
+
+  /**
+   * List applications the current user has authorized
+   * GET /api/v1/oauth/consents
+   */
+  static async getConsents(req, res) {
+    try {
+      const consents = await OAuthServerService.listConsents(req.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          consents,
+        },
+      });
+    } catch (error) {
+      logger.error('Get OAuth consents error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve authorized applications',
+      });
+    }
+  }
+
+  /**
+   * Revoke the current user's consent for an application
+   * DELETE /api/v1/oauth/consents/:clientId
+   */
+  static async revokeConsent(req, res) {
+    try {
+      const revoked = await OAuthServerService.revokeConsent(req.userId, req.params.clientId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consent not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Application access revoked',
+      });
+    } catch (error) {
+      logger.error('Revoke OAuth consent error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke application access',
+      });
+    }
+  }
+
+  /**
+   * Register a client application (admin only)
+   * POST /api/v1/oauth/clients
+   */
+  static async createClient(req, res) {
+    try {
+      const { client, clientSecret } = await OAuthServerService.createClient(req.body, req.userId);
+
+      return res.status(201).json({
+        success: true,
+        message: clientSecret
+          ? 'Client registered. Store the client secret now; it cannot be retrieved again.'
+          : 'Client registered',
+        data: {
+          client: client.toJSON(),
+          ...(clientSecret && { clientSecret }),
+        },
+      });
+    } catch (error) {
+      logger.error('Create OAuth client error:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to register client',
+      });
+    }
+  }
+
+  /**
+   * List client applications (admin only)
+   * GET /api/v1/oauth/clients
+   */
+  static async getClients(req, res) {
+    try {
+      const clients = await OAuthClient.find().sort({ createdAt: -1 });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          clients: clients.map((client) => client.toJSON()),
+        },
+      });
+    } catch (error) {
+      logger.error('Get OAuth clients error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve clients',
+      });
+    }
+  }
+
+  /**
+   * Deactivate a client application (admin only)
+   * DELETE /api/v1/oauth/clients/:clientId
+   */
+  static async deactivateClient(req, res) {
+    try {
+      const client = await OAuthServerService.deactivateClient(req.params.clientId);
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Client deactivated',
+      });
+    } catch (error) {
+      logger.error('Deactivate OAuth client error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate client',
+      });
+    }
+  }
+}
+
+export default OAuthServerController;
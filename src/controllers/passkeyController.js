@@ -0,0 +1,229 @@
+import AuthService from '../services/authService.js';
+import PasskeyService from '../services/passkeyService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Passkey Controller
+ * WebAuthn passkey registration, management and passwordless login
+ */
+
+class PasskeyController {
+  /**
+   * List the current user's passkeys
+   * GET /api/v1/auth/passkeys
+   */
+  static async getPasskeys(req, res) {
+    try {
+      const passkeys = await PasskeyService.listPasskeys(req.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          passkeys: passkeys.map((passkey) => passkey.toJSON()),
+        },
+      });
+    } catch (error) {
+      logger.error('Get passkeys error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve passkeys',
+      });
+    }
+  }
+
+  /**
+   * Start passkey registration
+   * POST /api/v1/auth/passkeys/register/options
+   */
+  static async registrationOptions(req, res) {
+    try {
+      const existing = await PasskeyService.listPasskeys(req.userId);
+      const result = await PasskeyService.generateRegistrationOptions(req.user, existing);
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Passkey registration options error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start passkey registration',
+      });
+    }
+  }
+
+  /**
+   * Finish passkey registration
+   * POST /api/v1/auth/passkeys/register
+   */
+  static async register(req, res) {
+    try {
+      const { challengeToken, response, nickname } = req.body;
+
+      const passkey = await PasskeyService.registerPasskey(req.user, {
+        challengeToken,
+        response,
+        nickname,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Passkey registered',
+        data: {
+          passkey: passkey.toJSON(),
+        },
+      });
+    } catch (error) {
+      logger.error('Passkey registration error:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Passkey registration failed',
+      });
+    }
+  }
+
+  /**
+   * Rename a passkey
+   * PATCH /api/v1/auth/passkeys/:passkeyId
+   */
+  static async renamePasskey(req, res) {
+    try {
+      const passkey = await PasskeyService.renamePasskey(
+        req.userId,
+        req.params.passkeyId,
+        req.body.nickname
+      );
+
+      if (!passkey) {
+        return res.status(404).json({
+          success: false,
+          message: 'Passkey not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Passkey renamed',
+        data: {
+          passkey: passkey.toJSON(),
+        },
+      });
+    } catch (error) {
+      logger.error('Rename passkey error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to rename passkey',
+      });
+    }
+  }
+
+  /**
+   * Delete a passkey
+   * DELETE /api/v1/auth/passkeys/:passkeyId
+   */
+  static async deletePasskey(req, res) {
+    try {
+      const passkey = await PasskeyService.deletePasskey(req.userId, req.params.passkeyId);
+
+      if (!passkey) {
+        return res.status(404).json({
+          success: false,
+          message: 'Passkey not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Passkey deleted',
+      });
+    } catch (error) {
+      logger.error('Delete passkey error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete passkey',
+      });
+    }
+  }
+
+  /**
+   * Start passwordless login
+   * POST /api/v1/auth/passkeys/login/options
+   */
+  static async loginOptions(req, res) {
+    try {
+      const result = await PasskeyService.generateAuthenticationOptions();
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Passkey login options error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start passkey login',
+      });
+    }
+  }
+
+  /**
+   * Finish passwordless login
+   * POST /api/v1/auth/passkeys/login
+   */
+  static async login(req, res) {
+    try {
+      const { challengeToken, response } = req.body;
+
+      const result = await AuthService.loginWithPasskey(
+        { challengeToken, response },
+        getRequestContext(req)
+      );
+
+      // Expired or admin-reset password: a restricted token for change-password only
+      if (result.requiresPasswordChange) {
+        return res.status(200).json({
+          success: true,
+          message:
+            result.passwordChangeReason === 'expired'
+              ? 'Your password has expired. Please choose a new one.'
+              : 'You must change your password before continuing.',
+          data: {
+            user: result.user,
+            requiresPasswordChange: true,
+            passwordChangeReason: result.passwordChangeReason,
+            accessToken: result.accessToken,
+            expiresIn: result.expiresIn,
+          },
+        });
+      }
+
+      // Set refresh token in httpOnly cookie
+      res.cookie('refreshToken', result.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: result.user,
+          accessToken: result.tokens.accessToken,
+          expiresIn: result.tokens.expiresIn,
+        },
+      });
+    } catch (error) {
+      logger.error('Passkey login controller error:', error);
+      return res.status(401).json({
+        success: false,
+        message: error.message || 'Login failed',
+      });
+    }
+  }
+}
+
+export default PasskeyController;
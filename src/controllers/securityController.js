@@ -29,6 +29,7 @@ class SecurityController {
             'INVALID_TOKEN',
             'PERMISSION_DENIED',
             'SUSPICIOUS_IP_ACTIVITY',
+            'REFRESH_TOKEN_REUSE_DETECTED',
           ],
         },
         timestamp: { $gte: last24h },
@@ -81,6 +82,12 @@ class SecurityController {
         timestamp: { $gte: last24h },
       });
 
+      // Get refresh token theft attempts (reuse of rotated tokens)
+      const tokenReuse24h = await AuditLog.countDocuments({
+        event: 'REFRESH_TOKEN_REUSE_DETECTED',
+        timestamp: { $gte: last24h },
+      });
+
       // Get top failed login IPs
       const topFailedIPs = await AuditLog.aggregate([
         {
@@ -141,6 +148,7 @@ class SecurityController {
       securityScore -= accountLockouts24h * 2; // Penalize lockouts
       securityScore -= blockedIPs24h * 1; // Penalize blocked IPs
       securityScore -= suspiciousActivity24h * 3; // Heavily penalize suspicious activity
+      securityScore -= tokenReuse24h * 5; // Token reuse indicates stolen credentials
       securityScore = Math.max(0, Math.min(100, securityScore)); // Keep between 0-100
 
       return res.status(200).json({
@@ -157,6 +165,7 @@ class SecurityController {
               twoFactorFailed: twoFactorFailed24h,
               permissionDenials: permissionDenials24h,
               suspiciousActivity: suspiciousActivity24h,
+              tokenReuseDetected: tokenReuse24h,
             },
           },
           topFailedIPs,
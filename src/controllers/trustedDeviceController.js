@@ -0,0 +1,100 @@
+import TrustedDeviceService, { TRUSTED_DEVICE_COOKIE } from '../services/trustedDeviceService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Trusted Device Controller
+ * Lists and revokes the browsers that skip the second factor
+ */
+
+class TrustedDeviceController {
+  /**
+   * List the current user's trusted devices
+   * GET /api/v1/auth/trusted-devices
+   */
+  static async getTrustedDevices(req, res) {
+    try {
+      const devices = await TrustedDeviceService.listDevices(
+        req.userId,
+        req.cookies?.[TRUSTED_DEVICE_COOKIE]
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          devices,
+        },
+      });
+    } catch (error) {
+      logger.error('Get trusted devices error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve trusted devices',
+      });
+    }
+  }
+
+  /**
+   * Stop trusting one device
+   * DELETE /api/v1/auth/trusted-devices/:deviceId
+   */
+  static async revokeTrustedDevice(req, res) {
+    try {
+      const device = await TrustedDeviceService.revokeDevice(
+        req.userId,
+        req.params.deviceId,
+        getRequestContext(req)
+      );
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trusted device not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device is no longer trusted',
+      });
+    } catch (error) {
+      logger.error('Revoke trusted device error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke trusted device',
+      });
+    }
+  }
+
+  /**
+   * Stop trusting every device
+   * DELETE /api/v1/auth/trusted-devices
+   */
+  static async revokeAllTrustedDevices(req, res) {
+    try {
+      const count = await TrustedDeviceService.revokeAll(
+        req.userId,
+        'user',
+        getRequestContext(req)
+      );
+
+      res.clearCookie(TRUSTED_DEVICE_COOKIE);
+
+      return res.status(200).json({
+        success: true,
+        message: `Revoked ${count} trusted device(s)`,
+        data: {
+          count,
+        },
+      });
+    } catch (error) {
+      logger.error('Revoke trusted devices error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke trusted devices',
+      });
+    }
+  }
+}
+
+export default TrustedDeviceController;
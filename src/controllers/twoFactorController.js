@@ -1,6 +1,8 @@
 import User from '../models/User.mongoose.js';
 import TwoFactorService from '../services/twoFactorService.js';
-import twoFactorService from '../services/twoFactorService.js';
+import AuthService from '../services/authService.js';
+import TrustedDeviceService from '../services/trustedDeviceService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
 import logger, { logSecurityEvent } from '../utils/logger.js';
 
 /**
@@ -127,6 +129,9 @@ class TwoFactorController {
       user.twoFactorBackupCodes = backupCodes;
       await user.save();
 
+      // Devices trusted before now never proved the new second factor
+      await TrustedDeviceService.revokeAll(user.id, '2fa_enabled', getRequestContext(req));
+
       logSecurityEvent('2FA_ENABLED', {
         userId: user.id,
         email: user.email,
@@ -205,6 +210,8 @@ class TwoFactorController {
       user.twoFactorBackupCodes = [];
       await user.save();
 
+      await TrustedDeviceService.revokeAll(user.id, '2fa_disabled', getRequestContext(req));
+
       logSecurityEvent('2FA_DISABLED', {
         userId: user.id,
         email: user.email,
@@ -226,82 +233,25 @@ class TwoFactorController {
   }
 
   /**
-   * Verify 2FA token during login
-   * POST /api/v1/auth/2fa/verify
+   * Passkey challenge for a login waiting for its second factor
+   * POST /api/v1/auth/2fa/passkey/options
    */
-  static async verify(req, res) {
+  static async passkeyOptions(req, res) {
     try {
-      const { token, backupCode } = req.body;
-      const userId = req.session?.pendingUserId;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'No pending 2FA verification',
-        });
-      }
-
-      const user = await User.findById(userId).select('+twoFactorSecret +twoFactorBackupCodes');
-
-      if (!user || !user.twoFactorEnabled) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid verification request',
-        });
-      }
-
-      let isValid = false;
-
-      // Verify token or backup code
-      if (token) {
-        isValid = TwoFactorService.verifyToken(user.twoFactorSecret, token);
-      } else if (backupCode) {
-        const codeIndex = TwoFactorService.verifyBackupCode(user.twoFactorBackupCodes, backupCode);
-        if (codeIndex !== false) {
-          isValid = true;
-          // Remove used backup code
-          user.twoFactorBackupCodes.splice(codeIndex, 1);
-          await user.save();
-
-          logSecurityEvent('2FA_BACKUP_CODE_USED', {
-            userId: user.id,
-            remainingCodes: user.twoFactorBackupCodes.length,
-          });
-        }
-      }
-
-      if (!isValid) {
-        logSecurityEvent('2FA_VERIFICATION_FAILED', {
-          userId: user.id,
-          method: token ? 'token' : 'backupCode',
-        });
-
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid verification code',
-        });
-      }
-
-      // Clear pending verification
-      delete req.session.pendingUserId;
-
-      logSecurityEvent('2FA_VERIFICATION_SUCCESS', {
-        userId: user.id,
-        email: user.email,
-      });
+      const result = await AuthService.getLoginPasskeyOptions(
+        req.body.mfaToken,
+        getRequestContext(req)
+      );
 
       return res.status(200).json({
         success: true,
-        message: '2FA verification successful',
-        data: {
-          user: user.toJSON(),
-        },
+        data: result,
       });
     } catch (error) {
-      logger.error('2FA verify error:', error);
-      return res.status(500).json({
+      logger.error('2FA passkey options error:', error);
+      return res.status(400).json({
         success: false,
-        message: 'Failed to verify 2FA',
+        message: error.message || 'Failed to start passkey verification',
       });
     }
   }
@@ -342,197 +292,45 @@ class TwoFactorController {
    * Send Email 2FA Code
    * POST /api/v1/auth/2fa/email/send
    */
-  static async sendEmailCode(req, res) {
-    try {
-      const { email, userId } = req.body;
-
-      if (!email || !userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email and userId are required',
-        });
-      }
-
-      const user = await User.findById(userId);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-        });
-      }
-
-      // Send verification code
-      const result = await twoFactorService.sendEmailVerificationCode(
-        email,
-        user.username || user.firstName || 'User',
-        userId
-      );
-
-      logSecurityEvent('2FA_EMAIL_CODE_SENT', {
-        userId,
-        email,
-      });
-
-      return res.status(200).json({
-        success: true,
-        ...result,
-      });
-    } catch (error) {
-      logger.error('Send email 2FA code error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send verification code',
-      });
-    }
+  static sendEmailCode(req, res) {
+    return TwoFactorController.sendLoginCode(req, res, 'email');
   }
 
   /**
-   * Verify Email 2FA Code
-   * POST /api/v1/auth/2fa/email/verify
+   * Send WhatsApp 2FA Code
+   * POST /api/v1/auth/2fa/whatsapp/send
    */
-  static async verifyEmailCode(req, res) {
-    try {
-      const { userId, code } = req.body;
-
-      if (!userId || !code) {
-        return res.status(400).json({
-          success: false,
-          message: 'UserId and code are required',
-        });
-      }
-
-      // Check if user is locked
-      const isLocked = await twoFactorService.isUserLocked(userId, 'email');
-      if (isLocked) {
-        return res.status(429).json({
-          success: false,
-          message: 'Too many failed attempts. Account temporarily locked.',
-        });
-      }
-
-      // Verify code
-      const result = await twoFactorService.verifyEmailCode(userId, code);
-
-      if (result.verified) {
-        // Reset failed attempts on success
-        await twoFactorService.resetFailedAttempts(userId, 'email');
-
-        logSecurityEvent('2FA_EMAIL_VERIFIED', {
-          userId,
-        });
-      }
-
-      return res.status(result.verified ? 200 : 400).json({
-        success: result.verified,
-        ...result,
-      });
-    } catch (error) {
-      logger.error('Verify email 2FA code error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Verification failed',
-      });
-    }
+  static sendWhatsAppCode(req, res) {
+    return TwoFactorController.sendLoginCode(req, res, 'whatsapp');
   }
 
   /**
-   * Send WhatsApp 2FA Code
-   * POST /api/v1/auth/2fa/whatsapp/send
+   * Send a code for the login identified by mfaToken; it is entered at /2fa/verify
    */
-  static async sendWhatsAppCode(req, res) {
+  static async sendLoginCode(req, res, channel) {
     try {
-      const { phoneNumber, userId } = req.body;
-
-      if (!phoneNumber || !userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number and userId are required',
-        });
-      }
-
-      const user = await User.findById(userId);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-        });
-      }
-
-      // Send verification code
-      const result = await twoFactorService.sendWhatsAppVerificationCode(
-        phoneNumber,
-        user.username || user.firstName || 'User',
-        userId
+      const result = await AuthService.sendLoginCode(
+        req.body.mfaToken,
+        channel,
+        getRequestContext(req)
       );
 
-      logSecurityEvent('2FA_WHATSAPP_CODE_SENT', {
-        userId,
-        phoneNumber: phoneNumber.replace(/\d(?=\d{4})/g, '*'), // Mask phone number
-      });
-
       return res.status(200).json({
         success: true,
-        ...result,
+        message:
+          channel === 'whatsapp'
+            ? 'Verification code sent to your WhatsApp'
+            : 'Verification code sent to your email',
+        data: result,
       });
     } catch (error) {
-      logger.error('Send WhatsApp 2FA code error:', error);
-      return res.status(500).json({
+      logger.error(`Send ${channel} 2FA code error:`, error);
+      return res.status(400).json({
         success: false,
         message: error.message || 'Failed to send verification code',
       });
     }
   }
-
-  /**
-   * Verify WhatsApp 2FA Code
-   * POST /api/v1/auth/2fa/whatsapp/verify
-   */
-  static async verifyWhatsAppCode(req, res) {
-    try {
-      const { userId, code } = req.body;
-
-      if (!userId || !code) {
-        return res.status(400).json({
-          success: false,
-          message: 'UserId and code are required',
-        });
-      }
-
-      // Check if user is locked
-      const isLocked = await twoFactorService.isUserLocked(userId, 'whatsapp');
-      if (isLocked) {
-        return res.status(429).json({
-          success: false,
-          message: 'Too many failed attempts. Account temporarily locked.',
-        });
-      }
-
-      // Verify code
-      const result = await twoFactorService.verifyWhatsAppCode(userId, code);
-
-      if (result.verified) {
-        // Reset failed attempts on success
-        await twoFactorService.resetFailedAttempts(userId, 'whatsapp');
-
-        logSecurityEvent('2FA_WHATSAPP_VERIFIED', {
-          userId,
-        });
-      }
-
-      return res.status(result.verified ? 200 : 400).json({
-        success: result.verified,
-        ...result,
-      });
-    } catch (error) {
-      logger.error('Verify WhatsApp 2FA code error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Verification failed',
-      });
-    }
-  }
 }
 
 export default TwoFactorController;
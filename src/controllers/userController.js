@@ -1,11 +1,27 @@
+import config from '../config/environment.js';
+import { canImpersonate } from '../config/permissions.js';
+import AuditLog from '../models/AuditLog.js';
 import User from '../models/User.mongoose.js';
-import logger from '../utils/logger.js';
+import AccountDeletionService from '../services/accountDeletionService.js';
+import DataExportService from '../services/dataExportService.js';
+import TokenService from '../services/tokenService.js';
+import { getRequestContext } from '../utils/deviceInfo.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
 
 /**
  * User Controller
  * Handles user-related HTTP requests
  */
 
+// Profile fields a user update may change. The email, phone number, password
+// and 2FA settings have their own verified flows; role and status have admin routes.
+const PROFILE_FIELDS = ['firstName', 'lastName'];
+
+const pickProfileFields = (updates) =>
+  Object.fromEntries(
+    PROFILE_FIELDS.filter((key) => updates[key] !== undefined).map((key) => [key, updates[key]])
+  );
+
 class UserController {
   /**
    * Get all users (admin only)
@@ -91,7 +107,26 @@ class UserController {
       const { userId } = req.params;
       const updates = req.body;
 
-      const user = await User.findByIdAndUpdate(userId, updates, { new: true, runValidators: true });
+      // The login email has its own confirmation flow
+      if (updates.email !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use POST /api/v1/auth/change-email to change an email address',
+        });
+      }
+
+      // The phone number is a login factor and is only changed once verified
+      if (updates.phoneNumber !== undefined || updates.phoneVerified !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use POST /api/v1/auth/change-phone to change a phone number',
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(userId, pickProfileFields(updates), {
+        new: true,
+        runValidators: true,
+      });
 
       if (!user) {
         return res.status(404).json({
@@ -190,17 +225,26 @@ class UserController {
       const userId = req.userId;
       const updates = req.body;
 
-      // Users can only update certain fields on their own profile
-      const allowedUpdates = ['firstName', 'lastName'];
-      const filteredUpdates = {};
+      // The login email has its own confirmation flow
+      if (updates.email !== undefined && updates.email !== req.user.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use POST /api/v1/auth/change-email to change your email address',
+        });
+      }
 
-      allowedUpdates.forEach((key) => {
-        if (updates[key] !== undefined) {
-          filteredUpdates[key] = updates[key];
-        }
-      });
+      // The phone number is a login factor and is only changed once verified
+      if (updates.phoneNumber !== undefined && updates.phoneNumber !== req.user.phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use POST /api/v1/auth/change-phone to change your phone number',
+        });
+      }
 
-      const user = await User.findByIdAndUpdate(userId, filteredUpdates, { new: true, runValidators: true });
+      const user = await User.findByIdAndUpdate(userId, pickProfileFields(updates), {
+        new: true,
+        runValidators: true,
+      });
 
       if (!user) {
         return res.status(404).json({
@@ -256,6 +300,9 @@ class UserController {
       user.role = role;
       await user.save();
 
+      // Existing access tokens carry the old role; refreshed ones pick up the new one
+      await TokenService.revokeAllUserAccessTokens(userId);
+
       logger.info(`User role updated: ${userId} -> ${role} by ${req.userId}`);
 
       return res.status(200).json({
@@ -275,6 +322,150 @@ class UserController {
     }
   }
 
+  /**
+   * Request deletion of the current user's account
+   * The account is deactivated now and purged after the grace period
+   * DELETE /api/v1/users/me
+   */
+  static async deleteMyAccount(req, res) {
+    try {
+      const scheduledFor = await AccountDeletionService.requestDeletion(
+        req.userId,
+        getRequestContext(req)
+      );
+
+      // Every session was revoked, including this one
+      res.clearCookie('refreshToken');
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your account has been deactivated and will be deleted',
+        data: {
+          scheduledFor,
+        },
+      });
+    } catch (error) {
+      logger.error('Delete my account controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to request account deletion',
+      });
+    }
+  }
+
+  /**
+   * Start a data export and respond with its download link
+   */
+  static async startDataExport(req, res, userId) {
+    try {
+      const { dataExport, downloadUrl } = await DataExportService.requestExport(
+        userId,
+        req.user,
+        getRequestContext(req)
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'The data export is being prepared. The download link will also be emailed.',
+        data: {
+          export: dataExport.toJSON(),
+          downloadUrl,
+        },
+      });
+    } catch (error) {
+      logger.error('Data export controller error:', error);
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'A data export is already being prepared') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start data export',
+      });
+    }
+  }
+
+  /**
+   * Export everything held about the current user
+   * GET /api/v1/users/me/export
+   */
+  static exportMyData(req, res) {
+    return UserController.startDataExport(req, res, req.userId);
+  }
+
+  /**
+   * Export everything held about a user (admin only)
+   * GET /api/v1/users/:userId/export
+   */
+  static exportUserData(req, res) {
+    return UserController.startDataExport(req, res, req.params.userId);
+  }
+
+  /**
+   * Download a data export with the token from its link
+   * GET /api/v1/users/exports/:token
+   */
+  static async downloadDataExport(req, res) {
+    try {
+      const dataExport = await DataExportService.getDownload(
+        req.params.token,
+        getRequestContext(req)
+      );
+
+      if (!dataExport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Data export not found or expired',
+        });
+      }
+
+      if (dataExport.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          message: 'The data export failed. Please request a new one.',
+        });
+      }
+
+      if (dataExport.status !== 'ready') {
+        return res.status(202).json({
+          success: true,
+          message: 'The data export is still being prepared',
+          data: {
+            status: dataExport.status,
+          },
+        });
+      }
+
+      const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="data-export-${date}.json.gz"`,
+        'Cache-Control': 'no-store',
+      });
+
+      return res.status(200).send(dataExport.archive);
+    } catch (error) {
+      logger.error('Download data export controller error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to download data export',
+      });
+    }
+  }
+
   /**
    * Activate/Deactivate user (admin only)
    * PATCH /api/v1/users/:userId/status
@@ -292,7 +483,12 @@ class UserController {
         });
       }
 
-      const user = await User.findByIdAndUpdate(userId, { isActive }, { new: true, runValidators: true });
+      // Reactivating also cancels a pending self-service deletion
+      const update = isActive
+        ? { isActive, $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+        : { isActive };
+
+      const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true });
 
       if (!user) {
         return res.status(404).json({
@@ -301,6 +497,11 @@ class UserController {
         });
       }
 
+      // Deactivation ends every session immediately
+      if (!user.isActive) {
+        await TokenService.revokeAllUserSessions(userId);
+      }
+
       logger.info(`User status updated: ${userId} -> ${isActive ? 'active' : 'inactive'} by ${req.userId}`);
 
       return res.status(200).json({
@@ -319,6 +520,89 @@ class UserController {
       });
     }
   }
+
+  /**
+   * Start impersonating a user (admin only)
+   * POST /api/v1/users/:userId/impersonate
+   */
+  static async impersonateUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+
+      const context = {
+        impersonatorId: req.userId,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      };
+
+      if (!canImpersonate(req.user.role, user.role)) {
+        await AuditLog.logEvent('IMPERSONATION_DENIED', {
+          ...context,
+          userId: user.id,
+          message: 'Target has equal or higher role',
+          severity: 'high',
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot impersonate a user with equal or higher privileges',
+        });
+      }
+
+      if (!user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot impersonate an inactive user',
+        });
+      }
+
+      const accessToken = await TokenService.generateImpersonationToken(user, {
+        userId: req.userId,
+        email: req.user.email,
+      });
+
+      await AuditLog.logEvent('IMPERSONATION_STARTED', {
+        ...context,
+        userId: user.id,
+        email: user.email,
+        message: reason,
+        severity: 'high',
+      });
+
+      logSecurityEvent('IMPERSONATION_STARTED', {
+        ...context,
+        userId: user.id,
+        reason,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Impersonating ${user.email}`,
+        data: {
+          accessToken,
+          expiresIn: config.impersonation.expiresIn,
+          user: user.toJSON(),
+        },
+      });
+    } catch (error) {
+      logger.error('Impersonate user controller error:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to impersonate user',
+      });
+    }
+  }
 }
 
 export default UserController;
@@ -0,0 +1,43 @@
+import KeyringService from '../services/keyringService.js';
+import OAuthServerService from '../services/oauthServerService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Well-Known Controller
+ * Public discovery documents for other services
+ */
+
+class WellKnownController {
+  /**
+   * Get the JSON Web Key Set used to verify access tokens
+   * GET /.well-known/jwks.json
+   */
+  static async getJwks(req, res) {
+    try {
+      const jwks = await KeyringService.getJwks();
+
+      // Allow verifiers to cache briefly; new keys are picked up within minutes
+      res.set('Cache-Control', 'public, max-age=300');
+
+      // Raw JWKS document, not wrapped in the API response envelope
+      return res.status(200).json(jwks);
+    } catch (error) {
+      logger.error('Get JWKS error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load signing keys',
+      });
+    }
+  }
+
+  /**
+   * Get the OpenID Connect discovery document
+   * GET /.well-known/openid-configuration
+   */
+  static getOpenIdConfiguration(req, res) {
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json(OAuthServerService.getDiscoveryDocument());
+  }
+}
+
+export default WellKnownController;
@@ -1,4 +1,9 @@
+import config from '../config/environment.js';
+import { canImpersonate } from '../config/permissions.js';
+import ApiKeyService from '../services/apiKeyService.js';
 import TokenService from '../services/tokenService.js';
+import AuditLog from '../models/AuditLog.js';
+import OAuthClient from '../models/OAuthClient.js';
 import User from '../models/User.mongoose.js';
 import logger, { logSecurityEvent } from '../utils/logger.js';
 
@@ -7,6 +12,105 @@ import logger, { logSecurityEvent } from '../utils/logger.js';
  * Verifies JWT tokens and attaches user to request
  */
 
+/**
+ * Record every request made by a service client in the audit log
+ * There is no user behind these requests, so the entry carries the clientId
+ */
+const auditServiceClientRequest = (req, res) => {
+  res.on('finish', () => {
+    AuditLog.logEvent('SERVICE_CLIENT_REQUEST', {
+      clientId: req.client.clientId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      details: { scopes: req.client.scopes },
+      severity: 'low',
+    });
+  });
+};
+
+/**
+ * Authenticate a service client from a verified client-credentials token
+ * Sets req.client instead of req.user; routes must opt in with allowServiceClients
+ */
+const authenticateServiceClient = async (req, res, next, decoded) => {
+  if (!req.allowServiceClients) {
+    logSecurityEvent('AUTHORIZATION_FAILED', {
+      reason: 'Service client token used on user-only route',
+      clientId: decoded.client_id,
+      ip: req.ip,
+      path: req.path,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Service client tokens are not accepted on this endpoint',
+    });
+  }
+
+  const client = await OAuthClient.findOne({ clientId: decoded.client_id, isActive: true });
+
+  if (!client || !client.grantTypes.includes('client_credentials')) {
+    logSecurityEvent('AUTHENTICATION_FAILED', {
+      reason: 'Service client not found or inactive',
+      clientId: decoded.client_id,
+      ip: req.ip,
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Client not found or inactive',
+    });
+  }
+
+  if (await TokenService.isAccessTokenRevoked(decoded, null)) {
+    logSecurityEvent('AUTHENTICATION_FAILED', {
+      reason: 'Token revoked',
+      clientId: client.clientId,
+      ip: req.ip,
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Token has been revoked',
+    });
+  }
+
+  // Attach client to request
+  req.client = {
+    clientId: client.clientId,
+    name: client.name,
+    scopes: decoded.scope ? decoded.scope.split(' ') : [],
+  };
+  req.tokenPayload = decoded;
+
+  auditServiceClientRequest(req, res);
+
+  next();
+};
+
+/**
+ * Record every request made under impersonation in the audit log
+ * Written once the response is sent so the status code is included
+ */
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    AuditLog.logEvent('IMPERSONATION_REQUEST', {
+      userId: req.userId,
+      impersonatorId: req.impersonator.id,
+      email: req.user.email,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      severity: 'low',
+    });
+  });
+};
+
 /**
  * Authenticate user via JWT token
  */
@@ -28,7 +132,7 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     let decoded;
     try {
-      decoded = TokenService.verifyAccessToken(token);
+      decoded = await TokenService.verifyAccessToken(token);
     } catch (error) {
       logSecurityEvent('AUTHENTICATION_FAILED', {
         reason: error.message,
@@ -42,6 +146,43 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Client-credentials tokens act for a service, not a user
+    if (decoded.client_id && !decoded.userId) {
+      return await authenticateServiceClient(req, res, next, decoded);
+    }
+
+    // Tokens issued to OAuth clients only work on routes that opt in
+    if (decoded.client_id && !req.allowOAuthClientTokens) {
+      logSecurityEvent('AUTHORIZATION_FAILED', {
+        reason: 'OAuth client token used on first-party route',
+        userId: decoded.userId,
+        clientId: decoded.client_id,
+        ip: req.ip,
+        path: req.path,
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This token can only be used with OAuth client endpoints',
+      });
+    }
+
+    // Tokens from a login whose password must be changed only work on routes that opt in
+    if (decoded.restricted === 'password_change' && !req.allowPasswordChangeTokens) {
+      logSecurityEvent('AUTHORIZATION_FAILED', {
+        reason: 'Password change required',
+        userId: decoded.userId,
+        ip: req.ip,
+        path: req.path,
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'You must change your password before continuing',
+        error: 'password_change_required',
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId);
 
@@ -72,9 +213,53 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Check denylist and the user's tokensValidAfter cutoff
+    if (await TokenService.isAccessTokenRevoked(decoded, user)) {
+      logSecurityEvent('AUTHENTICATION_FAILED', {
+        reason: 'Token revoked',
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+      });
+    }
+
+    // Impersonation tokens stay valid only while the admin behind them could still issue one
+    let impersonator = null;
+    if (decoded.act) {
+      impersonator = await User.findById(decoded.act.sub);
+
+      if (!impersonator?.isActive || !canImpersonate(impersonator.role, user.role)) {
+        logSecurityEvent('AUTHENTICATION_FAILED', {
+          reason: 'Impersonation no longer allowed',
+          userId: user.id,
+          impersonatorId: decoded.act.sub,
+          ip: req.ip,
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer allowed',
+        });
+      }
+    }
+
     // Attach user to request
     req.user = user.toJSON();
     req.userId = user.id;
+    req.tokenPayload = decoded;
+
+    if (impersonator) {
+      req.impersonator = {
+        id: impersonator.id,
+        email: impersonator.email,
+        role: impersonator.role,
+      };
+      auditImpersonatedRequest(req, res);
+    }
 
     next();
   } catch (error) {
@@ -86,6 +271,85 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate with a personal API key (X-API-Key) or fall back to a JWT
+ * Use on routes meant for scripts and CI jobs; pair with requirePermission or
+ * requireScope so the key's scopes are enforced
+ */
+export const authenticateWithApiKey = async (req, res, next) => {
+  const key = req.get('x-api-key');
+
+  if (!key) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    let result;
+    try {
+      result = await ApiKeyService.authenticate(key, req.ip);
+    } catch (error) {
+      logSecurityEvent('AUTHENTICATION_FAILED', {
+        reason: error.message,
+        method: 'api_key',
+        ip: req.ip,
+        path: req.path,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { apiKey, user } = result;
+
+    // Attach user and key to request
+    req.user = user.toJSON();
+    req.userId = user.id;
+    req.apiKey = {
+      id: apiKey.id,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+    };
+
+    next();
+  } catch (error) {
+    logger.error('API key authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+    });
+  }
+};
+
+/**
+ * Let authenticate accept client-credentials tokens from service clients
+ * Only use on routes guarded by requirePermission or requireScope, since
+ * service clients have no user or role
+ */
+export const allowServiceClients = (req, res, next) => {
+  req.allowServiceClients = true;
+  next();
+};
+
+/**
+ * Let authenticate accept access tokens issued to OAuth clients
+ * Place before authenticate on routes meant for third-party apps (e.g. userinfo)
+ */
+export const allowOAuthClientTokens = (req, res, next) => {
+  req.allowOAuthClientTokens = true;
+  next();
+};
+
+/**
+ * Let authenticate accept the restricted token issued when a password must be changed
+ * Place before authenticate on the change-password route only
+ */
+export const allowPasswordChangeTokens = (req, res, next) => {
+  req.allowPasswordChangeTokens = true;
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  * Useful for public endpoints that can benefit from user context
@@ -102,12 +366,21 @@ export const optionalAuthenticate = async (req, res, next) => {
     const token = authHeader.substring(7);
 
     try {
-      const decoded = TokenService.verifyAccessToken(token);
+      const decoded = await TokenService.verifyAccessToken(token);
       const user = await User.findById(decoded.userId);
 
-      if (user && user.isActive) {
+      if (
+        user &&
+        user.isActive &&
+        !decoded.client_id &&
+        // Impersonation tokens are only honoured (and audited) by authenticate
+        !decoded.act &&
+        !decoded.restricted &&
+        !(await TokenService.isAccessTokenRevoked(decoded, user))
+      ) {
         req.user = user.toJSON();
         req.userId = user.id;
+        req.tokenPayload = decoded;
       }
     } catch (error) {
       // Token invalid, continue without user
@@ -138,7 +411,16 @@ export const verifyRefreshToken = async (req, res, next) => {
 
     // Verify token
     try {
-      const decoded = TokenService.verifyRefreshToken(refreshToken);
+      const decoded = await TokenService.verifyRefreshToken(refreshToken, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      // Tokens issued to OAuth clients must be refreshed at the OAuth token endpoint
+      if (decoded.clientId) {
+        throw new Error('Use the OAuth token endpoint for this refresh token');
+      }
+
       req.refreshToken = refreshToken;
       req.tokenId = decoded.tokenId;
       req.userId = decoded.userId;
@@ -201,6 +483,77 @@ export const isResourceOwner = (resourceUserIdParam = 'userId') => {
   };
 };
 
+/**
+ * Block an action while an admin is impersonating the user
+ * Use after authenticate on credential and 2FA changes
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  logSecurityEvent('AUTHORIZATION_FAILED', {
+    reason: 'Action not allowed during impersonation',
+    userId: req.userId,
+    impersonatorId: req.impersonator.id,
+    ip: req.ip,
+    path: req.path,
+    method: req.method,
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not allowed while impersonating a user',
+  });
+};
+
+/**
+ * Require a recent authentication (step-up) for sensitive operations
+ * Use after authenticate. Checks the token's auth_time against maxAge and,
+ * if given, that every factor appears in its amr claim (e.g. ['mfa']).
+ * Failing requests get a 401 with error "insufficient_user_authentication"
+ * (RFC 9470); the client reauthenticates via POST /auth/reauthenticate and retries.
+ * @param {Object} options - { maxAge (seconds), factors }
+ */
+export const requireRecentAuth = ({ maxAge = config.reauth.maxAge, factors = [] } = {}) => {
+  return (req, res, next) => {
+    // API keys and service clients cannot prove a recent sign-in
+    const authTime = req.apiKey ? undefined : req.tokenPayload?.auth_time;
+    const amr = req.tokenPayload?.amr || [];
+
+    const isRecent = authTime && Date.now() / 1000 - authTime <= maxAge;
+    const missingFactors = factors.filter((factor) => !amr.includes(factor));
+
+    if (isRecent && missingFactors.length === 0) {
+      return next();
+    }
+
+    logSecurityEvent('REAUTHENTICATION_REQUIRED', {
+      userId: req.userId,
+      reason: isRecent ? 'Missing authentication factors' : 'Authentication too old',
+      missingFactors,
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+    });
+
+    res.set(
+      'WWW-Authenticate',
+      `Bearer error="insufficient_user_authentication", max_age=${maxAge}`
+    );
+
+    return res.status(401).json({
+      success: false,
+      message: 'Please confirm your identity to continue',
+      error: 'insufficient_user_authentication',
+      data: {
+        maxAge,
+        factors,
+      },
+    });
+  };
+};
+
 /**
  * Rate limit based on user ID (after authentication)
  */
@@ -251,7 +604,13 @@ export const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 export default {
   authenticate,
   optionalAuthenticate,
+  authenticateWithApiKey,
+  allowServiceClients,
+  allowOAuthClientTokens,
+  allowPasswordChangeTokens,
   verifyRefreshToken,
   isResourceOwner,
+  denyImpersonation,
+  requireRecentAuth,
   userRateLimit,
 };
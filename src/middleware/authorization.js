@@ -15,9 +15,12 @@ import {
 
 /**
  * Check if user has required role(s)
+ * Roles can be listed as arguments or as one array: authorize('admin') or authorize(['admin'])
  * Use after authenticate middleware
  */
-export const authorize = (...allowedRoles) => {
+export const authorize = (...roles) => {
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -72,36 +75,64 @@ export const isAuthenticated = (req, res, next) => {
   next();
 };
 
+/**
+ * Scopes limiting the current request
+ * API keys and service clients carry scopes; a user's own access token does not (null)
+ */
+const getRequestScopes = (req) => req.client?.scopes || req.apiKey?.scopes || null;
+
+/**
+ * Who is making the request, for security logs
+ */
+const getActor = (req) =>
+  req.client
+    ? { clientId: req.client.clientId }
+    : { userId: req.user?.id, userRole: req.user?.role };
+
+const scopesAllow = (scopes, permissions, mode) =>
+  mode === 'any'
+    ? permissions.some((permission) => scopes.includes(permission))
+    : permissions.every((permission) => scopes.includes(permission));
+
 /**
  * Permission-based authorization
  * More granular than role-based
+ * Service clients are authorized by their token scopes alone; API keys need
+ * both the owner's role permission and the key scope
  * @param {string|string[]} requiredPermissions - Required permission(s)
  * @param {string} mode - 'all' (default) or 'any'
  */
 export const requirePermission = (requiredPermissions, mode = 'all') => {
   return (req, res, next) => {
-    if (!req.user) {
+    if (!req.user && !req.client) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required',
       });
     }
 
-    const userRole = req.user.role;
-    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+    const permissions = Array.isArray(requiredPermissions)
+      ? requiredPermissions
+      : [requiredPermissions];
+    const scopes = getRequestScopes(req);
 
-    let hasAccess = false;
+    let hasAccess = true;
 
-    if (mode === 'any') {
-      hasAccess = hasAnyPermission(userRole, permissions);
-    } else {
-      hasAccess = hasAllPermissions(userRole, permissions);
+    if (req.user) {
+      const userRole = req.user.role;
+      hasAccess =
+        mode === 'any'
+          ? hasAnyPermission(userRole, permissions)
+          : hasAllPermissions(userRole, permissions);
+    }
+
+    if (hasAccess && scopes) {
+      hasAccess = scopesAllow(scopes, permissions, mode);
     }
 
     if (!hasAccess) {
       logSecurityEvent('PERMISSION_DENIED', {
-        userId: req.user.id,
-        userRole,
+        ...getActor(req),
         requiredPermissions: permissions,
         mode,
         ip: req.ip,
@@ -119,6 +150,50 @@ export const requirePermission = (requiredPermissions, mode = 'all') => {
   };
 };
 
+/**
+ * Require scope(s) from API keys and service clients without adding a role check
+ * Requests authenticated with a user's access token pass through unchanged
+ * @param {string|string[]} requiredScopes - Required permission(s)
+ */
+export const requireScope = (requiredScopes) => {
+  return (req, res, next) => {
+    const scopes = getRequestScopes(req);
+
+    if (!scopes) {
+      return next();
+    }
+
+    const required = Array.isArray(requiredScopes) ? requiredScopes : [requiredScopes];
+
+    if (!scopesAllow(scopes, required, 'all')) {
+      logSecurityEvent('PERMISSION_DENIED', {
+        ...getActor(req),
+        keyId: req.apiKey?.id,
+        requiredScopes: required,
+        ip: req.ip,
+        path: req.path,
+        method: req.method,
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Token does not have the required scope',
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Apply a role check to users only
+ * Service clients have no role; pair with requirePermission or requireScope
+ * e.g. unlessServiceClient(isAdmin)
+ */
+export const unlessServiceClient = (middleware) => {
+  return (req, res, next) => (req.client ? next() : middleware(req, res, next));
+};
+
 // Keep old name for backward compatibility
 export const hasPermission = requirePermission;
 
@@ -412,6 +487,8 @@ export default {
   isAuthenticated,
   hasPermission,
   requirePermission,
+  requireScope,
+  unlessServiceClient,
   isVerified,
   customAuthorization,
   canModify,
@@ -0,0 +1,66 @@
+import ProofOfWorkService from '../services/proofOfWorkService.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Proof-of-Work Middleware
+ * Asks for a solved challenge once an IP or account has too many recent failures
+ *
+ * When a challenge is required the response is 428 with a fresh challenge.
+ * The client retries the same request with the X-PoW-Challenge and
+ * X-PoW-Solution headers. Runs after validation so the email is normalized.
+ */
+
+/**
+ * Require a proof-of-work solution when recent failures call for one
+ * @param {string} action - 'login', 'register' or 'forgot-password'
+ */
+export const requireProofOfWork = (action) => {
+  return async (req, res, next) => {
+    const ip = req.ip;
+    const email = typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : undefined;
+
+    try {
+      const difficulty = await ProofOfWorkService.getRequiredDifficulty({ ip, email });
+
+      if (difficulty !== null) {
+        const solution = req.get('X-PoW-Solution');
+        const solved = await ProofOfWorkService.verifySolution(
+          req.get('X-PoW-Challenge'),
+          solution,
+          { ip, difficulty }
+        );
+
+        if (!solved) {
+          logSecurityEvent('PROOF_OF_WORK_REQUIRED', {
+            ip,
+            action,
+            difficulty,
+            rejectedSolution: Boolean(solution),
+          });
+
+          return res.status(428).json({
+            success: false,
+            message: 'Please complete the challenge to continue',
+            error: 'challenge_required',
+            data: ProofOfWorkService.issueChallenge(difficulty, ip),
+          });
+        }
+      }
+    } catch (error) {
+      // Never lock users out because the counters are unavailable
+      logger.error('Proof-of-work check error:', error);
+    }
+
+    res.on('finish', () => {
+      ProofOfWorkService.recordOutcome(action, { ip, email }, res.statusCode).catch((error) => {
+        logger.error('Error recording proof-of-work outcome:', error.message);
+      });
+    });
+
+    next();
+  };
+};
+
+export default {
+  requireProofOfWork,
+};
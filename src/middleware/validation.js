@@ -1,4 +1,8 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { INVITATION_STATUSES } from '../models/Invitation.js';
+import PasswordPolicy, { PASSWORD_POLICY_FIELDS } from '../models/PasswordPolicy.js';
+import { REGISTRATION_POLICY_FIELDS } from '../models/RegistrationPolicy.js';
+import User from '../models/User.mongoose.js';
 
 /**
  * Validation Middleware
@@ -26,6 +30,23 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Check a new password against the password policy in force
+ * The policy is loaded per request so admin changes apply immediately.
+ */
+const passwordMeetsPolicy = (field) =>
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom(async (value) => {
+      const { errors } = User.validatePasswordStrength(value, await PasswordPolicy.getPolicy());
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+      return true;
+    });
+
 /**
  * Registration validation
  */
@@ -45,17 +66,7 @@ export const validateRegister = [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
 
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/[A-Z]/)
-    .withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/)
-    .withMessage('Password must contain at least one lowercase letter')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number')
-    .matches(/[!@#$%^&*(),.?":{}|<>]/)
-    .withMessage('Password must contain at least one special character'),
+  passwordMeetsPolicy('password'),
 
   body('firstName')
     .optional()
@@ -73,6 +84,11 @@ export const validateRegister = [
     .matches(/^[a-zA-Z\s-']+$/)
     .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
 
+  body('invitationToken')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid invitation'),
+
   handleValidationErrors,
 ];
 
@@ -102,17 +118,7 @@ export const validateRefreshToken = [
 export const validateChangePassword = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
 
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/[A-Z]/)
-    .withMessage('New password must contain at least one uppercase letter')
-    .matches(/[a-z]/)
-    .withMessage('New password must contain at least one lowercase letter')
-    .matches(/\d/)
-    .withMessage('New password must contain at least one number')
-    .matches(/[!@#$%^&*(),.?":{}|<>]/)
-    .withMessage('New password must contain at least one special character'),
+  passwordMeetsPolicy('newPassword'),
 
   body('confirmPassword')
     .notEmpty()
@@ -165,13 +171,6 @@ export const validateUpdateUser = [
     .matches(/^[a-zA-Z\s-']+$/)
     .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
 
-  body('email')
-    .optional()
-    .trim()
-    .isEmail()
-    .withMessage('Invalid email address')
-    .normalizeEmail(),
-
   handleValidationErrors,
 ];
 
@@ -225,17 +224,7 @@ export const validateRole = [
 export const validateResetPassword = [
   body('resetToken').notEmpty().withMessage('Reset token is required'),
 
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/[A-Z]/)
-    .withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/)
-    .withMessage('Password must contain at least one lowercase letter')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number')
-    .matches(/[!@#$%^&*(),.?":{}|<>]/)
-    .withMessage('Password must contain at least one special character'),
+  passwordMeetsPolicy('newPassword'),
 
   body('confirmPassword')
     .notEmpty()
@@ -246,6 +235,387 @@ export const validateResetPassword = [
   handleValidationErrors,
 ];
 
+/**
+ * Pending login token validation (sending codes, passkey challenge)
+ */
+export const validateMfaToken = [
+  body('mfaToken').isString().notEmpty().withMessage('Login verification token is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Second-factor login verification validation
+ * `token` is the name /2fa/verify has always used for the authenticator code.
+ */
+export const validateLoginVerification = [
+  body('mfaToken').isString().notEmpty().withMessage('Login verification token is required'),
+
+  body(['code', 'token'])
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  body('backupCode')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9]{6,16}$/)
+    .withMessage('Invalid backup code format'),
+
+  body('passkey').optional().isObject().withMessage('Passkey assertion must be an object'),
+
+  body().custom((value) => {
+    const factors = ['code', 'token', 'backupCode', 'passkey'].filter((key) => value?.[key]);
+    if (factors.length !== 1) {
+      throw new Error('Provide one of code, backupCode or passkey');
+    }
+    return true;
+  }),
+
+  body('rememberDevice')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberDevice must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Magic link login validation
+ */
+export const validateMagicLinkLogin = [
+  body('token').isString().notEmpty().withMessage('Login link token is required'),
+
+  body('twoFactorCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  body('rememberDevice')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberDevice must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Account deletion cancellation validation
+ */
+export const validateCancelAccountDeletion = [
+  body('token').isString().notEmpty().withMessage('Cancellation token is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Email change request validation
+ */
+export const validateChangeEmail = [
+  body('newEmail')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .normalizeEmail()
+    .isLength({ max: 255 })
+    .withMessage('Email must not exceed 255 characters'),
+
+  body('password').optional().isString().notEmpty().withMessage('Password must not be empty'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Phone number change validation
+ */
+export const validateChangePhoneNumber = [
+  body('phoneNumber')
+    .trim()
+    .matches(/^\+[1-9][\d\s-]{7,18}$/)
+    .withMessage('Phone number must include the country code, e.g. +14155550100'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Phone number change confirmation validation
+ */
+export const validateConfirmPhoneNumber = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Email change confirm/revert validation
+ */
+export const validateEmailChangeToken = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Email verification token validation
+ */
+export const validateVerificationToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid verification link'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Data export download token validation
+ */
+export const validateDataExportToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid download link'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Impersonation validation
+ */
+export const validateImpersonation = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Reauthentication (step-up) validation
+ * At least one factor must be given
+ */
+export const validateReauthenticate = [
+  body('password').optional().isString().notEmpty().withMessage('Password cannot be empty'),
+
+  body('twoFactorCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  body().custom((value) => {
+    if (!value?.password && !value?.twoFactorCode) {
+      throw new Error('Password or verification code is required');
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Passkey (WebAuthn) response validation
+ */
+export const validatePasskeyResponse = [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+
+  body('response').isObject().withMessage('Passkey response is required'),
+
+  body('response.id').isString().notEmpty().withMessage('Passkey response is missing an ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Passkey registration validation
+ */
+export const validateRegisterPasskey = [
+  body('nickname')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Nickname must be 1-100 characters'),
+
+  ...validatePasskeyResponse,
+];
+
+/**
+ * Passkey rename validation
+ */
+export const validateRenamePasskey = [
+  body('nickname')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Nickname must be 1-100 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * API key creation validation
+ */
+export const validateCreateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+
+  body('scopes.*').isString().withMessage('Scopes must be strings'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Password policy update validation (admin)
+ * Bounds match the PasswordPolicy schema
+ */
+export const validatePasswordPolicy = [
+  body().custom((value) => {
+    if (!value || PASSWORD_POLICY_FIELDS.every((field) => value[field] === undefined)) {
+      throw new Error('At least one policy setting is required');
+    }
+    return true;
+  }),
+
+  body('minLength')
+    .optional()
+    .isInt({ min: 8, max: 128 })
+    .withMessage('minLength must be between 8 and 128')
+    .toInt(),
+
+  body(['requireUppercase', 'requireLowercase', 'requireNumbers', 'requireSpecialChars'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Character class requirements must be true or false')
+    .toBoolean(true),
+
+  body('historyCount')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('historyCount must be between 0 and 24')
+    .toInt(),
+
+  body('maxAgeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('maxAgeDays must be between 1 and 3650, or null for no expiration')
+    .toInt(),
+
+  body('maxLoginAttempts')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('maxLoginAttempts must be between 1 and 100')
+    .toInt(),
+
+  body('lockoutDurationMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('lockoutDurationMinutes must be between 1 and 1440')
+    .toInt(),
+
+  body('bannedWords')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('bannedWords must be an array of at most 500 words'),
+
+  body('bannedWords.*')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 64 })
+    .withMessage('Banned words must be between 3 and 64 characters'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Registration policy update validation (admin)
+ */
+export const validateRegistrationPolicy = [
+  body().custom((value) => {
+    if (!value || REGISTRATION_POLICY_FIELDS.every((field) => value[field] === undefined)) {
+      throw new Error('At least one policy setting is required');
+    }
+    return true;
+  }),
+
+  body(['allowedDomains', 'deniedDomains'])
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Domain lists must be arrays of at most 1000 domains'),
+
+  body(['allowedDomains.*', 'deniedDomains.*'])
+    .isString()
+    .trim()
+    .customSanitizer((domain) => domain.replace(/^(@|\*\.)/, ''))
+    .isFQDN()
+    .withMessage('Domains must be domain names, such as example.com'),
+
+  body('blockDisposableEmails')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('blockDisposableEmails must be true or false')
+    .toBoolean(true),
+
+  handleValidationErrors,
+];
+
+/**
+ * Invitation creation validation (admin)
+ */
+export const validateCreateInvitation = [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .normalizeEmail()
+    .isLength({ max: 255 })
+    .withMessage('Email must not exceed 255 characters'),
+
+  body('allowedDomain')
+    .optional()
+    .trim()
+    .isFQDN()
+    .withMessage('allowedDomain must be a domain name, such as example.com')
+    .toLowerCase(),
+
+  body('role')
+    .optional()
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be one of: user, moderator, admin'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Invitation list validation (admin)
+ */
+export const validateListInvitations = [
+  query('status')
+    .optional()
+    .isIn(INVITATION_STATUSES)
+    .withMessage(`Status must be one of: ${INVITATION_STATUSES.join(', ')}`),
+
+  handleValidationErrors,
+];
+
 /**
  * Sanitize input to prevent XSS
  */
@@ -294,5 +664,25 @@ export default {
   validateSearch,
   validateRole,
   validateResetPassword,
+  validateMfaToken,
+  validateLoginVerification,
+  validateMagicLinkLogin,
+  validateCancelAccountDeletion,
+  validateChangeEmail,
+  validateEmailChangeToken,
+  validateChangePhoneNumber,
+  validateConfirmPhoneNumber,
+  validateVerificationToken,
+  validateDataExportToken,
+  validateImpersonation,
+  validateReauthenticate,
+  validatePasskeyResponse,
+  validateRegisterPasskey,
+  validateRenamePasskey,
+  validateCreateApiKey,
+  validatePasswordPolicy,
+  validateRegistrationPolicy,
+  validateCreateInvitation,
+  validateListInvitations,
   sanitizeInput,
 };
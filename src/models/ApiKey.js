@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * API Key Schema for MongoDB
+ * Personal API keys for scripts and CI jobs
+ */
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // HMAC-SHA256 of the full key (keyed with API_KEY_SALT)
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      enum: Object.values(PERMISSIONS),
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Whether the key can still be used
+ */
+apiKeySchema.methods.isUsable = function () {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt.getTime() > Date.now();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
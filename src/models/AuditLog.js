@@ -14,14 +14,23 @@ const auditLogSchema = new mongoose.Schema(
       enum: [
         // Authentication events
         'USER_REGISTERED',
+        'REGISTRATION_REJECTED',
+        'REGISTRATION_POLICY_UPDATED',
         'LOGIN_SUCCESS',
         'LOGIN_FAILED',
+        'LOGIN_VERIFICATION_REQUIRED',
         'LOGOUT',
         'LOGOUT_ALL',
         'PASSWORD_CHANGED',
         'PASSWORD_RESET',
         'PASSWORD_RESET_REQUESTED',
+        'PASSWORD_POLICY_UPDATED',
         'EMAIL_VERIFIED',
+        'EMAIL_CHANGE_REQUESTED',
+        'EMAIL_CHANGED',
+        'EMAIL_CHANGE_REVERTED',
+        'PHONE_NUMBER_CHANGE_REQUESTED',
+        'PHONE_NUMBER_CHANGED',
         // Authorization events
         'AUTHORIZATION_FAILED',
         'UNAUTHORIZED_ACCESS',
@@ -37,6 +46,7 @@ const auditLogSchema = new mongoose.Schema(
         'ROUTE_NOT_FOUND',
         // Token events
         'REFRESH_TOKEN_FAILED',
+        'REFRESH_TOKEN_REUSE_DETECTED',
         'AUTHENTICATION_FAILED',
         // System events
         'UNHANDLED_REJECTION',
@@ -47,6 +57,28 @@ const auditLogSchema = new mongoose.Schema(
         'USER_DELETED',
         'ROLE_CHANGED',
         'STATUS_CHANGED',
+        // Impersonation
+        'IMPERSONATION_STARTED',
+        'IMPERSONATION_DENIED',
+        'IMPERSONATION_REQUEST',
+        'IMPERSONATION_ENDED',
+        // Account deletion
+        'ACCOUNT_DELETION_REQUESTED',
+        'ACCOUNT_DELETION_CANCELLED',
+        'ACCOUNT_PURGED',
+        // Personal data export
+        'DATA_EXPORT_REQUESTED',
+        'DATA_EXPORT_DOWNLOADED',
+        // Invitations
+        'INVITATION_CREATED',
+        'INVITATION_ACCEPTED',
+        'INVITATION_REVOKED',
+        // Trusted devices
+        'TRUSTED_DEVICE_ADDED',
+        'TRUSTED_DEVICE_REVOKED',
+        // OAuth service clients (recorded with clientId instead of userId)
+        'SERVICE_CLIENT_TOKEN_ISSUED',
+        'SERVICE_CLIENT_REQUEST',
       ],
     },
     userId: {
@@ -54,6 +86,17 @@ const auditLogSchema = new mongoose.Schema(
       ref: 'User',
       index: true,
     },
+    // Set instead of userId when the actor is an OAuth service client
+    clientId: {
+      type: String,
+      index: true,
+    },
+    // Admin acting as userId during impersonation
+    impersonatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
     username: {
       type: String,
     },
@@ -156,6 +199,7 @@ auditLogSchema.statics.getSecurityEvents = async function (options = {}) {
         'UNAUTHORIZED_ACCESS',
         'LOGIN_FAILED',
         'RATE_LIMIT_EXCEEDED',
+        'REFRESH_TOKEN_REUSE_DETECTED',
       ],
     },
   };
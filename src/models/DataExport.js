@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Data Export Schema for MongoDB
+ * Archive of everything held about a user, built in the background and
+ * downloaded through an expiring link
+ */
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    // User the data belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // The user themselves, or the admin who requested it on their behalf
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 hash of the download token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending',
+    },
+    // Gzipped JSON
+    archive: {
+      type: Buffer,
+      select: false,
+    },
+    size: {
+      type: Number,
+    },
+    completedAt: {
+      type: Date,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.tokenHash;
+        delete ret.archive;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Remove expired exports automatically
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
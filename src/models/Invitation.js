@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+/**
+ * Invitation Schema for MongoDB
+ * Sign-up invitations created by admins, for invite-only registration
+ */
+
+// Statuses reported to admins; 'expired' is derived from expiresAt
+export const INVITATION_STATUSES = ['pending', 'accepted', 'expired', 'revoked'];
+
+const invitationSchema = new mongoose.Schema(
+  {
+    // Address the invitation was sent to; registration must use it when set
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // Registration must use an address at this domain when set
+    allowedDomain: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Role the new account gets
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+      default: 'user',
+    },
+    // SHA-256 hash of the invitation token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Pending invitations past expiresAt are reported as expired
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        if (ret.status === 'pending' && ret.expiresAt <= new Date()) {
+          ret.status = 'expired';
+        }
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Instance Methods
+ */
+
+// Check if the invitation can still be used
+invitationSchema.methods.isUsable = function () {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Check if an email address may register with this invitation
+invitationSchema.methods.allowsEmail = function (email) {
+  const address = email.toLowerCase();
+
+  if (this.email && this.email !== address) {
+    return false;
+  }
+  if (this.allowedDomain && address.split('@')[1] !== this.allowedDomain) {
+    return false;
+  }
+  return true;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * OAuth Authorization Code Schema for MongoDB
+ * Short-lived, single-use codes issued by the authorization endpoint
+ */
+
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  // SHA-256 hash of the code
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  clientId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  // PKCE (S256 only)
+  codeChallenge: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+  },
+  // When the user last authenticated (seconds since epoch)
+  authTime: {
+    type: Number,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Remove expired codes automatically
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthAuthorizationCode = mongoose.model(
+  'OAuthAuthorizationCode',
+  oauthAuthorizationCodeSchema
+);
+
+export default OAuthAuthorizationCode;
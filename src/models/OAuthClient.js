@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * OAuth Client Schema for MongoDB
+ * Applications allowed to request tokens from the built-in authorization server
+ */
+
+const oauthClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 hash of the client secret (confidential clients only)
+    clientSecretHash: {
+      type: String,
+      select: false,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // public: SPAs and native apps (PKCE only), confidential: server-side apps with a secret
+    clientType: {
+      type: String,
+      enum: ['public', 'confidential'],
+      default: 'public',
+    },
+    // Exact-match redirect URIs
+    redirectUris: {
+      type: [String],
+      default: [],
+    },
+    // Service clients use client_credentials on its own
+    grantTypes: {
+      type: [String],
+      enum: ['authorization_code', 'refresh_token', 'client_credentials'],
+      default: ['authorization_code', 'refresh_token'],
+    },
+    // OIDC scopes for user-facing clients, PERMISSIONS values for service clients
+    allowedScopes: {
+      type: [String],
+      default: ['openid', 'profile', 'email'],
+    },
+    // First-party apps skip the consent step
+    skipConsent: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.clientSecretHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Hash a client secret for storage
+ */
+oauthClientSchema.statics.hashSecret = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Compare a presented client secret (requires +clientSecretHash)
+ */
+oauthClientSchema.methods.compareSecret = function (secret) {
+  if (!this.clientSecretHash || typeof secret !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.clientSecretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(secret), 'hex');
+
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+export default OAuthClient;
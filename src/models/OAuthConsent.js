@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * OAuth Consent Schema for MongoDB
+ * Scopes a user has granted to a client application
+ */
+
+const oauthConsentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+oauthConsentSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+const OAuthConsent = mongoose.model('OAuthConsent', oauthConsentSchema);
+
+export default OAuthConsent;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Passkey Schema for MongoDB
+ * WebAuthn credentials registered by users
+ */
+
+const passkeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Credential ID chosen by the authenticator (base64url)
+    credentialId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // COSE-encoded public key (base64url)
+    publicKey: {
+      type: String,
+      required: true,
+    },
+    // Signature counter; a value that goes backwards suggests a cloned authenticator
+    counter: {
+      type: Number,
+      default: 0,
+    },
+    transports: {
+      type: [String],
+      default: [],
+    },
+    // singleDevice (hardware key) or multiDevice (synced passkey)
+    deviceType: {
+      type: String,
+      enum: ['singleDevice', 'multiDevice'],
+    },
+    backedUp: {
+      type: Boolean,
+      default: false,
+    },
+    aaguid: {
+      type: String,
+    },
+    nickname: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.publicKey;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+export default Passkey;
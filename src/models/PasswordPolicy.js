@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+/**
+ * Password Policy Schema for MongoDB
+ * The password rules in force, edited by admins at runtime
+ *
+ * There is a single policy document. Until an admin saves one, the defaults
+ * below apply.
+ */
+
+export const DEFAULT_PASSWORD_POLICY = Object.freeze({
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: true,
+  // Previous passwords that cannot be reused, including the current one; 0 allows reuse
+  historyCount: 5,
+  // Days before a password must be changed; null = no expiration
+  maxAgeDays: null,
+  maxLoginAttempts: 5,
+  lockoutDurationMinutes: 15,
+  // Case-insensitive; passwords containing any of these are rejected
+  bannedWords: Object.freeze([]),
+});
+
+export const PASSWORD_POLICY_FIELDS = Object.keys(DEFAULT_PASSWORD_POLICY);
+
+const POLICY_KEY = 'default';
+
+const passwordPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: POLICY_KEY,
+      unique: true,
+    },
+    minLength: {
+      type: Number,
+      min: 8,
+      max: 128,
+      default: DEFAULT_PASSWORD_POLICY.minLength,
+    },
+    requireUppercase: {
+      type: Boolean,
+      default: DEFAULT_PASSWORD_POLICY.requireUppercase,
+    },
+    requireLowercase: {
+      type: Boolean,
+      default: DEFAULT_PASSWORD_POLICY.requireLowercase,
+    },
+    requireNumbers: {
+      type: Boolean,
+      default: DEFAULT_PASSWORD_POLICY.requireNumbers,
+    },
+    requireSpecialChars: {
+      type: Boolean,
+      default: DEFAULT_PASSWORD_POLICY.requireSpecialChars,
+    },
+    historyCount: {
+      type: Number,
+      min: 0,
+      max: 24,
+      default: DEFAULT_PASSWORD_POLICY.historyCount,
+    },
+    maxAgeDays: {
+      type: Number,
+      min: 1,
+      max: 3650,
+      default: DEFAULT_PASSWORD_POLICY.maxAgeDays,
+    },
+    maxLoginAttempts: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: DEFAULT_PASSWORD_POLICY.maxLoginAttempts,
+    },
+    lockoutDurationMinutes: {
+      type: Number,
+      min: 1,
+      max: 1440,
+      default: DEFAULT_PASSWORD_POLICY.lockoutDurationMinutes,
+    },
+    bannedWords: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    // Admin who last changed the policy
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.key;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Static Methods
+ */
+
+// Get the policy in force, as a plain object
+passwordPolicySchema.statics.getPolicy = async function () {
+  const policy = await this.findOne({ key: POLICY_KEY }).lean();
+
+  if (!policy) {
+    return { ...DEFAULT_PASSWORD_POLICY, bannedWords: [] };
+  }
+
+  const current = {};
+  PASSWORD_POLICY_FIELDS.forEach((field) => {
+    current[field] = policy[field] ?? DEFAULT_PASSWORD_POLICY[field];
+  });
+  return { ...current, updatedAt: policy.updatedAt, updatedBy: policy.updatedBy };
+};
+
+// Change some of the rules, creating the policy document if needed
+passwordPolicySchema.statics.updatePolicy = function (changes, updatedBy) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { ...changes, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const PasswordPolicy = mongoose.model('PasswordPolicy', passwordPolicySchema);
+
+export default PasswordPolicy;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+/**
+ * Registration Policy Schema for MongoDB
+ * Which email domains may sign up, edited by admins at runtime
+ *
+ * There is a single policy document. Until an admin saves one, the defaults
+ * below apply. Domains also match their subdomains.
+ */
+
+export const DEFAULT_REGISTRATION_POLICY = Object.freeze({
+  // When not empty, only these domains may register
+  allowedDomains: Object.freeze([]),
+  // These domains may never register
+  deniedDomains: Object.freeze([]),
+  // Refuse domains in DISPOSABLE_EMAIL_DOMAINS_FILE
+  blockDisposableEmails: true,
+});
+
+export const REGISTRATION_POLICY_FIELDS = Object.keys(DEFAULT_REGISTRATION_POLICY);
+
+const POLICY_KEY = 'default';
+
+const registrationPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: POLICY_KEY,
+      unique: true,
+    },
+    allowedDomains: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    deniedDomains: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    blockDisposableEmails: {
+      type: Boolean,
+      default: DEFAULT_REGISTRATION_POLICY.blockDisposableEmails,
+    },
+    // Admin who last changed the policy
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.key;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Static Methods
+ */
+
+// Get the policy in force, as a plain object
+registrationPolicySchema.statics.getPolicy = async function () {
+  const policy = await this.findOne({ key: POLICY_KEY }).lean();
+
+  if (!policy) {
+    return { ...DEFAULT_REGISTRATION_POLICY, allowedDomains: [], deniedDomains: [] };
+  }
+
+  const current = {};
+  REGISTRATION_POLICY_FIELDS.forEach((field) => {
+    current[field] = policy[field] ?? DEFAULT_REGISTRATION_POLICY[field];
+  });
+  return { ...current, updatedAt: policy.updatedAt, updatedBy: policy.updatedBy };
+};
+
+// Change some of the rules, creating the policy document if needed
+registrationPolicySchema.statics.updatePolicy = function (changes, updatedBy) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { ...changes, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const RegistrationPolicy = mongoose.model('RegistrationPolicy', registrationPolicySchema);
+
+export default RegistrationPolicy;
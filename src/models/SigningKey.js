@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Signing Key Schema for MongoDB
+ * Asymmetric JWT signing keys shared by every application instance
+ */
+
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alg: {
+      type: String,
+      required: true,
+      enum: ['RS256', 'ES256', 'EdDSA'],
+    },
+    // Public key as a JWK (published on the JWKS endpoint)
+    publicJwk: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Private key as PKCS#8 PEM, encrypted with ENCRYPTION_KEY
+    privateKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'retired'],
+      default: 'active',
+      index: true,
+    },
+    activatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    retiredAt: {
+      type: Date,
+    },
+    // Retired keys are removed once no token signed with them can still be valid
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove expired keys automatically
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Only one key may sign: a second active key is rejected, so concurrent
+// bootstraps and rotations by several instances cannot both activate one
+signingKeySchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+export default SigningKey;
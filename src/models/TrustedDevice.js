@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * Trusted Device Schema for MongoDB
+ * Browsers a user chose to remember so they skip the second factor
+ */
+
+const trustedDeviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // jti of the token in the browser's trustedDevice cookie
+    tokenId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Browser fingerprint the cookie is bound to (see LoginRiskService)
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    // e.g. "Chrome on macOS"
+    label: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    location: {
+      country: String,
+      city: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.tokenId;
+        delete ret.fingerprint;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Remove expired devices automatically
+trustedDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TrustedDevice = mongoose.model('TrustedDevice', trustedDeviceSchema);
+
+export default TrustedDevice;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import config from '../config/environment.js';
+import PasswordPolicy, { DEFAULT_PASSWORD_POLICY } from './PasswordPolicy.js';
 
 /**
  * User Schema for MongoDB
@@ -62,6 +63,34 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: 50,
     },
+    // For WhatsApp security alerts and login codes, with country code.
+    // Only changed through PhoneNumberService, which verifies it.
+    phoneNumber: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+    },
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Phone number change waiting for the code sent to the new number (hashed)
+    pendingPhoneNumber: {
+      type: String,
+      select: false,
+    },
+    phoneChangeCode: {
+      type: String,
+      select: false,
+    },
+    phoneChangeExpires: {
+      type: Date,
+      select: false,
+    },
+    phoneChangeAttempts: {
+      type: Number,
+      select: false,
+    },
     role: {
       type: String,
       enum: ['user', 'moderator', 'admin', 'guest'],
@@ -85,6 +114,21 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // New login email awaiting confirmation from that address
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    emailChangeToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeExpires: {
+      type: Date,
+      select: false,
+    },
     twoFactorEnabled: {
       type: Boolean,
       default: false,
@@ -111,6 +155,28 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // jti of the only magic login link that may still be used
+    magicLinkTokenId: {
+      type: String,
+      select: false,
+    },
+    // Login waiting for a second factor: jti of its token and the emailed or WhatsApp code (hashed)
+    mfaPendingTokenId: {
+      type: String,
+      select: false,
+    },
+    mfaEmailCode: {
+      type: String,
+      select: false,
+    },
+    mfaWhatsAppCode: {
+      type: String,
+      select: false,
+    },
+    mfaAttempts: {
+      type: Number,
+      select: false,
+    },
     loginAttempts: {
       type: Number,
       default: 0,
@@ -128,13 +194,55 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // When the expiry warning for the current password was emailed
+    passwordExpiryWarningSentAt: {
+      type: Date,
+    },
+    // Whether the password was found in the breached-password corpus at the last login
+    passwordBreached: {
+      type: Boolean,
+      index: true,
+    },
+    passwordBreachCheckedAt: {
+      type: Date,
+    },
+    // Access tokens issued before this time are rejected
+    tokensValidAfter: {
+      type: Date,
+    },
+    // Self-service deletion: the account stays deactivated until it is purged
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      index: true,
+    },
     refreshTokens: {
       type: [
         {
-          token: String,
+          tokenId: String,
+          familyId: String,
+          replacedBy: String,
+          token: String, // SHA-256 hash of the refresh token
+
           createdAt: Date,
           expiresAt: Date,
           isRevoked: Boolean,
+
+          // Session (device) the token family belongs to
+          clientId: String, // OAuth client, for tokens issued to third-party apps
+          ip: String,
+          userAgent: String,
+          location: {
+            country: String,
+            city: String,
+          },
+          sessionStartedAt: Date,
+          lastSeenAt: Date,
+          // When and how the user last authenticated on this session
+          authTime: Date,
+          amr: [String],
         },
       ],
       select: false,
@@ -148,7 +256,18 @@ const userSchema = new mongoose.Schema(
         delete ret.passwordHistory;
         delete ret.twoFactorSecret;
         delete ret.emailVerificationToken;
+        delete ret.pendingEmail;
+        delete ret.emailChangeToken;
         delete ret.passwordResetToken;
+        delete ret.magicLinkTokenId;
+        delete ret.mfaPendingTokenId;
+        delete ret.mfaEmailCode;
+        delete ret.mfaWhatsAppCode;
+        delete ret.pendingPhoneNumber;
+        delete ret.phoneChangeCode;
+        delete ret.phoneChangeExpires;
+        delete ret.phoneChangeAttempts;
+        delete ret.mfaAttempts;
         delete ret.refreshTokens;
         delete ret.__v;
         return ret;
@@ -163,6 +282,7 @@ userSchema.index({ username: 1, isActive: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ 'oauth.google.id': 1 }, { sparse: true });
 userSchema.index({ 'oauth.github.id': 1 }, { sparse: true });
+userSchema.index({ 'refreshTokens.tokenId': 1 }, { sparse: true });
 
 /**
  * Pre-save middleware to hash password
@@ -184,10 +304,9 @@ userSchema.pre('save', async function (next) {
     }
     this.passwordHistory.push(this.password);
 
-    // Keep only last 5 passwords
-    if (this.passwordHistory.length > 5) {
-      this.passwordHistory = this.passwordHistory.slice(-5);
-    }
+    // Keep only as many passwords as the policy remembers (always the current one)
+    const { historyCount } = await PasswordPolicy.getPolicy();
+    this.passwordHistory = this.passwordHistory.slice(-Math.max(historyCount, 1));
 
     this.lastPasswordChange = new Date();
 
@@ -213,9 +332,10 @@ userSchema.methods.isLocked = function () {
 
 // Increment login attempts
 userSchema.methods.incLoginAttempts = async function () {
-  // Lock account after 5 failed attempts for 15 minutes
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked()) {
-    this.lockUntil = Date.now() + 15 * 60 * 1000; // 15 minutes
+  // Lock account after maxLoginAttempts failed attempts for lockoutDurationMinutes
+  const { maxLoginAttempts, lockoutDurationMinutes } = await PasswordPolicy.getPolicy();
+  if (this.loginAttempts + 1 >= maxLoginAttempts && !this.isLocked()) {
+    this.lockUntil = Date.now() + lockoutDurationMinutes * 60 * 1000;
   }
   this.loginAttempts += 1;
   return await this.save();
@@ -231,11 +351,13 @@ userSchema.methods.resetLoginAttempts = async function () {
 
 // Check if password was used before
 userSchema.methods.isPasswordInHistory = async function (password) {
-  if (!this.passwordHistory || this.passwordHistory.length === 0) {
+  const { historyCount } = await PasswordPolicy.getPolicy();
+
+  if (!this.passwordHistory || this.passwordHistory.length === 0 || historyCount === 0) {
     return false;
   }
 
-  for (const oldHash of this.passwordHistory) {
+  for (const oldHash of this.passwordHistory.slice(-historyCount)) {
     const isMatch = await bcrypt.compare(password, oldHash);
     if (isMatch) {
       return true;
@@ -248,32 +370,34 @@ userSchema.methods.isPasswordInHistory = async function (password) {
  * Static Methods
  */
 
-// Validate password strength
-userSchema.statics.validatePasswordStrength = function (password) {
-  const minLength = 8;
-  const hasUpperCase = /[A-Z]/.test(password);
-  const hasLowerCase = /[a-z]/.test(password);
-  const hasNumbers = /\d/.test(password);
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
+// Validate password strength against a password policy (see PasswordPolicy.getPolicy)
+userSchema.statics.validatePasswordStrength = function (
+  password,
+  policy = DEFAULT_PASSWORD_POLICY
+) {
   const errors = [];
 
-  if (password.length < minLength) {
-    errors.push(`Password must be at least ${minLength} characters long`);
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
   }
-  if (!hasUpperCase) {
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
     errors.push('Password must contain at least one uppercase letter');
   }
-  if (!hasLowerCase) {
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
     errors.push('Password must contain at least one lowercase letter');
   }
-  if (!hasNumbers) {
+  if (policy.requireNumbers && !/\d/.test(password)) {
     errors.push('Password must contain at least one number');
   }
-  if (!hasSpecialChar) {
+  if (policy.requireSpecialChars && !/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
     errors.push('Password must contain at least one special character');
   }
 
+  const lowerCasePassword = password.toLowerCase();
+  if (policy.bannedWords.some((word) => lowerCasePassword.includes(word))) {
+    errors.push('Password contains a word that is not allowed');
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -294,7 +418,10 @@ userSchema.statics.findByUsername = function (username) {
 // Create user with validation
 userSchema.statics.createUser = async function (userData) {
   // Validate password strength
-  const validation = this.validatePasswordStrength(userData.password);
+  const validation = this.validatePasswordStrength(
+    userData.password,
+    await PasswordPolicy.getPolicy()
+  );
   if (!validation.isValid) {
     throw new Error(validation.errors.join(', '));
   }
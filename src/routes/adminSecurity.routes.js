@@ -1,7 +1,12 @@
 import express from 'express';
 import AdminSecurityController from '../controllers/adminSecurityController.js';
-import { authenticate } from '../middleware/authentication.js';
+import {
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth,
+} from '../middleware/authentication.js';
 import { authorize } from '../middleware/authorization.js';
+import { validatePasswordPolicy, validateRegistrationPolicy } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -197,6 +202,144 @@ router.get(
   AdminSecurityController.getPasswordPolicy
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/security/password-policy:
+ *   patch:
+ *     summary: Update the password policy
+ *     description: Only the settings sent are changed. New rules apply to passwords set from now on. Requires a recent sign-in.
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minLength:
+ *                 type: integer
+ *                 minimum: 8
+ *                 maximum: 128
+ *               requireUppercase:
+ *                 type: boolean
+ *               requireLowercase:
+ *                 type: boolean
+ *               requireNumbers:
+ *                 type: boolean
+ *               requireSpecialChars:
+ *                 type: boolean
+ *               historyCount:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 24
+ *               maxAgeDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 3650
+ *               maxLoginAttempts:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               lockoutDurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *               bannedWords:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [nexus, company, welcome]
+ *     responses:
+ *       200:
+ *         description: Password policy updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized or sign-in not recent enough
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.patch(
+  '/password-policy',
+  authenticate,
+  denyImpersonation,
+  authorize(['admin']),
+  requireRecentAuth(),
+  validatePasswordPolicy,
+  AdminSecurityController.updatePasswordPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/security/registration-policy:
+ *   get:
+ *     summary: Get the registration policy
+ *     description: Allowed and denied email domains, and whether disposable email addresses are refused
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registration policy retrieved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *   patch:
+ *     summary: Update the registration policy
+ *     description: Only the settings sent are changed. Domains also match their subdomains. Requires a recent sign-in.
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allowedDomains:
+ *                 type: array
+ *                 description: When not empty, only these domains can register
+ *                 items:
+ *                   type: string
+ *                 example: [example.com]
+ *               deniedDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [spam.example.net]
+ *               blockDisposableEmails:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Registration policy updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized or sign-in not recent enough
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get(
+  '/registration-policy',
+  authenticate,
+  authorize(['admin']),
+  AdminSecurityController.getRegistrationPolicy
+);
+router.patch(
+  '/registration-policy',
+  authenticate,
+  denyImpersonation,
+  authorize(['admin']),
+  requireRecentAuth(),
+  validateRegistrationPolicy,
+  AdminSecurityController.updateRegistrationPolicy
+);
+
 /**
  * @swagger
  * /api/v1/admin/security/stats:
@@ -243,4 +386,79 @@ router.post(
   AdminSecurityController.bulkUnlockAccounts
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/security/breached-passwords:
+ *   get:
+ *     summary: Count users whose password was found in a data breach
+ *     description: Passwords are checked against the offline corpus when users sign in, so only users who signed in since it was configured are counted
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Breached password report retrieved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get(
+  '/breached-passwords',
+  authenticate,
+  authorize(['admin']),
+  AdminSecurityController.getBreachedPasswordReport
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/security/signing-keys:
+ *   get:
+ *     summary: List JWT signing keys (metadata only)
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing keys retrieved
+ *       400:
+ *         description: Asymmetric signing is disabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get(
+  '/signing-keys',
+  authenticate,
+  authorize(['admin']),
+  AdminSecurityController.getSigningKeys
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/security/signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the JWT signing key immediately
+ *     description: The previous key is retired but stays in the JWKS until its tokens expire
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing key rotated
+ *       400:
+ *         description: Asymmetric signing is disabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.post(
+  '/signing-keys/rotate',
+  authenticate,
+  authorize(['admin']),
+  AdminSecurityController.rotateSigningKey
+);
+
 export default router;
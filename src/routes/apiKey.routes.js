@@ -0,0 +1,104 @@
+import express from 'express';
+import ApiKeyController from '../controllers/apiKeyController.js';
+import { authenticate, denyImpersonation } from '../middleware/authentication.js';
+import { validateCreateApiKey } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Key management only accepts a signed-in user's access token,
+ * so an API key can never be used to mint or revoke other keys
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Personal API keys for programmatic access
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: Key values are never returned, only their prefix
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Create an API key
+ *     description: Send the returned key in the X-API-Key header. It is shown only once.
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy job
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [profile:read, audit:list]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 90
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error or scope not allowed for your role
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticate, ApiKeyController.getApiKeys);
+router.post(
+  '/',
+  authenticate,
+  denyImpersonation,
+  validateCreateApiKey,
+  ApiKeyController.createApiKey
+);
+
+/**
+ * @swagger
+ * /api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:keyId', authenticate, denyImpersonation, ApiKeyController.revokeApiKey);
+
+export default router;
@@ -1,7 +1,12 @@
 import express from 'express';
 import AuditController from '../controllers/auditController.js';
-import { authenticate } from '../middleware/authentication.js';
-import { isAdmin, requirePermission } from '../middleware/authorization.js';
+import { allowServiceClients, authenticateWithApiKey } from '../middleware/authentication.js';
+import {
+  isAdmin,
+  requirePermission,
+  requireScope,
+  unlessServiceClient,
+} from '../middleware/authorization.js';
 import { PERMISSIONS } from '../config/permissions.js';
 import { validatePagination } from '../middleware/validation.js';
 
@@ -46,6 +51,16 @@ const router = express.Router();
  *           type: string
  *           format: date
  *         description: Filter logs until this date
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: string
+ *         description: Only requests an admin made while impersonating users
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Only tokens issued to and requests made by this service client
  *     responses:
  *       200:
  *         description: Audit logs retrieved successfully
@@ -83,7 +98,14 @@ const router = express.Router();
  *       403:
  *         description: Forbidden - Requires audit:list permission
  */
-router.get('/logs', authenticate, requirePermission(PERMISSIONS.AUDIT_LIST), validatePagination, AuditController.getAllLogs);
+router.get(
+  '/logs',
+  allowServiceClients,
+  authenticateWithApiKey,
+  requirePermission(PERMISSIONS.AUDIT_LIST),
+  validatePagination,
+  AuditController.getAllLogs
+);
 
 /**
  * @swagger
@@ -111,7 +133,13 @@ router.get('/logs', authenticate, requirePermission(PERMISSIONS.AUDIT_LIST), val
  *       404:
  *         description: User not found
  */
-router.get('/logs/:userId', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), AuditController.getUserLogs);
+router.get(
+  '/logs/:userId',
+  allowServiceClients,
+  authenticateWithApiKey,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  AuditController.getUserLogs
+);
 
 /**
  * @swagger
@@ -142,7 +170,13 @@ router.get('/logs/:userId', authenticate, requirePermission(PERMISSIONS.AUDIT_RE
  *       403:
  *         description: Forbidden - Requires audit:list permission
  */
-router.get('/security-events', authenticate, requirePermission(PERMISSIONS.AUDIT_LIST), AuditController.getSecurityEvents);
+router.get(
+  '/security-events',
+  allowServiceClients,
+  authenticateWithApiKey,
+  requirePermission(PERMISSIONS.AUDIT_LIST),
+  AuditController.getSecurityEvents
+);
 
 /**
  * @swagger
@@ -182,7 +216,14 @@ router.get('/security-events', authenticate, requirePermission(PERMISSIONS.AUDIT
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.get('/statistics', authenticate, isAdmin, AuditController.getStatistics);
+router.get(
+  '/statistics',
+  allowServiceClients,
+  authenticateWithApiKey,
+  unlessServiceClient(isAdmin),
+  requireScope(PERMISSIONS.AUDIT_READ),
+  AuditController.getStatistics
+);
 
 /**
  * @swagger
@@ -228,6 +269,12 @@ router.get('/statistics', authenticate, isAdmin, AuditController.getStatistics);
  *       403:
  *         description: Forbidden - Requires audit:export permission
  */
-router.get('/export', authenticate, requirePermission(PERMISSIONS.AUDIT_EXPORT), AuditController.exportLogs);
+router.get(
+  '/export',
+  allowServiceClients,
+  authenticateWithApiKey,
+  requirePermission(PERMISSIONS.AUDIT_EXPORT),
+  AuditController.exportLogs
+);
 
 export default router;
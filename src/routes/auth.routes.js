@@ -2,13 +2,35 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import AuthController from '../controllers/authController.js';
 import TwoFactorController from '../controllers/twoFactorController.js';
-import { authenticate, verifyRefreshToken } from '../middleware/authentication.js';
+import PasskeyController from '../controllers/passkeyController.js';
+import TrustedDeviceController from '../controllers/trustedDeviceController.js';
+import {
+  allowPasswordChangeTokens,
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth,
+  verifyRefreshToken,
+} from '../middleware/authentication.js';
+import { requireProofOfWork } from '../middleware/proofOfWork.js';
 import {
   validateRegister,
   validateLogin,
+  validateLoginVerification,
+  validateMfaToken,
   validateChangePassword,
   validateEmail,
   validateResetPassword,
+  validateMagicLinkLogin,
+  validateCancelAccountDeletion,
+  validateReauthenticate,
+  validatePasskeyResponse,
+  validateRegisterPasskey,
+  validateRenamePasskey,
+  validateVerificationToken,
+  validateChangeEmail,
+  validateChangePhoneNumber,
+  validateConfirmPhoneNumber,
+  validateEmailChangeToken,
 } from '../middleware/validation.js';
 import config from '../config/environment.js';
 
@@ -30,12 +52,24 @@ const registerLimiter = rateLimit({
   message: 'Too many accounts created from this IP, please try again later',
 });
 
+// Rate limit for resending verification emails
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 resends per hour per IP
+  message: 'Too many verification emails requested, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email, username, and password
+ *     description: |
+ *       Create a new user account with email, username, and password. A verification link
+ *       is emailed to the new address. With EMAIL_VERIFICATION_REQUIRED no tokens are
+ *       returned; the user can log in once the email is verified.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -69,6 +103,9 @@ const registerLimiter = rateLimit({
  *               lastName:
  *                 type: string
  *                 example: Doe
+ *               invitationToken:
+ *                 type: string
+ *                 description: Token from an invitation link; required when REGISTRATION_OPEN=false
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -96,10 +133,18 @@ const registerLimiter = rateLimit({
  *                       type: string
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       428:
+ *         description: Too many recent failures; retry with a solved challenge in the X-PoW-Challenge and X-PoW-Solution headers
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/register', registerLimiter, validateRegister, AuthController.register);
+router.post(
+  '/register',
+  registerLimiter,
+  validateRegister,
+  requireProofOfWork('register'),
+  AuthController.register
+);
 
 /**
  * @swagger
@@ -154,14 +199,84 @@ router.post('/register', registerLimiter, validateRegister, AuthController.regis
  *                     requires2FA:
  *                       type: boolean
  *                       example: false
+ *                       description: 2FA is enabled or the sign-in looks unusual (new device, network or location). Send a second factor with mfaToken to POST /auth/2fa/verify; no tokens are issued yet.
+ *                     mfaToken:
+ *                       type: string
+ *                     methods:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [totp, backup_code, passkey, email, whatsapp]
+ *                     requiresPasswordChange:
+ *                       type: boolean
+ *                       example: false
+ *                       description: The password expired or an admin asked for a new one. accessToken then only works for POST /auth/change-password and there is no refresh token.
+ *                     passwordChangeReason:
+ *                       type: string
+ *                       enum: [expired, required]
  *       401:
  *         description: Invalid credentials
  *       423:
  *         description: Account locked
+ *       428:
+ *         description: Too many recent failures; retry with a solved challenge in the X-PoW-Challenge and X-PoW-Solution headers
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/login', authLimiter, validateLogin, AuthController.login);
+router.post(
+  '/login',
+  authLimiter,
+  validateLogin,
+  requireProofOfWork('login'),
+  AuthController.login
+);
+
+/**
+ * @swagger
+ * /auth/login/verify:
+ *   post:
+ *     summary: Complete a login that needs a second factor
+ *     description: |
+ *       Logins by 2FA users and unusual sign-ins (new device, network or location)
+ *       answer `requires2FA: true` with an `mfaToken`. Send it back with one second
+ *       factor: `code` (authenticator app, or a code sent by /auth/2fa/email/send or
+ *       /auth/2fa/whatsapp/send), `backupCode` or `passkey`. Same as /auth/2fa/verify.
+ *       The token can only be used once and is cancelled after too many wrong codes.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               backupCode:
+ *                 type: string
+ *                 example: 'A1B2C3D4'
+ *               passkey:
+ *                 type: object
+ *                 description: Passkey assertion (see /auth/2fa/passkey/options)
+ *               rememberDevice:
+ *                 type: boolean
+ *                 description: Trust this browser so it skips the second factor (sets the trustedDevice cookie)
+ *     responses:
+ *       200:
+ *         description: Login successful (or a password change is required)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or used token, invalid code, or account locked
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/login/verify', authLimiter, validateLoginVerification, AuthController.verifyLogin);
 
 /**
  * @route   POST /api/v1/auth/logout
@@ -199,44 +314,535 @@ router.post('/rotate', verifyRefreshToken, AuthController.rotateToken);
 router.get('/me', authenticate, AuthController.getCurrentUser);
 
 /**
- * @route   POST /api/v1/auth/change-password
- * @desc    Change password (authenticated user)
- * @access  Private
+ * @route   POST /api/v1/auth/change-password
+ * @desc    Change password (authenticated user, requires recent authentication)
+ *          Also accepts the restricted token from a login whose password expired or was reset
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  allowPasswordChangeTokens,
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  validateChangePassword,
+  AuthController.changePassword
+);
+
+// The current password in the body stands in for a recent sign-in (checked by the service)
+const requirePasswordOrRecentAuth = (req, res, next) =>
+  req.body?.password !== undefined ? next() : requireRecentAuth()(req, res, next);
+
+/**
+ * @swagger
+ * /auth/change-email:
+ *   post:
+ *     summary: Change login email address
+ *     description: |
+ *       Sends a confirmation link to the new address and a notice with a link to undo the
+ *       change to the current one. The email only changes once the new address confirms.
+ *       Requires the current password, or a recent sign-in when no password is sent.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *                 example: new@example.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       202:
+ *         description: Confirmation link sent to the new address
+ *       400:
+ *         description: Wrong password, or the email is invalid or already in use
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/change-email',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validateChangeEmail,
+  requirePasswordOrRecentAuth,
+  AuthController.changeEmail
+);
+
+/**
+ * @swagger
+ * /auth/change-email/confirm:
+ *   post:
+ *     summary: Confirm an email change
+ *     description: Token from the link sent to the new address (`${BASE_URL}/email-change/confirm?token=...`)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email changed
+ *       400:
+ *         description: Invalid or expired link, or the email is now in use
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/change-email/confirm',
+  authLimiter,
+  validateEmailChangeToken,
+  AuthController.confirmEmailChange
+);
+
+/**
+ * @swagger
+ * /auth/change-email/revert:
+ *   post:
+ *     summary: Undo an email change
+ *     description: |
+ *       Token from the link sent to the previous address (`${BASE_URL}/email-change/revert?token=...`).
+ *       Restores that address, cancels a pending change and signs out every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email restored and sessions signed out
+ *       400:
+ *         description: Invalid, expired or already used link
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/change-email/revert',
+  authLimiter,
+  validateEmailChangeToken,
+  AuthController.revertEmailChange
+);
+
+/**
+ * @swagger
+ * /auth/change-phone:
+ *   post:
+ *     summary: Change phone number
+ *     description: |
+ *       Sends a 6-digit code by WhatsApp to the new number. The number, which receives
+ *       WhatsApp sign-in alerts and login codes, only changes once the code is confirmed.
+ *       Requires a recent sign-in.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: '+14155550100'
+ *                 description: With country code
+ *     responses:
+ *       202:
+ *         description: Code sent to the new number
+ *       400:
+ *         description: Invalid number, or the code could not be sent
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/change-phone',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  requireRecentAuth(),
+  validateChangePhoneNumber,
+  AuthController.changePhoneNumber
+);
+
+/**
+ * @swagger
+ * /auth/change-phone/confirm:
+ *   post:
+ *     summary: Confirm a phone number change
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Phone number changed and verified
+ *       400:
+ *         description: Invalid or expired code
+ */
+router.post(
+  '/change-phone/confirm',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validateConfirmPhoneNumber,
+  AuthController.confirmPhoneNumberChange
+);
+
+/**
+ * @swagger
+ * /auth/phone-number:
+ *   delete:
+ *     summary: Remove phone number
+ *     description: Stops WhatsApp alerts and login codes. Requires a recent sign-in.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Phone number removed
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ */
+router.delete(
+  '/phone-number',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  AuthController.removePhoneNumber
+);
+
+/**
+ * @swagger
+ * /auth/reauthenticate:
+ *   post:
+ *     summary: Confirm your identity again (step-up)
+ *     description: |
+ *       Sensitive operations need a recent sign-in and answer 401
+ *       `insufficient_user_authentication` otherwise. Send your password and/or a
+ *       TOTP code to get a new access token with a fresh `auth_time`, then retry.
+ *       Refreshed tokens for the same session keep the new `auth_time`.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               twoFactorCode:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New access token with `amr` listing the methods used
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid credentials or account locked
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/reauthenticate',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validateReauthenticate,
+  AuthController.reauthenticate
+);
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Request password reset (may answer 428 with a proof-of-work challenge)
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validateEmail,
+  requireProofOfWork('forgot-password'),
+  AuthController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   post:
+ *     summary: Request a magic login link
+ *     description: Emails a single-use login link. The response is the same whether or not the email exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/magic-link', authLimiter, validateEmail, AuthController.requestMagicLink);
+
+/**
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     summary: Log in with a magic link
+ *     description: |
+ *       Exchanges the token from the emailed link for a session. Accounts with 2FA
+ *       get `requires2FA: true` first and must repeat the call with `twoFactorCode`
+ *       from their authenticator app, unless the browser is a trusted device; the
+ *       link stays valid until login succeeds.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               twoFactorCode:
+ *                 type: string
+ *                 example: '123456'
+ *               rememberDevice:
+ *                 type: boolean
+ *                 description: With twoFactorCode, trust this browser so it skips the code (sets the trustedDevice cookie)
+ *     responses:
+ *       200:
+ *         description: Login successful, or 2FA required
+ *       401:
+ *         description: Invalid, expired or used link, invalid 2FA code, or account locked
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/magic-link/verify',
+  authLimiter,
+  validateMagicLinkLogin,
+  AuthController.verifyMagicLink
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Reset password with token
+ * @access  Public
+ */
+router.post('/reset-password', authLimiter, validateResetPassword, AuthController.resetPassword);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: |
+ *       Emails a new verification link, replacing the previous one. The response is the same
+ *       whether or not the email exists or is already verified.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists and is unverified
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/verify-email/resend',
+  verificationEmailLimiter,
+  validateEmail,
+  AuthController.resendVerificationEmail
+);
+
+/**
+ * @swagger
+ * /auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     description: Verifies the email address with the token from the verification link. Each link works once.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired verification link
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *   post:
+ *     summary: Verify email address
+ *     description: Same as GET, for frontends that submit the token from their own page
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired verification link
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
  */
+router.get(
+  '/verify-email/:token',
+  authLimiter,
+  validateVerificationToken,
+  AuthController.verifyEmail
+);
 router.post(
-  '/change-password',
-  authenticate,
-  validateChangePassword,
-  AuthController.changePassword
+  '/verify-email/:token',
+  authLimiter,
+  validateVerificationToken,
+  AuthController.verifyEmail
 );
 
 /**
- * @route   POST /api/v1/auth/forgot-password
- * @desc    Request password reset
- * @access  Public
+ * @route   GET /api/v1/auth/sessions
+ * @desc    Get active sessions with device, IP, location and last-seen time
+ * @access  Private
  */
-router.post('/forgot-password', authLimiter, validateEmail, AuthController.forgotPassword);
+router.get('/sessions', authenticate, AuthController.getActiveSessions);
 
 /**
- * @route   POST /api/v1/auth/reset-password
- * @desc    Reset password with token
- * @access  Public
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Revoke one session (e.g. a lost device)
+ * @access  Private
  */
-router.post('/reset-password', authLimiter, validateResetPassword, AuthController.resetPassword);
+router.delete('/sessions/:sessionId', authenticate, AuthController.revokeSession);
 
 /**
- * @route   POST /api/v1/auth/verify-email
- * @desc    Verify email address
- * @access  Private
+ * @swagger
+ * /auth/impersonation/end:
+ *   post:
+ *     summary: Stop impersonating a user
+ *     description: Call with the impersonation token to revoke it before it expires
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/verify-email', authenticate, AuthController.verifyEmail);
+router.post('/impersonation/end', authenticate, AuthController.endImpersonation);
 
 /**
- * @route   GET /api/v1/auth/sessions
- * @desc    Get active sessions
- * @access  Private
+ * @swagger
+ * /auth/account-deletion/cancel:
+ *   post:
+ *     summary: Cancel a pending account deletion
+ *     description: Uses the token from the deletion confirmation email. Reactivates the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: Invalid link, or the grace period has ended
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
  */
-router.get('/sessions', authenticate, AuthController.getActiveSessions);
+router.post(
+  '/account-deletion/cancel',
+  authLimiter,
+  validateCancelAccountDeletion,
+  AuthController.cancelAccountDeletion
+);
 
 /**
  * @swagger
@@ -278,7 +884,7 @@ router.get('/sessions', authenticate, AuthController.getActiveSessions);
  *       401:
  *         description: Unauthorized - Invalid or missing token
  */
-router.post('/2fa/setup', authenticate, TwoFactorController.setup);
+router.post('/2fa/setup', authenticate, denyImpersonation, TwoFactorController.setup);
 
 /**
  * @swagger
@@ -323,14 +929,14 @@ router.post('/2fa/setup', authenticate, TwoFactorController.setup);
  *       401:
  *         description: Unauthorized - Invalid or missing token
  */
-router.post('/2fa/enable', authenticate, TwoFactorController.enable);
+router.post('/2fa/enable', authenticate, denyImpersonation, TwoFactorController.enable);
 
 /**
  * @swagger
  * /auth/2fa/disable:
  *   post:
  *     summary: Disable TOTP 2FA
- *     description: Disable two-factor authentication (requires password confirmation)
+ *     description: Disable two-factor authentication (requires password confirmation and recent authentication)
  *     tags: [Two-Factor Authentication]
  *     security:
  *       - bearerAuth: []
@@ -367,14 +973,23 @@ router.post('/2fa/enable', authenticate, TwoFactorController.enable);
  *       401:
  *         description: Unauthorized - Invalid or missing token
  */
-router.post('/2fa/disable', authenticate, TwoFactorController.disable);
+router.post(
+  '/2fa/disable',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  TwoFactorController.disable
+);
 
 /**
  * @swagger
  * /auth/2fa/verify:
  *   post:
- *     summary: Verify TOTP 2FA token
- *     description: Verify 2FA token from authenticator app during login or use backup code
+ *     summary: Finish a 2FA login
+ *     description: |
+ *       Exchange the `mfaToken` from POST /auth/login for tokens. Send one second factor:
+ *       a 6-digit `token` from the authenticator app (or `code`, which also accepts codes
+ *       sent by /auth/2fa/email/send or /auth/2fa/whatsapp/send), a `backupCode` or a `passkey`.
  *     tags: [Two-Factor Authentication]
  *     requestBody:
  *       required: true
@@ -383,20 +998,37 @@ router.post('/2fa/disable', authenticate, TwoFactorController.disable);
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - token
+ *               - mfaToken
  *             properties:
- *               userId:
+ *               mfaToken:
  *                 type: string
- *                 example: 507f1f77bcf86cd799439011
- *                 description: User ID from login response
+ *                 description: From the requires2FA login response
  *               token:
  *                 type: string
  *                 example: "123456"
- *                 description: 6-digit code from authenticator app or 8-character backup code
+ *                 description: 6-digit code from authenticator app
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: Authenticator, email or WhatsApp code
+ *               backupCode:
+ *                 type: string
+ *                 example: A1B2C3D4
+ *                 description: One of the backup codes shown when 2FA was enabled; each works once
+ *               passkey:
+ *                 type: object
+ *                 description: Passkey assertion instead of a code (see /auth/2fa/passkey/options)
+ *                 properties:
+ *                   challengeToken:
+ *                     type: string
+ *                   response:
+ *                     type: object
+ *               rememberDevice:
+ *                 type: boolean
+ *                 description: Trust this browser so it skips the second factor (sets the trustedDevice cookie)
  *     responses:
  *       200:
- *         description: Token verified successfully
+ *         description: Login successful (or a password change is required)
  *         content:
  *           application/json:
  *             schema:
@@ -405,27 +1037,59 @@ router.post('/2fa/disable', authenticate, TwoFactorController.disable);
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 verified:
- *                   type: boolean
- *                   example: true
  *                 message:
  *                   type: string
- *                   example: Two-factor authentication successful
+ *                   example: Login successful
  *                 data:
  *                   type: object
  *                   properties:
  *                     accessToken:
  *                       type: string
- *                     refreshToken:
+ *                     expiresIn:
  *                       type: string
  *                     user:
  *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: Invalid or expired token
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or used token, invalid code, or account locked
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/2fa/verify', authLimiter, validateLoginVerification, AuthController.verifyLogin);
+
+/**
+ * @swagger
+ * /auth/2fa/passkey/options:
+ *   post:
+ *     summary: Get a passkey challenge for 2FA
+ *     description: WebAuthn options limited to the pending user's passkeys. Send the signed assertion as `passkey` to /auth/2fa/verify.
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authentication options and challenge token
+ *       400:
+ *         description: No pending 2FA verification or no passkeys registered
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/2fa/verify', TwoFactorController.verify);
+router.post(
+  '/2fa/passkey/options',
+  authLimiter,
+  validateMfaToken,
+  TwoFactorController.passkeyOptions
+);
 
 /**
  * @swagger
@@ -473,7 +1137,7 @@ router.get('/2fa/status', authenticate, TwoFactorController.getStatus);
  * /auth/2fa/email/send:
  *   post:
  *     summary: Send 2FA code via email
- *     description: Send a 6-digit verification code to user's email for 2FA
+ *     description: Email a 6-digit code for the login waiting for its second factor. Enter it at /auth/2fa/verify as `code`.
  *     tags: [Two-Factor Authentication]
  *     requestBody:
  *       required: true
@@ -482,16 +1146,11 @@ router.get('/2fa/status', authenticate, TwoFactorController.getStatus);
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - userId
+ *               - mfaToken
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: user@example.com
- *               userId:
+ *               mfaToken:
  *                 type: string
- *                 example: 507f1f77bcf86cd799439011
+ *                 description: From the requires2FA login response
  *     responses:
  *       200:
  *         description: Verification code sent successfully
@@ -506,22 +1165,29 @@ router.get('/2fa/status', authenticate, TwoFactorController.getStatus);
  *                 message:
  *                   type: string
  *                   example: Verification code sent to your email
- *                 expiresIn:
- *                   type: number
- *                   example: 600
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     channel:
+ *                       type: string
+ *                       enum: [email, whatsapp]
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: The code expires with the mfaToken
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/2fa/email/send', authLimiter, TwoFactorController.sendEmailCode);
+router.post('/2fa/email/send', authLimiter, validateMfaToken, TwoFactorController.sendEmailCode);
 
 /**
  * @swagger
- * /auth/2fa/email/verify:
+ * /auth/2fa/whatsapp/send:
  *   post:
- *     summary: Verify email 2FA code
- *     description: Verify the 6-digit code sent via email
+ *     summary: Send 2FA code via WhatsApp
+ *     description: Send a 6-digit code to the phone number on the account for the login waiting for its second factor. Enter it at /auth/2fa/verify as `code`.
  *     tags: [Two-Factor Authentication]
  *     requestBody:
  *       required: true
@@ -530,20 +1196,14 @@ router.post('/2fa/email/send', authLimiter, TwoFactorController.sendEmailCode);
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - code
+ *               - mfaToken
  *             properties:
- *               userId:
- *                 type: string
- *                 example: 507f1f77bcf86cd799439011
- *               code:
+ *               mfaToken:
  *                 type: string
- *                 minLength: 6
- *                 maxLength: 6
- *                 example: "123456"
+ *                 description: From the requires2FA login response
  *     responses:
  *       200:
- *         description: Code verified successfully
+ *         description: Verification code sent successfully
  *         content:
  *           application/json:
  *             schema:
@@ -552,26 +1212,67 @@ router.post('/2fa/email/send', authLimiter, TwoFactorController.sendEmailCode);
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 verified:
- *                   type: boolean
- *                   example: true
  *                 message:
  *                   type: string
- *                   example: Verification successful
+ *                   example: Verification code sent to your WhatsApp
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     channel:
+ *                       type: string
+ *                       enum: [email, whatsapp]
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: The code expires with the mfaToken
  *       400:
- *         description: Invalid or expired code
+ *         description: No verified phone number on the account, sent codes are disabled for 2FA users, or invalid token
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/2fa/email/verify', authLimiter, TwoFactorController.verifyEmailCode);
+router.post(
+  '/2fa/whatsapp/send',
+  authLimiter,
+  validateMfaToken,
+  TwoFactorController.sendWhatsAppCode
+);
 
 /**
  * @swagger
- * /auth/2fa/whatsapp/send:
+ * /auth/passkeys:
+ *   get:
+ *     summary: List your passkeys
+ *     tags: [Passkeys]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/passkeys', authenticate, PasskeyController.getPasskeys);
+
+/**
+ * @swagger
+ * /auth/passkeys/register/options:
  *   post:
- *     summary: Send 2FA code via WhatsApp
- *     description: Send a 6-digit verification code to user's WhatsApp for 2FA
- *     tags: [Two-Factor Authentication]
+ *     summary: Start passkey registration
+ *     description: Returns options for navigator.credentials.create() and a challenge token to send back with the result. Requires recent authentication.
+ *     tags: [Passkeys]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registration options and challenge token
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ * /auth/passkeys/register:
+ *   post:
+ *     summary: Finish passkey registration
+ *     tags: [Passkeys]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -579,47 +1280,57 @@ router.post('/2fa/email/verify', authLimiter, TwoFactorController.verifyEmailCod
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
- *               - userId
+ *               - challengeToken
+ *               - response
  *             properties:
- *               phoneNumber:
+ *               challengeToken:
  *                 type: string
- *                 example: "+1234567890"
- *                 description: Phone number with country code
- *               userId:
+ *               response:
+ *                 type: object
+ *                 description: Credential returned by navigator.credentials.create(), JSON-encoded
+ *               nickname:
  *                 type: string
- *                 example: 507f1f77bcf86cd799439011
+ *                 example: Work laptop
  *     responses:
- *       200:
- *         description: Verification code sent successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Verification code sent to your WhatsApp
- *                 expiresIn:
- *                   type: number
- *                   example: 600
+ *       201:
+ *         description: Passkey registered
  *       400:
- *         description: Invalid phone number or request
- *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: Verification failed or passkey limit reached
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/2fa/whatsapp/send', authLimiter, TwoFactorController.sendWhatsAppCode);
+router.post(
+  '/passkeys/register/options',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  PasskeyController.registrationOptions
+);
+router.post(
+  '/passkeys/register',
+  authenticate,
+  denyImpersonation,
+  validateRegisterPasskey,
+  PasskeyController.register
+);
 
 /**
  * @swagger
- * /auth/2fa/whatsapp/verify:
+ * /auth/passkeys/login/options:
  *   post:
- *     summary: Verify WhatsApp 2FA code
- *     description: Verify the 6-digit code sent via WhatsApp
- *     tags: [Two-Factor Authentication]
+ *     summary: Start passwordless passkey login
+ *     description: Returns options for navigator.credentials.get() and a challenge token to send back with the result
+ *     tags: [Passkeys]
+ *     responses:
+ *       200:
+ *         description: Authentication options and challenge token
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ * /auth/passkeys/login:
+ *   post:
+ *     summary: Log in with a passkey
+ *     description: Requires user verification on the authenticator, so 2FA is not asked for separately
+ *     tags: [Passkeys]
  *     requestBody:
  *       required: true
  *       content:
@@ -627,39 +1338,147 @@ router.post('/2fa/whatsapp/send', authLimiter, TwoFactorController.sendWhatsAppC
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - code
+ *               - challengeToken
+ *               - response
  *             properties:
- *               userId:
- *                 type: string
- *                 example: 507f1f77bcf86cd799439011
- *               code:
+ *               challengeToken:
  *                 type: string
- *                 minLength: 6
- *                 maxLength: 6
- *                 example: "123456"
+ *               response:
+ *                 type: object
+ *                 description: Assertion returned by navigator.credentials.get(), JSON-encoded
  *     responses:
  *       200:
- *         description: Code verified successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 verified:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Verification successful
- *       400:
- *         description: Invalid or expired code
+ *         description: Login successful
+ *       401:
+ *         description: Passkey not recognized, verification failed or account locked
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
-router.post('/2fa/whatsapp/verify', authLimiter, TwoFactorController.verifyWhatsAppCode);
+router.post('/passkeys/login/options', authLimiter, PasskeyController.loginOptions);
+router.post('/passkeys/login', authLimiter, validatePasskeyResponse, PasskeyController.login);
+
+/**
+ * @swagger
+ * /auth/passkeys/{passkeyId}:
+ *   patch:
+ *     summary: Rename a passkey
+ *     tags: [Passkeys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passkeyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nickname
+ *             properties:
+ *               nickname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey renamed
+ *       404:
+ *         description: Passkey not found
+ *   delete:
+ *     summary: Delete a passkey
+ *     description: Requires recent authentication
+ *     tags: [Passkeys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passkeyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey deleted
+ *       404:
+ *         description: Passkey not found
+ */
+router.patch(
+  '/passkeys/:passkeyId',
+  authenticate,
+  validateRenamePasskey,
+  PasskeyController.renamePasskey
+);
+router.delete(
+  '/passkeys/:passkeyId',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  PasskeyController.deletePasskey
+);
+
+/**
+ * @swagger
+ * /auth/trusted-devices:
+ *   get:
+ *     summary: List your trusted devices
+ *     description: |
+ *       Browsers remembered with `rememberDevice: true` when entering a second factor.
+ *       They skip the second factor until they expire. `current` marks this browser.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trusted devices retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Stop trusting all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All trusted devices revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/trusted-devices', authenticate, TrustedDeviceController.getTrustedDevices);
+router.delete(
+  '/trusted-devices',
+  authenticate,
+  denyImpersonation,
+  TrustedDeviceController.revokeAllTrustedDevices
+);
+
+/**
+ * @swagger
+ * /auth/trusted-devices/{deviceId}:
+ *   delete:
+ *     summary: Stop trusting a device
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       404:
+ *         description: Trusted device not found
+ */
+router.delete(
+  '/trusted-devices/:deviceId',
+  authenticate,
+  denyImpersonation,
+  TrustedDeviceController.revokeTrustedDevice
+);
 
 export default router;
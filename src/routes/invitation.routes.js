@@ -0,0 +1,126 @@
+import express from 'express';
+import InvitationController from '../controllers/invitationController.js';
+import {
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth,
+} from '../middleware/authentication.js';
+import { authorize } from '../middleware/authorization.js';
+import { validateCreateInvitation, validateListInvitations } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Sign-up invitations, required to register when REGISTRATION_OPEN=false (admin only)
+ */
+
+/**
+ * @swagger
+ * /invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Invitation tokens are never returned
+ *     tags: [Invitations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden (admin only)
+ *   post:
+ *     summary: Create an invitation
+ *     description: |
+ *       Invitations with an email address are emailed to it. The returned inviteUrl
+ *       contains the token and is shown only once. Requires a recent sign-in.
+ *     tags: [Invitations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Only this address can register with the invitation
+ *               allowedDomain:
+ *                 type: string
+ *                 example: example.com
+ *                 description: Only addresses at this domain can register with the invitation
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *                 default: user
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden (admin only) or re-authentication required
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['admin']),
+  validateListInvitations,
+  InvitationController.getInvitations
+);
+router.post(
+  '/',
+  authenticate,
+  denyImpersonation,
+  authorize(['admin']),
+  requireRecentAuth(),
+  validateCreateInvitation,
+  InvitationController.createInvitation
+);
+
+/**
+ * @swagger
+ * /invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: Pending invitation not found
+ */
+router.delete(
+  '/:invitationId',
+  authenticate,
+  authorize(['admin']),
+  InvitationController.revokeInvitation
+);
+
+export default router;
@@ -1,7 +1,11 @@
 import express from 'express';
 import passport from '../config/passport.js';
 import OAuthController from '../controllers/oauthController.js';
-import { authenticate } from '../middleware/authentication.js';
+import {
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth,
+} from '../middleware/authentication.js';
 import config from '../config/environment.js';
 
 const router = express.Router();
@@ -142,7 +146,7 @@ if (config.features.enableOAuth) {
    * /auth/oauth/unlink/{provider}:
    *   delete:
    *     summary: Unlink OAuth account
-   *     description: Unlinks an OAuth provider from the user account
+   *     description: Unlinks an OAuth provider from the user account (requires recent authentication)
    *     tags: [OAuth]
    *     security:
    *       - BearerAuth: []
@@ -171,9 +175,15 @@ if (config.features.enableOAuth) {
    *       400:
    *         description: Invalid provider or cannot unlink
    *       401:
-   *         $ref: '#/components/responses/UnauthorizedError'
+   *         $ref: '#/components/responses/ReauthenticationRequired'
    */
-  router.delete('/oauth/unlink/:provider', authenticate, OAuthController.unlinkOAuth);
+  router.delete(
+    '/oauth/unlink/:provider',
+    authenticate,
+    denyImpersonation,
+    requireRecentAuth(),
+    OAuthController.unlinkOAuth
+  );
 }
 
 export default router;
@@ -0,0 +1,311 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import OAuthServerController from '../controllers/oauthServerController.js';
+import {
+  allowOAuthClientTokens,
+  authenticate,
+  denyImpersonation,
+} from '../middleware/authentication.js';
+import { isAdmin } from '../middleware/authorization.js';
+
+const router = express.Router();
+
+// Rate limiter for the token endpoints
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: 'Too many token requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: OAuth Server
+ *   description: Built-in OAuth 2.1 / OpenID Connect authorization server
+ */
+
+/**
+ * @swagger
+ * /api/v1/oauth/authorize:
+ *   get:
+ *     summary: Start an authorization code request
+ *     description: Validates the request and redirects the browser to the login page (OAUTH_LOGIN_URL). PKCE with S256 is required.
+ *     tags: [OAuth Server]
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: openid profile email
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *     responses:
+ *       302:
+ *         description: Redirect to the login page, or to the client with an error
+ *       400:
+ *         description: Unknown client or unregistered redirect URI
+ *   post:
+ *     summary: Complete an authorization request for the signed-in user
+ *     description: Called by the login page with the original query parameters. Returns consentRequired until the user approves, then the client redirect URI with a code.
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approve:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Consent required, or redirect URI for the client
+ *       400:
+ *         description: Invalid authorization request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/authorize', OAuthServerController.authorize);
+router.post('/authorize', authenticate, denyImpersonation, OAuthServerController.decide);
+
+/**
+ * @swagger
+ * /api/v1/oauth/token:
+ *   post:
+ *     summary: Exchange an authorization code, refresh token or client credentials for tokens
+ *     description: Confidential clients authenticate with HTTP Basic or client_secret in the body; public clients send client_id only. Service clients use client_credentials and receive an access token only.
+ *     tags: [OAuth Server]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, refresh_token, client_credentials]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               refresh_token:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 description: client_credentials only; defaults to every scope the client is allowed
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and (for openid) ID token
+ *       400:
+ *         description: OAuth error (invalid_grant, invalid_request, ...)
+ *       401:
+ *         description: Client authentication failed
+ */
+router.post('/token', tokenLimiter, OAuthServerController.token);
+
+/**
+ * @swagger
+ * /api/v1/oauth/revoke:
+ *   post:
+ *     summary: Revoke an access or refresh token (RFC 7009)
+ *     tags: [OAuth Server]
+ *     responses:
+ *       200:
+ *         description: Token revoked (or was not valid)
+ *       401:
+ *         description: Client authentication failed
+ */
+router.post('/revoke', tokenLimiter, OAuthServerController.revoke);
+
+/**
+ * @swagger
+ * /api/v1/oauth/userinfo:
+ *   get:
+ *     summary: OpenID Connect userinfo
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claims for the granted scopes
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Token lacks the openid scope
+ */
+router.get('/userinfo', allowOAuthClientTokens, authenticate, OAuthServerController.userinfo);
+router.post('/userinfo', allowOAuthClientTokens, authenticate, OAuthServerController.userinfo);
+
+/**
+ * @swagger
+ * /api/v1/oauth/consents:
+ *   get:
+ *     summary: List applications the current user has authorized
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authorized applications
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/consents', authenticate, OAuthServerController.getConsents);
+
+/**
+ * @swagger
+ * /api/v1/oauth/consents/{clientId}:
+ *   delete:
+ *     summary: Revoke the current user's consent for an application
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent revoked
+ *       404:
+ *         description: Consent not found
+ */
+router.delete(
+  '/consents/:clientId',
+  authenticate,
+  denyImpersonation,
+  OAuthServerController.revokeConsent
+);
+
+/**
+ * @swagger
+ * /api/v1/oauth/clients:
+ *   get:
+ *     summary: List client applications
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered clients
+ *       403:
+ *         description: Forbidden (admin only)
+ *   post:
+ *     summary: Register a client application
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               clientType:
+ *                 type: string
+ *                 enum: [public, confidential]
+ *               redirectUris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grantTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [authorization_code, refresh_token, client_credentials]
+ *                 description: Use [client_credentials] alone for a service client
+ *               allowedScopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: OIDC scopes, or PERMISSIONS values (e.g. user:list) for service clients
+ *               skipConsent:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Client registered (secret returned once for confidential clients)
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/clients', authenticate, isAdmin, OAuthServerController.getClients);
+router.post('/clients', authenticate, isAdmin, OAuthServerController.createClient);
+
+/**
+ * @swagger
+ * /api/v1/oauth/clients/{clientId}:
+ *   delete:
+ *     summary: Deactivate a client application
+ *     tags: [OAuth Server]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deactivated
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: Client not found
+ */
+router.delete('/clients/:clientId', authenticate, isAdmin, OAuthServerController.deactivateClient);
+
+export default router;
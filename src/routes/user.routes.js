@@ -1,16 +1,42 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import UserController from '../controllers/userController.js';
-import { authenticate } from '../middleware/authentication.js';
-import { isAdmin, canModify, preventSelfAction } from '../middleware/authorization.js';
+import {
+  allowServiceClients,
+  authenticate,
+  authenticateWithApiKey,
+  denyImpersonation,
+  requireRecentAuth,
+} from '../middleware/authentication.js';
+import {
+  isAdmin,
+  canModify,
+  preventSelfAction,
+  requirePermission,
+  requireScope,
+  unlessServiceClient,
+} from '../middleware/authorization.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import {
   validateUserId,
   validateUpdateUser,
   validatePagination,
   validateRole,
+  validateImpersonation,
+  validateDataExportToken,
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
+// Rate limiter for data export downloads (the link is the only credential)
+const exportDownloadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many download attempts, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * @swagger
  * /users/me:
@@ -20,6 +46,7 @@ const router = express.Router();
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: User profile retrieved successfully
@@ -36,14 +63,21 @@ const router = express.Router();
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/me', authenticate, UserController.getMyProfile);
+router.get(
+  '/me',
+  authenticateWithApiKey,
+  requireScope(PERMISSIONS.PROFILE_READ),
+  UserController.getMyProfile
+);
 
 /**
  * @swagger
  * /users/me:
  *   patch:
  *     summary: Update current user profile
- *     description: Update authenticated user's profile information
+ *     description: |
+ *       Update authenticated user's profile information. The email and phone number
+ *       cannot be changed here; use POST /auth/change-email and POST /auth/change-phone.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -59,10 +93,6 @@ router.get('/me', authenticate, UserController.getMyProfile);
  *               lastName:
  *                 type: string
  *                 example: Doe
- *               email:
- *                 type: string
- *                 format: email
- *                 example: john.doe@example.com
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -71,7 +101,106 @@ router.get('/me', authenticate, UserController.getMyProfile);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.patch('/me', authenticate, validateUpdateUser, UserController.updateMyProfile);
+router.patch(
+  '/me',
+  authenticate,
+  denyImpersonation,
+  validateUpdateUser,
+  UserController.updateMyProfile
+);
+
+/**
+ * @swagger
+ * /users/me:
+ *   delete:
+ *     summary: Delete your account
+ *     description: |
+ *       Deactivates the account, signs out every session and schedules the account
+ *       for permanent deletion after the grace period (ACCOUNT_DELETION_GRACE_DAYS).
+ *       The confirmation email has a link to cancel until then. Requires recent authentication.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Deletion already requested
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ */
+router.delete(
+  '/me',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  UserController.deleteMyAccount
+);
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   get:
+ *     summary: Export your data
+ *     description: |
+ *       Starts building an archive of everything held about you: account, decrypted
+ *       profile, linked OAuth accounts, sessions, 2FA status, API keys and audit history.
+ *       The archive is built in the background; the download link is returned here and
+ *       emailed when it is ready. It expires after DATA_EXPORT_EXPIRES_HOURS.
+ *       Requires recent authentication.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ *       409:
+ *         description: An export is already being prepared
+ */
+router.get(
+  '/me/export',
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth(),
+  UserController.exportMyData
+);
+
+/**
+ * @swagger
+ * /users/exports/{token}:
+ *   get:
+ *     summary: Download a data export
+ *     description: The token from the download link is the only credential needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gzipped JSON archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       202:
+ *         description: Export is still being prepared
+ *       404:
+ *         description: Export not found or expired
+ *       429:
+ *         description: Too many download attempts
+ */
+router.get(
+  '/exports/:token',
+  exportDownloadLimiter,
+  validateDataExportToken,
+  UserController.downloadDataExport
+);
 
 /**
  * @swagger
@@ -82,6 +211,7 @@ router.patch('/me', authenticate, validateUpdateUser, UserController.updateMyPro
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -134,7 +264,15 @@ router.patch('/me', authenticate, validateUpdateUser, UserController.updateMyPro
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.get('/', authenticate, isAdmin, validatePagination, UserController.getAllUsers);
+router.get(
+  '/',
+  allowServiceClients,
+  authenticateWithApiKey,
+  unlessServiceClient(isAdmin),
+  requirePermission(PERMISSIONS.USER_LIST),
+  validatePagination,
+  UserController.getAllUsers
+);
 
 /**
  * @swagger
@@ -145,6 +283,7 @@ router.get('/', authenticate, isAdmin, validatePagination, UserController.getAll
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -162,14 +301,23 @@ router.get('/', authenticate, isAdmin, validatePagination, UserController.getAll
  *       404:
  *         description: User not found
  */
-router.get('/:userId', authenticate, validateUserId, UserController.getUserById);
+router.get(
+  '/:userId',
+  allowServiceClients,
+  authenticateWithApiKey,
+  requireScope(PERMISSIONS.USER_READ),
+  validateUserId,
+  UserController.getUserById
+);
 
 /**
  * @swagger
  * /users/{userId}:
  *   patch:
  *     summary: Update user
- *     description: Update user information (Admin or owner only)
+ *     description: |
+ *       Update a user's name (Admin or owner only). The email address is changed
+ *       with POST /auth/change-email and the phone number with POST /auth/change-phone.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -190,9 +338,6 @@ router.get('/:userId', authenticate, validateUserId, UserController.getUserById)
  *                 type: string
  *               lastName:
  *                 type: string
- *               email:
- *                 type: string
- *                 format: email
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -202,7 +347,7 @@ router.get('/:userId', authenticate, validateUserId, UserController.getUserById)
  *         description: Forbidden
  *   delete:
  *     summary: Delete user
- *     description: Delete user account (Admin only)
+ *     description: Delete user account (Admin only, requires recent authentication)
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -217,7 +362,7 @@ router.get('/:userId', authenticate, validateUserId, UserController.getUserById)
  *       200:
  *         description: User deleted successfully
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         $ref: '#/components/responses/ReauthenticationRequired'
  *       403:
  *         description: Forbidden - Admin access required
  *       404:
@@ -226,20 +371,28 @@ router.get('/:userId', authenticate, validateUserId, UserController.getUserById)
 router.patch(
   '/:userId',
   authenticate,
+  denyImpersonation,
   validateUserId,
   canModify('userId'),
   validateUpdateUser,
   UserController.updateUser
 );
 
-router.delete('/:userId', authenticate, isAdmin, validateUserId, UserController.deleteUser);
+router.delete(
+  '/:userId',
+  authenticate,
+  isAdmin,
+  requireRecentAuth(),
+  validateUserId,
+  UserController.deleteUser
+);
 
 /**
  * @swagger
  * /users/{userId}/role:
  *   patch:
  *     summary: Update user role
- *     description: Update user's role (Admin only, cannot modify self)
+ *     description: Update user's role (Admin only, cannot modify self, requires recent authentication)
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -267,7 +420,7 @@ router.delete('/:userId', authenticate, isAdmin, validateUserId, UserController.
  *       200:
  *         description: User role updated successfully
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         $ref: '#/components/responses/ReauthenticationRequired'
  *       403:
  *         description: Forbidden - Cannot modify self or admin access required
  */
@@ -275,6 +428,7 @@ router.patch(
   '/:userId/role',
   authenticate,
   isAdmin,
+  requireRecentAuth(),
   preventSelfAction(),
   validateUserId,
   validateRole,
@@ -286,7 +440,7 @@ router.patch(
  * /users/{userId}/status:
  *   patch:
  *     summary: Update user status
- *     description: Activate or deactivate user account (Admin only, cannot modify self)
+ *     description: Activate or deactivate user account (Admin only, cannot modify self, requires recent authentication)
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -313,7 +467,7 @@ router.patch(
  *       200:
  *         description: User status updated successfully
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         $ref: '#/components/responses/ReauthenticationRequired'
  *       403:
  *         description: Forbidden - Cannot modify self or admin access required
  */
@@ -321,9 +475,105 @@ router.patch(
   '/:userId/status',
   authenticate,
   isAdmin,
+  requireRecentAuth(),
   preventSelfAction(),
   validateUserId,
   UserController.updateUserStatus
 );
 
+/**
+ * @swagger
+ * /users/{userId}/impersonate:
+ *   post:
+ *     summary: Impersonate a user
+ *     description: |
+ *       Issues a short-lived access token that acts as the user, for support.
+ *       Only users with a lower role can be impersonated. The token carries an
+ *       `act` claim naming the admin, cannot be refreshed, cannot change passwords,
+ *       2FA, passkeys or API keys, and every request made with it is written to
+ *       the audit log. Requires recent authentication.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Support ticket 4821
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: User is inactive
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ *       403:
+ *         description: Forbidden - Cannot impersonate self, an equal or higher role, or admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:userId/impersonate',
+  authenticate,
+  denyImpersonation,
+  isAdmin,
+  requireRecentAuth(),
+  preventSelfAction(),
+  validateUserId,
+  validateImpersonation,
+  UserController.impersonateUser
+);
+
+/**
+ * @swagger
+ * /users/{userId}/export:
+ *   get:
+ *     summary: Export a user's data
+ *     description: |
+ *       Admin equivalent of GET /users/me/export, e.g. to answer a data-subject request
+ *       made outside the app. The download link is returned to and emailed to the admin.
+ *       Requires recent authentication.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       401:
+ *         $ref: '#/components/responses/ReauthenticationRequired'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: An export is already being prepared
+ */
+router.get(
+  '/:userId/export',
+  authenticate,
+  denyImpersonation,
+  isAdmin,
+  requireRecentAuth(),
+  validateUserId,
+  UserController.exportUserData
+);
+
 export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import WellKnownController from '../controllers/wellKnownController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Well-Known
+ *   description: Public discovery endpoints
+ */
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set for verifying access tokens
+ *     tags: [Well-Known]
+ *     responses:
+ *       200:
+ *         description: Public signing keys (active and recently retired)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/jwks.json', WellKnownController.getJwks);
+
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Connect discovery document
+ *     tags: [Well-Known]
+ *     responses:
+ *       200:
+ *         description: Issuer metadata and endpoint locations
+ */
+router.get('/openid-configuration', WellKnownController.getOpenIdConfiguration);
+
+export default router;
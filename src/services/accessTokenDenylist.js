@@ -0,0 +1,89 @@
+import { getRedisClient, isRedisConnected } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Access Token Denylist
+ * Records revoked access token IDs (jti) until the token would have expired anyway.
+ * Stored in Redis so every instance sees the same list; falls back to a
+ * process-local Map when Redis is unavailable.
+ */
+
+const KEY_PREFIX = 'jwt:denylist:';
+
+// Fallback store: jti -> expiry timestamp (ms)
+const memoryDenylist = new Map();
+
+/**
+ * Add a token ID to the denylist
+ * @param {string} jti - Token ID
+ * @param {number} expiresAt - Token expiry as a Unix timestamp in milliseconds
+ */
+export const denyToken = async (jti, expiresAt) => {
+  const ttlSeconds = Math.ceil((expiresAt - Date.now()) / 1000);
+
+  // Already expired tokens are rejected by signature verification
+  if (ttlSeconds <= 0) {
+    return false;
+  }
+
+  if (isRedisConnected()) {
+    try {
+      await getRedisClient().setEx(`${KEY_PREFIX}${jti}`, ttlSeconds, '1');
+      return true;
+    } catch (error) {
+      logger.error('Failed to write access token denylist entry to Redis:', error);
+    }
+  }
+
+  memoryDenylist.set(jti, expiresAt);
+  return true;
+};
+
+/**
+ * Check whether a token ID has been denied
+ */
+export const isTokenDenied = async (jti) => {
+  if (!jti) {
+    return false;
+  }
+
+  if (memoryDenylist.has(jti)) {
+    if (memoryDenylist.get(jti) > Date.now()) {
+      return true;
+    }
+    memoryDenylist.delete(jti);
+  }
+
+  if (isRedisConnected()) {
+    try {
+      return (await getRedisClient().exists(`${KEY_PREFIX}${jti}`)) === 1;
+    } catch (error) {
+      logger.error('Failed to read access token denylist from Redis:', error);
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Remove expired entries from the in-memory fallback
+ */
+export const cleanupDenylist = () => {
+  const now = Date.now();
+  let count = 0;
+
+  for (const [jti, expiresAt] of memoryDenylist) {
+    if (expiresAt <= now) {
+      memoryDenylist.delete(jti);
+      count++;
+    }
+  }
+
+  return count;
+};
+
+export default {
+  denyToken,
+  isTokenDenied,
+  cleanupDenylist,
+};
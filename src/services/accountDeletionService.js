@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import DataExport from '../models/DataExport.js';
+import OAuthAuthorizationCode from '../models/OAuthAuthorizationCode.js';
+import OAuthConsent from '../models/OAuthConsent.js';
+import Passkey from '../models/Passkey.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import User from '../models/User.mongoose.js';
+import emailService from './emailService.js';
+import TokenService from './tokenService.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Account Deletion Service
+ * Self-service account deletion with a grace period
+ *
+ * A deletion request deactivates the account and schedules it for purging
+ * after ACCOUNT_DELETION_GRACE_DAYS. Until then the user can cancel with the
+ * link from the confirmation email. Purging deletes the user, their encrypted
+ * profile, credentials and sessions; audit log entries are kept for security
+ * records but pseudonymized (the user ID is swapped for a random one that is
+ * not stored anywhere, and email, username, IP address, user agent and the
+ * personal details listed below are removed).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit log details that identify the user, their contact details or their devices
+const PERSONAL_AUDIT_DETAILS = [
+  'email',
+  'oldEmail',
+  'newEmail',
+  'previousEmail',
+  'revertedEmail',
+  'phoneNumber',
+  'previousPhoneNumber',
+  'ipAddress',
+  'location',
+  'fingerprint',
+  'subnet',
+];
+
+let purgeTimer = null;
+
+class AccountDeletionService {
+  /**
+   * Deactivate an account and schedule it for deletion
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Date>} When the account will be purged
+   */
+  static async requestDeletion(userId, context = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.deletionScheduledFor) {
+      throw new Error('Account deletion has already been requested');
+    }
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(
+      requestedAt.getTime() + config.accountDeletion.gracePeriodDays * DAY_MS
+    );
+
+    await User.updateOne(
+      { _id: user._id },
+      { isActive: false, deletionRequestedAt: requestedAt, deletionScheduledFor: scheduledFor }
+    );
+
+    // Sign the user out everywhere
+    await TokenService.revokeAllUserSessions(user.id);
+
+    await AuditLog.logEvent('ACCOUNT_DELETION_REQUESTED', {
+      userId: user.id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { scheduledFor },
+      severity: 'high',
+    });
+
+    try {
+      const token = TokenService.generateDeletionCancelToken(user.id, requestedAt, scheduledFor);
+      await emailService.sendAccountDeletionEmail(
+        user.email,
+        token,
+        user.firstName || user.username,
+        scheduledFor
+      );
+    } catch (error) {
+      logger.error(`Failed to send account deletion email to user ${user.id}:`, error.message);
+    }
+
+    logger.info(`Account deletion requested for user ${user.id}, scheduled for ${scheduledFor}`);
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion with the token from the confirmation email
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async cancelDeletion(token, context = {}) {
+    const decoded = TokenService.verifyDeletionCancelToken(token);
+
+    // Only the request the token was issued for can be cancelled with it
+    const result = await User.updateOne(
+      {
+        _id: decoded.userId,
+        deletionRequestedAt: new Date(decoded.requestedAt),
+        deletionScheduledFor: { $gt: new Date() },
+      },
+      {
+        $set: { isActive: true },
+        $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Invalid cancellation link');
+    }
+
+    await AuditLog.logEvent('ACCOUNT_DELETION_CANCELLED', {
+      userId: decoded.userId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      severity: 'medium',
+    });
+
+    logger.info(`Account deletion cancelled for user ${decoded.userId}`);
+  }
+
+  /**
+   * Permanently delete an account and everything tied to it
+   * @returns {Promise<string>} The pseudonymous ID now used in the audit log
+   */
+  static async purgeAccount(userId) {
+    const pseudonymousId = new mongoose.Types.ObjectId();
+
+    // Sessions first: the MongoDB token store lives on the user document
+    await TokenService.deleteAllUserTokens(userId);
+
+    // Imported here: the profile model's encryption plugin needs ENCRYPTION_KEY at load time
+    const { default: UserProfile } = await import('../models/UserProfile.mongoose.js');
+    await UserProfile.deleteOne({ userId });
+    await Passkey.deleteMany({ userId });
+    await TrustedDevice.deleteMany({ userId });
+    await ApiKey.deleteMany({ userId });
+    await OAuthConsent.deleteMany({ userId });
+    await OAuthAuthorizationCode.deleteMany({ userId });
+    await DataExport.deleteMany({ userId });
+
+    await AuditLog.updateMany(
+      { userId },
+      {
+        $set: { userId: pseudonymousId },
+        $unset: {
+          email: 1,
+          username: 1,
+          ip: 1,
+          userAgent: 1,
+          ...Object.fromEntries(PERSONAL_AUDIT_DETAILS.map((key) => [`details.${key}`, 1])),
+        },
+      }
+    );
+    // Requests made while impersonating came from this user's own browser
+    await AuditLog.updateMany(
+      { impersonatorId: userId },
+      { $set: { impersonatorId: pseudonymousId }, $unset: { ip: 1, userAgent: 1 } }
+    );
+
+    await User.deleteOne({ _id: userId });
+
+    await AuditLog.logEvent('ACCOUNT_PURGED', {
+      userId: pseudonymousId,
+      severity: 'high',
+    });
+
+    logSecurityEvent('ACCOUNT_PURGED', {
+      pseudonymousId: pseudonymousId.toString(),
+    });
+
+    return pseudonymousId.toString();
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<number>} Number of accounts purged
+   */
+  static async purgeDueAccounts(now = new Date()) {
+    const users = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id');
+    let count = 0;
+
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user._id);
+        count++;
+      } catch (error) {
+        logger.error(`Failed to purge account ${user._id}:`, error.message);
+      }
+    }
+
+    if (count > 0) {
+      logger.info(`Purged ${count} deleted accounts`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Check for accounts due for purging every hour
+   */
+  static startPurgeSchedule() {
+    if (purgeTimer) {
+      return;
+    }
+
+    purgeTimer = setInterval(
+      () => {
+        this.purgeDueAccounts().catch((error) => {
+          logger.error('Error purging deleted accounts:', error.message);
+        });
+      },
+      60 * 60 * 1000
+    );
+    purgeTimer.unref();
+  }
+}
+
+export default AccountDeletionService;
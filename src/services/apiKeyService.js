@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import { getRolePermissions, PERMISSIONS } from '../config/permissions.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.mongoose.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * API Key Service
+ * Personal API keys for programmatic access
+ *
+ * Keys are shown once on creation and stored as an HMAC keyed with
+ * API_KEY_SALT, so a database leak alone does not expose usable keys.
+ */
+
+const KEY_PREFIX = 'ak_';
+const KEY_PATTERN = /^ak_[A-Za-z0-9_-]{43}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EXPIRY_DAYS = 90;
+export const MAX_EXPIRY_DAYS = 365;
+export const MAX_ACTIVE_KEYS = 10;
+
+// Skip last-used writes for keys used again within this window
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Generate a new random key and its display prefix
+   */
+  static generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.substring(0, KEY_PREFIX.length + 8) };
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   */
+  static hashKey(key) {
+    if (!config.apiKey.salt) {
+      throw new Error('API keys are not configured (API_KEY_SALT is missing)');
+    }
+    return crypto.createHmac('sha256', config.apiKey.salt).update(key).digest('hex');
+  }
+
+  /**
+   * Check requested scopes against the known permissions and the user's role
+   */
+  static validateScopes(scopes, role) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const known = Object.values(PERMISSIONS);
+    const unknown = scopes.filter((scope) => !known.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+    }
+
+    // A key can never do more than its owner
+    const rolePermissions = getRolePermissions(role);
+    const notAllowed = scopes.filter((scope) => !rolePermissions.includes(scope));
+    if (notAllowed.length > 0) {
+      throw new Error(`Your role does not have scope(s): ${notAllowed.join(', ')}`);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Create a key for a user
+   * @returns {Promise<{apiKey: Object, key: string}>} key is only available here
+   */
+  static async createKey(user, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+    const validScopes = this.validateScopes(scopes, user.role);
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new Error(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      userId: user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      throw new Error(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`);
+    }
+
+    const { key, prefix } = this.generateKey();
+
+    const apiKey = await ApiKey.create({
+      userId: user.id,
+      name,
+      keyHash: this.hashKey(key),
+      prefix,
+      scopes: validScopes,
+      expiresAt: new Date(Date.now() + days * DAY_MS),
+    });
+
+    logSecurityEvent('API_KEY_CREATED', {
+      userId: user.id,
+      keyId: apiKey.id,
+      prefix,
+      scopes: validScopes,
+      expiresAt: apiKey.expiresAt,
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List a user's keys (newest first)
+   */
+  static listKeys(userId) {
+    return ApiKey.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @returns {Promise<Object|null>} The revoked key, or null if not found
+   */
+  static async revokeKey(userId, keyId) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, userId, revokedAt: { $exists: false } },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (apiKey) {
+      logSecurityEvent('API_KEY_REVOKED', {
+        userId,
+        keyId: apiKey.id,
+        prefix: apiKey.prefix,
+      });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Resolve a presented key to its record and owner
+   * @throws {Error} If the key is invalid, expired, revoked or its owner is inactive
+   */
+  static async authenticate(key, ip) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new Error('Invalid API key');
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(key) });
+
+    if (!apiKey) {
+      throw new Error('Invalid API key');
+    }
+
+    if (!apiKey.isUsable()) {
+      throw new Error('API key has expired or been revoked');
+    }
+
+    const user = await User.findById(apiKey.userId);
+
+    if (!user || !user.isActive) {
+      throw new Error('Account is inactive');
+    }
+
+    this.recordUsage(apiKey, ip);
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Record last-used time and IP without holding up the request
+   */
+  static recordUsage(apiKey, ip) {
+    const recentlyRecorded =
+      apiKey.lastUsedAt &&
+      apiKey.lastUsedIp === ip &&
+      Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_WRITE_INTERVAL_MS;
+
+    if (recentlyRecorded) {
+      return;
+    }
+
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip }).catch(
+      (error) => {
+        logger.error('Error recording API key usage:', error.message);
+      }
+    );
+  }
+}
+
+export default ApiKeyService;
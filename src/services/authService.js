@@ -1,6 +1,20 @@
+import crypto from 'crypto';
 import User from '../models/User.mongoose.js';
 import AuditLog from '../models/AuditLog.js';
+import PasswordPolicy from '../models/PasswordPolicy.js';
+import config from '../config/environment.js';
 import TokenService from './tokenService.js';
+import TrustedDeviceService from './trustedDeviceService.js';
+import emailService from './emailService.js';
+import BreachedPasswordService from './breachedPasswordService.js';
+import InvitationService from './invitationService.js';
+import LoginRiskService from './loginRiskService.js';
+import PasskeyService from './passkeyService.js';
+import PasswordExpiryService from './passwordExpiryService.js';
+import RegistrationPolicyService from './registrationPolicyService.js';
+import twoFactorService from './twoFactorService.js';
+import whatsappService from './whatsappService.js';
+import { parseUserAgent } from '../utils/deviceInfo.js';
 import logger, { logSecurityEvent } from '../utils/logger.js';
 
 /**
@@ -8,18 +22,52 @@ import logger, { logSecurityEvent } from '../utils/logger.js';
  * Handles user registration, login, logout, and token refresh
  */
 
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// RFC 8176 amr value for each second factor of a held-back login
+const SECOND_FACTOR_AMR = {
+  totp: 'otp',
+  backup_code: 'otp',
+  email: 'otp',
+  whatsapp: 'sms',
+  passkey: 'hwk',
+};
+
 class AuthService {
   /**
    * Register a new user
    */
-  static async register(userData) {
+  static async register(userData, context = {}) {
     try {
+      // Allowed/denied domains and disposable addresses
+      await RegistrationPolicyService.assertEmailAllowed(userData.email, context);
+
       // Validate password strength
-      const passwordValidation = User.validatePasswordStrength(userData.password);
+      const passwordValidation = User.validatePasswordStrength(
+        userData.password,
+        await PasswordPolicy.getPolicy()
+      );
       if (!passwordValidation.isValid) {
         throw new Error(passwordValidation.errors.join(', '));
       }
 
+      const passwordWarning = await BreachedPasswordService.checkNewPassword(userData.password, {
+        email: userData.email,
+        action: 'register',
+      });
+
+      // REGISTRATION_OPEN=false: sign-up by invitation only
+      let invitation = null;
+      if (userData.invitationToken) {
+        invitation = await InvitationService.claimInvitation(
+          userData.invitationToken,
+          userData.email
+        );
+      } else if (!config.registration.open) {
+        throw new Error('Registration is by invitation only');
+      }
+
       // Create user
       const user = new User({
         email: userData.email,
@@ -27,9 +75,20 @@ class AuthService {
         password: userData.password,
         firstName: userData.firstName,
         lastName: userData.lastName,
-        role: userData.role || 'user', // Default to 'user' role
+        // Default to 'user' role; invitations carry their own
+        role: invitation ? invitation.role : userData.role || 'user',
+        // The invitation link was emailed to this address
+        isEmailVerified: Boolean(invitation?.email),
       });
-      await user.save();
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (invitation) {
+          await InvitationService.releaseInvitation(invitation);
+        }
+        throw error;
+      }
 
       // Log security event
       logSecurityEvent('USER_REGISTERED', {
@@ -38,18 +97,38 @@ class AuthService {
         username: user.username,
       });
 
+      if (invitation) {
+        await InvitationService.completeInvitation(invitation, user, context);
+      }
+
+      if (!user.isEmailVerified) {
+        await this.sendEmailVerification(user);
+      }
+
+      // No session until the email is verified when verification is required
+      if (config.emailVerification.required && !user.isEmailVerified) {
+        logger.info(`User registered, awaiting email verification: ${user.email}`);
+        return { user: user.toJSON(), tokens: null, passwordWarning };
+      }
+
       // Generate tokens
-      const tokens = TokenService.generateTokenPair({
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-      });
+      const tokens = await TokenService.generateTokenPair(
+        {
+          userId: user.id,
+          email: user.email,
+          role: user.role,
+          authTime: new Date(),
+          amr: ['pwd'],
+        },
+        { context }
+      );
 
       logger.info(`User registered successfully: ${user.email}`);
 
       return {
         user: user.toJSON(),
         tokens,
+        passwordWarning,
       };
     } catch (error) {
       logger.error('Registration error:', error.message);
@@ -59,8 +138,11 @@ class AuthService {
 
   /**
    * Login user
+   * @param {Object} context - { ip, userAgent, location, clientHints, trustedDeviceToken }
    */
-  static async login(credentials, ipAddress, userAgent) {
+  static async login(credentials, context = {}) {
+    const { ip: ipAddress, userAgent, location = null, clientHints = null } = context;
+
     try {
       const { email, password } = credentials;
       // Find user by email
@@ -76,83 +158,825 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
-      // Check if account is locked
-      if (user.isLocked()) {
-        const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+      this.assertCanLogin(user, { email, ipAddress, userAgent });
+
+      // Verify password
+      const isPasswordValid = await user.comparePassword(password);
+
+      if (!isPasswordValid) {
+        await user.incLoginAttempts();
         logSecurityEvent('LOGIN_FAILED', {
           userId: user.id,
           email,
-          reason: 'Account locked',
+          reason: 'Invalid password',
+          attempts: user.loginAttempts,
           ipAddress,
           userAgent,
         });
-        throw new Error(`Account locked. Try again in ${lockTimeRemaining} minutes`);
+        throw new Error('Invalid credentials');
       }
 
-      // Check if account is active
-      if (!user.isActive) {
-        logSecurityEvent('LOGIN_FAILED', {
-          userId: user.id,
-          email,
-          reason: 'Account inactive',
-          ipAddress,
-          userAgent,
-        });
-        throw new Error('Account is inactive. Please contact support.');
+      // Checked after the password so it does not reveal which accounts exist
+      this.assertEmailVerified(user, { email, ipAddress, userAgent });
+
+      await BreachedPasswordService.flagOnLogin(user, password);
+
+      // 2FA users always need a second factor; others only when the login looks unusual
+      const risk = await LoginRiskService.evaluate(user, {
+        ipAddress,
+        userAgent,
+        location,
+        clientHints,
+      });
+      if (
+        (user.twoFactorEnabled || risk.requiresVerification) &&
+        !(await TrustedDeviceService.isTrusted(user, context.trustedDeviceToken, context))
+      ) {
+        return await this.startLoginVerification(user, risk, { ipAddress, userAgent });
       }
 
-      // Verify password
-      const isPasswordValid = await user.comparePassword(password);
+      return await this.finishLogin(user, {
+        ipAddress,
+        userAgent,
+        location,
+        amr: ['pwd'],
+        risk,
+      });
+    } catch (error) {
+      logger.error('Login error:', error.message);
+      throw error;
+    }
+  }
 
-      if (!isPasswordValid) {
+  /**
+   * Finish a login once every factor it needs has been checked
+   * Password, magic link and passkey logins all end here, so an expired or
+   * admin-reset password has to be changed whichever way the user signs in.
+   * @param {Object} options - { ipAddress, userAgent, location, clientHints, method, amr, risk }
+   */
+  static async finishLogin(
+    user,
+    { ipAddress, userAgent, location, clientHints, method = 'password', amr, risk }
+  ) {
+    const passwordChangeReason = await PasswordExpiryService.getRequiredChangeReason(user);
+    if (passwordChangeReason) {
+      return this.startPasswordChangeLogin(user, passwordChangeReason, {
+        ipAddress,
+        userAgent,
+        amr,
+      });
+    }
+
+    return this.completeLogin(user, {
+      ipAddress,
+      userAgent,
+      location,
+      clientHints,
+      method,
+      amr,
+      risk,
+    });
+  }
+
+  /**
+   * Hold back a password login until the user enters a second factor
+   * 2FA users choose from their methods (codes are sent on request); everyone
+   * else is held back by risk alone and is emailed a code straight away.
+   * @param {Object} risk - Result of LoginRiskService.evaluate
+   * @returns {Promise<Object>} { requires2FA, mfaToken, methods, expiresIn }
+   */
+  static async startLoginVerification(user, risk, { ipAddress, userAgent }) {
+    const reason = user.twoFactorEnabled ? '2fa' : 'risk';
+    const methods = await this.getLoginVerificationMethods(user);
+    const code = reason === 'risk' ? twoFactorService.generateVerificationCode() : null;
+
+    // Issuing a new token invalidates any earlier one and its codes
+    const { token, tokenId } = TokenService.generateMfaPendingToken(user.id, {
+      reason,
+      amr: ['pwd'],
+      riskScore: risk.score,
+    });
+    await User.updateOne(
+      { _id: user._id },
+      {
+        mfaPendingTokenId: tokenId,
+        mfaAttempts: 0,
+        ...(code ? { mfaEmailCode: this.hashLoginCode(code) } : {}),
+        $unset: code ? { mfaWhatsAppCode: 1 } : { mfaEmailCode: 1, mfaWhatsAppCode: 1 },
+      }
+    );
+
+    if (code) {
+      await this.deliverLoginCode(user, 'email', code);
+    }
+
+    await AuditLog.logEvent('LOGIN_VERIFICATION_REQUIRED', {
+      userId: user._id,
+      email: user.email,
+      ip: ipAddress,
+      userAgent,
+      details: {
+        reason,
+        riskScore: risk.score,
+        riskLevel: risk.level,
+        riskFactors: risk.factors,
+        methods,
+      },
+      severity: reason === 'risk' ? 'medium' : 'low',
+    });
+
+    logSecurityEvent('LOGIN_VERIFICATION_REQUIRED', {
+      userId: user.id,
+      email: user.email,
+      reason,
+      riskScore: risk.score,
+      riskFactors: risk.factors,
+      ipAddress,
+      userAgent,
+    });
+
+    return {
+      requires2FA: true,
+      mfaToken: token,
+      methods,
+      expiresIn: config.loginRisk.verificationExpiresIn,
+    };
+  }
+
+  /**
+   * Second factors a user can finish a held-back login with
+   * @returns {Promise<string[]>} Subset of totp, backup_code, passkey, email, whatsapp
+   */
+  static async getLoginVerificationMethods(user) {
+    const methods = [];
+
+    if (user.twoFactorEnabled) {
+      methods.push('totp', 'backup_code');
+      if ((await PasskeyService.listPasskeys(user._id)).length > 0) {
+        methods.push('passkey');
+      }
+    }
+
+    if (this.allowsSentLoginCodes(user)) {
+      methods.push('email');
+      // Only a number the user proved they control
+      if (user.phoneNumber && user.phoneVerified) {
+        methods.push('whatsapp');
+      }
+    }
+
+    return methods;
+  }
+
+  /**
+   * Whether a held-back login can be finished with an emailed or WhatsApp code
+   * Always for logins held back by risk alone; for 2FA users only while
+   * TWO_FACTOR_ALLOW_SENT_CODES is on, since such a code lets whoever controls
+   * the mailbox or number stand in for the authenticator.
+   */
+  static allowsSentLoginCodes(user) {
+    return !user.twoFactorEnabled || config.twoFactor.allowSentCodes;
+  }
+
+  /**
+   * Look up the user behind an "mfa pending" token
+   * The token must be the user's current one: finishing or restarting a login invalidates it.
+   * @param {string} select - Extra fields to load, e.g. '+twoFactorSecret'
+   * @returns {Promise<{user: Object, decoded: Object}>}
+   */
+  static async getPendingLogin(mfaToken, select, { ipAddress, userAgent }) {
+    let decoded;
+    try {
+      decoded = TokenService.verifyMfaPendingToken(mfaToken);
+    } catch (error) {
+      logSecurityEvent('LOGIN_FAILED', {
+        reason: error.message,
+        method: 'mfa',
+        ipAddress,
+        userAgent,
+      });
+      throw error;
+    }
+
+    const user = await User.findById(decoded.userId).select(`+mfaPendingTokenId ${select}`);
+
+    if (!user || user.mfaPendingTokenId !== decoded.jti) {
+      logSecurityEvent('LOGIN_FAILED', {
+        userId: decoded.userId,
+        reason: 'Login verification already used or replaced',
+        method: 'mfa',
+        ipAddress,
+        userAgent,
+      });
+      throw new Error('Invalid login verification');
+    }
+
+    this.assertCanLogin(user, { email: user.email, ipAddress, userAgent });
+
+    return { user, decoded };
+  }
+
+  /**
+   * Send a code for a held-back login by email or WhatsApp
+   * 2FA users can only use it while TWO_FACTOR_ALLOW_SENT_CODES is on.
+   * A new code replaces the previous one for that channel; it is valid as long as the token.
+   * @param {string} channel - 'email' or 'whatsapp'
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async sendLoginCode(mfaToken, channel, context = {}) {
+    const { ip: ipAddress, userAgent } = context;
+
+    const { user, decoded } = await this.getPendingLogin(mfaToken, '', { ipAddress, userAgent });
+
+    if (!this.allowsSentLoginCodes(user)) {
+      throw new Error('Use your authenticator app, a backup code or a passkey');
+    }
+    if (channel === 'whatsapp' && !(user.phoneNumber && user.phoneVerified)) {
+      throw new Error('No phone number on this account');
+    }
+
+    const code = twoFactorService.generateVerificationCode();
+    const field = channel === 'whatsapp' ? 'mfaWhatsAppCode' : 'mfaEmailCode';
+    const stored = await User.updateOne(
+      { _id: user._id, mfaPendingTokenId: decoded.jti },
+      { [field]: this.hashLoginCode(code) }
+    );
+    if (stored.matchedCount === 0) {
+      throw new Error('Invalid login verification');
+    }
+
+    await this.deliverLoginCode(user, channel, code);
+
+    logSecurityEvent(channel === 'whatsapp' ? '2FA_WHATSAPP_CODE_SENT' : '2FA_EMAIL_CODE_SENT', {
+      userId: user.id,
+      ipAddress,
+      userAgent,
+    });
+
+    return {
+      channel,
+      expiresAt: new Date(decoded.exp * 1000),
+    };
+  }
+
+  /**
+   * Email or WhatsApp a login code to the user
+   */
+  static async deliverLoginCode(user, channel, code) {
+    const userName = user.firstName || user.username;
+
+    try {
+      if (channel === 'whatsapp') {
+        await whatsappService.send2FACode(user.phoneNumber, code, userName);
+      } else {
+        await emailService.send2FACode(user.email, code, userName);
+      }
+    } catch (error) {
+      logger.error(`Failed to send login verification code by ${channel}:`, error.message);
+      throw new Error('Could not send a verification code. Please try again later.');
+    }
+  }
+
+  /**
+   * Passkey challenge for a held-back login
+   * @returns {Promise<Object>} { options, challengeToken }
+   */
+  static async getLoginPasskeyOptions(mfaToken, context = {}) {
+    const { user } = await this.getPendingLogin(mfaToken, '', {
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+    });
+
+    return PasskeyService.generateAuthenticationOptions(user._id);
+  }
+
+  /**
+   * Complete a login held back by startLoginVerification
+   * @param {Object} factor - One of { code } (TOTP, emailed or WhatsApp code),
+   *   { backupCode } or { passkey } (assertion for getLoginPasskeyOptions)
+   * @param {Object} context - { ip, userAgent, location, clientHints }
+   * @param {Object} options - { rememberDevice } to trust this browser from now on
+   */
+  static async verifyLogin(mfaToken, factor, context = {}, { rememberDevice = false } = {}) {
+    const { ip: ipAddress, userAgent, location, clientHints } = context;
+
+    try {
+      const { user, decoded } = await this.getPendingLogin(
+        mfaToken,
+        '+mfaEmailCode +mfaWhatsAppCode +twoFactorSecret',
+        { ipAddress, userAgent }
+      );
+
+      const method = await this.checkLoginFactor(user, factor);
+
+      if (!method) {
         await user.incLoginAttempts();
-        logSecurityEvent('LOGIN_FAILED', {
+
+        // Too many wrong codes use up the token; the user has to sign in again
+        const pending = await User.findOneAndUpdate(
+          { _id: user._id, mfaPendingTokenId: decoded.jti },
+          { $inc: { mfaAttempts: 1 } },
+          { new: true, projection: { mfaAttempts: 1 } }
+        );
+        const exhausted =
+          !pending || pending.mfaAttempts >= config.loginRisk.maxVerificationAttempts;
+        if (exhausted) {
+          await User.updateOne(
+            { _id: user._id, mfaPendingTokenId: decoded.jti },
+            {
+              $unset: { mfaPendingTokenId: 1, mfaEmailCode: 1, mfaWhatsAppCode: 1, mfaAttempts: 1 },
+            }
+          );
+        }
+
+        logSecurityEvent('2FA_VERIFICATION_FAILED', {
           userId: user.id,
-          email,
-          reason: 'Invalid password',
+          email: user.email,
           attempts: user.loginAttempts,
           ipAddress,
           userAgent,
         });
-        throw new Error('Invalid credentials');
+        throw new Error(
+          exhausted ? 'Too many invalid codes. Please sign in again.' : 'Invalid verification code'
+        );
       }
 
-      // Reset login attempts on successful login
-      await user.resetLoginAttempts();
+      // Use up the token; a concurrent request with the same token loses here
+      const consumed = await User.updateOne(
+        { _id: user._id, mfaPendingTokenId: decoded.jti },
+        { $unset: { mfaPendingTokenId: 1, mfaEmailCode: 1, mfaWhatsAppCode: 1, mfaAttempts: 1 } }
+      );
+      if (consumed.modifiedCount === 0) {
+        throw new Error('Invalid login verification');
+      }
 
-      // Generate tokens
-      const tokens = TokenService.generateTokenPair({
+      logSecurityEvent('2FA_VERIFICATION_SUCCESS', {
         userId: user.id,
         email: user.email,
-        role: user.role,
+        method,
+        ipAddress,
+      });
+
+      const risk = await LoginRiskService.evaluate(user, {
+        ipAddress,
+        userAgent,
+        location,
+        clientHints,
+      });
+
+      const result = await this.finishLogin(user, {
+        ipAddress,
+        userAgent,
+        location,
+        amr: [...decoded.amr, SECOND_FACTOR_AMR[method], 'mfa'],
+        risk,
+      });
+
+      if (rememberDevice) {
+        result.trustedDevice = await TrustedDeviceService.trustDevice(user, context);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Login verification error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the second factor sent to verifyLogin
+   * A backup code is used up here.
+   * @returns {Promise<string|null>} The method that matched, or null
+   */
+  static async checkLoginFactor(user, { code, backupCode, passkey } = {}) {
+    if (passkey) {
+      try {
+        await PasskeyService.authenticate(passkey, '2fa', user.id);
+        return 'passkey';
+      } catch (error) {
+        logger.warn(`Passkey login verification failed for user ${user.id}: ${error.message}`);
+        return null;
+      }
+    }
+
+    if (backupCode) {
+      if (!user.twoFactorEnabled || typeof backupCode !== 'string') {
+        return null;
+      }
+
+      // Removed atomically so a backup code works once
+      const normalized = backupCode.trim().toUpperCase();
+      const used = await User.findOneAndUpdate(
+        { _id: user._id, twoFactorBackupCodes: normalized },
+        { $pull: { twoFactorBackupCodes: normalized } },
+        { new: true, projection: { twoFactorBackupCodes: 1 } }
+      );
+      if (!used) {
+        return null;
+      }
+
+      logSecurityEvent('2FA_BACKUP_CODE_USED', {
+        userId: user.id,
+        remainingCodes: used.twoFactorBackupCodes.length,
       });
+      return 'backup_code';
+    }
+
+    if (this.allowsSentLoginCodes(user)) {
+      if (user.mfaEmailCode && this.matchesLoginCode(code, user.mfaEmailCode)) {
+        return 'email';
+      }
+      if (user.mfaWhatsAppCode && this.matchesLoginCode(code, user.mfaWhatsAppCode)) {
+        return 'whatsapp';
+      }
+    }
+    if (user.twoFactorEnabled && twoFactorService.verifyTOTPToken(user.twoFactorSecret, code)) {
+      return 'totp';
+    }
 
-      logSecurityEvent('LOGIN_SUCCESS', {
+    return null;
+  }
+
+  /**
+   * Hash an emailed or WhatsApp login code for storage
+   */
+  static hashLoginCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  /**
+   * Compare a login code with its stored hash in constant time
+   */
+  static matchesLoginCode(code, hash) {
+    if (typeof code !== 'string') {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(this.hashLoginCode(code)), Buffer.from(hash));
+  }
+
+  /**
+   * Reject locked or inactive accounts (shared by every login method)
+   */
+  static assertCanLogin(user, { email, ipAddress, userAgent }) {
+    // Check if account is locked
+    if (user.isLocked()) {
+      const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+      logSecurityEvent('LOGIN_FAILED', {
+        userId: user.id,
+        email,
+        reason: 'Account locked',
+        ipAddress,
+        userAgent,
+      });
+      throw new Error(`Account locked. Try again in ${lockTimeRemaining} minutes`);
+    }
+
+    // Check if account is active
+    if (!user.isActive) {
+      logSecurityEvent('LOGIN_FAILED', {
+        userId: user.id,
+        email,
+        reason: user.deletionScheduledFor ? 'Account scheduled for deletion' : 'Account inactive',
+        ipAddress,
+        userAgent,
+      });
+      if (user.deletionScheduledFor) {
+        throw new Error(
+          'Account is scheduled for deletion. Use the link in the confirmation email to cancel.'
+        );
+      }
+      throw new Error('Account is inactive. Please contact support.');
+    }
+  }
+
+  /**
+   * Reject unverified email addresses when EMAIL_VERIFICATION_REQUIRED is set
+   */
+  static assertEmailVerified(user, { email, ipAddress, userAgent }) {
+    if (!config.emailVerification.required || user.isEmailVerified) {
+      return;
+    }
+
+    logSecurityEvent('LOGIN_FAILED', {
+      userId: user.id,
+      email,
+      reason: 'Email not verified',
+      ipAddress,
+      userAgent,
+    });
+    throw new Error('Please verify your email address before logging in');
+  }
+
+  /**
+   * Finish a successful login: reset lockout counters and issue a session
+   * @param {Object} options - { ipAddress, userAgent, location, clientHints, method, amr, risk }
+   * amr lists the RFC 8176 authentication methods used, e.g. ['pwd'] or ['swk', 'mfa'].
+   * risk is the LoginRiskService result when the caller already has one.
+   */
+  static async completeLogin(
+    user,
+    { ipAddress, userAgent, location = null, clientHints = null, method, amr, risk = null }
+  ) {
+    // Scored before this login joins the history it is compared with
+    const loginRisk =
+      risk ||
+      (await LoginRiskService.evaluate(user, { ipAddress, userAgent, location, clientHints }));
+
+    // Reset login attempts on successful login
+    await user.resetLoginAttempts();
+
+    // Generate tokens
+    const tokens = await TokenService.generateTokenPair(
+      {
         userId: user.id,
         email: user.email,
+        role: user.role,
+        authTime: new Date(),
+        amr,
+      },
+      { context: { ip: ipAddress, userAgent, location } }
+    );
+
+    // Also the login history LoginRiskService compares later logins with
+    await AuditLog.logEvent('LOGIN_SUCCESS', {
+      userId: user._id,
+      email: user.email,
+      ip: ipAddress,
+      userAgent,
+      details: {
+        method,
+        amr,
+        riskScore: loginRisk.score,
+        riskLevel: loginRisk.level,
+        riskFactors: loginRisk.factors,
+        fingerprint: loginRisk.fingerprint,
+        subnet: loginRisk.subnet,
+        location,
+      },
+      severity: loginRisk.level === 'low' ? 'low' : 'medium',
+    });
+
+    logSecurityEvent('LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      method,
+      riskScore: loginRisk.score,
+      ipAddress,
+      userAgent,
+    });
+
+    if (loginRisk.alert) {
+      LoginRiskService.sendNewSignInAlerts(user, { ipAddress, userAgent, location });
+    }
+
+    logger.info(`User logged in successfully: ${user.email}`);
+
+    return {
+      user: user.toJSON(),
+      tokens,
+    };
+  }
+
+  /**
+   * Sign in a user who must change their password before anything else
+   * Issues a restricted access token (no session) that only works for change-password.
+   * @param {string} reason - 'expired' or 'required'
+   */
+  static async startPasswordChangeLogin(user, reason, { ipAddress, userAgent, amr = ['pwd'] }) {
+    await user.resetLoginAttempts();
+
+    const accessToken = await TokenService.generatePasswordChangeToken(user, {
+      authTime: new Date(),
+      amr,
+    });
+
+    logSecurityEvent('LOGIN_PASSWORD_CHANGE_REQUIRED', {
+      userId: user.id,
+      email: user.email,
+      reason,
+      ipAddress,
+      userAgent,
+    });
+
+    return {
+      user: user.toJSON(),
+      requiresPasswordChange: true,
+      passwordChangeReason: reason,
+      accessToken,
+      expiresIn: config.passwordExpiry.changeTokenExpiresIn,
+    };
+  }
+
+  /**
+   * Email a passwordless login link
+   * Always resolves the same way so the response does not reveal whether the email exists
+   */
+  static async requestMagicLink(email, context = {}) {
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a login link has been sent',
+    };
+
+    try {
+      const user = await User.findByEmail(email);
+
+      if (!user || !user.isActive) {
+        logger.warn(`Magic link requested for unknown or inactive email: ${email}`);
+        return response;
+      }
+
+      // Issuing a new link invalidates any earlier one
+      const { token, tokenId } = TokenService.generateMagicLinkToken(user.id);
+      await User.updateOne({ _id: user._id }, { magicLinkTokenId: tokenId });
+
+      try {
+        await emailService.sendMagicLinkEmail(
+          user.email,
+          token,
+          user.firstName || user.username,
+          Math.round(TokenService.parseExpiry(config.magicLink.expiresIn) / 60000)
+        );
+      } catch (error) {
+        logger.error('Failed to send magic link email:', error.message);
+      }
+
+      logSecurityEvent('MAGIC_LINK_REQUESTED', {
+        userId: user.id,
+        email: user.email,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+      });
+
+      return response;
+    } catch (error) {
+      logger.error('Magic link request error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Log in with a magic link
+   * Accounts with 2FA get { requires2FA: true } until a TOTP code is sent
+   * along with the link, unless the browser is a trusted device; the link is
+   * only used up once login succeeds.
+   * @param {string} twoFactorCode - TOTP code, required when 2FA is enabled
+   * @param {Object} context - { ip, userAgent, location, clientHints, trustedDeviceToken }
+   * @param {Object} options - { rememberDevice } to trust this browser once the code is accepted
+   */
+  static async loginWithMagicLink(
+    token,
+    twoFactorCode,
+    context = {},
+    { rememberDevice = false } = {}
+  ) {
+    const { ip: ipAddress, userAgent, location, clientHints } = context;
+
+    try {
+      let decoded;
+      try {
+        decoded = TokenService.verifyMagicLinkToken(token);
+      } catch (error) {
+        logSecurityEvent('LOGIN_FAILED', {
+          reason: error.message,
+          method: 'magic_link',
+          ipAddress,
+          userAgent,
+        });
+        throw error;
+      }
+
+      const user = await User.findById(decoded.userId).select('+magicLinkTokenId +twoFactorSecret');
+
+      if (!user || user.magicLinkTokenId !== decoded.jti) {
+        logSecurityEvent('LOGIN_FAILED', {
+          userId: decoded.userId,
+          reason: 'Login link already used or replaced',
+          method: 'magic_link',
+          ipAddress,
+          userAgent,
+        });
+        throw new Error('Invalid login link');
+      }
+
+      this.assertCanLogin(user, { email: user.email, ipAddress, userAgent });
+
+      const needsSecondFactor =
+        user.twoFactorEnabled &&
+        !(await TrustedDeviceService.isTrusted(user, context.trustedDeviceToken, context));
+
+      if (needsSecondFactor) {
+        if (!twoFactorCode) {
+          return { requires2FA: true };
+        }
+
+        if (!twoFactorService.verifyTOTPToken(user.twoFactorSecret, twoFactorCode)) {
+          await user.incLoginAttempts();
+          logSecurityEvent('LOGIN_FAILED', {
+            userId: user.id,
+            email: user.email,
+            reason: 'Invalid 2FA code',
+            method: 'magic_link',
+            attempts: user.loginAttempts,
+            ipAddress,
+            userAgent,
+          });
+          throw new Error('Invalid verification code');
+        }
+      }
+
+      // Use up the link; a concurrent request with the same link loses here
+      const consumed = await User.updateOne(
+        { _id: user._id, magicLinkTokenId: decoded.jti },
+        { $unset: { magicLinkTokenId: 1 } }
+      );
+      if (consumed.modifiedCount === 0) {
+        throw new Error('Invalid login link');
+      }
+
+      // Opening the link proves the user controls the address
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await User.updateOne({ _id: user._id }, { isEmailVerified: true });
+      }
+
+      const result = await this.finishLogin(user, {
         ipAddress,
         userAgent,
+        location,
+        clientHints,
+        method: 'magic_link',
+        amr: needsSecondFactor ? ['email', 'otp', 'mfa'] : ['email'],
       });
 
-      logger.info(`User logged in successfully: ${user.email}`);
+      if (needsSecondFactor && rememberDevice) {
+        result.trustedDevice = await TrustedDeviceService.trustDevice(user, context);
+      }
 
-      return {
-        user: user.toJSON(),
-        tokens,
-      };
+      return result;
     } catch (error) {
-      logger.error('Login error:', error.message);
+      logger.error('Magic link login error:', error.message);
       throw error;
     }
   }
 
   /**
-   * Logout user (revoke refresh token)
+   * Passwordless login with a passkey
+   * Requires user verification (PIN or biometric), so it also satisfies 2FA
+   * @param {Object} credential - { challengeToken, response } from the browser
+   * @param {Object} context - { ip, userAgent, location, clientHints }
    */
-  static async logout(userId, tokenId) {
+  static async loginWithPasskey(credential, context = {}) {
+    const { ip: ipAddress, userAgent, location, clientHints } = context;
+
+    try {
+      let passkey;
+      try {
+        passkey = await PasskeyService.authenticate(credential, 'login');
+      } catch (error) {
+        logSecurityEvent('LOGIN_FAILED', {
+          reason: error.message,
+          method: 'passkey',
+          ipAddress,
+          userAgent,
+        });
+        throw error;
+      }
+
+      const user = await User.findById(passkey.userId);
+      if (!user) {
+        throw new Error('Passkey not recognized');
+      }
+
+      this.assertCanLogin(user, { email: user.email, ipAddress, userAgent });
+      this.assertEmailVerified(user, { email: user.email, ipAddress, userAgent });
+
+      return await this.finishLogin(user, {
+        ipAddress,
+        userAgent,
+        location,
+        clientHints,
+        method: 'passkey',
+        // User verification (PIN or biometric) on top of the key makes it multi-factor
+        amr: [passkey.deviceType === 'singleDevice' ? 'hwk' : 'swk', 'mfa'],
+      });
+    } catch (error) {
+      logger.error('Passkey login error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Logout user (revoke refresh token and the access token in use)
+   */
+  static async logout(userId, tokenId, accessToken = null) {
     try {
       // Revoke the specific refresh token
-      const revoked = TokenService.revokeRefreshToken(tokenId);
+      const revoked = await TokenService.revokeRefreshToken(tokenId);
+
+      if (accessToken) {
+        await TokenService.revokeAccessToken(accessToken);
+      }
 
       if (revoked) {
         logSecurityEvent('LOGOUT', {
@@ -171,11 +995,12 @@ class AuthService {
   }
 
   /**
-   * Logout from all devices (revoke all refresh tokens)
+   * Logout from all devices (revoke all refresh and access tokens)
    */
   static async logoutAll(userId) {
     try {
-      const count = TokenService.revokeAllUserTokens(userId);
+      const count = await TokenService.revokeAllUserSessions(userId);
+      await TrustedDeviceService.revokeAll(userId, 'logout_all');
 
       logSecurityEvent('LOGOUT_ALL', {
         userId,
@@ -198,9 +1023,9 @@ class AuthService {
   /**
    * Refresh access token
    */
-  static async refreshToken(refreshToken) {
+  static async refreshToken(refreshToken, context = {}) {
     try {
-      const result = await TokenService.refreshAccessToken(refreshToken);
+      const result = await TokenService.refreshAccessToken(refreshToken, context);
 
       logger.info('Access token refreshed successfully');
 
@@ -214,9 +1039,9 @@ class AuthService {
   /**
    * Rotate refresh token (more secure)
    */
-  static async rotateToken(refreshToken) {
+  static async rotateToken(refreshToken, context = {}) {
     try {
-      const tokens = await TokenService.rotateRefreshToken(refreshToken);
+      const tokens = await TokenService.rotateRefreshToken(refreshToken, context);
 
       logger.info('Refresh token rotated successfully');
 
@@ -228,24 +1053,123 @@ class AuthService {
   }
 
   /**
-   * Verify user email (placeholder)
+   * Hash an email verification token for storage and lookup
    */
-  static async verifyEmail(userId, verificationToken) {
+  static hashVerificationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue an email verification token and email the link
+   * Only a hash of the token is stored; issuing a new one replaces the previous link.
+   */
+  static async sendEmailVerification(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttl = TokenService.parseExpiry(config.emailVerification.expiresIn);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        emailVerificationToken: this.hashVerificationToken(token),
+        emailVerificationExpires: new Date(Date.now() + ttl),
+      }
+    );
+
+    try {
+      await emailService.sendVerificationEmail(
+        user.email,
+        token,
+        user.firstName || user.username,
+        Math.round(ttl / (60 * 60 * 1000))
+      );
+    } catch (error) {
+      logger.error('Failed to send verification email:', error.message);
+    }
+  }
+
+  /**
+   * Email a new verification link
+   * Always resolves the same way so the response does not reveal whether the email exists
+   */
+  static async resendEmailVerification(email, context = {}) {
+    const response = {
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent',
+    };
+
+    try {
+      const user = await User.findByEmail(email).select('+emailVerificationExpires');
+
+      if (!user || !user.isActive || user.isEmailVerified) {
+        return response;
+      }
+
+      // The previous link's expiry tells when it was sent
+      const ttl = TokenService.parseExpiry(config.emailVerification.expiresIn);
+      const lastSentAt = user.emailVerificationExpires?.getTime() - ttl;
+      if (lastSentAt > Date.now() - VERIFICATION_RESEND_INTERVAL_MS) {
+        logger.warn(`Verification email resend throttled for user ${user.id}`);
+        return response;
+      }
+
+      await this.sendEmailVerification(user);
+
+      logSecurityEvent('EMAIL_VERIFICATION_REQUESTED', {
+        userId: user.id,
+        email: user.email,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+      });
+
+      return response;
+    } catch (error) {
+      logger.error('Verification email resend error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an email address with the token from the verification link
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async verifyEmail(verificationToken, context = {}) {
     try {
-      const user = await User.findById(userId);
+      // Matching and clearing the token in one update makes the link single-use
+      const user = await User.findOneAndUpdate(
+        {
+          emailVerificationToken: this.hashVerificationToken(verificationToken),
+          emailVerificationExpires: { $gt: new Date() },
+        },
+        {
+          isEmailVerified: true,
+          $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+        },
+        { new: true }
+      );
 
       if (!user) {
-        throw new Error('User not found');
+        throw new Error('Invalid or expired verification link');
       }
 
-      // Update user
-      await User.update(userId, { isEmailVerified: true });
+      await AuditLog.logEvent('EMAIL_VERIFIED', {
+        userId: user.id,
+        email: user.email,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        severity: 'low',
+      });
 
       logSecurityEvent('EMAIL_VERIFIED', {
-        userId,
+        userId: user.id,
         email: user.email,
       });
 
+      try {
+        await emailService.sendWelcomeEmail(user.email, user.firstName || user.username);
+      } catch (error) {
+        logger.error('Failed to send welcome email:', error.message);
+      }
+
       logger.info(`Email verified for user: ${user.email}`);
 
       return { success: true, message: 'Email verified successfully' };
@@ -298,11 +1222,16 @@ class AuthService {
   static async resetPassword(resetToken, newPassword) {
     try {
       // Validate password strength
-      const passwordValidation = User.validatePasswordStrength(newPassword);
+      const policy = await PasswordPolicy.getPolicy();
+      const passwordValidation = User.validatePasswordStrength(newPassword, policy);
       if (!passwordValidation.isValid) {
         throw new Error(passwordValidation.errors.join(', '));
       }
 
+      const passwordWarning = await BreachedPasswordService.checkNewPassword(newPassword, {
+        action: 'reset',
+      });
+
       // In production: verify reset token and get user
       // const userId = await verifyResetToken(resetToken);
       // For demo, we'll assume token validation happened
@@ -310,19 +1239,21 @@ class AuthService {
 
       if (userId) {
         // Check if password was used before
-        const user = await User.findById(userId);
+        const user = await User.findById(userId).select('+passwordHistory');
         if (user) {
           const isInHistory = await user.isPasswordInHistory(newPassword);
           if (isInHistory) {
-            throw new Error('Cannot reuse any of your last 5 passwords');
+            throw new Error(`Cannot reuse any of your last ${policy.historyCount} passwords`);
           }
 
           // Update password
           user.password = newPassword;
+          user.requirePasswordChange = false;
           await user.save();
 
           // Revoke all existing tokens
-          TokenService.revokeAllUserTokens(userId);
+          await TokenService.revokeAllUserSessions(userId);
+          await TrustedDeviceService.revokeAll(userId, 'password_reset');
 
           logSecurityEvent('PASSWORD_RESET', {
             userId,
@@ -333,7 +1264,11 @@ class AuthService {
         }
       }
 
-      return { success: true, message: 'Password reset successfully. Please login with your new password.' };
+      return {
+        success: true,
+        message: 'Password reset successfully. Please login with your new password.',
+        passwordWarning,
+      };
     } catch (error) {
       logger.error('Password reset error:', error.message);
       throw error;
@@ -345,7 +1280,7 @@ class AuthService {
    */
   static async changePassword(userId, currentPassword, newPassword) {
     try {
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select('+password +passwordHistory');
 
       if (!user) {
         throw new Error('User not found');
@@ -362,22 +1297,34 @@ class AuthService {
       }
 
       // Validate new password strength
-      const passwordValidation = User.validatePasswordStrength(newPassword);
+      const passwordValidation = User.validatePasswordStrength(
+        newPassword,
+        await PasswordPolicy.getPolicy()
+      );
       if (!passwordValidation.isValid) {
         throw new Error(passwordValidation.errors.join(', '));
       }
 
+      const passwordWarning = await BreachedPasswordService.checkNewPassword(newPassword, {
+        userId,
+        email: user.email,
+        action: 'change',
+      });
+
       // Check if password was used before
       const isInHistory = await user.isPasswordInHistory(newPassword);
       if (isInHistory) {
         throw new Error('Cannot reuse previous passwords');
       }
 
-      // Update password
-      await User.update(userId, { password: newPassword });
+      // Update password; this also lifts an expired password or admin-forced change
+      user.password = newPassword;
+      user.requirePasswordChange = false;
+      await user.save();
 
-      // Revoke all existing refresh tokens (force re-login)
-      TokenService.revokeAllUserTokens(userId);
+      // Revoke all existing refresh and access tokens (force re-login)
+      await TokenService.revokeAllUserSessions(userId);
+      await TrustedDeviceService.revokeAll(userId, 'password_changed');
 
       logSecurityEvent('PASSWORD_CHANGED', {
         userId,
@@ -386,7 +1333,11 @@ class AuthService {
 
       logger.info(`Password changed for user: ${user.email}`);
 
-      return { success: true, message: 'Password changed successfully. Please login again.' };
+      return {
+        success: true,
+        message: 'Password changed successfully. Please login again.',
+        passwordWarning,
+      };
     } catch (error) {
       logger.error('Password change error:', error.message);
       throw error;
@@ -394,21 +1345,149 @@ class AuthService {
   }
 
   /**
-   * Get user's active sessions
+   * Confirm the signed-in user's identity again before a sensitive operation
+   * Password gives 'pwd', a TOTP code 'otp', and both together add 'mfa'.
+   * @param {string} sessionId - sid of the current access token
+   * @param {Object} factors - { password, twoFactorCode }
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} { accessToken, expiresIn, amr }
    */
-  static async getActiveSessions(userId) {
+  static async reauthenticate(userId, sessionId, { password, twoFactorCode }, context = {}) {
+    const { ip: ipAddress, userAgent } = context;
+
     try {
-      const tokens = TokenService.getUserRefreshTokens(userId);
+      const user = await User.findById(userId).select('+password +twoFactorSecret');
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      this.assertCanLogin(user, { email: user.email, ipAddress, userAgent });
+
+      const fail = async (reason) => {
+        await user.incLoginAttempts();
+        logSecurityEvent('REAUTHENTICATION_FAILED', {
+          userId: user.id,
+          reason,
+          attempts: user.loginAttempts,
+          ipAddress,
+          userAgent,
+        });
+        throw new Error('Invalid credentials');
+      };
+
+      const amr = [];
+
+      if (password) {
+        if (!user.password || !(await user.comparePassword(password))) {
+          await fail('Invalid password');
+        }
+        amr.push('pwd');
+      }
+
+      if (twoFactorCode) {
+        if (
+          !user.twoFactorEnabled ||
+          !twoFactorService.verifyTOTPToken(user.twoFactorSecret, twoFactorCode)
+        ) {
+          await fail('Invalid 2FA code');
+        }
+        amr.push('otp');
+      }
+
+      if (amr.length === 0) {
+        throw new Error('Password or verification code is required');
+      }
+      if (amr.length > 1) {
+        amr.push('mfa');
+      }
+
+      await user.resetLoginAttempts();
+
+      const accessToken = await TokenService.reauthenticateSession(
+        { userId: user.id, email: user.email, role: user.role },
+        sessionId,
+        amr
+      );
+
+      logSecurityEvent('REAUTHENTICATION_SUCCESS', {
+        userId: user.id,
+        sessionId,
+        amr,
+        ipAddress,
+        userAgent,
+      });
+
+      return {
+        accessToken,
+        expiresIn: config.jwt.expiresIn,
+        amr,
+      };
+    } catch (error) {
+      logger.error('Reauthentication error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active sessions (one per device/login), most recently used first
+   * @param {string} currentSessionId - Session of the access token making the request
+   */
+  static async getActiveSessions(userId, currentSessionId = null) {
+    try {
+      const tokens = await TokenService.getUserRefreshTokens(userId);
+
+      const sessions = tokens
+        .map((token) => ({
+          id: token.sessionId,
+          current: Boolean(currentSessionId) && token.sessionId === currentSessionId,
+          device: parseUserAgent(token.userAgent),
+          clientId: token.clientId,
+          ip: token.ip,
+          location: token.location || null,
+          createdAt: token.sessionStartedAt,
+          lastSeenAt: token.lastSeenAt,
+          expiresAt: token.expiresAt,
+        }))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
 
       return {
-        sessions: tokens,
-        count: tokens.length,
+        sessions,
+        count: sessions.length,
       };
     } catch (error) {
       logger.error('Get sessions error:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Revoke one of the user's sessions (e.g. a lost device)
+   * @returns {Promise<boolean>} false if the session does not belong to the user
+   */
+  static async revokeSession(userId, sessionId) {
+    try {
+      const tokens = await TokenService.getUserRefreshTokens(userId);
+
+      if (!tokens.some((token) => token.sessionId === sessionId)) {
+        return false;
+      }
+
+      await TokenService.revokeSession(sessionId);
+
+      logSecurityEvent('SESSION_REVOKED', {
+        userId,
+        sessionId,
+      });
+
+      logger.info(`Session revoked for user ${userId}: ${sessionId}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Revoke session error:', error.message);
+      throw error;
+    }
+  }
 }
 
 export default AuthService;
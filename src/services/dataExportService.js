@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import config from '../config/environment.js';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import DataExport from '../models/DataExport.js';
+import OAuthConsent from '../models/OAuthConsent.js';
+import Passkey from '../models/Passkey.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import User from '../models/User.mongoose.js';
+import emailService from './emailService.js';
+import TokenService from './tokenService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Data Export Service
+ * Data-subject access exports (GDPR Art. 15/20)
+ *
+ * An export collects everything held about a user into one gzipped JSON
+ * archive. Archives are built in the background so long audit histories do
+ * not hold up the request, and are downloaded through a link whose token is
+ * only stored as a hash. Exports delete themselves when the link expires.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const gzip = promisify(zlib.gzip);
+
+// Profile fields the encryption plugin stores encrypted besides those decryptPII knows about
+const ENCRYPTED_PROFILE_FIELDS = ['phone', 'dateOfBirth'];
+
+// Lookup hashes of encrypted profile fields; meaningless outside this system
+const PROFILE_HASH_FIELDS = ['phoneHash', 'ssnHash', 'dateOfBirthHash'];
+
+class DataExportService {
+  /**
+   * Hash a download token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Link the archive can be downloaded from
+   */
+  static getDownloadUrl(token) {
+    return `${config.app.baseUrl || `http://${config.host}:${config.port}`}${config.app.apiPrefix}/users/exports/${token}`;
+  }
+
+  /**
+   * Start an export of a user's data
+   * @param {Object} requester - The user asking for it (the user themselves or an admin)
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} { dataExport, downloadUrl }
+   */
+  static async requestExport(userId, requester, context = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const inProgress = await DataExport.exists({
+      userId: user._id,
+      status: { $in: ['pending', 'processing'] },
+    });
+    if (inProgress) {
+      throw new Error('A data export is already being prepared');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const dataExport = await DataExport.create({
+      userId: user._id,
+      requestedBy: requester.id,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + config.dataExport.expiresInHours * HOUR_MS),
+    });
+
+    await AuditLog.logEvent('DATA_EXPORT_REQUESTED', {
+      userId: user.id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        exportId: dataExport.id,
+        requestedBy: requester.id,
+      },
+      severity: requester.id === user.id ? 'medium' : 'high',
+    });
+
+    const downloadUrl = this.getDownloadUrl(token);
+
+    setImmediate(() => {
+      this.generateExport(dataExport.id, requester, downloadUrl).catch((error) => {
+        logger.error(`Error generating data export ${dataExport.id}:`, error.message);
+      });
+    });
+
+    return { dataExport, downloadUrl };
+  }
+
+  /**
+   * Build the archive and email the download link to the requester
+   */
+  static async generateExport(exportId, requester, downloadUrl) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { status: 'processing' },
+      { new: true }
+    );
+
+    if (!dataExport) {
+      return;
+    }
+
+    try {
+      const archive = await gzip(JSON.stringify(await this.buildArchive(dataExport.userId)));
+
+      dataExport.status = 'ready';
+      dataExport.archive = archive;
+      dataExport.size = archive.length;
+      dataExport.completedAt = new Date();
+      await dataExport.save();
+    } catch (error) {
+      logger.error(`Data export ${exportId} failed:`, error.message);
+      await DataExport.updateOne({ _id: exportId }, { status: 'failed' });
+      return;
+    }
+
+    try {
+      await emailService.sendDataExportEmail(
+        requester.email,
+        downloadUrl,
+        requester.firstName || requester.username,
+        dataExport.expiresAt
+      );
+    } catch (error) {
+      logger.error(`Failed to send data export email for export ${exportId}:`, error.message);
+    }
+
+    logger.info(`Data export ${exportId} ready (${dataExport.size} bytes)`);
+  }
+
+  /**
+   * Decrypt a raw user profile document and drop internal fields
+   */
+  static async decryptProfile(profile) {
+    if (!profile) {
+      return null;
+    }
+
+    // Imported here: the service needs ENCRYPTION_KEY at load time
+    const { default: encryptionService } = await import('./encryptionService.js');
+
+    // bankAccount is a sub-document here, not the encrypted string decryptPII expects
+    const { bankAccount, paymentMethods, twoFactorBackup, ...fields } = profile;
+    const decrypted = encryptionService.decryptPII(fields);
+
+    ENCRYPTED_PROFILE_FIELDS.forEach((field) => {
+      if (decrypted[field]) {
+        try {
+          decrypted[field] = encryptionService.decrypt(decrypted[field]);
+        } catch (error) {
+          logger.error(`Failed to decrypt field '${field}':`, error);
+          decrypted[field] = null;
+        }
+      }
+    });
+    [...PROFILE_HASH_FIELDS, '__v'].forEach((field) => delete decrypted[field]);
+
+    return {
+      ...decrypted,
+      bankAccount,
+      // Card numbers are left out; the last four digits identify the card
+      paymentMethods: paymentMethods?.map((method) => ({ ...method, cardNumber: undefined })),
+      twoFactorBackup: twoFactorBackup && {
+        backupEmail: twoFactorBackup.backupEmail,
+        backupPhone: twoFactorBackup.backupPhone,
+        securityQuestions: twoFactorBackup.securityQuestions?.map(({ question }) => ({
+          question,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Collect everything held about a user
+   */
+  static async buildArchive(userId) {
+    // Imported here: the profile model's encryption plugin needs ENCRYPTION_KEY at load time
+    const { default: UserProfile } = await import('../models/UserProfile.mongoose.js');
+
+    const user = await User.findById(userId).select('+twoFactorBackupCodes');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Read straight from the collection: the plugin's find hooks would decrypt
+    // some fields already and select: false would hide the rest
+    const profile = await UserProfile.collection.findOne({ userId: user._id });
+
+    const [passkeys, trustedDevices, apiKeys, oauthConsents, sessions] = await Promise.all([
+      Passkey.find({ userId: user._id }).sort({ createdAt: 1 }),
+      TrustedDevice.find({ userId: user._id }).sort({ createdAt: 1 }),
+      ApiKey.find({ userId: user._id }).sort({ createdAt: 1 }),
+      OAuthConsent.find({ userId: user._id }).sort({ createdAt: 1 }),
+      TokenService.getUserRefreshTokens(user.id),
+    ]);
+
+    // Streamed so long histories are not loaded as documents all at once
+    const auditLog = [];
+    const cursor = AuditLog.find({ $or: [{ userId: user._id }, { impersonatorId: user._id }] })
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      delete entry.__v;
+      auditLog.push(entry);
+    }
+
+    const account = user.toJSON();
+    delete account.twoFactorBackupCodes;
+
+    return {
+      exportedAt: new Date(),
+      user: account,
+      profile: await this.decryptProfile(profile),
+      oauthIdentities: Object.entries(account.oauth || {})
+        .filter(([, identity]) => identity?.id)
+        .map(([provider, identity]) => ({ provider, ...identity })),
+      oauthConsents: oauthConsents.map((consent) => consent.toJSON()),
+      // Session IDs are kept; refresh token IDs are internal
+      sessions: sessions.map((session) => ({ ...session, tokenId: undefined })),
+      twoFactor: {
+        enabled: user.twoFactorEnabled,
+        backupCodesRemaining: user.twoFactorBackupCodes?.length || 0,
+        passkeys: passkeys.map((passkey) => passkey.toJSON()),
+        trustedDevices: trustedDevices.map((device) => device.toJSON()),
+      },
+      apiKeys: apiKeys.map((apiKey) => apiKey.toJSON()),
+      auditLog,
+    };
+  }
+
+  /**
+   * Look up an export by its download token
+   * The archive is only loaded (and the download audited) once it is ready.
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object|null>} The export, or null if unknown or expired
+   */
+  static async getDownload(token, context = {}) {
+    const query = { tokenHash: this.hashToken(token), expiresAt: { $gt: new Date() } };
+    const dataExport = await DataExport.findOne(query);
+
+    if (!dataExport || dataExport.status !== 'ready') {
+      return dataExport;
+    }
+
+    const ready = await DataExport.findOneAndUpdate(
+      query,
+      { $inc: { downloadCount: 1 } },
+      { new: true }
+    ).select('+archive');
+
+    await AuditLog.logEvent('DATA_EXPORT_DOWNLOADED', {
+      userId: ready.userId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        exportId: ready.id,
+        requestedBy: ready.requestedBy.toString(),
+        downloadCount: ready.downloadCount,
+      },
+      severity: 'high',
+    });
+
+    return ready;
+  }
+}
+
+export default DataExportService;
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.mongoose.js';
+import emailService from './emailService.js';
+import TokenService from './tokenService.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Email Change Service
+ * Changing the login email address
+ *
+ * The new address only replaces the old one once it is confirmed with a link
+ * sent to it. The old address is told about the request straight away and
+ * gets a link that undoes the change (and signs out every session) for
+ * EMAIL_CHANGE_REVERT_EXPIRES_IN, so a takeover through an email change can
+ * be noticed and reversed by the real owner.
+ */
+
+class EmailChangeService {
+  /**
+   * Hash a confirmation token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Start changing a user's email address
+   * @param {Object} options - { newEmail, password }; without a password the
+   *   route must have checked for a recent sign-in
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async requestChange(userId, { newEmail, password }, context = {}) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (password !== undefined) {
+      // Accounts created through OAuth have no password to check
+      const isPasswordValid = Boolean(user.password) && (await user.comparePassword(password));
+
+      if (!isPasswordValid) {
+        await user.incLoginAttempts();
+        logSecurityEvent('EMAIL_CHANGE_FAILED', {
+          userId: user.id,
+          reason: 'Invalid current password',
+          attempts: user.loginAttempts,
+          ipAddress: context.ip,
+          userAgent: context.userAgent,
+        });
+        throw new Error('Current password is incorrect');
+      }
+    }
+
+    const email = newEmail.toLowerCase();
+
+    if (email === user.email) {
+      throw new Error('This is already your email address');
+    }
+
+    if (await User.exists({ email })) {
+      throw new Error('Email is already in use');
+    }
+
+    // A new request replaces any earlier one that was not confirmed
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttl = TokenService.parseExpiry(config.emailChange.expiresIn);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        pendingEmail: email,
+        emailChangeToken: this.hashToken(token),
+        emailChangeExpires: new Date(Date.now() + ttl),
+      }
+    );
+
+    await AuditLog.logEvent('EMAIL_CHANGE_REQUESTED', {
+      userId: user.id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { newEmail: email },
+      severity: 'medium',
+    });
+
+    const userName = user.firstName || user.username;
+    const revertToken = TokenService.generateEmailChangeRevertToken(user.id, user.email, email);
+
+    try {
+      await emailService.sendEmailChangeConfirmation(
+        email,
+        token,
+        userName,
+        Math.round(ttl / 60000)
+      );
+      await emailService.sendEmailChangeNotice(user.email, revertToken, userName, email);
+    } catch (error) {
+      logger.error(`Failed to send email change emails for user ${user.id}:`, error.message);
+    }
+
+    logger.info(`Email change requested for user ${user.id}`);
+  }
+
+  /**
+   * Confirm a change with the token sent to the new address
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<string>} The new email address
+   */
+  static async confirmChange(token, context = {}) {
+    const tokenHash = this.hashToken(token);
+    const user = await User.findOne({
+      emailChangeToken: tokenHash,
+      emailChangeExpires: { $gt: new Date() },
+    }).select('+pendingEmail');
+
+    if (!user || !user.pendingEmail) {
+      throw new Error('Invalid or expired confirmation link');
+    }
+
+    const previousEmail = user.email;
+    const newEmail = user.pendingEmail;
+
+    // The address may have been registered since the change was requested
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      throw new Error('Email is already in use');
+    }
+
+    // Conditional on the token so a link cannot be used twice
+    const result = await User.updateOne(
+      { _id: user._id, emailChangeToken: tokenHash },
+      {
+        $set: { email: newEmail, isEmailVerified: true },
+        $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Invalid or expired confirmation link');
+    }
+
+    await AuditLog.logEvent('EMAIL_CHANGED', {
+      userId: user.id,
+      email: newEmail,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { previousEmail },
+      severity: 'high',
+    });
+
+    logSecurityEvent('EMAIL_CHANGED', {
+      userId: user.id,
+      previousEmail,
+      newEmail,
+      ipAddress: context.ip,
+    });
+
+    return newEmail;
+  }
+
+  /**
+   * Undo a change with the token sent to the old address
+   * Restores the old address, drops any pending change and signs out every session.
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async revertChange(token, context = {}) {
+    const { userId, oldEmail, newEmail } = TokenService.verifyEmailChangeRevertToken(token);
+
+    let result;
+    try {
+      // Only while the change this link was sent for is still pending or in place
+      result = await User.updateOne(
+        { _id: userId, $or: [{ email: newEmail }, { pendingEmail: newEmail }] },
+        {
+          $set: { email: oldEmail },
+          $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 },
+        }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('The previous email address is now used by another account');
+      }
+      throw error;
+    }
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Invalid revert link');
+    }
+
+    await TokenService.revokeAllUserSessions(userId);
+
+    await AuditLog.logEvent('EMAIL_CHANGE_REVERTED', {
+      userId,
+      email: oldEmail,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { revertedEmail: newEmail },
+      severity: 'high',
+    });
+
+    logSecurityEvent('EMAIL_CHANGE_REVERTED', {
+      userId,
+      oldEmail,
+      revertedEmail: newEmail,
+      ipAddress: context.ip,
+    });
+  }
+}
+
+export default EmailChangeService;
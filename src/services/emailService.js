@@ -188,6 +188,149 @@ This is an automated message. Please do not reply to this email.
     return await this.sendEmail({ to: email, subject, html, text });
   }
 
+  /**
+   * Send email address verification link
+   */
+  sendVerificationEmail(email, token, userName, expiresInHours) {
+    const verifyUrl = `${config.app.baseUrl}/verify-email?token=${token}`;
+    const subject = `Verify Your ${config.app.name} Email Address`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Verify Your Email</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>Please confirm that this is your email address:</p>
+      <p style="text-align: center;">
+        <a href="${verifyUrl}" class="button">Verify Email</a>
+      </p>
+      <p>This link will expire in ${expiresInHours} hours.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you didn't create an account, you can ignore this email.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Verify Your Email\n\nHello ${userName},\n\nClick this link to verify your email address: ${verifyUrl}\n\nThis link expires in ${expiresInHours} hours.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Send the confirmation link for a new login email address
+   */
+  sendEmailChangeConfirmation(email, token, userName, expiresInMinutes) {
+    const confirmUrl = `${config.app.baseUrl}/email-change/confirm?token=${token}`;
+    const subject = `Confirm Your New ${config.app.name} Email Address`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Confirm Email Change</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>You asked to use this address to sign in to ${config.app.name}. Click the button below to confirm:</p>
+      <p style="text-align: center;">
+        <a href="${confirmUrl}" class="button">Confirm Email</a>
+      </p>
+      <p>This link will expire in ${expiresInMinutes} minutes.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you didn't request this, ignore this email. Your account's email will not change.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Confirm Email Change\n\nHello ${userName},\n\nClick this link to start signing in with this address: ${confirmUrl}\n\nThis link expires in ${expiresInMinutes} minutes.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Tell the old address about an email change, with a link to undo it
+   */
+  sendEmailChangeNotice(email, revertToken, userName, newEmail) {
+    const revertUrl = `${config.app.baseUrl}/email-change/revert?token=${revertToken}`;
+    const subject = `Your ${config.app.name} Email Address Is Being Changed`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #ef4444; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #ef4444; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Email Change Requested</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>Someone asked to change the email address of your account to <strong>${newEmail}</strong>. The change takes effect once it is confirmed from that address.</p>
+      <div class="warning">
+        <strong>⚠️ Wasn't you?</strong><br>
+        Keep your account by undoing the change. This also signs out every session:
+      </div>
+      <p style="text-align: center;">
+        <a href="${revertUrl}" class="button">Undo Email Change</a>
+      </p>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Email Change Requested\n\nHello ${userName},\n\nSomeone asked to change the email address of your account to ${newEmail}.\n\nIf this wasn't you, undo the change (this also signs out every session): ${revertUrl}`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
   /**
    * Send password reset email
    */
@@ -235,6 +378,307 @@ This is an automated message. Please do not reply to this email.
 
     return await this.sendEmail({ to: email, subject, html, text });
   }
+
+  /**
+   * Send passwordless login link
+   */
+  sendMagicLinkEmail(email, token, userName, expiresInMinutes) {
+    // Points at the frontend, which POSTs the token; a GET endpoint would be
+    // consumed by link scanners that prefetch URLs in emails
+    const loginUrl = `${config.app.baseUrl}/magic-link?token=${token}`;
+    const subject = `Your ${config.app.name} Login Link`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Sign In Request</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>Click the button below to sign in. No password needed:</p>
+      <p style="text-align: center;">
+        <a href="${loginUrl}" class="button">Sign In</a>
+      </p>
+      <p>This link will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you didn't request this link, please ignore this email. Never forward it to anyone.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Sign In Request\n\nHello ${userName},\n\nClick this link to sign in: ${loginUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Confirm an account deletion request, with a link to cancel it
+   */
+  sendAccountDeletionEmail(email, token, userName, scheduledFor) {
+    const cancelUrl = `${config.app.baseUrl}/account-deletion/cancel?token=${token}`;
+    const deletionDate = scheduledFor.toUTCString();
+    const subject = `Your ${config.app.name} Account Will Be Deleted`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #ef4444; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Account Deletion Requested</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>Your account has been deactivated and will be permanently deleted on <strong>${deletionDate}</strong>.</p>
+      <p>Changed your mind? You can keep your account until then:</p>
+      <p style="text-align: center;">
+        <a href="${cancelUrl}" class="button">Keep My Account</a>
+      </p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you didn't request this, cancel the deletion and change your password immediately.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Account Deletion Requested\n\nHello ${userName},\n\nYour account has been deactivated and will be permanently deleted on ${deletionDate}.\n\nTo keep your account, open this link before then: ${cancelUrl}`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Send the download link for a personal data export
+   */
+  sendDataExportEmail(email, downloadUrl, userName, expiresAt) {
+    const expiryDate = expiresAt.toUTCString();
+    const subject = `Your ${config.app.name} Data Export Is Ready`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Data Export Ready</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>The data export you requested is ready to download:</p>
+      <p style="text-align: center;">
+        <a href="${downloadUrl}" class="button">Download Data</a>
+      </p>
+      <p>The link expires on <strong>${expiryDate}</strong>, after which the export is deleted.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        The export contains personal information. Anyone with this link can download it, so don't share it.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Data Export Ready\n\nHello ${userName},\n\nThe data export you requested is ready to download: ${downloadUrl}\n\nThe link expires on ${expiryDate}. Don't share it: anyone with the link can download your data.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Send a warning that the user's password is about to expire
+   */
+  sendPasswordExpiryWarningEmail(email, userName, expiresAt) {
+    const expiryDate = expiresAt.toUTCString();
+    const changeUrl = `${config.app.baseUrl}/change-password`;
+    const subject = `Your ${config.app.name} Password Expires Soon`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Password Expiring</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName},</p>
+      <p>Your password expires on <strong>${expiryDate}</strong>. Please choose a new one before then:</p>
+      <p style="text-align: center;">
+        <a href="${changeUrl}" class="button">Change Password</a>
+      </p>
+      <p>After it expires you will have to change your password before you can use your account.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        We will never ask for your password by email. Only change it after signing in on our site.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `Password Expiring\n\nHello ${userName},\n\nYour password expires on ${expiryDate}. Please change it before then: ${changeUrl}\n\nAfter it expires you will have to change your password before you can use your account.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Send a sign-up invitation
+   */
+  sendInvitationEmail(email, token, inviterName, expiresAt) {
+    const expiryDate = expiresAt.toUTCString();
+    const inviteUrl = `${config.app.baseUrl}/register?invitation=${token}`;
+    const subject = `You're Invited to ${config.app.name}`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>You're Invited</h1>
+    </div>
+    <div class="content">
+      <p>Hello,</p>
+      <p>${inviterName} has invited you to create an account on ${config.app.name}.</p>
+      <p style="text-align: center;">
+        <a href="${inviteUrl}" class="button">Create Account</a>
+      </p>
+      <p>The invitation expires on <strong>${expiryDate}</strong> and can only be used once.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you weren't expecting this invitation, you can ignore this email.
+      </div>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `You're Invited\n\nHello,\n\n${inviterName} has invited you to create an account on ${config.app.name}: ${inviteUrl}\n\nThe invitation expires on ${expiryDate} and can only be used once. If you weren't expecting it, you can ignore this email.`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
+
+  /**
+   * Send an alert about a sign-in from a new device or location
+   * @param {Object} signIn - { device, location, ipAddress, time }
+   */
+  sendNewSignInAlertEmail(email, userName, { device, location, ipAddress, time }) {
+    const signInTime = time.toUTCString();
+    const sessionsUrl = `${config.app.baseUrl}/settings/sessions`;
+    const subject = `New Sign-in to Your ${config.app.name} Account`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+    .content { padding: 30px; background: #f9fafb; }
+    .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 12px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>New Sign-in</h1>
+    </div>
+    <div class="content">
+      <p>Hello ${userName || 'there'},</p>
+      <p>Your account was just signed in to from a device or location we haven't seen before:</p>
+      <ul>
+        <li><strong>Device:</strong> ${device}</li>
+        <li><strong>Location:</strong> ${location}</li>
+        <li><strong>IP address:</strong> ${ipAddress || 'Unknown'}</li>
+        <li><strong>Time:</strong> ${signInTime}</li>
+      </ul>
+      <p>If this was you, no action is needed.</p>
+      <div class="warning">
+        <strong>⚠️ Security Notice:</strong><br>
+        If you don't recognize this sign-in, change your password and sign out of your other sessions now.
+      </div>
+      <p style="text-align: center;">
+        <a href="${sessionsUrl}" class="button">Review Sessions</a>
+      </p>
+      <p>Best regards,<br>The ${config.app.name} Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+    const text = `New Sign-in\n\nHello ${userName || 'there'},\n\nYour account was just signed in to from a device or location we haven't seen before:\n\nDevice: ${device}\nLocation: ${location}\nIP address: ${ipAddress || 'Unknown'}\nTime: ${signInTime}\n\nIf this was you, no action is needed. If you don't recognize this sign-in, change your password and sign out of your other sessions now: ${sessionsUrl}`;
+
+    return this.sendEmail({ to: email, subject, html, text });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import Invitation from '../models/Invitation.js';
+import emailService from './emailService.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Invitation Service
+ * Admin-issued sign-up invitations
+ *
+ * An invitation carries the role the new account gets, and can be locked to
+ * one email address or to an email domain. Tokens are only stored as a hash
+ * and can be used once. With REGISTRATION_OPEN=false they are the only way to
+ * create an account.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InvitationService {
+  /**
+   * Hash an invitation token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create an invitation, emailing it when it is for a specific address
+   * @param {Object} admin - The admin creating the invitation
+   * @param {Object} options - { email, allowedDomain, role }
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<{invitation: Object, inviteUrl: string, emailSent: boolean}>}
+   *   inviteUrl contains the token and is only available here
+   */
+  static async createInvitation(admin, { email, allowedDomain, role = 'user' }, context = {}) {
+    const address = email?.toLowerCase();
+    const domain = allowedDomain?.toLowerCase();
+
+    if (address && domain && address.split('@')[1] !== domain) {
+      throw new Error(`Email address must be at ${domain}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const invitation = await Invitation.create({
+      email: address,
+      allowedDomain: domain,
+      role,
+      tokenHash: this.hashToken(token),
+      invitedBy: admin.id,
+      expiresAt: new Date(Date.now() + config.invitations.expiresInDays * DAY_MS),
+    });
+
+    let emailSent = false;
+    if (address) {
+      try {
+        await emailService.sendInvitationEmail(
+          address,
+          token,
+          admin.firstName || admin.username,
+          invitation.expiresAt
+        );
+        emailSent = true;
+      } catch (error) {
+        // The admin still gets the link to pass on
+        logger.error(`Failed to send invitation ${invitation.id}:`, error.message);
+      }
+    }
+
+    await AuditLog.logEvent('INVITATION_CREATED', {
+      userId: admin.id,
+      email: admin.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        invitationId: invitation.id,
+        invitedEmail: address,
+        allowedDomain: domain,
+        role,
+      },
+      severity: role === 'user' ? 'low' : 'medium',
+    });
+
+    logSecurityEvent('INVITATION_CREATED', {
+      adminId: admin.id,
+      invitationId: invitation.id,
+      role,
+    });
+
+    return {
+      invitation,
+      inviteUrl: `${config.app.baseUrl}/register?invitation=${token}`,
+      emailSent,
+    };
+  }
+
+  /**
+   * List invitations (newest first)
+   * @param {string} [status] - pending, accepted, expired or revoked
+   */
+  static listInvitations(status) {
+    const now = new Date();
+    const query = {};
+
+    if (status === 'pending') {
+      Object.assign(query, { status: 'pending', expiresAt: { $gt: now } });
+    } else if (status === 'expired') {
+      Object.assign(query, { status: 'pending', expiresAt: { $lte: now } });
+    } else if (status) {
+      query.status = status;
+    }
+
+    return Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'email username')
+      .populate('acceptedBy', 'email username');
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @returns {Promise<Object|null>} The revoked invitation, or null if there is no pending one
+   */
+  static async revokeInvitation(invitationId, admin, context = {}) {
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return null;
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, status: 'pending' },
+      { status: 'revoked', revokedBy: admin.id, revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (invitation) {
+      await AuditLog.logEvent('INVITATION_REVOKED', {
+        userId: admin.id,
+        email: admin.email,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        details: { invitationId: invitation.id, invitedEmail: invitation.email },
+        severity: 'low',
+      });
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Reserve an invitation for a registration
+   * The invitation is marked accepted straight away so it cannot be used
+   * twice; call releaseInvitation if the account is not created after all.
+   * @throws {Error} If the token is invalid, used, expired, revoked or not for this email
+   */
+  static async claimInvitation(token, email) {
+    const tokenHash = this.hashToken(token);
+    const invitation = await Invitation.findOne({ tokenHash });
+
+    if (!invitation || !invitation.isUsable()) {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    if (!invitation.allowsEmail(email)) {
+      throw new Error(
+        invitation.email
+          ? 'This invitation is for a different email address'
+          : `This invitation requires an email address at ${invitation.allowedDomain}`
+      );
+    }
+
+    const claimed = await Invitation.findOneAndUpdate(
+      { tokenHash, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+
+    // Lost a race with another registration
+    if (!claimed) {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Make a claimed invitation usable again
+   */
+  static async releaseInvitation(invitation) {
+    await Invitation.updateOne(
+      { _id: invitation._id, status: 'accepted', acceptedBy: { $exists: false } },
+      { status: 'pending', $unset: { acceptedAt: 1 } }
+    );
+  }
+
+  /**
+   * Record the account created with a claimed invitation
+   */
+  static async completeInvitation(invitation, user, context = {}) {
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user.id });
+
+    await AuditLog.logEvent('INVITATION_ACCEPTED', {
+      userId: user.id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        invitationId: invitation.id,
+        invitedBy: invitation.invitedBy,
+        role: invitation.role,
+      },
+      severity: 'low',
+    });
+
+    logSecurityEvent('INVITATION_ACCEPTED', {
+      userId: user.id,
+      invitationId: invitation.id,
+      role: invitation.role,
+    });
+  }
+}
+
+export default InvitationService;
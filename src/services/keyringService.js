@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import { exportJWK, exportPKCS8, generateKeyPair, importJWK, importPKCS8 } from 'jose';
+import config from '../config/environment.js';
+import SigningKey from '../models/SigningKey.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Keyring Service
+ * Manages the asymmetric keys used to sign access tokens
+ *
+ * One key is active for signing at a time. On rotation the previous key is
+ * retired but kept (and published in the JWKS) until every token it signed
+ * has expired, so other services can keep verifying them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between reloads triggered by an unknown kid
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+// Thrown by a key store when another key is already active
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * In-memory key store (tests and single-process development)
+ */
+export class MemoryKeyStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  loadAll() {
+    const now = Date.now();
+    return [...this.records.values()].filter(
+      (record) => !record.expiresAt || record.expiresAt.getTime() > now
+    );
+  }
+
+  insert(record) {
+    const hasActive = [...this.records.values()].some((stored) => stored.status === 'active');
+    if (record.status === 'active' && hasActive) {
+      throw Object.assign(new Error('Another signing key is already active'), {
+        code: DUPLICATE_KEY_ERROR,
+      });
+    }
+
+    this.records.set(record.kid, { ...record });
+  }
+
+  retire(kid, expiresAt) {
+    const record = this.records.get(kid);
+    if (!record || record.status !== 'active') {
+      return false;
+    }
+
+    record.status = 'retired';
+    record.retiredAt = new Date();
+    record.expiresAt = expiresAt;
+    return true;
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * MongoDB key store shared by every instance
+ * Private keys are encrypted at rest with the encryption service
+ */
+export class MongoKeyStore {
+  constructor() {
+    this.name = 'mongodb';
+  }
+
+  async getEncryptionService() {
+    // Imported here: the service needs ENCRYPTION_KEY at load time
+    const { default: encryptionService } = await import('./encryptionService.js');
+    return encryptionService;
+  }
+
+  async loadAll() {
+    const records = await SigningKey.find({
+      $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }],
+    })
+      .select('+privateKey')
+      .lean();
+
+    const encryptionService = await this.getEncryptionService();
+    return records.map((record) => ({
+      ...record,
+      // Keys stored before encryption was added are still plain PEM
+      privateKey: record.privateKey.startsWith('-----BEGIN')
+        ? record.privateKey
+        : encryptionService.decrypt(record.privateKey),
+    }));
+  }
+
+  async insert(record) {
+    const encryptionService = await this.getEncryptionService();
+    await SigningKey.create({
+      ...record,
+      privateKey: encryptionService.encrypt(record.privateKey),
+    });
+  }
+
+  async retire(kid, expiresAt) {
+    // Conditional update so only one instance wins a concurrent rotation
+    const result = await SigningKey.updateOne(
+      { kid, status: 'active' },
+      { status: 'retired', retiredAt: new Date(), expiresAt }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+let keyStore = null;
+let keys = new Map();
+let activeKid = null;
+let initPromise = null;
+let lastLoadedAt = 0;
+let rotationTimer = null;
+
+class KeyringService {
+  /**
+   * Get the configured key store
+   */
+  static getKeyStore() {
+    if (!keyStore) {
+      keyStore = config.jwt.keyStore === 'memory' ? new MemoryKeyStore() : new MongoKeyStore();
+    }
+    return keyStore;
+  }
+
+  /**
+   * Whether access tokens are signed with the keyring
+   */
+  static isEnabled() {
+    return config.jwt.algorithm !== 'HS256';
+  }
+
+  /**
+   * Load keys and make sure a current signing key exists
+   * Safe to call repeatedly; work is only done once
+   */
+  static initialize() {
+    if (!initPromise) {
+      initPromise = (async () => {
+        await this.loadKeys();
+        await this.rotateIfDue();
+        this.startRotationSchedule();
+      })().catch((error) => {
+        initPromise = null;
+        throw error;
+      });
+    }
+    return initPromise;
+  }
+
+  /**
+   * Load all unexpired keys from the store into memory
+   */
+  static async loadKeys() {
+    const records = await this.getKeyStore().loadAll();
+    const loaded = new Map();
+    let newestActive = null;
+
+    for (const record of records) {
+      const entry = {
+        kid: record.kid,
+        alg: record.alg,
+        status: record.status,
+        activatedAt: new Date(record.activatedAt),
+        expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+        publicJwk: record.publicJwk,
+        publicKey: await importJWK(record.publicJwk, record.alg),
+        privateKey:
+          record.status === 'active' ? await importPKCS8(record.privateKey, record.alg) : null,
+      };
+      loaded.set(entry.kid, entry);
+
+      if (
+        entry.status === 'active' &&
+        (!newestActive || entry.activatedAt > newestActive.activatedAt)
+      ) {
+        newestActive = entry;
+      }
+    }
+
+    // Only the newest active key signs; retire any other (left by instances
+    // that activated keys concurrently before the unique index existed)
+    for (const entry of loaded.values()) {
+      if (entry.status === 'active' && entry !== newestActive) {
+        const expiresAt = new Date(Date.now() + config.jwt.keyRetentionDays * DAY_MS);
+        await this.getKeyStore().retire(entry.kid, expiresAt);
+        Object.assign(entry, { status: 'retired', expiresAt, privateKey: null });
+        logger.warn(`Retired extra active JWT signing key: ${entry.kid}`);
+      }
+    }
+
+    keys = loaded;
+    activeKid = newestActive?.kid || null;
+    lastLoadedAt = Date.now();
+
+    return keys.size;
+  }
+
+  /**
+   * Generate a new signing key and retire the current one
+   */
+  static async rotate() {
+    const store = this.getKeyStore();
+    const previousKid = activeKid;
+
+    if (previousKid) {
+      const expiresAt = new Date(Date.now() + config.jwt.keyRetentionDays * DAY_MS);
+      const retired = await store.retire(previousKid, expiresAt);
+
+      // Another instance rotated first; use its key
+      if (!retired) {
+        await this.loadKeys();
+        return activeKid;
+      }
+    }
+
+    const alg = config.jwt.algorithm;
+    const { publicKey, privateKey } = await generateKeyPair(alg, { extractable: true });
+    const kid = crypto.randomUUID();
+
+    try {
+      await store.insert({
+        kid,
+        alg,
+        publicJwk: await exportJWK(publicKey),
+        privateKey: await exportPKCS8(privateKey),
+        status: 'active',
+        activatedAt: new Date(),
+      });
+    } catch (error) {
+      // Another instance activated a key first; use its key
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+      await this.loadKeys();
+      return activeKid;
+    }
+
+    await this.loadKeys();
+
+    logSecurityEvent('SIGNING_KEY_ROTATED', {
+      kid,
+      alg,
+      previousKid,
+    });
+
+    logger.info(`JWT signing key rotated: ${kid} (${alg})`);
+
+    return kid;
+  }
+
+  /**
+   * Rotate when there is no active key, it is too old, or the algorithm changed
+   */
+  static rotateIfDue() {
+    const active = keys.get(activeKid);
+    const maxAge = config.jwt.keyRotationDays * DAY_MS;
+
+    if (
+      !active ||
+      active.alg !== config.jwt.algorithm ||
+      Date.now() - active.activatedAt.getTime() >= maxAge
+    ) {
+      return this.rotate();
+    }
+
+    return null;
+  }
+
+  /**
+   * Check for due rotations every hour
+   */
+  static startRotationSchedule() {
+    if (rotationTimer) {
+      return;
+    }
+
+    rotationTimer = setInterval(
+      () => {
+        this.loadKeys()
+          .then(() => this.rotateIfDue())
+          .catch((error) => {
+            logger.error('Error rotating JWT signing key:', error.message);
+          });
+      },
+      60 * 60 * 1000
+    );
+    rotationTimer.unref();
+  }
+
+  /**
+   * Get the key used to sign new tokens
+   */
+  static async getSigningKey() {
+    await this.initialize();
+
+    const active = keys.get(activeKid);
+    if (!active) {
+      throw new Error('No active signing key');
+    }
+
+    return { kid: active.kid, alg: active.alg, privateKey: active.privateKey };
+  }
+
+  /**
+   * Get the public key for a kid, reloading once if another instance rotated
+   */
+  static async getVerificationKey(kid) {
+    await this.initialize();
+
+    if (!keys.has(kid) && Date.now() - lastLoadedAt > RELOAD_INTERVAL_MS) {
+      await this.loadKeys();
+    }
+
+    const entry = keys.get(kid);
+    if (!entry || (entry.expiresAt && entry.expiresAt.getTime() <= Date.now())) {
+      return null;
+    }
+
+    return { alg: entry.alg, publicKey: entry.publicKey };
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set
+   */
+  static async getJwks() {
+    if (!this.isEnabled()) {
+      return { keys: [] };
+    }
+
+    await this.initialize();
+
+    const now = Date.now();
+    return {
+      keys: [...keys.values()]
+        .filter((entry) => !entry.expiresAt || entry.expiresAt.getTime() > now)
+        .map((entry) => ({
+          ...entry.publicJwk,
+          kid: entry.kid,
+          alg: entry.alg,
+          use: 'sig',
+        })),
+    };
+  }
+
+  /**
+   * Key metadata for administration (no key material)
+   */
+  static async listKeys() {
+    await this.initialize();
+
+    return [...keys.values()].map((entry) => ({
+      kid: entry.kid,
+      alg: entry.alg,
+      status: entry.status,
+      activatedAt: entry.activatedAt,
+      expiresAt: entry.expiresAt,
+    }));
+  }
+}
+
+export default KeyringService;
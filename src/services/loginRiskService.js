@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import net from 'net';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import emailService from './emailService.js';
+import whatsappService from './whatsappService.js';
+import { parseUserAgent } from '../utils/deviceInfo.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Login Risk Service
+ * Scores a sign-in against the user's recent successful logins
+ *
+ * Each login is compared on device (a fingerprint of the parsed user agent and
+ * client hints), network (the IPv4 /24 or IPv6 /48) and CDN-reported location.
+ * Every successful login is written to the audit log as LOGIN_SUCCESS with its
+ * fingerprint, subnet and score, and those entries are the history later
+ * logins are compared with. A user with no history scores 0.
+ *
+ * The score is advisory. Device and location come from request headers that
+ * an attacker can copy from the victim's browser or forge, so a low score only
+ * means nothing looked unusual: it never replaces the password or an enrolled
+ * second factor, and a matching device alone never makes a browser trusted
+ * (that needs the signed trusted-device cookie). A high score adds an alert or a code.
+ */
+
+// Points added for each factor; the total is capped at 100
+const FACTOR_WEIGHTS = {
+  new_device: 40,
+  new_network: 20,
+  new_country: 30,
+  new_city: 10,
+  recent_failures: 15,
+};
+
+// Failed password attempts since the last successful login that count as a factor
+const RECENT_FAILURES_THRESHOLD = 3;
+
+class LoginRiskService {
+  /**
+   * Stable identifier for a browser on a device
+   * Browser and OS versions are left out so updates do not look like a new device.
+   * @param {Object|null} clientHints - from getClientHints
+   */
+  static getFingerprint(userAgent, clientHints = null) {
+    const { browser, os, deviceType } = parseUserAgent(userAgent);
+
+    const parts = [
+      browser.replace(/ \d+$/, ''),
+      os,
+      deviceType,
+      clientHints?.platform || '',
+      clientHints?.mobile ?? '',
+      (clientHints?.brands || []).join(','),
+    ];
+
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Network an IP belongs to: the /24 for IPv4, the /48 for IPv6
+   * @returns {string|null}
+   */
+  static getSubnet(ip) {
+    if (typeof ip !== 'string') {
+      return null;
+    }
+
+    const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+    if (net.isIPv4(address)) {
+      return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    if (net.isIPv6(address)) {
+      const [head, tail = ''] = address.toLowerCase().split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const groups = [
+        ...headGroups,
+        ...Array(8 - headGroups.length - tailGroups.length).fill('0'),
+        ...tailGroups,
+      ];
+
+      return `${groups
+        .slice(0, 3)
+        .map((group) => parseInt(group, 16).toString(16))
+        .join(':')}::/48`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Recent successful logins for a user, newest first
+   */
+  static async getHistory(userId) {
+    const since = new Date(Date.now() - config.loginRisk.lookbackDays * 24 * 60 * 60 * 1000);
+
+    try {
+      return await AuditLog.find({
+        userId,
+        event: 'LOGIN_SUCCESS',
+        timestamp: { $gte: since },
+      })
+        .sort({ timestamp: -1 })
+        .limit(config.loginRisk.historySize)
+        .select('ip details timestamp')
+        .lean();
+    } catch (error) {
+      logger.error('Failed to load login history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Score a login against earlier ones
+   * @param {Object} current - { fingerprint, subnet, location, failedAttempts }
+   * @param {Array} history - LOGIN_SUCCESS audit entries
+   * @returns {{ score: number, level: string, factors: string[] }}
+   */
+  static scoreLogin({ fingerprint, subnet, location, failedAttempts = 0 }, history) {
+    if (history.length === 0) {
+      return { score: 0, level: 'low', factors: [] };
+    }
+
+    const factors = [];
+    const previous = history.map((entry) => ({
+      fingerprint: entry.details?.fingerprint,
+      subnet: entry.details?.subnet || this.getSubnet(entry.ip),
+      location: entry.details?.location,
+    }));
+
+    if (!previous.some((login) => login.fingerprint === fingerprint)) {
+      factors.push('new_device');
+    }
+
+    if (subnet && !previous.some((login) => login.subnet === subnet)) {
+      factors.push('new_network');
+    }
+
+    // Only compared when the CDN reported a location this time and before
+    const locations = previous.map((login) => login.location).filter((item) => item?.country);
+    if (location?.country && locations.length > 0) {
+      const sameCountry = locations.filter((item) => item.country === location.country);
+
+      if (sameCountry.length === 0) {
+        factors.push('new_country');
+      } else if (
+        location.city &&
+        sameCountry.some((item) => item.city) &&
+        !sameCountry.some((item) => item.city === location.city)
+      ) {
+        factors.push('new_city');
+      }
+    }
+
+    if (failedAttempts >= RECENT_FAILURES_THRESHOLD) {
+      factors.push('recent_failures');
+    }
+
+    const score = Math.min(
+      factors.reduce((total, factor) => total + FACTOR_WEIGHTS[factor], 0),
+      100
+    );
+
+    return { score, level: this.getLevel(score), factors };
+  }
+
+  /**
+   * 'high' needs a second factor, 'medium' sends a new sign-in alert
+   */
+  static getLevel(score) {
+    if (score >= config.loginRisk.stepUpScore) {
+      return 'high';
+    }
+    if (score >= config.loginRisk.alertScore) {
+      return 'medium';
+    }
+    return 'low';
+  }
+
+  /**
+   * Evaluate a login before it completes
+   * @param {Object} context - { ipAddress, userAgent, location, clientHints }
+   * @returns {Promise<Object>} { score, level, factors, fingerprint, subnet, alert, requiresVerification }
+   */
+  static async evaluate(user, { ipAddress, userAgent, location = null, clientHints = null }) {
+    const fingerprint = this.getFingerprint(userAgent, clientHints);
+    const subnet = this.getSubnet(ipAddress);
+
+    let result = { score: 0, level: 'low', factors: [] };
+
+    if (config.loginRisk.enabled) {
+      const history = await this.getHistory(user._id);
+      result = this.scoreLogin(
+        { fingerprint, subnet, location, failedAttempts: user.loginAttempts },
+        history
+      );
+    }
+
+    return {
+      ...result,
+      fingerprint,
+      subnet,
+      alert: result.level !== 'low',
+      requiresVerification: result.level === 'high',
+    };
+  }
+
+  /**
+   * Tell the user about a sign-in from a new device or place
+   * Sent by email, and by WhatsApp when the user has a phone number. Never throws.
+   * @param {Object} context - { ipAddress, userAgent, location }
+   */
+  static sendNewSignInAlerts(user, { ipAddress, userAgent, location = null }) {
+    const device = parseUserAgent(userAgent).label;
+    let place = 'Unknown location';
+    if (location?.country) {
+      place = location.city ? `${location.city}, ${location.country}` : location.country;
+    }
+    const userName = user.firstName || user.username;
+
+    emailService
+      .sendNewSignInAlertEmail(user.email, userName, {
+        device,
+        location: place,
+        ipAddress,
+        time: new Date(),
+      })
+      .catch((error) => {
+        logger.error('Failed to send new sign-in email:', error.message);
+      });
+
+    if (user.phoneNumber && user.phoneVerified) {
+      whatsappService.sendLoginAlert(user.phoneNumber, userName, place, device).catch((error) => {
+        logger.error('Failed to send new sign-in WhatsApp alert:', error.message);
+      });
+    }
+  }
+}
+
+export default LoginRiskService;
@@ -0,0 +1,645 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import OAuthAuthorizationCode from '../models/OAuthAuthorizationCode.js';
+import OAuthClient from '../models/OAuthClient.js';
+import OAuthConsent from '../models/OAuthConsent.js';
+import User from '../models/User.mongoose.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+import OAuthError from '../utils/OAuthError.js';
+import KeyringService from './keyringService.js';
+import { hashToken } from './refreshTokenStore.js';
+import TokenService from './tokenService.js';
+
+/**
+ * OAuth Server Service
+ * Built-in OAuth 2.1 / OpenID Connect authorization server
+ *
+ * Supports the authorization code grant with mandatory PKCE (S256) and the
+ * refresh token grant. Users sign in through the normal login (and 2FA) flow;
+ * the authorization endpoint then issues a code for the signed-in user.
+ *
+ * Service clients use the client credentials grant instead. Their tokens act
+ * for the client itself and carry PERMISSIONS values as scopes.
+ */
+
+export const SUPPORTED_SCOPES = ['openid', 'profile', 'email'];
+
+// Scopes a service client can be granted
+export const SERVICE_SCOPES = Object.values(PERMISSIONS);
+
+const USER_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+// RFC 7636: 43-128 characters from the unreserved set
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+class OAuthServerService {
+  /**
+   * Split a space-delimited scope string into unique scopes
+   */
+  static parseScope(scope) {
+    if (!scope) {
+      return [];
+    }
+    return [...new Set(String(scope).split(' ').filter(Boolean))];
+  }
+
+  /**
+   * Check a PKCE code verifier against the stored S256 challenge
+   */
+  static verifyPkce(codeVerifier, codeChallenge) {
+    if (!codeVerifier || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+      return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return (
+      expected.length === codeChallenge.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(codeChallenge))
+    );
+  }
+
+  /**
+   * Append query parameters to a redirect URI
+   */
+  static buildRedirectUri(redirectUri, params) {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url.toString();
+  }
+
+  /**
+   * Register a new client application
+   * @returns {Object} { client, clientSecret } - secret is only returned here
+   */
+  static async createClient(data, createdBy) {
+    const grantTypes = data.grantTypes || USER_GRANT_TYPES;
+
+    if (!Array.isArray(grantTypes) || grantTypes.length === 0) {
+      throw new Error('grantTypes must be a non-empty array');
+    }
+
+    if (grantTypes.includes('client_credentials')) {
+      return this.createServiceClient(data, createdBy);
+    }
+
+    if (grantTypes.some((grantType) => !USER_GRANT_TYPES.includes(grantType))) {
+      throw new Error(`Unsupported grant types: ${grantTypes.join(', ')}`);
+    }
+
+    const clientType = data.clientType || 'public';
+    const allowedScopes = data.allowedScopes || SUPPORTED_SCOPES;
+
+    const unsupported = allowedScopes.filter((scope) => !SUPPORTED_SCOPES.includes(scope));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported scopes: ${unsupported.join(', ')}`);
+    }
+
+    if (!Array.isArray(data.redirectUris) || data.redirectUris.length === 0) {
+      throw new Error('At least one redirect URI is required');
+    }
+
+    data.redirectUris.forEach((uri) => {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch {
+        throw new Error(`Invalid redirect URI: ${uri}`);
+      }
+      if (url.hash) {
+        throw new Error('Redirect URIs must not contain a fragment');
+      }
+      // OAuth 2.1: HTTPS only, except loopback for development
+      if (url.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+        throw new Error('Redirect URIs must use HTTPS');
+      }
+    });
+
+    const clientSecret =
+      clientType === 'confidential' ? crypto.randomBytes(32).toString('base64url') : null;
+
+    const client = await OAuthClient.create({
+      clientId: crypto.randomBytes(16).toString('hex'),
+      clientSecretHash: clientSecret ? OAuthClient.hashSecret(clientSecret) : undefined,
+      name: data.name,
+      clientType,
+      redirectUris: data.redirectUris,
+      grantTypes,
+      allowedScopes,
+      skipConsent: Boolean(data.skipConsent),
+      createdBy,
+    });
+
+    logSecurityEvent('OAUTH_CLIENT_CREATED', {
+      clientId: client.clientId,
+      clientType,
+      createdBy,
+    });
+
+    logger.info(`OAuth client registered: ${client.clientId} (${client.name})`);
+
+    return { client, clientSecret };
+  }
+
+  /**
+   * Register a service client for the client credentials grant
+   * Service clients are always confidential and only use PERMISSIONS scopes
+   */
+  static async createServiceClient(data, createdBy) {
+    if (data.grantTypes.length !== 1) {
+      throw new Error('client_credentials cannot be combined with other grant types');
+    }
+
+    if (data.clientType && data.clientType !== 'confidential') {
+      throw new Error('Service clients must be confidential');
+    }
+
+    if (!Array.isArray(data.allowedScopes) || data.allowedScopes.length === 0) {
+      throw new Error('Service clients need at least one scope');
+    }
+
+    const unsupported = data.allowedScopes.filter((scope) => !SERVICE_SCOPES.includes(scope));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported scopes: ${unsupported.join(', ')}`);
+    }
+
+    const clientSecret = crypto.randomBytes(32).toString('base64url');
+
+    const client = await OAuthClient.create({
+      clientId: crypto.randomBytes(16).toString('hex'),
+      clientSecretHash: OAuthClient.hashSecret(clientSecret),
+      name: data.name,
+      clientType: 'confidential',
+      redirectUris: [],
+      grantTypes: ['client_credentials'],
+      allowedScopes: [...new Set(data.allowedScopes)],
+      createdBy,
+    });
+
+    logSecurityEvent('OAUTH_CLIENT_CREATED', {
+      clientId: client.clientId,
+      clientType: 'service',
+      scopes: client.allowedScopes,
+      createdBy,
+    });
+
+    logger.info(`OAuth service client registered: ${client.clientId} (${client.name})`);
+
+    return { client, clientSecret };
+  }
+
+  /**
+   * Deactivate a client; existing refresh tokens stop working on next use
+   */
+  static async deactivateClient(clientId) {
+    const client = await OAuthClient.findOneAndUpdate(
+      { clientId },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (client) {
+      logSecurityEvent('OAUTH_CLIENT_DEACTIVATED', { clientId });
+    }
+
+    return client;
+  }
+
+  /**
+   * Validate an authorization request
+   * Errors thrown before the redirect URI is trusted must not redirect
+   * @returns {Object} Normalized request
+   */
+  static async validateAuthorizationRequest(params) {
+    // Only plain strings reach the query (request bodies may contain objects)
+    const client =
+      typeof params.client_id === 'string'
+        ? await OAuthClient.findOne({ clientId: params.client_id, isActive: true })
+        : null;
+
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Unknown client');
+    }
+
+    if (!params.redirect_uri || !client.redirectUris.includes(params.redirect_uri)) {
+      throw new OAuthError('invalid_request', 'redirect_uri does not match a registered URI');
+    }
+
+    // From here on, errors are reported to the client via redirect
+    const redirectError = (error, description) => {
+      const err = new OAuthError(error, description);
+      err.redirectUri = this.buildRedirectUri(params.redirect_uri, {
+        error,
+        error_description: description,
+        state: params.state,
+      });
+      return err;
+    };
+
+    if (params.response_type !== 'code') {
+      throw redirectError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    if (!client.grantTypes.includes('authorization_code')) {
+      throw redirectError('unauthorized_client', 'Client may not use the authorization code grant');
+    }
+
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      throw redirectError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    const scopes = this.parseScope(params.scope);
+    const invalidScopes = scopes.filter((scope) => !client.allowedScopes.includes(scope));
+    if (scopes.length === 0 || invalidScopes.length > 0) {
+      throw redirectError('invalid_scope', 'Requested scope is not allowed for this client');
+    }
+    if (scopes.includes('openid') && !KeyringService.isEnabled()) {
+      throw redirectError('invalid_scope', 'OpenID Connect is not available with HS256 signing');
+    }
+
+    return {
+      client,
+      redirectUri: params.redirect_uri,
+      scopes,
+      state: params.state,
+      nonce: params.nonce,
+      codeChallenge: params.code_challenge,
+    };
+  }
+
+  /**
+   * Whether the user has already granted every requested scope
+   */
+  static async hasConsent(userId, client, scopes) {
+    if (client.skipConsent) {
+      return true;
+    }
+
+    const consent = await OAuthConsent.findOne({ userId, clientId: client.clientId });
+    return Boolean(consent) && scopes.every((scope) => consent.scopes.includes(scope));
+  }
+
+  /**
+   * Record the scopes a user granted to a client
+   */
+  static async grantConsent(userId, clientId, scopes) {
+    await OAuthConsent.findOneAndUpdate(
+      { userId, clientId },
+      { $addToSet: { scopes: { $each: scopes } } },
+      { upsert: true }
+    );
+
+    logSecurityEvent('OAUTH_CONSENT_GRANTED', { userId, clientId, scopes });
+  }
+
+  /**
+   * List the clients a user has granted access to
+   */
+  static async listConsents(userId) {
+    const consents = await OAuthConsent.find({ userId }).lean();
+    const clients = await OAuthClient.find({
+      clientId: { $in: consents.map((consent) => consent.clientId) },
+    }).lean();
+    const names = new Map(clients.map((client) => [client.clientId, client.name]));
+
+    return consents.map((consent) => ({
+      clientId: consent.clientId,
+      clientName: names.get(consent.clientId),
+      scopes: consent.scopes,
+      grantedAt: consent.createdAt,
+      updatedAt: consent.updatedAt,
+    }));
+  }
+
+  /**
+   * Withdraw a user's consent for a client
+   * Every session the client holds for the user ends with it, so refresh
+   * tokens issued before the consent was withdrawn stop working too.
+   */
+  static async revokeConsent(userId, clientId) {
+    const result = await OAuthConsent.deleteOne({ userId, clientId });
+
+    const sessionIds = new Set(
+      (await TokenService.getUserRefreshTokens(userId))
+        .filter((token) => token.clientId === clientId)
+        .map((token) => token.sessionId)
+    );
+    for (const sessionId of sessionIds) {
+      await TokenService.revokeSession(sessionId);
+    }
+
+    const revoked = result.deletedCount > 0 || sessionIds.size > 0;
+    if (revoked) {
+      logSecurityEvent('OAUTH_CONSENT_REVOKED', {
+        userId,
+        clientId,
+        sessionsRevoked: sessionIds.size,
+      });
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Issue a single-use authorization code
+   * @param {Object} request - Validated authorization request
+   * @param {Object} user - Signed-in user ({ userId, authTime })
+   */
+  static async createAuthorizationCode(request, user) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await OAuthAuthorizationCode.create({
+      codeHash: hashToken(code),
+      clientId: request.client.clientId,
+      userId: user.userId,
+      redirectUri: request.redirectUri,
+      scopes: request.scopes,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      authTime: user.authTime,
+      expiresAt: new Date(Date.now() + config.oauthServer.codeTtlSeconds * 1000),
+    });
+
+    return code;
+  }
+
+  /**
+   * Authenticate the client at the token endpoint
+   * Confidential clients must present their secret; public clients rely on PKCE
+   */
+  static async authenticateClient(clientId, clientSecret) {
+    const client =
+      typeof clientId === 'string'
+        ? await OAuthClient.findOne({ clientId, isActive: true }).select('+clientSecretHash')
+        : null;
+
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    if (client.clientType === 'confidential' && !client.compareSecret(clientSecret)) {
+      logSecurityEvent('OAUTH_CLIENT_AUTH_FAILED', { clientId });
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    return client;
+  }
+
+  /**
+   * Build the token response for a user and client
+   */
+  static async issueTokens(user, client, scopes, options = {}) {
+    const payload = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      clientId: client.clientId,
+      scope: scopes.join(' '),
+    };
+
+    const response = {
+      token_type: 'Bearer',
+      expires_in: Math.floor(TokenService.parseExpiry(config.jwt.expiresIn) / 1000),
+      scope: payload.scope,
+    };
+
+    if (client.grantTypes.includes('refresh_token')) {
+      const tokens = await TokenService.generateTokenPair(payload, {
+        familyId: options.familyId,
+      });
+      response.access_token = tokens.accessToken;
+      response.refresh_token = tokens.refreshToken;
+    } else {
+      response.access_token = await TokenService.generateAccessToken(payload);
+    }
+
+    if (scopes.includes('openid')) {
+      response.id_token = await TokenService.generateIdToken(user, {
+        clientId: client.clientId,
+        scopes,
+        nonce: options.nonce,
+        authTime: options.authTime,
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Issue a token for a service client (client credentials grant)
+   * Defaults to every scope the client is allowed when none is requested
+   */
+  static async exchangeClientCredentials(client, params) {
+    if (client.clientType !== 'confidential' || !client.grantTypes.includes('client_credentials')) {
+      throw new OAuthError('unauthorized_client', 'Client may not use client_credentials');
+    }
+
+    if (params.scope !== undefined && typeof params.scope !== 'string') {
+      throw new OAuthError('invalid_request', 'scope must be a string');
+    }
+
+    const scopes = params.scope ? this.parseScope(params.scope) : client.allowedScopes;
+    const invalidScopes = scopes.filter((scope) => !client.allowedScopes.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new OAuthError('invalid_scope', `Scope not allowed: ${invalidScopes.join(' ')}`);
+    }
+
+    const scope = scopes.join(' ');
+    const accessToken = await TokenService.generateClientAccessToken(client.clientId, scope);
+
+    logSecurityEvent('OAUTH_TOKEN_ISSUED', {
+      clientId: client.clientId,
+      grantType: 'client_credentials',
+      scopes,
+    });
+
+    return {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: Math.floor(TokenService.parseExpiry(config.jwt.expiresIn) / 1000),
+      scope,
+    };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   */
+  static async exchangeAuthorizationCode(client, params) {
+    if (typeof params.code !== 'string') {
+      throw new OAuthError('invalid_request', 'code is required');
+    }
+
+    // Atomically consume the code so it can only be used once
+    const record = await OAuthAuthorizationCode.findOneAndDelete({
+      codeHash: hashToken(params.code),
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!record || record.clientId !== client.clientId) {
+      throw new OAuthError('invalid_grant', 'Invalid or expired authorization code');
+    }
+
+    if (record.redirectUri !== params.redirect_uri) {
+      throw new OAuthError(
+        'invalid_grant',
+        'redirect_uri does not match the authorization request'
+      );
+    }
+
+    if (!this.verifyPkce(params.code_verifier, record.codeChallenge)) {
+      logSecurityEvent('OAUTH_PKCE_FAILED', {
+        clientId: client.clientId,
+        userId: record.userId.toString(),
+      });
+      throw new OAuthError('invalid_grant', 'PKCE verification failed');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.isActive) {
+      throw new OAuthError('invalid_grant', 'User is not active');
+    }
+
+    const response = await this.issueTokens(user, client, record.scopes, {
+      nonce: record.nonce,
+      authTime: record.authTime,
+    });
+
+    logSecurityEvent('OAUTH_TOKEN_ISSUED', {
+      userId: user.id,
+      clientId: client.clientId,
+      grantType: 'authorization_code',
+      scopes: record.scopes,
+    });
+
+    return response;
+  }
+
+  /**
+   * Exchange a refresh token issued to this client for new tokens
+   */
+  static async exchangeRefreshToken(client, params, context = {}) {
+    if (!client.grantTypes.includes('refresh_token')) {
+      throw new OAuthError('unauthorized_client', 'Client may not use the refresh token grant');
+    }
+
+    if (typeof params.refresh_token !== 'string') {
+      throw new OAuthError('invalid_request', 'refresh_token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = await TokenService.verifyRefreshToken(params.refresh_token, context);
+    } catch (error) {
+      throw new OAuthError('invalid_grant', error.message);
+    }
+
+    if (decoded.clientId !== client.clientId) {
+      throw new OAuthError('invalid_grant', 'Refresh token was not issued to this client');
+    }
+
+    // Scope may be narrowed but never widened
+    const grantedScopes = this.parseScope(decoded.scope);
+    const requestedScopes = params.scope ? this.parseScope(params.scope) : grantedScopes;
+    if (requestedScopes.some((scope) => !grantedScopes.includes(scope))) {
+      throw new OAuthError('invalid_scope', 'Requested scope exceeds the original grant');
+    }
+
+    // The grant only lasts as long as the user's consent
+    if (!(await this.hasConsent(decoded.userId, client, grantedScopes))) {
+      throw new OAuthError('invalid_grant', 'The user has withdrawn consent for this client');
+    }
+
+    let tokens;
+    try {
+      tokens = await TokenService.rotateRefreshToken(params.refresh_token, context);
+    } catch (error) {
+      throw new OAuthError('invalid_grant', error.message);
+    }
+
+    const response = {
+      token_type: 'Bearer',
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      expires_in: Math.floor(TokenService.parseExpiry(config.jwt.expiresIn) / 1000),
+      scope: grantedScopes.join(' '),
+    };
+
+    logSecurityEvent('OAUTH_TOKEN_ISSUED', {
+      userId: decoded.userId,
+      clientId: client.clientId,
+      grantType: 'refresh_token',
+    });
+
+    return response;
+  }
+
+  /**
+   * Claims for the userinfo endpoint, filtered by granted scopes
+   */
+  static getUserInfo(user, scopes) {
+    const claims = { sub: user.id };
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+      claims.email_verified = Boolean(user.isEmailVerified);
+    }
+
+    if (scopes.includes('profile')) {
+      claims.name = user.fullName || undefined;
+      claims.given_name = user.firstName;
+      claims.family_name = user.lastName;
+      claims.preferred_username = user.username;
+      claims.updated_at = user.updatedAt ? Math.floor(user.updatedAt.getTime() / 1000) : undefined;
+    }
+
+    return claims;
+  }
+
+  /**
+   * OpenID Connect discovery document
+   */
+  static getDiscoveryDocument() {
+    const issuer = config.oauthServer.issuer;
+    const base = `${issuer}${config.app.apiPrefix}/oauth`;
+
+    return {
+      issuer,
+      authorization_endpoint: `${base}/authorize`,
+      token_endpoint: `${base}/token`,
+      userinfo_endpoint: `${base}/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [config.jwt.algorithm],
+      // ID tokens are only issued with an asymmetric key (see TokenService.generateIdToken)
+      scopes_supported: KeyringService.isEnabled()
+        ? SUPPORTED_SCOPES
+        : SUPPORTED_SCOPES.filter((scope) => scope !== 'openid'),
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: [
+        'sub',
+        'iss',
+        'aud',
+        'exp',
+        'iat',
+        'auth_time',
+        'nonce',
+        'email',
+        'email_verified',
+        'name',
+        'given_name',
+        'family_name',
+        'preferred_username',
+      ],
+    };
+  }
+}
+
+export default OAuthServerService;
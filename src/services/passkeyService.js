@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from '@simplewebauthn/server';
+import { isoBase64URL, isoUint8Array } from '@simplewebauthn/server/helpers';
+import config from '../config/environment.js';
+import Passkey from '../models/Passkey.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+import { denyToken, isTokenDenied } from './accessTokenDenylist.js';
+import TokenService from './tokenService.js';
+
+/**
+ * Passkey Service
+ * WebAuthn registration and authentication ceremonies
+ *
+ * Challenges travel to the client inside a short-lived signed token
+ * (see TokenService.generateWebAuthnChallengeToken) and are used up once
+ * verified, so no server-side session is needed between the two steps.
+ *
+ * Ceremonies come in two purposes: "login" (passwordless, user verification
+ * required, any discoverable passkey) and "2fa" (second factor for a known
+ * user, limited to that user's passkeys).
+ */
+
+export const MAX_PASSKEYS = 10;
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+class PasskeyService {
+  /**
+   * Expected origins and RP ID for response verification
+   */
+  static getRelyingParty() {
+    return {
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+    };
+  }
+
+  /**
+   * Check a challenge token and use it up so a response cannot be replayed
+   */
+  static async consumeChallenge(challengeToken, purpose) {
+    const decoded = TokenService.verifyWebAuthnChallengeToken(challengeToken, purpose);
+
+    if (await isTokenDenied(`webauthn:${decoded.jti}`)) {
+      throw new Error('Passkey challenge already used');
+    }
+    await denyToken(`webauthn:${decoded.jti}`, Date.now() + CHALLENGE_TTL_MS);
+
+    return decoded;
+  }
+
+  /**
+   * Registration options for a signed-in user
+   * @param {Array} existingPasskeys - The user's passkeys, excluded so one authenticator is not registered twice
+   */
+  static async generateRegistrationOptions(user, existingPasskeys = []) {
+    const options = await generateRegistrationOptions({
+      rpName: config.webauthn.rpName,
+      rpID: config.webauthn.rpId,
+      userID: isoUint8Array.fromUTF8String(user.id),
+      userName: user.email,
+      userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+      attestationType: 'none',
+      excludeCredentials: existingPasskeys.map((passkey) => ({
+        id: passkey.credentialId,
+        transports: passkey.transports,
+      })),
+      authenticatorSelection: {
+        // Discoverable credentials are what make passwordless login possible
+        residentKey: 'required',
+        userVerification: 'preferred',
+      },
+    });
+
+    const challengeToken = TokenService.generateWebAuthnChallengeToken({
+      challenge: options.challenge,
+      purpose: 'register',
+      userId: user.id,
+    });
+
+    return { options, challengeToken };
+  }
+
+  /**
+   * Verify a registration response
+   * @returns {Promise<Object>} Credential fields to store
+   */
+  static async verifyRegistration(userId, { challengeToken, response }) {
+    const { challenge, userId: challengeUserId } = await this.consumeChallenge(
+      challengeToken,
+      'register'
+    );
+    if (challengeUserId !== userId) {
+      throw new Error('Invalid passkey challenge');
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge,
+        ...this.getRelyingParty(),
+        requireUserVerification: false,
+      });
+    } catch (error) {
+      logger.warn(`Passkey registration rejected for user ${userId}: ${error.message}`);
+      throw new Error('Passkey registration failed');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey registration failed');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp, aaguid } =
+      verification.registrationInfo;
+
+    return {
+      credentialId: credential.id,
+      publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      aaguid,
+    };
+  }
+
+  /**
+   * Register a passkey for a user
+   */
+  static async registerPasskey(user, { challengeToken, response, nickname }) {
+    const existing = await Passkey.find({ userId: user.id });
+    if (existing.length >= MAX_PASSKEYS) {
+      throw new Error(`You can have at most ${MAX_PASSKEYS} passkeys`);
+    }
+
+    const credential = await this.verifyRegistration(user.id, {
+      challengeToken,
+      response,
+    });
+
+    if (await Passkey.exists({ credentialId: credential.credentialId })) {
+      throw new Error('This passkey is already registered');
+    }
+
+    const passkey = await Passkey.create({
+      userId: user.id,
+      ...credential,
+      nickname: nickname || `Passkey ${existing.length + 1}`,
+    });
+
+    logSecurityEvent('PASSKEY_REGISTERED', {
+      userId: user.id,
+      passkeyId: passkey.id,
+      deviceType: passkey.deviceType,
+      backedUp: passkey.backedUp,
+    });
+
+    return passkey;
+  }
+
+  /**
+   * Authentication options
+   * Without a user any discoverable passkey may answer (passwordless login);
+   * with one, only that user's passkeys are offered (second factor).
+   */
+  static async generateAuthenticationOptions(userId = null) {
+    const passkeys = userId ? await Passkey.find({ userId }) : [];
+
+    if (userId && passkeys.length === 0) {
+      throw new Error('No passkeys registered');
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: config.webauthn.rpId,
+      allowCredentials: passkeys.map((passkey) => ({
+        id: passkey.credentialId,
+        transports: passkey.transports,
+      })),
+      userVerification: userId ? 'preferred' : 'required',
+    });
+
+    const challengeToken = TokenService.generateWebAuthnChallengeToken({
+      challenge: options.challenge,
+      purpose: userId ? '2fa' : 'login',
+      userId: userId ? userId.toString() : undefined,
+    });
+
+    return { options, challengeToken };
+  }
+
+  /**
+   * Verify an authentication response against a stored passkey
+   * @returns {Promise<number>} New signature counter
+   */
+  static async verifyAssertion(passkey, { challenge, response, requireUserVerification }) {
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge,
+        ...this.getRelyingParty(),
+        credential: {
+          id: passkey.credentialId,
+          publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+          counter: passkey.counter,
+          transports: passkey.transports,
+        },
+        requireUserVerification,
+      });
+    } catch (error) {
+      logSecurityEvent('PASSKEY_AUTHENTICATION_FAILED', {
+        userId: passkey.userId?.toString(),
+        passkeyId: passkey.id,
+        reason: error.message,
+      });
+      throw new Error('Passkey verification failed');
+    }
+
+    if (!verification.verified) {
+      throw new Error('Passkey verification failed');
+    }
+
+    return verification.authenticationInfo.newCounter;
+  }
+
+  /**
+   * Authenticate with a passkey
+   * @param {string} purpose - 'login' or '2fa'
+   * @param {string} userId - Required for '2fa'; the passkey must belong to this user
+   * @returns {Promise<Object>} The passkey used
+   */
+  static async authenticate({ challengeToken, response }, purpose, userId = null) {
+    if (typeof response?.id !== 'string') {
+      throw new Error('Passkey verification failed');
+    }
+
+    const { challenge, userId: challengeUserId } = await this.consumeChallenge(
+      challengeToken,
+      purpose
+    );
+    if (purpose === '2fa' && (!userId || challengeUserId !== userId.toString())) {
+      throw new Error('Invalid passkey challenge');
+    }
+
+    const passkey = await Passkey.findOne({ credentialId: response.id });
+    if (!passkey || (userId && passkey.userId.toString() !== userId.toString())) {
+      throw new Error('Passkey not recognized');
+    }
+
+    const newCounter = await this.verifyAssertion(passkey, {
+      challenge,
+      response,
+      requireUserVerification: purpose === 'login',
+    });
+
+    passkey.counter = newCounter;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
+
+    return passkey;
+  }
+
+  /**
+   * List a user's passkeys (newest first)
+   */
+  static listPasskeys(userId) {
+    return Passkey.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Rename one of a user's passkeys
+   * @returns {Promise<Object|null>} The passkey, or null if not found
+   */
+  static renamePasskey(userId, passkeyId, nickname) {
+    if (!mongoose.isValidObjectId(passkeyId)) {
+      return null;
+    }
+
+    return Passkey.findOneAndUpdate({ _id: passkeyId, userId }, { nickname }, { new: true });
+  }
+
+  /**
+   * Delete one of a user's passkeys
+   * @returns {Promise<Object|null>} The deleted passkey, or null if not found
+   */
+  static async deletePasskey(userId, passkeyId) {
+    if (!mongoose.isValidObjectId(passkeyId)) {
+      return null;
+    }
+
+    const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId });
+
+    if (passkey) {
+      logSecurityEvent('PASSKEY_DELETED', {
+        userId,
+        passkeyId: passkey.id,
+      });
+    }
+
+    return passkey;
+  }
+}
+
+export default PasskeyService;
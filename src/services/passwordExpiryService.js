@@ -0,0 +1,161 @@
+import config from '../config/environment.js';
+import PasswordPolicy from '../models/PasswordPolicy.js';
+import User from '../models/User.mongoose.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Password Expiry Service
+ * Maximum password age and forced password changes
+ *
+ * Passwords expire maxAgeDays (password policy) after lastPasswordChange.
+ * Users are emailed PASSWORD_EXPIRY_WARNING_DAYS beforehand, once per
+ * password. Once a password has expired, or an admin has set
+ * requirePasswordChange, login only yields a restricted token that can change
+ * the password and nothing else.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let warningTimer = null;
+
+class PasswordExpiryService {
+  /**
+   * When a user's password expires
+   * @returns {Date|null} null if passwords do not expire or the user has none
+   */
+  static getExpiryDate(user, policy) {
+    if (!policy.maxAgeDays || !user.lastPasswordChange) {
+      return null;
+    }
+
+    return new Date(new Date(user.lastPasswordChange).getTime() + policy.maxAgeDays * DAY_MS);
+  }
+
+  /**
+   * Why a user has to change their password before doing anything else
+   * @returns {Promise<string|null>} 'required' (set by an admin), 'expired' or null
+   */
+  static async getRequiredChangeReason(user, now = new Date()) {
+    if (user.requirePasswordChange) {
+      return 'required';
+    }
+
+    const expiresAt = this.getExpiryDate(user, await PasswordPolicy.getPolicy());
+    if (expiresAt && expiresAt <= now) {
+      return 'expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Email every user whose password expires within the warning period
+   * Each password is only warned about once.
+   * @returns {Promise<number>} Number of warnings sent
+   */
+  static async sendExpiryWarnings(now = new Date()) {
+    const policy = await PasswordPolicy.getPolicy();
+
+    if (!policy.maxAgeDays) {
+      return 0;
+    }
+
+    const maxAge = policy.maxAgeDays * DAY_MS;
+    const users = await User.find({
+      isActive: true,
+      lastPasswordChange: {
+        $gt: new Date(now.getTime() - maxAge),
+        $lte: new Date(now.getTime() - maxAge + config.passwordExpiry.warningDays * DAY_MS),
+      },
+      $or: [
+        { passwordExpiryWarningSentAt: { $exists: false } },
+        { $expr: { $lt: ['$passwordExpiryWarningSentAt', '$lastPasswordChange'] } },
+      ],
+    });
+    let count = 0;
+
+    for (const user of users) {
+      try {
+        const expiresAt = this.getExpiryDate(user, policy);
+        await emailService.sendPasswordExpiryWarningEmail(
+          user.email,
+          user.firstName || user.username,
+          expiresAt
+        );
+        await User.updateOne({ _id: user._id }, { passwordExpiryWarningSentAt: now });
+        count++;
+      } catch (error) {
+        logger.error(`Failed to send password expiry warning to user ${user.id}:`, error.message);
+      }
+    }
+
+    if (count > 0) {
+      logger.info(`Sent ${count} password expiry warnings`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Counts of passwords expiring soon, expired, and changes required by admins
+   */
+  static async getExpiryStats(now = new Date()) {
+    const policy = await PasswordPolicy.getPolicy();
+    const requirePasswordChange = await User.countDocuments({
+      isActive: true,
+      requirePasswordChange: true,
+    });
+
+    if (!policy.maxAgeDays) {
+      return {
+        maxAgeDays: null,
+        warningDays: config.passwordExpiry.warningDays,
+        expiringSoon: 0,
+        expired: 0,
+        requirePasswordChange,
+      };
+    }
+
+    const expiredBefore = new Date(now.getTime() - policy.maxAgeDays * DAY_MS);
+    const [expiringSoon, expired] = await Promise.all([
+      User.countDocuments({
+        isActive: true,
+        lastPasswordChange: {
+          $gt: expiredBefore,
+          $lte: new Date(expiredBefore.getTime() + config.passwordExpiry.warningDays * DAY_MS),
+        },
+      }),
+      User.countDocuments({ isActive: true, lastPasswordChange: { $lte: expiredBefore } }),
+    ]);
+
+    return {
+      maxAgeDays: policy.maxAgeDays,
+      warningDays: config.passwordExpiry.warningDays,
+      expiringSoon,
+      expired,
+      requirePasswordChange,
+    };
+  }
+
+  /**
+   * Check for passwords about to expire every hour
+   */
+  static startWarningSchedule() {
+    if (warningTimer) {
+      return;
+    }
+
+    warningTimer = setInterval(
+      () => {
+        this.sendExpiryWarnings().catch((error) => {
+          logger.error('Error sending password expiry warnings:', error.message);
+        });
+      },
+      60 * 60 * 1000
+    );
+    warningTimer.unref();
+  }
+}
+
+export default PasswordExpiryService;
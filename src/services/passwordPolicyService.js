@@ -0,0 +1,82 @@
+import AuditLog from '../models/AuditLog.js';
+import PasswordPolicy, { PASSWORD_POLICY_FIELDS } from '../models/PasswordPolicy.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Password Policy Service
+ * Reading and changing the password policy
+ *
+ * The policy is read on every check rather than cached, so a change applies
+ * to every instance straight away.
+ */
+
+class PasswordPolicyService {
+  /**
+   * Get the policy in force
+   */
+  static getPolicy() {
+    return PasswordPolicy.getPolicy();
+  }
+
+  /**
+   * Change some of the rules
+   * Unknown fields are ignored; unchanged fields are not recorded in the audit log.
+   * @param {Object} admin - The admin making the change
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} The policy now in force
+   */
+  static async updatePolicy(updates, admin, context = {}) {
+    const previous = await PasswordPolicy.getPolicy();
+
+    const changes = {};
+    PASSWORD_POLICY_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) {
+        changes[field] =
+          field === 'bannedWords' ? this.normalizeWords(updates[field]) : updates[field];
+      }
+    });
+
+    const changed = Object.keys(changes).filter(
+      (field) => JSON.stringify(changes[field]) !== JSON.stringify(previous[field])
+    );
+
+    if (changed.length === 0) {
+      return previous;
+    }
+
+    await PasswordPolicy.updatePolicy(changes, admin.id);
+
+    const details = {};
+    changed.forEach((field) => {
+      details[field] = { from: previous[field], to: changes[field] };
+    });
+
+    await AuditLog.logEvent('PASSWORD_POLICY_UPDATED', {
+      userId: admin.id,
+      email: admin.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { changes: details },
+      severity: 'high',
+    });
+
+    logSecurityEvent('PASSWORD_POLICY_UPDATED', {
+      adminId: admin.id,
+      fields: changed,
+      ipAddress: context.ip,
+    });
+
+    logger.info(`Password policy updated by ${admin.email}: ${changed.join(', ')}`);
+
+    return PasswordPolicy.getPolicy();
+  }
+
+  /**
+   * Lower-case, trim and de-duplicate banned words
+   */
+  static normalizeWords(words) {
+    return [...new Set(words.map((word) => word.trim().toLowerCase()).filter(Boolean))];
+  }
+}
+
+export default PasswordPolicyService;
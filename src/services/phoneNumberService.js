@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.mongoose.js';
+import TokenService from './tokenService.js';
+import twoFactorService from './twoFactorService.js';
+import whatsappService from './whatsappService.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Phone Number Service
+ * Changing the phone number WhatsApp codes and alerts go to
+ *
+ * The number is a login factor, so it is never taken from a profile update.
+ * A new number only replaces the old one once the code sent to it by WhatsApp
+ * is entered, which proves the user controls it; until then `phoneVerified`
+ * stays false and the number is not offered for login verification.
+ */
+
+class PhoneNumberService {
+  /**
+   * Hash a confirmation code for storage
+   */
+  static hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  /**
+   * Start changing a user's phone number: send a code to the new number
+   * The route must have checked for a recent sign-in.
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<{expiresAt: Date}>}
+   */
+  static async requestChange(userId, phoneNumber, context = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const number = phoneNumber.replace(/[\s-]/g, '');
+
+    if (number === user.phoneNumber && user.phoneVerified) {
+      throw new Error('This is already your phone number');
+    }
+
+    // A new request replaces any earlier one that was not confirmed
+    const code = twoFactorService.generateVerificationCode();
+    const expiresAt = new Date(Date.now() + TokenService.parseExpiry(config.phoneChange.expiresIn));
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        pendingPhoneNumber: number,
+        phoneChangeCode: this.hashCode(code),
+        phoneChangeExpires: expiresAt,
+        phoneChangeAttempts: 0,
+      }
+    );
+
+    try {
+      await whatsappService.send2FACode(number, code, user.firstName || user.username);
+    } catch (error) {
+      logger.error(`Failed to send phone number code for user ${user.id}:`, error.message);
+      throw new Error('Could not send a code to this number. Please try again later.');
+    }
+
+    await AuditLog.logEvent('PHONE_NUMBER_CHANGE_REQUESTED', {
+      userId: user._id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { phoneNumber: this.mask(number) },
+      severity: 'medium',
+    });
+
+    logSecurityEvent('PHONE_NUMBER_CHANGE_REQUESTED', {
+      userId: user.id,
+      phoneNumber: this.mask(number),
+      ipAddress: context.ip,
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Confirm a change with the code sent to the new number
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<string>} The new phone number
+   */
+  static async confirmChange(userId, code, context = {}) {
+    const user = await User.findById(userId).select(
+      '+pendingPhoneNumber +phoneChangeCode +phoneChangeExpires +phoneChangeAttempts'
+    );
+
+    if (!user || !user.pendingPhoneNumber || !(user.phoneChangeExpires > new Date())) {
+      throw new Error('No pending phone number change. Please request a new code.');
+    }
+
+    const valid =
+      typeof code === 'string' &&
+      crypto.timingSafeEqual(Buffer.from(this.hashCode(code)), Buffer.from(user.phoneChangeCode));
+
+    if (!valid) {
+      const attempts = (user.phoneChangeAttempts || 0) + 1;
+      const exhausted = attempts >= config.phoneChange.maxAttempts;
+
+      await User.updateOne(
+        { _id: user._id },
+        exhausted
+          ? {
+              $unset: {
+                pendingPhoneNumber: 1,
+                phoneChangeCode: 1,
+                phoneChangeExpires: 1,
+                phoneChangeAttempts: 1,
+              },
+            }
+          : { phoneChangeAttempts: attempts }
+      );
+
+      logSecurityEvent('PHONE_NUMBER_CHANGE_FAILED', {
+        userId: user.id,
+        attempts,
+        ipAddress: context.ip,
+      });
+      throw new Error(
+        exhausted ? 'Too many invalid codes. Please request a new code.' : 'Invalid code'
+      );
+    }
+
+    const previous = user.phoneNumber;
+    const number = user.pendingPhoneNumber;
+
+    // Conditional on the code so it cannot be used twice
+    const result = await User.updateOne(
+      { _id: user._id, phoneChangeCode: user.phoneChangeCode },
+      {
+        $set: { phoneNumber: number, phoneVerified: true },
+        $unset: {
+          pendingPhoneNumber: 1,
+          phoneChangeCode: 1,
+          phoneChangeExpires: 1,
+          phoneChangeAttempts: 1,
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('No pending phone number change. Please request a new code.');
+    }
+
+    await AuditLog.logEvent('PHONE_NUMBER_CHANGED', {
+      userId: user._id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        phoneNumber: this.mask(number),
+        previousPhoneNumber: previous ? this.mask(previous) : null,
+      },
+      severity: 'medium',
+    });
+
+    logSecurityEvent('PHONE_NUMBER_CHANGED', {
+      userId: user.id,
+      phoneNumber: this.mask(number),
+      ipAddress: context.ip,
+    });
+
+    return number;
+  }
+
+  /**
+   * Remove a user's phone number
+   * @param {Object} context - { ip, userAgent }
+   */
+  static async removeNumber(userId, context = {}) {
+    const user = await User.findByIdAndUpdate(userId, {
+      $set: { phoneVerified: false },
+      $unset: {
+        phoneNumber: 1,
+        pendingPhoneNumber: 1,
+        phoneChangeCode: 1,
+        phoneChangeExpires: 1,
+        phoneChangeAttempts: 1,
+      },
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await AuditLog.logEvent('PHONE_NUMBER_CHANGED', {
+      userId: user._id,
+      email: user.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: {
+        phoneNumber: null,
+        previousPhoneNumber: user.phoneNumber ? this.mask(user.phoneNumber) : null,
+      },
+      severity: 'medium',
+    });
+  }
+
+  /**
+   * Hide all but the last four digits
+   */
+  static mask(phoneNumber) {
+    return phoneNumber.replace(/\d(?=\d{4})/g, '*');
+  }
+}
+
+export default PhoneNumberService;
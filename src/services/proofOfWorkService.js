@@ -0,0 +1,317 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import { getRedisClient, isRedisConnected } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Proof-of-Work Service
+ * Hashcash-style challenges that make repeated login, registration and
+ * password-reset attempts expensive without locking anyone out
+ *
+ * Failures are counted per IP and per account. Once either count reaches its
+ * threshold, the client must find a solution such that
+ * SHA-256("<challenge>:<solution>") starts with `difficulty` zero bits.
+ * Challenges are signed, tied to the client IP, short-lived and single-use,
+ * so nothing has to be stored until one is redeemed.
+ *
+ * Counters and redeemed challenges live in Redis so every instance shares
+ * them; they fall back to process-local Maps when Redis is unavailable.
+ */
+
+const FAILURE_PREFIX = 'pow:failures:';
+const USED_PREFIX = 'pow:used:';
+
+const ALGORITHM = 'SHA-256';
+const MAX_SOLUTION_LENGTH = 64;
+
+// Fallback stores: key -> { count, expiresAt } and nonce -> expiresAt (ms)
+const memoryFailures = new Map();
+const memoryUsed = new Map();
+
+let cleanupTimer = null;
+
+class ProofOfWorkService {
+  /**
+   * Key for signing challenges, derived so it is never the JWT key itself
+   */
+  static getSigningKey() {
+    return crypto.createHmac('sha256', config.jwt.secret).update('proof-of-work').digest();
+  }
+
+  static sign(payload) {
+    return crypto.createHmac('sha256', this.getSigningKey()).update(payload).digest('base64url');
+  }
+
+  /**
+   * Count a failure against an IP or an account
+   * @param {string} scope - 'ip' or 'account'
+   */
+  static async recordFailure(scope, id) {
+    const key = `${FAILURE_PREFIX}${scope}:${id}`;
+    const ttlSeconds = config.proofOfWork.windowMinutes * 60;
+
+    if (isRedisConnected()) {
+      try {
+        const count = await getRedisClient().incr(key);
+        if (count === 1) {
+          await getRedisClient().expire(key, ttlSeconds);
+        }
+        return count;
+      } catch (error) {
+        logger.error('Failed to record proof-of-work failure in Redis:', error);
+      }
+    }
+
+    const now = Date.now();
+    const entry = memoryFailures.get(key);
+    const count = entry && entry.expiresAt > now ? entry.count + 1 : 1;
+    memoryFailures.set(key, {
+      count,
+      expiresAt: entry && entry.expiresAt > now ? entry.expiresAt : now + ttlSeconds * 1000,
+    });
+    return count;
+  }
+
+  /**
+   * Recent failures for an IP or an account
+   */
+  static async getFailureCount(scope, id) {
+    const key = `${FAILURE_PREFIX}${scope}:${id}`;
+
+    if (isRedisConnected()) {
+      try {
+        return parseInt(await getRedisClient().get(key), 10) || 0;
+      } catch (error) {
+        logger.error('Failed to read proof-of-work failures from Redis:', error);
+      }
+    }
+
+    const entry = memoryFailures.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryFailures.delete(key);
+      return 0;
+    }
+    return entry.count;
+  }
+
+  /**
+   * Forget the failures for an IP or an account
+   */
+  static async clearFailures(scope, id) {
+    const key = `${FAILURE_PREFIX}${scope}:${id}`;
+    memoryFailures.delete(key);
+
+    if (isRedisConnected()) {
+      try {
+        await getRedisClient().del(key);
+      } catch (error) {
+        logger.error('Failed to clear proof-of-work failures in Redis:', error);
+      }
+    }
+  }
+
+  /**
+   * Update the counters once a protected request has been answered
+   * Failed logins count against the IP and the account; failed registrations
+   * against the IP; every reset request against both, since its response never
+   * says whether it matched an account. A successful login clears the account.
+   * @param {string} action - 'login', 'register' or 'forgot-password'
+   * @param {Object} subject - { ip, email }
+   */
+  static async recordOutcome(action, { ip, email }, statusCode) {
+    // Rate-limited and unsolved requests never reached the handler
+    if (statusCode === 428 || statusCode === 429) {
+      return;
+    }
+
+    const failed = statusCode >= 400 && statusCode < 500;
+
+    if (action === 'login' && !failed) {
+      if (email) {
+        await this.clearFailures('account', email);
+      }
+      return;
+    }
+
+    if (failed || action === 'forgot-password') {
+      await this.recordFailure('ip', ip);
+      if (email && action !== 'register') {
+        await this.recordFailure('account', email);
+      }
+    }
+  }
+
+  /**
+   * Difficulty a request has to solve, based on recent failures
+   * Every failure past a threshold adds one bit (doubling the work), up to maxDifficulty.
+   * @param {Object} subject - { ip, email }
+   * @returns {Promise<number|null>} null if no challenge is needed
+   */
+  static async getRequiredDifficulty({ ip, email }) {
+    if (!config.proofOfWork.enabled) {
+      return null;
+    }
+
+    const { ipThreshold, accountThreshold, difficulty, maxDifficulty } = config.proofOfWork;
+    const [ipFailures, accountFailures] = await Promise.all([
+      this.getFailureCount('ip', ip),
+      email ? this.getFailureCount('account', email) : 0,
+    ]);
+
+    const excess = Math.max(ipFailures - ipThreshold, accountFailures - accountThreshold);
+    if (excess < 0) {
+      return null;
+    }
+
+    return Math.min(difficulty + excess, maxDifficulty);
+  }
+
+  /**
+   * Issue a signed challenge for a client IP
+   * @returns {{challenge: string, difficulty: number, algorithm: string, expiresAt: Date}}
+   */
+  static issueChallenge(difficulty, ip) {
+    const expiresAt = new Date(Date.now() + config.proofOfWork.challengeExpiresInSeconds * 1000);
+    const payload = Buffer.from(
+      JSON.stringify({
+        n: crypto.randomBytes(16).toString('base64url'),
+        d: difficulty,
+        ip,
+        exp: Math.floor(expiresAt.getTime() / 1000),
+      })
+    ).toString('base64url');
+
+    return {
+      challenge: `${payload}.${this.sign(payload)}`,
+      difficulty,
+      algorithm: ALGORITHM,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Number of leading zero bits in a buffer
+   */
+  static leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+      if (byte !== 0) {
+        return bits + Math.clz32(byte) - 24;
+      }
+      bits += 8;
+    }
+    return bits;
+  }
+
+  /**
+   * Check a solution and redeem its challenge
+   * @param {Object} options - { ip, difficulty } the client IP and the difficulty required now
+   * @returns {Promise<boolean>}
+   */
+  static async verifySolution(challenge, solution, { ip, difficulty }) {
+    if (typeof challenge !== 'string' || typeof solution !== 'string') {
+      return false;
+    }
+    if (solution.length === 0 || solution.length > MAX_SOLUTION_LENGTH) {
+      return false;
+    }
+
+    const [payload, signature] = challenge.split('.');
+    if (!payload || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return false;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+      return false;
+    }
+
+    if (claims.ip !== ip || claims.d < difficulty || claims.exp * 1000 <= Date.now()) {
+      return false;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+    if (this.leadingZeroBits(hash) < claims.d) {
+      return false;
+    }
+
+    // Single use
+    const redeemed = await this.redeem(claims.n, claims.exp * 1000);
+    return redeemed;
+  }
+
+  /**
+   * Mark a challenge as used
+   * @returns {Promise<boolean>} false if it had already been used
+   */
+  static async redeem(nonce, expiresAt) {
+    const ttlSeconds = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1);
+
+    if (isRedisConnected()) {
+      try {
+        const result = await getRedisClient().set(`${USED_PREFIX}${nonce}`, '1', {
+          NX: true,
+          EX: ttlSeconds,
+        });
+        return result === 'OK';
+      } catch (error) {
+        logger.error('Failed to redeem proof-of-work challenge in Redis:', error);
+      }
+    }
+
+    const now = Date.now();
+    if (memoryUsed.get(nonce) > now) {
+      return false;
+    }
+    memoryUsed.set(nonce, expiresAt);
+    return true;
+  }
+
+  /**
+   * Remove expired entries from the in-memory fallback
+   */
+  static cleanupMemoryStore() {
+    const now = Date.now();
+
+    for (const [key, entry] of memoryFailures) {
+      if (entry.expiresAt <= now) {
+        memoryFailures.delete(key);
+      }
+    }
+    for (const [nonce, expiresAt] of memoryUsed) {
+      if (expiresAt <= now) {
+        memoryUsed.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Clean up the in-memory fallback every hour
+   */
+  static startCleanupSchedule() {
+    if (cleanupTimer) {
+      return;
+    }
+
+    cleanupTimer = setInterval(() => this.cleanupMemoryStore(), 60 * 60 * 1000);
+    cleanupTimer.unref();
+  }
+
+  /**
+   * Forget all in-memory failures and redeemed challenges
+   */
+  static resetMemoryStore() {
+    memoryFailures.clear();
+    memoryUsed.clear();
+  }
+}
+
+export default ProofOfWorkService;
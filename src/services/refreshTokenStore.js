@@ -0,0 +1,685 @@
+import crypto from 'crypto';
+import User from '../models/User.mongoose.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { getRedisClient, isRedisConnected } from '../config/redis.js';
+
+/**
+ * Refresh Token Store
+ * Persists refresh token metadata outside the process so that revocation
+ * survives restarts and is shared by every PM2 cluster worker.
+ *
+ * Backends:
+ * - redis:   token records as keys with TTL, plus per-user and per-family index sets
+ * - mongodb: the `refreshTokens` array on the User document
+ * - memory:  process-local Map (tests and single-instance development)
+ *
+ * Records have the shape:
+ * { tokenId, userId, familyId, tokenHash, createdAt, expiresAt, isRevoked, replacedBy,
+ *   clientId, ip, userAgent, location, sessionStartedAt, lastSeenAt, authTime, amr }
+ * Raw tokens are never stored, only their SHA-256 hash.
+ *
+ * `familyId` groups every token in one rotation chain. When a token is
+ * rotated it is revoked and `replacedBy` points at its successor, which is
+ * how a replayed (superseded) token is told apart from a logged-out one.
+ * A family is one login session on one device; the session fields are
+ * carried forward on rotation and updated by `touch` on refresh.
+ */
+
+/**
+ * Hash a refresh token for storage and comparison
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isExpired = (record, now = Date.now()) => new Date(record.expiresAt).getTime() < now;
+
+const toPublicRecord = (record) => ({
+  ...record,
+  userId: record.userId.toString(),
+  createdAt: new Date(record.createdAt),
+  expiresAt: new Date(record.expiresAt),
+  sessionStartedAt: new Date(record.sessionStartedAt || record.createdAt),
+  lastSeenAt: new Date(record.lastSeenAt || record.createdAt),
+  authTime: record.authTime ? new Date(record.authTime) : undefined,
+});
+
+/**
+ * In-memory store
+ * Not shared between processes - only suitable for tests and local development
+ */
+export class MemoryRefreshTokenStore {
+  constructor() {
+    this.name = 'memory';
+    this.tokens = new Map();
+  }
+
+  save(record) {
+    this.tokens.set(record.tokenId, { ...record, userId: record.userId.toString() });
+    return record;
+  }
+
+  find(tokenId) {
+    const record = this.tokens.get(tokenId);
+    return record ? toPublicRecord(record) : null;
+  }
+
+  revoke(tokenId) {
+    const record = this.tokens.get(tokenId);
+    if (!record) {
+      return false;
+    }
+    record.isRevoked = true;
+    return true;
+  }
+
+  markRotated(tokenId, replacedBy) {
+    const record = this.tokens.get(tokenId);
+    if (!record || record.isRevoked) {
+      return false;
+    }
+    record.isRevoked = true;
+    record.replacedBy = replacedBy;
+    return true;
+  }
+
+  touch(tokenId, fields) {
+    const record = this.tokens.get(tokenId);
+    if (!record) {
+      return false;
+    }
+    Object.assign(record, fields);
+    return true;
+  }
+
+  revokeAllForUser(userId) {
+    let count = 0;
+    for (const record of this.tokens.values()) {
+      if (record.userId === userId.toString() && !record.isRevoked) {
+        record.isRevoked = true;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  deleteAllForUser(userId) {
+    let count = 0;
+    for (const [tokenId, record] of this.tokens) {
+      if (record.userId === userId.toString()) {
+        this.tokens.delete(tokenId);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  revokeFamily(familyId) {
+    let count = 0;
+    for (const record of this.tokens.values()) {
+      if (record.familyId === familyId && !record.isRevoked) {
+        record.isRevoked = true;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  findByUser(userId) {
+    const now = Date.now();
+    return [...this.tokens.values()]
+      .filter((record) => record.userId === userId.toString())
+      .filter((record) => !record.isRevoked && !isExpired(record, now))
+      .map(toPublicRecord);
+  }
+
+  deleteExpired() {
+    const now = Date.now();
+    let count = 0;
+    for (const [tokenId, record] of this.tokens) {
+      if (isExpired(record, now)) {
+        this.tokens.delete(tokenId);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  stats() {
+    const now = Date.now();
+    const stats = { total: this.tokens.size, active: 0, revoked: 0, expired: 0 };
+
+    for (const record of this.tokens.values()) {
+      if (record.isRevoked) {
+        stats.revoked++;
+      } else if (isExpired(record, now)) {
+        stats.expired++;
+      } else {
+        stats.active++;
+      }
+    }
+
+    return stats;
+  }
+
+  clear() {
+    this.tokens.clear();
+  }
+}
+
+// Replace a value only if it has not changed since it was read; the TTL is kept
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'KEEPTTL')
+  return 1
+end
+return 0
+`;
+
+// Give up on a record that keeps changing under us rather than loop forever
+const MAX_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Redis store
+ * Each record lives at `<prefix>token:<tokenId>` and expires with the token.
+ * `<prefix>user:<userId>` and `<prefix>family:<familyId>` are sets of token
+ * IDs used for per-user and per-family lookups.
+ *
+ * Records are changed with a compare-and-set script (see `update`), so a
+ * refresh touching a session cannot undo a concurrent rotation or revocation,
+ * and only one of two concurrent rotations of the same token succeeds.
+ */
+export class RedisRefreshTokenStore {
+  constructor(prefix = config.tokenStore.redisPrefix) {
+    this.name = 'redis';
+    this.prefix = prefix;
+  }
+
+  get client() {
+    return getRedisClient();
+  }
+
+  tokenKey(tokenId) {
+    return `${this.prefix}token:${tokenId}`;
+  }
+
+  userKey(userId) {
+    return `${this.prefix}user:${userId}`;
+  }
+
+  familyKey(familyId) {
+    return `${this.prefix}family:${familyId}`;
+  }
+
+  ttlSeconds(record) {
+    return Math.max(1, Math.ceil((new Date(record.expiresAt).getTime() - Date.now()) / 1000));
+  }
+
+  async write(record) {
+    await this.client.setEx(
+      this.tokenKey(record.tokenId),
+      this.ttlSeconds(record),
+      JSON.stringify(record)
+    );
+  }
+
+  async addToIndex(indexKey, record) {
+    await this.client.sAdd(indexKey, record.tokenId);
+
+    // Keep the index alive at least as long as its newest token
+    const ttl = this.ttlSeconds(record);
+    const currentTtl = await this.client.ttl(indexKey);
+    if (currentTtl < ttl) {
+      await this.client.expire(indexKey, ttl);
+    }
+  }
+
+  async save(record) {
+    const stored = { ...record, userId: record.userId.toString() };
+
+    await this.write(stored);
+    await this.addToIndex(this.userKey(stored.userId), stored);
+    if (stored.familyId) {
+      await this.addToIndex(this.familyKey(stored.familyId), stored);
+    }
+
+    return record;
+  }
+
+  async find(tokenId) {
+    const raw = await this.client.get(this.tokenKey(tokenId));
+    return raw ? toPublicRecord(JSON.parse(raw)) : null;
+  }
+
+  /**
+   * Change a stored record atomically
+   * The new value is only written if the record is unchanged since it was
+   * read; otherwise it is read again and `change` re-applied.
+   * @param {Function} change - Returns the updated record, or null to leave it as is
+   * @returns {Promise<boolean>} Whether the record was updated
+   */
+  async update(tokenId, change) {
+    const key = this.tokenKey(tokenId);
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const raw = await this.client.get(key);
+      if (!raw) {
+        return false;
+      }
+
+      const updated = change(JSON.parse(raw));
+      if (!updated) {
+        return false;
+      }
+
+      const swapped = await this.client.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [key],
+        arguments: [raw, JSON.stringify(updated)],
+      });
+      if (swapped === 1) {
+        return true;
+      }
+    }
+
+    throw new Error(`Refresh token ${tokenId} is being updated concurrently`);
+  }
+
+  revoke(tokenId) {
+    return this.update(tokenId, (record) => ({ ...record, isRevoked: true }));
+  }
+
+  markRotated(tokenId, replacedBy) {
+    return this.update(tokenId, (record) =>
+      record.isRevoked ? null : { ...record, isRevoked: true, replacedBy }
+    );
+  }
+
+  touch(tokenId, fields) {
+    return this.update(tokenId, (record) => ({ ...record, ...fields }));
+  }
+
+  async findAllInIndex(indexKey) {
+    const tokenIds = await this.client.sMembers(indexKey);
+    if (tokenIds.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.mGet(tokenIds.map((tokenId) => this.tokenKey(tokenId)));
+    const records = [];
+    const stale = [];
+
+    values.forEach((raw, index) => {
+      if (raw) {
+        records.push(toPublicRecord(JSON.parse(raw)));
+      } else {
+        stale.push(tokenIds[index]);
+      }
+    });
+
+    // Drop index entries whose token keys have already expired
+    if (stale.length > 0) {
+      await this.client.sRem(indexKey, stale);
+    }
+
+    return records;
+  }
+
+  findAllForUser(userId) {
+    return this.findAllInIndex(this.userKey(userId));
+  }
+
+  async revokeRecords(records) {
+    let count = 0;
+
+    for (const record of records) {
+      const revoked =
+        !record.isRevoked &&
+        (await this.update(record.tokenId, (stored) =>
+          stored.isRevoked ? null : { ...stored, isRevoked: true }
+        ));
+      if (revoked) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  async revokeAllForUser(userId) {
+    return this.revokeRecords(await this.findAllForUser(userId));
+  }
+
+  async revokeFamily(familyId) {
+    return this.revokeRecords(await this.findAllInIndex(this.familyKey(familyId)));
+  }
+
+  async deleteAllForUser(userId) {
+    const records = await this.findAllForUser(userId);
+    const keys = [
+      this.userKey(userId),
+      ...records.map((record) => this.tokenKey(record.tokenId)),
+      ...new Set(
+        records.filter((record) => record.familyId).map((record) => this.familyKey(record.familyId))
+      ),
+    ];
+
+    await this.client.del(keys);
+    return records.length;
+  }
+
+  async findByUser(userId) {
+    const now = Date.now();
+    const records = await this.findAllForUser(userId);
+    return records.filter((record) => !record.isRevoked && !isExpired(record, now));
+  }
+
+  async deleteExpired() {
+    // Token keys expire on their own; only the index sets need pruning.
+    // Family sets expire with their newest token, so user sets are enough here.
+    let count = 0;
+    for await (const userKeys of this.client.scanIterator({ MATCH: this.userKey('*') })) {
+      for (const userKey of [].concat(userKeys)) {
+        const userId = userKey.slice(this.userKey('').length);
+        const before = await this.client.sCard(userKey);
+        await this.findAllForUser(userId);
+        const after = await this.client.sCard(userKey);
+        count += before - after;
+      }
+    }
+    return count;
+  }
+
+  async stats() {
+    const now = Date.now();
+    const stats = { total: 0, active: 0, revoked: 0, expired: 0 };
+
+    for await (const tokenKeys of this.client.scanIterator({ MATCH: this.tokenKey('*') })) {
+      const keys = [].concat(tokenKeys);
+      if (keys.length === 0) {
+        continue;
+      }
+
+      const values = await this.client.mGet(keys);
+      for (const raw of values) {
+        if (!raw) {
+          continue;
+        }
+        const record = JSON.parse(raw);
+        stats.total++;
+        if (record.isRevoked) {
+          stats.revoked++;
+        } else if (isExpired(record, now)) {
+          stats.expired++;
+        } else {
+          stats.active++;
+        }
+      }
+    }
+
+    return stats;
+  }
+}
+
+/**
+ * MongoDB store
+ * Uses the `refreshTokens` array on the User document
+ */
+export class MongoRefreshTokenStore {
+  constructor() {
+    this.name = 'mongodb';
+  }
+
+  async save(record) {
+    await User.updateOne(
+      { _id: record.userId },
+      {
+        $push: {
+          refreshTokens: {
+            tokenId: record.tokenId,
+            familyId: record.familyId,
+            token: record.tokenHash,
+            createdAt: record.createdAt,
+            expiresAt: record.expiresAt,
+            isRevoked: record.isRevoked,
+            clientId: record.clientId,
+            ip: record.ip,
+            userAgent: record.userAgent,
+            location: record.location,
+            sessionStartedAt: record.sessionStartedAt,
+            lastSeenAt: record.lastSeenAt,
+            authTime: record.authTime,
+            amr: record.amr,
+          },
+        },
+      }
+    );
+    return record;
+  }
+
+  fromSubdocument(userId, subdoc) {
+    return toPublicRecord({
+      tokenId: subdoc.tokenId,
+      userId,
+      familyId: subdoc.familyId,
+      tokenHash: subdoc.token,
+      createdAt: subdoc.createdAt,
+      expiresAt: subdoc.expiresAt,
+      isRevoked: !!subdoc.isRevoked,
+      replacedBy: subdoc.replacedBy,
+      clientId: subdoc.clientId,
+      ip: subdoc.ip,
+      userAgent: subdoc.userAgent,
+      location: subdoc.location,
+      sessionStartedAt: subdoc.sessionStartedAt,
+      lastSeenAt: subdoc.lastSeenAt,
+      authTime: subdoc.authTime,
+      amr: subdoc.amr,
+    });
+  }
+
+  async find(tokenId) {
+    const user = await User.findOne({ 'refreshTokens.tokenId': tokenId })
+      .select({ refreshTokens: { $elemMatch: { tokenId } } })
+      .lean();
+
+    if (!user || !user.refreshTokens?.length) {
+      return null;
+    }
+
+    return this.fromSubdocument(user._id, user.refreshTokens[0]);
+  }
+
+  async revoke(tokenId) {
+    const result = await User.updateOne(
+      { 'refreshTokens.tokenId': tokenId },
+      { $set: { 'refreshTokens.$.isRevoked': true } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async touch(tokenId, fields) {
+    const $set = {};
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`refreshTokens.$.${field}`] = value;
+    }
+
+    const result = await User.updateOne({ 'refreshTokens.tokenId': tokenId }, { $set });
+    return result.matchedCount > 0;
+  }
+
+  async markRotated(tokenId, replacedBy) {
+    // Conditional update so two concurrent rotations cannot both succeed
+    const result = await User.updateOne(
+      { refreshTokens: { $elemMatch: { tokenId, isRevoked: { $ne: true } } } },
+      {
+        $set: {
+          'refreshTokens.$.isRevoked': true,
+          'refreshTokens.$.replacedBy': replacedBy,
+        },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    const active = await this.findByUser(userId);
+    if (active.length === 0) {
+      return 0;
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'refreshTokens.$[token].isRevoked': true } },
+      { arrayFilters: [{ 'token.isRevoked': { $ne: true } }] }
+    );
+
+    return active.length;
+  }
+
+  async deleteAllForUser(userId) {
+    const user = await User.findById(userId).select('+refreshTokens').lean();
+    const count = user?.refreshTokens?.length || 0;
+
+    if (count > 0) {
+      await User.updateOne({ _id: userId }, { $set: { refreshTokens: [] } });
+    }
+
+    return count;
+  }
+
+  async revokeFamily(familyId) {
+    const user = await User.findOne({ 'refreshTokens.familyId': familyId })
+      .select('+refreshTokens')
+      .lean();
+    if (!user) {
+      return 0;
+    }
+
+    const count = user.refreshTokens.filter(
+      (subdoc) => subdoc.familyId === familyId && !subdoc.isRevoked
+    ).length;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'refreshTokens.$[token].isRevoked': true } },
+      { arrayFilters: [{ 'token.familyId': familyId, 'token.isRevoked': { $ne: true } }] }
+    );
+
+    return count;
+  }
+
+  async findByUser(userId) {
+    const user = await User.findById(userId).select('+refreshTokens').lean();
+    if (!user?.refreshTokens) {
+      return [];
+    }
+
+    const now = Date.now();
+    return user.refreshTokens
+      .filter((subdoc) => subdoc.tokenId)
+      .map((subdoc) => this.fromSubdocument(user._id, subdoc))
+      .filter((record) => !record.isRevoked && !isExpired(record, now));
+  }
+
+  async deleteExpired() {
+    const now = new Date();
+    const [result] = await User.aggregate([
+      { $unwind: '$refreshTokens' },
+      { $match: { 'refreshTokens.expiresAt': { $lt: now } } },
+      { $count: 'count' },
+    ]);
+
+    if (!result) {
+      return 0;
+    }
+
+    await User.updateMany(
+      { 'refreshTokens.expiresAt': { $lt: now } },
+      { $pull: { refreshTokens: { expiresAt: { $lt: now } } } }
+    );
+
+    return result.count;
+  }
+
+  async stats() {
+    const now = new Date();
+    const [result] = await User.aggregate([
+      { $unwind: '$refreshTokens' },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          revoked: { $sum: { $cond: ['$refreshTokens.isRevoked', 1, 0] } },
+          expired: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $ne: ['$refreshTokens.isRevoked', true] },
+                    { $lt: ['$refreshTokens.expiresAt', now] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    if (!result) {
+      return { total: 0, active: 0, revoked: 0, expired: 0 };
+    }
+
+    return {
+      total: result.total,
+      active: result.total - result.revoked - result.expired,
+      revoked: result.revoked,
+      expired: result.expired,
+    };
+  }
+}
+
+const stores = {
+  memory: new MemoryRefreshTokenStore(),
+  redis: new RedisRefreshTokenStore(),
+  mongodb: new MongoRefreshTokenStore(),
+};
+
+let warnedRedisFallback = false;
+
+/**
+ * Resolve the configured store
+ * Resolved per call because Redis connects after modules are loaded.
+ * The redis driver falls back to MongoDB (never to memory) so that
+ * cluster workers keep sharing revocation state.
+ */
+export const getRefreshTokenStore = () => {
+  const driver = config.tokenStore.driver;
+
+  if (driver === 'memory') {
+    return stores.memory;
+  }
+
+  if (driver === 'redis') {
+    if (isRedisConnected()) {
+      warnedRedisFallback = false;
+      return stores.redis;
+    }
+
+    if (!warnedRedisFallback) {
+      logger.warn('Redis not available - refresh tokens will be stored in MongoDB');
+      warnedRedisFallback = true;
+    }
+  }
+
+  return stores.mongodb;
+};
+
+export default {
+  hashToken,
+  getRefreshTokenStore,
+  MemoryRefreshTokenStore,
+  RedisRefreshTokenStore,
+  MongoRefreshTokenStore,
+};
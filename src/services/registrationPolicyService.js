@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import RegistrationPolicy, { REGISTRATION_POLICY_FIELDS } from '../models/RegistrationPolicy.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Registration Policy Service
+ * Decides which email addresses may create an account
+ *
+ * Allowed and denied domains are stored in the registration policy; the
+ * disposable-email list is a text file (DISPOSABLE_EMAIL_DOMAINS_FILE) that is
+ * re-read whenever it changes. Every refused sign-up is written to the audit
+ * log as REGISTRATION_REJECTED.
+ */
+
+const REJECTION_MESSAGES = {
+  domain_not_allowed: 'Registration is limited to approved email domains',
+  domain_denied: 'Registration is not allowed for this email domain',
+  disposable_email: 'Disposable email addresses cannot be used to register',
+};
+
+// Parsed disposable-domain list, reloaded when the file changes
+let disposableList = { file: null, mtimeMs: 0, domains: new Set() };
+
+class RegistrationPolicyService {
+  /**
+   * Get the policy in force
+   */
+  static getPolicy() {
+    return RegistrationPolicy.getPolicy();
+  }
+
+  /**
+   * Change some of the rules
+   * Unknown fields are ignored; unchanged fields are not recorded in the audit log.
+   * @param {Object} admin - The admin making the change
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} The policy now in force
+   */
+  static async updatePolicy(updates, admin, context = {}) {
+    const previous = await RegistrationPolicy.getPolicy();
+
+    const changes = {};
+    REGISTRATION_POLICY_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) {
+        changes[field] = Array.isArray(updates[field])
+          ? this.normalizeDomains(updates[field])
+          : updates[field];
+      }
+    });
+
+    const changed = Object.keys(changes).filter(
+      (field) => JSON.stringify(changes[field]) !== JSON.stringify(previous[field])
+    );
+
+    if (changed.length === 0) {
+      return previous;
+    }
+
+    await RegistrationPolicy.updatePolicy(changes, admin.id);
+
+    const details = {};
+    changed.forEach((field) => {
+      details[field] = { from: previous[field], to: changes[field] };
+    });
+
+    await AuditLog.logEvent('REGISTRATION_POLICY_UPDATED', {
+      userId: admin.id,
+      email: admin.email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { changes: details },
+      severity: 'medium',
+    });
+
+    logSecurityEvent('REGISTRATION_POLICY_UPDATED', {
+      adminId: admin.id,
+      fields: changed,
+      ipAddress: context.ip,
+    });
+
+    logger.info(`Registration policy updated by ${admin.email}: ${changed.join(', ')}`);
+
+    return RegistrationPolicy.getPolicy();
+  }
+
+  /**
+   * Lower-case, trim and de-duplicate domains, dropping any "@" or "*." prefix
+   */
+  static normalizeDomains(domains) {
+    return [
+      ...new Set(
+        domains
+          .map((domain) =>
+            domain
+              .trim()
+              .toLowerCase()
+              .replace(/^(@|\*\.)/, '')
+          )
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  /**
+   * Whether a domain is one of the listed domains or a subdomain of one
+   */
+  static matchesDomain(domain, domains) {
+    return domains.some((entry) => domain === entry || domain.endsWith(`.${entry}`));
+  }
+
+  /**
+   * Load the disposable-domain list
+   * @returns {Promise<Set<string>|null>} null if no list is configured
+   */
+  static async getDisposableDomains() {
+    const file = config.registration.disposableDomainsFile;
+
+    if (!file) {
+      return null;
+    }
+
+    const { mtimeMs } = await fs.stat(file);
+
+    if (disposableList.file !== file || disposableList.mtimeMs !== mtimeMs) {
+      const contents = await fs.readFile(file, 'utf8');
+      const domains = contents
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'));
+
+      disposableList = { file, mtimeMs, domains: new Set(domains) };
+      logger.info(`Loaded ${domains.length} disposable email domains from ${file}`);
+    }
+
+    return disposableList.domains;
+  }
+
+  /**
+   * Number of domains on the disposable-domain list
+   * @returns {Promise<number|null>} null if no list is configured or it cannot be read
+   */
+  static async getDisposableDomainCount() {
+    try {
+      const domains = await this.getDisposableDomains();
+      return domains ? domains.size : null;
+    } catch (error) {
+      logger.error('Disposable email domain list unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a domain (or a parent domain) is on the disposable-domain list
+   * A list that cannot be read never blocks sign-up.
+   */
+  static async isDisposableDomain(domain) {
+    let domains;
+    try {
+      domains = await this.getDisposableDomains();
+    } catch (error) {
+      logger.error('Disposable email domain list unavailable:', error.message);
+      return false;
+    }
+
+    if (!domains) {
+      return false;
+    }
+
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (domains.has(labels.slice(i).join('.'))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Why an email address may not register
+   * @returns {Promise<string|null>} domain_not_allowed, domain_denied, disposable_email or null
+   */
+  static async getRejectionReason(email) {
+    const domain = email.toLowerCase().split('@').pop();
+    const policy = await RegistrationPolicy.getPolicy();
+
+    if (policy.allowedDomains.length > 0) {
+      // Explicitly allowed domains skip the other checks
+      return this.matchesDomain(domain, policy.allowedDomains) ? null : 'domain_not_allowed';
+    }
+
+    if (this.matchesDomain(domain, policy.deniedDomains)) {
+      return 'domain_denied';
+    }
+
+    if (policy.blockDisposableEmails && (await this.isDisposableDomain(domain))) {
+      return 'disposable_email';
+    }
+
+    return null;
+  }
+
+  /**
+   * Refuse email addresses the policy does not allow, recording the rejection
+   * @param {Object} context - { ip, userAgent, provider }
+   * @throws {Error} If the address may not register
+   */
+  static async assertEmailAllowed(email, context = {}) {
+    const reason = await this.getRejectionReason(email);
+
+    if (!reason) {
+      return;
+    }
+
+    const domain = email.toLowerCase().split('@').pop();
+
+    await AuditLog.logEvent('REGISTRATION_REJECTED', {
+      email,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      details: { reason, domain, provider: context.provider || 'local' },
+      severity: 'low',
+    });
+
+    logSecurityEvent('REGISTRATION_REJECTED', {
+      email,
+      reason,
+      ipAddress: context.ip,
+    });
+
+    throw new Error(REJECTION_MESSAGES[reason]);
+  }
+}
+
+export default RegistrationPolicyService;
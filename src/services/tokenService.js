@@ -1,47 +1,244 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { SignJWT, jwtVerify } from 'jose';
 import config from '../config/environment.js';
-import logger from '../utils/logger.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.mongoose.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+import { cleanupDenylist, denyToken, isTokenDenied } from './accessTokenDenylist.js';
+import KeyringService from './keyringService.js';
+import { getRefreshTokenStore, hashToken } from './refreshTokenStore.js';
 
 /**
  * Token Service
  * Handles JWT token generation, validation, and refresh
+ * Refresh token state lives in a shared store (see refreshTokenStore.js)
+ *
+ * Every rotation chain is a token "family". Presenting a token that has
+ * already been rotated is treated as theft and revokes the whole family.
+ *
+ * Access tokens carry a jti so they can be denied individually, and are
+ * also rejected when issued before the user's tokensValidAfter cutoff.
+ *
+ * Access tokens are signed with the asymmetric keyring (see keyringService.js)
+ * so other services can verify them against the JWKS. Refresh tokens are only
+ * ever verified here and keep using the HMAC refresh secret.
+ *
+ * auth_time and amr (RFC 8176 method references) record when and how the user
+ * last proved who they are. They are stored with the session so refreshed
+ * tokens keep them, and only move forward on login or reauthentication.
  */
 
-// In-memory refresh token storage (replace with Redis in production)
-const refreshTokens = new Map();
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
 
 class TokenService {
+  /**
+   * Get the configured refresh token store
+   */
+  static getStore() {
+    return getRefreshTokenStore();
+  }
+
+  /**
+   * Sign a JWT with the active keyring key, or JWT_SECRET when HS256 is configured
+   * @param {SignJWT} builder - Token with claims already set
+   */
+  static async signJwt(builder) {
+    if (KeyringService.isEnabled()) {
+      const { kid, alg, privateKey } = await KeyringService.getSigningKey();
+      return builder.setProtectedHeader({ alg, kid, typ: 'JWT' }).sign(privateKey);
+    }
+
+    return builder
+      .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+      .sign(new TextEncoder().encode(config.jwt.secret));
+  }
+
   /**
    * Generate access token (short-lived)
+   * Tokens issued to OAuth clients also carry client_id and scope
    */
-  static generateAccessToken(payload) {
+  static async generateAccessToken(payload) {
     try {
-      const token = jwt.sign(
-        {
-          userId: payload.userId,
-          email: payload.email,
-          role: payload.role,
-          type: 'access',
-        },
-        config.jwt.secret,
-        {
-          expiresIn: config.jwt.expiresIn,
-          issuer: config.app.name,
-          audience: config.app.name,
-        }
-      );
+      const claims = {
+        userId: payload.userId,
+        email: payload.email,
+        role: payload.role,
+        type: 'access',
+      };
 
-      return token;
+      if (payload.clientId) {
+        claims.client_id = payload.clientId;
+        claims.scope = payload.scope;
+      }
+
+      // Session (refresh token family) the token was issued for
+      if (payload.sessionId) {
+        claims.sid = payload.sessionId;
+      }
+
+      if (payload.authTime) {
+        claims.auth_time = Math.floor(new Date(payload.authTime).getTime() / 1000);
+        claims.amr = payload.amr || [];
+      }
+
+      const builder = new SignJWT(claims)
+        .setIssuedAt()
+        .setIssuer(config.app.name)
+        .setAudience(config.app.name)
+        .setExpirationTime(config.jwt.expiresIn)
+        .setJti(crypto.randomUUID());
+
+      return await this.signJwt(builder);
     } catch (error) {
       logger.error('Error generating access token:', error);
       throw new Error('Failed to generate access token');
     }
   }
 
+  /**
+   * Generate an impersonation access token (admin "login as user")
+   * Acts as the target user; the RFC 8693 act claim names the admin behind it.
+   * It has no session or auth_time, so it cannot be refreshed or pass step-up checks.
+   * @param {Object} user - Target user document
+   * @param {Object} impersonator - { userId, email } of the admin
+   */
+  static async generateImpersonationToken(user, impersonator) {
+    try {
+      const builder = new SignJWT({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        type: 'access',
+        act: {
+          sub: impersonator.userId,
+          email: impersonator.email,
+        },
+      })
+        .setIssuedAt()
+        .setIssuer(config.app.name)
+        .setAudience(config.app.name)
+        .setExpirationTime(config.impersonation.expiresIn)
+        .setJti(crypto.randomUUID());
+
+      return await this.signJwt(builder);
+    } catch (error) {
+      logger.error('Error generating impersonation token:', error);
+      throw new Error('Failed to generate access token');
+    }
+  }
+
+  /**
+   * Generate a restricted access token for a user who must change their password
+   * authenticate only accepts it on routes that opt in with allowPasswordChangeTokens.
+   * It has no session, so it cannot be refreshed.
+   * @param {Object} user - User document
+   * @param {Object} options - { authTime, amr } of the login that issued it
+   */
+  static async generatePasswordChangeToken(user, { authTime, amr }) {
+    try {
+      const builder = new SignJWT({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        type: 'access',
+        restricted: 'password_change',
+        auth_time: Math.floor(new Date(authTime).getTime() / 1000),
+        amr,
+      })
+        .setIssuedAt()
+        .setIssuer(config.app.name)
+        .setAudience(config.app.name)
+        .setExpirationTime(config.passwordExpiry.changeTokenExpiresIn)
+        .setJti(crypto.randomUUID());
+
+      return await this.signJwt(builder);
+    } catch (error) {
+      logger.error('Error generating password change token:', error);
+      throw new Error('Failed to generate access token');
+    }
+  }
+
+  /**
+   * Generate access token for a service client (client credentials grant)
+   * The token has no userId; it acts for the client with the given scopes
+   * @param {string} clientId - OAuth client ID
+   * @param {string} scope - Space-delimited PERMISSIONS values
+   */
+  static async generateClientAccessToken(clientId, scope) {
+    try {
+      const builder = new SignJWT({
+        type: 'access',
+        client_id: clientId,
+        scope,
+      })
+        .setSubject(clientId)
+        .setIssuedAt()
+        .setIssuer(config.app.name)
+        .setAudience(config.app.name)
+        .setExpirationTime(config.jwt.expiresIn)
+        .setJti(crypto.randomUUID());
+
+      return await this.signJwt(builder);
+    } catch (error) {
+      logger.error('Error generating client access token:', error);
+      throw new Error('Failed to generate access token');
+    }
+  }
+
+  /**
+   * Generate OpenID Connect ID token for a client
+   * Needs the keyring: clients verify ID tokens against the JWKS, and an HS256
+   * token could only be checked with JWT_SECRET, which must never leave the server.
+   * @param {Object} user - User document
+   * @param {Object} options - { clientId, scopes, nonce, authTime }
+   */
+  static async generateIdToken(user, options = {}) {
+    if (!KeyringService.isEnabled()) {
+      throw new Error('ID tokens require an asymmetric JWT_ALGORITHM');
+    }
+
+    try {
+      const scopes = options.scopes || [];
+      const claims = {};
+
+      if (options.nonce) {
+        claims.nonce = options.nonce;
+      }
+      if (options.authTime) {
+        claims.auth_time = options.authTime;
+      }
+      if (scopes.includes('email')) {
+        claims.email = user.email;
+        claims.email_verified = Boolean(user.isEmailVerified);
+      }
+      if (scopes.includes('profile')) {
+        claims.name = user.fullName || undefined;
+        claims.given_name = user.firstName;
+        claims.family_name = user.lastName;
+        claims.preferred_username = user.username;
+      }
+
+      const builder = new SignJWT(claims)
+        .setSubject(user.id)
+        .setIssuedAt()
+        .setIssuer(config.oauthServer.issuer)
+        .setAudience(options.clientId)
+        .setExpirationTime(config.oauthServer.idTokenExpiresIn);
+
+      return await this.signJwt(builder);
+    } catch (error) {
+      logger.error('Error generating ID token:', error);
+      throw new Error('Failed to generate ID token');
+    }
+  }
+
   /**
    * Generate refresh token (long-lived)
+   * Starts a new token family unless an existing familyId is given
+   * @param {Object} session - { ip, userAgent, location, sessionStartedAt } for the session listing
    */
-  static generateRefreshToken(payload) {
+  static async generateRefreshToken(payload, familyId = crypto.randomUUID(), session = {}) {
     try {
       const tokenId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -51,6 +248,8 @@ class TokenService {
           email: payload.email,
           tokenId,
           type: 'refresh',
+          // OAuth client grants keep their client and scope across refreshes
+          ...(payload.clientId && { clientId: payload.clientId, scope: payload.scope }),
         },
         config.jwt.refreshSecret,
         {
@@ -60,13 +259,25 @@ class TokenService {
         }
       );
 
-      // Store refresh token with metadata
-      refreshTokens.set(tokenId, {
+      const now = new Date();
+
+      // Store refresh token hash with metadata
+      await this.getStore().save({
+        tokenId,
         userId: payload.userId,
-        token,
-        createdAt: new Date(),
+        familyId,
+        tokenHash: hashToken(token),
+        createdAt: now,
         expiresAt: new Date(Date.now() + this.parseExpiry(config.jwt.refreshExpiresIn)),
         isRevoked: false,
+        clientId: payload.clientId,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        location: session.location || undefined,
+        sessionStartedAt: session.sessionStartedAt || now,
+        lastSeenAt: now,
+        authTime: payload.authTime,
+        amr: payload.amr,
       });
 
       return { token, tokenId };
@@ -78,15 +289,22 @@ class TokenService {
 
   /**
    * Generate both access and refresh tokens
+   * @param {Object} options - { familyId, context: { ip, userAgent, location }, sessionStartedAt }
    */
-  static generateTokenPair(payload) {
-    const accessToken = this.generateAccessToken(payload);
-    const { token: refreshToken, tokenId } = this.generateRefreshToken(payload);
+  static async generateTokenPair(payload, options = {}) {
+    const familyId = options.familyId || crypto.randomUUID();
+
+    const accessToken = await this.generateAccessToken({ ...payload, sessionId: familyId });
+    const { token: refreshToken, tokenId } = await this.generateRefreshToken(payload, familyId, {
+      ...options.context,
+      sessionStartedAt: options.sessionStartedAt,
+    });
 
     return {
       accessToken,
       refreshToken,
       tokenId,
+      sessionId: familyId,
       expiresIn: config.jwt.expiresIn,
     };
   }
@@ -94,11 +312,13 @@ class TokenService {
   /**
    * Verify access token
    */
-  static verifyAccessToken(token) {
+  static async verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, config.jwt.secret, {
+      const { payload: decoded } = await jwtVerify(token, this.getAccessTokenKey, {
         issuer: config.app.name,
         audience: config.app.name,
+        // Never accept HS256 once asymmetric signing is enabled
+        algorithms: KeyringService.isEnabled() ? ASYMMETRIC_ALGORITHMS : ['HS256'],
       });
 
       // Check token type
@@ -108,9 +328,9 @@ class TokenService {
 
       return decoded;
     } catch (error) {
-      if (error.name === 'TokenExpiredError') {
+      if (error.code === 'ERR_JWT_EXPIRED') {
         throw new Error('Access token expired');
-      } else if (error.name === 'JsonWebTokenError') {
+      } else if (error.code?.startsWith('ERR_J')) {
         throw new Error('Invalid access token');
       } else {
         throw error;
@@ -118,10 +338,115 @@ class TokenService {
     }
   }
 
+  /**
+   * Resolve the verification key for an access token from its header
+   */
+  static async getAccessTokenKey(header) {
+    if (!KeyringService.isEnabled()) {
+      return new TextEncoder().encode(config.jwt.secret);
+    }
+
+    const key = await KeyringService.getVerificationKey(header.kid);
+    if (!key || key.alg !== header.alg) {
+      throw new Error('Invalid access token');
+    }
+
+    return key.publicKey;
+  }
+
+  /**
+   * Check whether a verified access token has been revoked
+   * @param {Object} decoded - Verified access token payload
+   * @param {Object} user - Token owner (needs tokensValidAfter)
+   */
+  static async isAccessTokenRevoked(decoded, user) {
+    // Issued before the user's cutoff; both are whole seconds (see revokeAllUserAccessTokens)
+    if (user?.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+      return true;
+    }
+
+    // Individually revoked token, or its whole session
+    const denied =
+      (await isTokenDenied(decoded.jti)) ||
+      (decoded.sid ? await isTokenDenied(`sid:${decoded.sid}`) : false);
+    return denied;
+  }
+
+  /**
+   * Revoke a single access token until it expires
+   */
+  static async revokeAccessToken(token) {
+    let decoded;
+    try {
+      decoded = await this.verifyAccessToken(token);
+    } catch {
+      // Expired or invalid tokens are already unusable
+      return false;
+    }
+
+    if (!decoded.jti) {
+      return false;
+    }
+
+    const revoked = await denyToken(decoded.jti, decoded.exp * 1000);
+    if (revoked) {
+      logger.info(`Access token revoked: ${decoded.jti}`);
+    }
+    return revoked;
+  }
+
+  /**
+   * Invalidate every access token issued to a user so far
+   */
+  static async revokeAllUserAccessTokens(userId) {
+    // Whole seconds like iat, so tokens issued right after the cutoff (such as
+    // the ones returned by a password change) are not rejected with the old
+    // ones. Tokens from earlier in the same second stay valid too.
+    const cutoff = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+    await User.updateOne({ _id: userId }, { tokensValidAfter: cutoff });
+    logger.info(`Access tokens invalidated for user: ${userId}`);
+
+    return cutoff;
+  }
+
+  /**
+   * Revoke all refresh and access tokens for a user
+   */
+  static async revokeAllUserSessions(userId) {
+    const count = await this.revokeAllUserTokens(userId);
+    await this.revokeAllUserAccessTokens(userId);
+    return count;
+  }
+
+  /**
+   * Load current claims for a refresh token owner
+   * Role and status come from the database so changes apply on refresh
+   */
+  static async getCurrentClaims(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.isActive) {
+      throw new Error('Account is inactive');
+    }
+
+    return {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+    };
+  }
+
   /**
    * Verify refresh token
+   * @param {string} token - Refresh token
+   * @param {Object} context - Request context ({ ip, userAgent }) for reuse auditing
    */
-  static verifyRefreshToken(token) {
+  static async verifyRefreshToken(token, context = {}) {
     try {
       const decoded = jwt.verify(token, config.jwt.refreshSecret, {
         issuer: config.app.name,
@@ -134,17 +459,32 @@ class TokenService {
       }
 
       // Check if token is revoked
-      const storedToken = refreshTokens.get(decoded.tokenId);
-      if (!storedToken || storedToken.isRevoked) {
+      const storedToken = await this.getStore().find(decoded.tokenId);
+      if (!storedToken) {
         throw new Error('Refresh token revoked');
       }
 
       // Check if token matches stored token
-      if (storedToken.token !== token) {
+      if (storedToken.tokenHash !== hashToken(token)) {
         throw new Error('Invalid refresh token');
       }
 
-      return decoded;
+      if (storedToken.isRevoked) {
+        // A rotated token being presented again means it was copied
+        if (storedToken.replacedBy) {
+          await this.handleRefreshTokenReuse(storedToken, context);
+          throw new Error('Refresh token reuse detected');
+        }
+        throw new Error('Refresh token revoked');
+      }
+
+      return {
+        ...decoded,
+        familyId: storedToken.familyId,
+        sessionStartedAt: storedToken.sessionStartedAt,
+        authTime: storedToken.authTime,
+        amr: storedToken.amr,
+      };
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Refresh token expired');
@@ -156,51 +496,400 @@ class TokenService {
     }
   }
 
+  /**
+   * Check a refresh token's signature without consulting the token store
+   * Expired tokens pass, so they can still be revoked.
+   * @returns {Object|null} The payload, or null if it is not a refresh token we issued
+   */
+  static verifyRefreshTokenSignature(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.refreshSecret, {
+        issuer: config.app.name,
+        audience: config.app.name,
+        ignoreExpiration: true,
+      });
+
+      return decoded.type === 'refresh' ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Generate a passwordless login link token
+   * Its own audience keeps it from being accepted anywhere else; the jti is
+   * stored on the user so only the latest link works, and only once.
+   */
+  static generateMagicLinkToken(userId) {
+    const tokenId = crypto.randomUUID();
+
+    const token = jwt.sign({ userId, type: 'magic_link' }, config.jwt.secret, {
+      algorithm: 'HS256',
+      expiresIn: config.magicLink.expiresIn,
+      jwtid: tokenId,
+      issuer: config.app.name,
+      audience: `${config.app.name}:magic-link`,
+    });
+
+    return { token, tokenId };
+  }
+
+  /**
+   * Verify a passwordless login link token (signature, expiry and type only)
+   */
+  static verifyMagicLinkToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:magic-link`,
+      });
+
+      if (decoded.type !== 'magic_link' || !decoded.jti) {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Login link expired');
+      }
+      throw new Error('Invalid login link');
+    }
+  }
+
+  /**
+   * Generate the token for a login waiting for a second factor
+   * Like magic links, the jti is stored on the user so only the latest one works, and only once.
+   * @param {Object} claims - { reason, amr, riskScore } of the first factor
+   */
+  static generateMfaPendingToken(userId, { reason, amr, riskScore }) {
+    const tokenId = crypto.randomUUID();
+
+    const token = jwt.sign(
+      { userId, reason, amr, riskScore, type: 'mfa_pending' },
+      config.jwt.secret,
+      {
+        algorithm: 'HS256',
+        expiresIn: config.loginRisk.verificationExpiresIn,
+        jwtid: tokenId,
+        issuer: config.app.name,
+        audience: `${config.app.name}:mfa`,
+      }
+    );
+
+    return { token, tokenId };
+  }
+
+  /**
+   * Verify a pending login token (signature, expiry and type only)
+   */
+  static verifyMfaPendingToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:mfa`,
+      });
+
+      if (decoded.type !== 'mfa_pending' || !decoded.jti) {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Login verification expired. Please sign in again.');
+      }
+      throw new Error('Invalid login verification');
+    }
+  }
+
+  /**
+   * Generate the token in a "remember this device" cookie
+   * Bound to the browser's fingerprint; the jti is the trusted device record,
+   * so deleting the record revokes the cookie.
+   */
+  static generateTrustedDeviceToken(userId, fingerprint, tokenId, expiresAt) {
+    return jwt.sign(
+      {
+        userId,
+        fp: fingerprint,
+        type: 'trusted_device',
+        exp: Math.floor(expiresAt.getTime() / 1000),
+      },
+      config.jwt.secret,
+      {
+        algorithm: 'HS256',
+        jwtid: tokenId,
+        issuer: config.app.name,
+        audience: `${config.app.name}:trusted-device`,
+      }
+    );
+  }
+
+  /**
+   * Verify a trusted device token (signature, expiry and type only)
+   */
+  static verifyTrustedDeviceToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:trusted-device`,
+      });
+
+      if (decoded.type !== 'trusted_device' || !decoded.jti) {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Trusted device expired');
+      }
+      throw new Error('Invalid trusted device');
+    }
+  }
+
+  /**
+   * Wrap a WebAuthn challenge so the server needs no session to check it later
+   * @param {Object} claims - { challenge, purpose, userId }
+   */
+  static generateWebAuthnChallengeToken({ challenge, purpose, userId }) {
+    return jwt.sign({ challenge, purpose, userId, type: 'webauthn' }, config.jwt.secret, {
+      algorithm: 'HS256',
+      expiresIn: '5m',
+      jwtid: crypto.randomUUID(),
+      issuer: config.app.name,
+      audience: `${config.app.name}:webauthn`,
+    });
+  }
+
+  /**
+   * Verify a WebAuthn challenge token for the given ceremony
+   */
+  static verifyWebAuthnChallengeToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:webauthn`,
+      });
+
+      if (decoded.type !== 'webauthn' || decoded.purpose !== purpose) {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Passkey challenge expired');
+      }
+      throw new Error('Invalid passkey challenge');
+    }
+  }
+
+  /**
+   * Generate the token in an account deletion cancellation link
+   * It is valid until the account is purged and only for the deletion request
+   * it was issued with (requestedAt must match the user's deletionRequestedAt).
+   */
+  static generateDeletionCancelToken(userId, requestedAt, scheduledFor) {
+    return jwt.sign(
+      {
+        userId,
+        requestedAt: requestedAt.getTime(),
+        type: 'cancel_deletion',
+        exp: Math.floor(scheduledFor.getTime() / 1000),
+      },
+      config.jwt.secret,
+      {
+        algorithm: 'HS256',
+        issuer: config.app.name,
+        audience: `${config.app.name}:account-deletion`,
+      }
+    );
+  }
+
+  /**
+   * Verify an account deletion cancellation token (signature, expiry and type only)
+   */
+  static verifyDeletionCancelToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:account-deletion`,
+      });
+
+      if (decoded.type !== 'cancel_deletion') {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('The grace period has ended');
+      }
+      throw new Error('Invalid cancellation link');
+    }
+  }
+
+  /**
+   * Generate the token for the link that undoes an email change
+   * Sent to the old address; stays valid after the change is confirmed.
+   */
+  static generateEmailChangeRevertToken(userId, oldEmail, newEmail) {
+    return jwt.sign(
+      {
+        userId,
+        oldEmail,
+        newEmail,
+        type: 'revert_email_change',
+      },
+      config.jwt.secret,
+      {
+        expiresIn: config.emailChange.revertExpiresIn,
+        algorithm: 'HS256',
+        issuer: config.app.name,
+        audience: `${config.app.name}:email-change`,
+      }
+    );
+  }
+
+  /**
+   * Verify an email change revert token (signature, expiry and type only)
+   */
+  static verifyEmailChangeRevertToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        issuer: config.app.name,
+        audience: `${config.app.name}:email-change`,
+      });
+
+      if (decoded.type !== 'revert_email_change') {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Revert link expired');
+      }
+      throw new Error('Invalid revert link');
+    }
+  }
+
   /**
    * Revoke refresh token
    */
-  static revokeRefreshToken(tokenId) {
-    const storedToken = refreshTokens.get(tokenId);
-    if (storedToken) {
-      storedToken.isRevoked = true;
-      refreshTokens.set(tokenId, storedToken);
+  static async revokeRefreshToken(tokenId) {
+    const revoked = await this.getStore().revoke(tokenId);
+    if (revoked) {
       logger.info(`Refresh token revoked: ${tokenId}`);
-      return true;
     }
-    return false;
+    return revoked;
+  }
+
+  /**
+   * Revoke every token in a rotation family
+   */
+  static async revokeTokenFamily(familyId) {
+    const count = await this.getStore().revokeFamily(familyId);
+    logger.info(`Revoked ${count} refresh tokens in family: ${familyId}`);
+    return count;
+  }
+
+  /**
+   * Revoke one session: its refresh token family and any access tokens issued for it
+   */
+  static async revokeSession(sessionId) {
+    const count = await this.revokeTokenFamily(sessionId);
+
+    // Access tokens carry the session as `sid`; deny it until they would expire
+    await denyToken(`sid:${sessionId}`, Date.now() + this.parseExpiry(config.jwt.expiresIn));
+
+    return count;
+  }
+
+  /**
+   * Handle reuse of a superseded refresh token
+   * Revokes the whole family and records a high-severity audit event
+   */
+  static async handleRefreshTokenReuse(storedToken, context = {}) {
+    const tokensRevoked = storedToken.familyId
+      ? await this.revokeTokenFamily(storedToken.familyId)
+      : await this.revokeAllUserTokens(storedToken.userId);
+
+    logSecurityEvent('REFRESH_TOKEN_REUSE_DETECTED', {
+      userId: storedToken.userId,
+      tokenId: storedToken.tokenId,
+      familyId: storedToken.familyId,
+      tokensRevoked,
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+    });
+
+    await AuditLog.logEvent('REFRESH_TOKEN_REUSE_DETECTED', {
+      userId: storedToken.userId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      severity: 'high',
+      message: 'Superseded refresh token was presented again; token family revoked',
+      details: {
+        tokenId: storedToken.tokenId,
+        familyId: storedToken.familyId,
+        replacedBy: storedToken.replacedBy,
+        tokensRevoked,
+      },
+    });
+
+    logger.warn(`Refresh token reuse detected for user: ${storedToken.userId}`);
+
+    return tokensRevoked;
   }
 
   /**
    * Revoke all refresh tokens for a user
    */
-  static revokeAllUserTokens(userId) {
-    let count = 0;
-    for (const [tokenId, tokenData] of refreshTokens) {
-      if (tokenData.userId === userId && !tokenData.isRevoked) {
-        tokenData.isRevoked = true;
-        refreshTokens.set(tokenId, tokenData);
-        count++;
-      }
-    }
+  static async revokeAllUserTokens(userId) {
+    const count = await this.getStore().revokeAllForUser(userId);
     logger.info(`Revoked ${count} refresh tokens for user: ${userId}`);
     return count;
   }
 
+  /**
+   * Delete every refresh token record for a user, revoked or not
+   * Used when an account is purged so no session metadata (IP, device) is left behind
+   */
+  static async deleteAllUserTokens(userId) {
+    const count = await this.getStore().deleteAllForUser(userId);
+    logger.info(`Deleted ${count} refresh tokens for user: ${userId}`);
+    return count;
+  }
+
   /**
    * Refresh access token using refresh token
    */
-  static async refreshAccessToken(refreshToken) {
+  static async refreshAccessToken(refreshToken, context = {}) {
     try {
       // Verify refresh token
-      const decoded = this.verifyRefreshToken(refreshToken);
+      const decoded = await this.verifyRefreshToken(refreshToken, context);
 
       // Generate new access token
       const accessToken = await this.generateAccessToken({
-        userId: decoded.userId,
-        email: decoded.email,
-        role: decoded.role,
+        ...(await this.getCurrentClaims(decoded.userId)),
+        clientId: decoded.clientId,
+        scope: decoded.scope,
+        sessionId: decoded.familyId,
+        authTime: decoded.authTime,
+        amr: decoded.amr,
       });
 
+      await this.touchSession(decoded.tokenId, context);
+
       return {
         accessToken,
         expiresIn: config.jwt.expiresIn,
@@ -211,23 +900,76 @@ class TokenService {
     }
   }
 
+  /**
+   * Record session activity on refresh (last seen time, IP and location)
+   * Best effort; a failed write must not fail the refresh
+   */
+  static async touchSession(tokenId, context = {}) {
+    try {
+      await this.getStore().touch(tokenId, {
+        lastSeenAt: new Date(),
+        ...(context.ip && { ip: context.ip }),
+        ...(context.location && { location: context.location }),
+      });
+    } catch (error) {
+      logger.error('Error updating session activity:', error.message);
+    }
+  }
+
+  /**
+   * Record a fresh authentication on a session and issue an access token showing it
+   * Later refreshes of the session carry the new auth_time and amr
+   * @param {Object} claims - Current user claims ({ userId, email, role })
+   * @param {string} sessionId - sid of the access token being upgraded, if any
+   * @param {string[]} amr - Methods used to reauthenticate
+   */
+  static async reauthenticateSession(claims, sessionId, amr) {
+    const authTime = new Date();
+
+    if (sessionId) {
+      const session = (await this.getUserRefreshTokens(claims.userId)).find(
+        (token) => token.sessionId === sessionId
+      );
+      if (session) {
+        await this.getStore().touch(session.tokenId, { authTime, amr });
+      }
+    }
+
+    return this.generateAccessToken({ ...claims, sessionId, authTime, amr });
+  }
+
   /**
    * Rotate refresh token (generate new refresh token and revoke old one)
+   * The new token stays in the same family as the old one
    */
-  static async rotateRefreshToken(oldRefreshToken) {
+  static async rotateRefreshToken(oldRefreshToken, context = {}) {
     try {
       // Verify old refresh token
-      const decoded = this.verifyRefreshToken(oldRefreshToken);
+      const decoded = await this.verifyRefreshToken(oldRefreshToken, context);
 
-      // Revoke old token
-      this.revokeRefreshToken(decoded.tokenId);
+      // Generate new token pair in the same family
+      const tokenPair = await this.generateTokenPair(
+        {
+          ...(await this.getCurrentClaims(decoded.userId)),
+          clientId: decoded.clientId,
+          scope: decoded.scope,
+          authTime: decoded.authTime,
+          amr: decoded.amr,
+        },
+        {
+          familyId: decoded.familyId,
+          context,
+          sessionStartedAt: decoded.sessionStartedAt,
+        }
+      );
 
-      // Generate new token pair
-      const tokenPair = this.generateTokenPair({
-        userId: decoded.userId,
-        email: decoded.email,
-        role: decoded.role,
-      });
+      // Mark old token as superseded; fails if a concurrent request got there first
+      const store = this.getStore();
+      const rotated = await store.markRotated(decoded.tokenId, tokenPair.tokenId);
+      if (!rotated) {
+        await this.handleRefreshTokenReuse(await store.find(decoded.tokenId), context);
+        throw new Error('Refresh token reuse detected');
+      }
 
       logger.info(`Refresh token rotated for user: ${decoded.userId}`);
 
@@ -248,16 +990,8 @@ class TokenService {
   /**
    * Clean up expired tokens
    */
-  static cleanupExpiredTokens() {
-    const now = Date.now();
-    let count = 0;
-
-    for (const [tokenId, tokenData] of refreshTokens) {
-      if (tokenData.expiresAt < now) {
-        refreshTokens.delete(tokenId);
-        count++;
-      }
-    }
+  static async cleanupExpiredTokens() {
+    const count = await this.getStore().deleteExpired();
 
     if (count > 0) {
       logger.info(`Cleaned up ${count} expired refresh tokens`);
@@ -267,22 +1001,23 @@ class TokenService {
   }
 
   /**
-   * Get user's active refresh tokens
+   * Get user's active refresh tokens, one per session
    */
-  static getUserRefreshTokens(userId) {
-    const userTokens = [];
-
-    for (const [tokenId, tokenData] of refreshTokens) {
-      if (tokenData.userId === userId && !tokenData.isRevoked) {
-        userTokens.push({
-          tokenId,
-          createdAt: tokenData.createdAt,
-          expiresAt: tokenData.expiresAt,
-        });
-      }
-    }
+  static async getUserRefreshTokens(userId) {
+    const userTokens = await this.getStore().findByUser(userId);
 
-    return userTokens;
+    return userTokens.map((tokenData) => ({
+      tokenId: tokenData.tokenId,
+      sessionId: tokenData.familyId,
+      clientId: tokenData.clientId,
+      ip: tokenData.ip,
+      userAgent: tokenData.userAgent,
+      location: tokenData.location,
+      createdAt: tokenData.createdAt,
+      sessionStartedAt: tokenData.sessionStartedAt,
+      lastSeenAt: tokenData.lastSeenAt,
+      expiresAt: tokenData.expiresAt,
+    }));
   }
 
   /**
@@ -310,27 +1045,13 @@ class TokenService {
   /**
    * Get token statistics
    */
-  static getTokenStats() {
-    const now = Date.now();
-    let active = 0;
-    let revoked = 0;
-    let expired = 0;
-
-    for (const [, tokenData] of refreshTokens) {
-      if (tokenData.isRevoked) {
-        revoked++;
-      } else if (tokenData.expiresAt < now) {
-        expired++;
-      } else {
-        active++;
-      }
-    }
+  static async getTokenStats() {
+    const store = this.getStore();
+    const stats = await store.stats();
 
     return {
-      total: refreshTokens.size,
-      active,
-      revoked,
-      expired,
+      store: store.name,
+      ...stats,
     };
   }
 }
@@ -338,7 +1059,10 @@ class TokenService {
 // Run cleanup every hour
 setInterval(
   () => {
-    TokenService.cleanupExpiredTokens();
+    TokenService.cleanupExpiredTokens().catch((error) => {
+      logger.error('Error cleaning up expired refresh tokens:', error.message);
+    });
+    cleanupDenylist();
   },
   60 * 60 * 1000
 );
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import AuditLog from '../models/AuditLog.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import LoginRiskService from './loginRiskService.js';
+import TokenService from './tokenService.js';
+import { parseUserAgent } from '../utils/deviceInfo.js';
+import logger, { logSecurityEvent } from '../utils/logger.js';
+
+/**
+ * Trusted Device Service
+ * "Remember this device" for the second factor
+ *
+ * After entering a second factor a user can trust the browser. It gets a
+ * signed cookie holding a token that expires with the device record and is
+ * bound to the browser's fingerprint, so a copied cookie does not work from
+ * another browser. Trusted devices are forgotten on password change, 2FA
+ * changes and logout from all devices.
+ */
+
+export const TRUSTED_DEVICE_COOKIE = 'trustedDevice';
+
+class TrustedDeviceService {
+  /**
+   * Options for the trustedDevice cookie
+   */
+  static getCookieOptions(expiresAt) {
+    return {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      expires: expiresAt,
+    };
+  }
+
+  /**
+   * Trust the browser a login came from
+   * @param {Object} context - { ip, userAgent, location, clientHints }
+   * @returns {Promise<{token: string, expiresAt: Date}|null>} null if the feature is off
+   */
+  static async trustDevice(user, { ip, userAgent, location = null, clientHints = null }) {
+    if (!config.trustedDevices.enabled) {
+      return null;
+    }
+
+    const tokenId = crypto.randomUUID();
+    const fingerprint = LoginRiskService.getFingerprint(userAgent, clientHints);
+    const expiresAt = new Date(
+      Date.now() + config.trustedDevices.expiresInDays * 24 * 60 * 60 * 1000
+    );
+
+    const device = await TrustedDevice.create({
+      userId: user._id,
+      tokenId,
+      fingerprint,
+      label: parseUserAgent(userAgent).label,
+      ip,
+      location: location || undefined,
+      lastUsedAt: new Date(),
+      expiresAt,
+    });
+
+    // Keep only the most recent devices
+    const stale = await TrustedDevice.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .skip(config.trustedDevices.maxPerUser)
+      .select('_id');
+    if (stale.length > 0) {
+      await TrustedDevice.deleteMany({ _id: { $in: stale.map((item) => item._id) } });
+    }
+
+    await AuditLog.logEvent('TRUSTED_DEVICE_ADDED', {
+      userId: user._id,
+      email: user.email,
+      ip,
+      userAgent,
+      details: { deviceId: device.id, label: device.label, expiresAt },
+      severity: 'low',
+    });
+
+    logSecurityEvent('TRUSTED_DEVICE_ADDED', {
+      userId: user.id,
+      deviceId: device.id,
+      ipAddress: ip,
+    });
+
+    return {
+      token: TokenService.generateTrustedDeviceToken(user.id, fingerprint, tokenId, expiresAt),
+      expiresAt,
+    };
+  }
+
+  /**
+   * Whether a request comes from one of the user's trusted devices
+   * Never throws; anything wrong with the cookie just means "not trusted".
+   * @param {string} token - trustedDevice cookie
+   * @param {Object} context - { ip, userAgent, clientHints }
+   */
+  static async isTrusted(user, token, { ip, userAgent, clientHints = null }) {
+    if (!config.trustedDevices.enabled || !token) {
+      return false;
+    }
+
+    let decoded;
+    try {
+      decoded = TokenService.verifyTrustedDeviceToken(token);
+    } catch {
+      return false;
+    }
+
+    if (decoded.userId !== user.id) {
+      return false;
+    }
+
+    // A cookie copied to another browser does not match its fingerprint
+    if (decoded.fp !== LoginRiskService.getFingerprint(userAgent, clientHints)) {
+      logSecurityEvent('TRUSTED_DEVICE_MISMATCH', {
+        userId: user.id,
+        ipAddress: ip,
+        userAgent,
+      });
+      return false;
+    }
+
+    try {
+      const device = await TrustedDevice.findOneAndUpdate(
+        { tokenId: decoded.jti, userId: user._id, expiresAt: { $gt: new Date() } },
+        { lastUsedAt: new Date(), ip }
+      );
+      return Boolean(device);
+    } catch (error) {
+      logger.error('Failed to check trusted device:', error);
+      return false;
+    }
+  }
+
+  /**
+   * List a user's trusted devices (most recently used first)
+   * @param {string} currentToken - trustedDevice cookie of the request, to mark its device
+   */
+  static async listDevices(userId, currentToken = null) {
+    let currentTokenId = null;
+    if (currentToken) {
+      try {
+        currentTokenId = TokenService.verifyTrustedDeviceToken(currentToken).jti;
+      } catch {
+        // Not one of ours
+      }
+    }
+
+    const devices = await TrustedDevice.find({ userId, expiresAt: { $gt: new Date() } }).sort({
+      lastUsedAt: -1,
+    });
+
+    return devices.map((device) => ({
+      ...device.toJSON(),
+      current: device.tokenId === currentTokenId,
+    }));
+  }
+
+  /**
+   * Forget one of a user's trusted devices
+   * @returns {Promise<Object|null>} The removed device, or null if not found
+   */
+  static async revokeDevice(userId, deviceId, context = {}) {
+    if (!mongoose.isValidObjectId(deviceId)) {
+      return null;
+    }
+
+    const device = await TrustedDevice.findOneAndDelete({ _id: deviceId, userId });
+
+    if (device) {
+      await AuditLog.logEvent('TRUSTED_DEVICE_REVOKED', {
+        userId,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        details: { deviceId: device.id, label: device.label },
+        severity: 'low',
+      });
+
+      logSecurityEvent('TRUSTED_DEVICE_REVOKED', {
+        userId,
+        deviceId: device.id,
+        ipAddress: context.ip,
+      });
+    }
+
+    return device;
+  }
+
+  /**
+   * Forget all of a user's trusted devices
+   * @param {string} reason - e.g. 'password_changed', '2fa_disabled', 'logout_all', 'user'
+   * @returns {Promise<number>} Number of devices forgotten
+   */
+  static async revokeAll(userId, reason, context = {}) {
+    const { deletedCount } = await TrustedDevice.deleteMany({ userId });
+
+    if (deletedCount > 0) {
+      await AuditLog.logEvent('TRUSTED_DEVICE_REVOKED', {
+        userId,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        details: { reason, count: deletedCount },
+        severity: 'low',
+      });
+
+      logSecurityEvent('TRUSTED_DEVICES_REVOKED', {
+        userId,
+        reason,
+        count: deletedCount,
+      });
+    }
+
+    return deletedCount;
+  }
+}
+
+export default TrustedDeviceService;
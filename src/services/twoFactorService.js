@@ -3,30 +3,14 @@ import QRCode from 'qrcode';
 import crypto from 'crypto';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
-import { getRedisClient } from '../config/redis.js';
-import emailService from './emailService.js';
-import whatsappService from './whatsappService.js';
 
 /**
  * Two-Factor Authentication Service
- * Supports multiple 2FA methods: TOTP (Authenticator App), Email, WhatsApp
+ * TOTP secrets, codes and backup codes. Email and WhatsApp login codes are
+ * sent and checked by AuthService against the pending login.
  */
 
 class TwoFactorService {
-  constructor() {
-    this.redisClient = null;
-    this.initialize();
-  }
-
-  async initialize() {
-    try {
-      this.redisClient = getRedisClient();
-      logger.info('✅ Two-Factor service initialized');
-    } catch (error) {
-      logger.error('Failed to initialize Two-Factor service:', error);
-    }
-  }
-
   /**
    * Generate TOTP secret for authenticator apps (legacy static method)
    */
@@ -135,205 +119,6 @@ class TwoFactorService {
     return crypto.randomInt(100000, 999999).toString();
   }
 
-  /**
-   * Send verification code via email
-   */
-  async sendEmailVerificationCode(email, userName, userId) {
-    try {
-      const code = this.generateVerificationCode();
-      const expiresIn = 600; // 10 minutes
-
-      // Store code in Redis
-      const redisKey = `2fa:email:${userId}`;
-      await this.redisClient.setEx(redisKey, expiresIn, code);
-
-      // Send email
-      await emailService.send2FACode(email, code, userName);
-
-      logger.info(`Email 2FA code sent to ${email}`);
-
-      return {
-        success: true,
-        expiresIn,
-        message: 'Verification code sent to your email',
-      };
-    } catch (error) {
-      logger.error('Failed to send email verification code:', error);
-      throw new Error('Failed to send verification code');
-    }
-  }
-
-  /**
-   * Send verification code via WhatsApp
-   */
-  async sendWhatsAppVerificationCode(phoneNumber, userName, userId) {
-    try {
-      // Validate phone number
-      if (!whatsappService.isValidPhoneNumber(phoneNumber)) {
-        throw new Error('Invalid phone number format');
-      }
-
-      const code = this.generateVerificationCode();
-      const expiresIn = 600; // 10 minutes
-
-      // Store code in Redis
-      const redisKey = `2fa:whatsapp:${userId}`;
-      await this.redisClient.setEx(redisKey, expiresIn, code);
-
-      // Send WhatsApp message
-      await whatsappService.send2FACode(phoneNumber, code, userName);
-
-      logger.info(`WhatsApp 2FA code sent to ${phoneNumber}`);
-
-      return {
-        success: true,
-        expiresIn,
-        message: 'Verification code sent to your WhatsApp',
-      };
-    } catch (error) {
-      logger.error('Failed to send WhatsApp verification code:', error);
-      throw new Error('Failed to send verification code via WhatsApp');
-    }
-  }
-
-  /**
-   * Verify email verification code
-   */
-  async verifyEmailCode(userId, code) {
-    try {
-      const redisKey = `2fa:email:${userId}`;
-      const storedCode = await this.redisClient.get(redisKey);
-
-      if (!storedCode) {
-        return {
-          verified: false,
-          message: 'Code expired or not found',
-        };
-      }
-
-      if (storedCode !== code) {
-        // Track failed attempts
-        await this.trackFailedAttempt(userId, 'email');
-        return {
-          verified: false,
-          message: 'Invalid verification code',
-        };
-      }
-
-      // Delete code after successful verification
-      await this.redisClient.del(redisKey);
-
-      logger.info(`Email 2FA verified for user ${userId}`);
-
-      return {
-        verified: true,
-        message: 'Verification successful',
-      };
-    } catch (error) {
-      logger.error('Failed to verify email code:', error);
-      throw new Error('Verification failed');
-    }
-  }
-
-  /**
-   * Verify WhatsApp verification code
-   */
-  async verifyWhatsAppCode(userId, code) {
-    try {
-      const redisKey = `2fa:whatsapp:${userId}`;
-      const storedCode = await this.redisClient.get(redisKey);
-
-      if (!storedCode) {
-        return {
-          verified: false,
-          message: 'Code expired or not found',
-        };
-      }
-
-      if (storedCode !== code) {
-        // Track failed attempts
-        await this.trackFailedAttempt(userId, 'whatsapp');
-        return {
-          verified: false,
-          message: 'Invalid verification code',
-        };
-      }
-
-      // Delete code after successful verification
-      await this.redisClient.del(redisKey);
-
-      logger.info(`WhatsApp 2FA verified for user ${userId}`);
-
-      return {
-        verified: true,
-        message: 'Verification successful',
-      };
-    } catch (error) {
-      logger.error('Failed to verify WhatsApp code:', error);
-      throw new Error('Verification failed');
-    }
-  }
-
-  /**
-   * Track failed 2FA attempts
-   */
-  async trackFailedAttempt(userId, method) {
-    try {
-      const redisKey = `2fa:failed:${userId}:${method}`;
-      const attempts = await this.redisClient.incr(redisKey);
-
-      // Set expiry on first attempt
-      if (attempts === 1) {
-        await this.redisClient.expire(redisKey, 3600); // 1 hour
-      }
-
-      // Lock account after 5 failed attempts
-      if (attempts >= 5) {
-        logger.warn(`Too many failed 2FA attempts for user ${userId} via ${method}`);
-        return {
-          locked: true,
-          attempts,
-        };
-      }
-
-      return {
-        locked: false,
-        attempts,
-      };
-    } catch (error) {
-      logger.error('Failed to track failed attempt:', error);
-      return { locked: false, attempts: 0 };
-    }
-  }
-
-  /**
-   * Check if user is locked due to too many failed attempts
-   */
-  async isUserLocked(userId, method) {
-    try {
-      const redisKey = `2fa:failed:${userId}:${method}`;
-      const attempts = await this.redisClient.get(redisKey);
-
-      return attempts >= 5;
-    } catch (error) {
-      logger.error('Failed to check user lock status:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Reset failed attempt counter
-   */
-  async resetFailedAttempts(userId, method) {
-    try {
-      const redisKey = `2fa:failed:${userId}:${method}`;
-      await this.redisClient.del(redisKey);
-      logger.info(`Reset failed 2FA attempts for user ${userId} (${method})`);
-    } catch (error) {
-      logger.error('Failed to reset failed attempts:', error);
-    }
-  }
-
   /**
    * Generate backup codes (legacy static method)
    */
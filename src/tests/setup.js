@@ -1,6 +1,7 @@
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import mongoose from 'mongoose';
 import config from '../config/environment.js';
+import ProofOfWorkService from '../services/proofOfWorkService.js';
 
 let mongoServer;
 
@@ -23,6 +24,9 @@ afterEach(async () => {
   for (const key in collections) {
     await collections[key].deleteMany({});
   }
+
+  // Failed logins in one test must not trigger challenges in the next
+  ProofOfWorkService.resetMemoryStore();
 });
 
 // Cleanup after all tests
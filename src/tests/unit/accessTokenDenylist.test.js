@@ -0,0 +1,39 @@
+import { cleanupDenylist, denyToken, isTokenDenied } from '../../services/accessTokenDenylist.js';
+
+describe('Access Token Denylist Unit Tests', () => {
+  describe('denyToken', () => {
+    it('should deny a token until it expires', async () => {
+      expect(await denyToken('jti-active', Date.now() + 60 * 1000)).toBe(true);
+      expect(await isTokenDenied('jti-active')).toBe(true);
+    });
+
+    it('should ignore tokens that have already expired', async () => {
+      expect(await denyToken('jti-expired', Date.now() - 1000)).toBe(false);
+      expect(await isTokenDenied('jti-expired')).toBe(false);
+    });
+  });
+
+  describe('isTokenDenied', () => {
+    it('should return false for unknown or missing token IDs', async () => {
+      expect(await isTokenDenied('jti-unknown')).toBe(false);
+      expect(await isTokenDenied(undefined)).toBe(false);
+    });
+  });
+
+  describe('cleanupDenylist', () => {
+    it('should only remove expired entries', async () => {
+      await denyToken('jti-short', Date.now() + 1000);
+      await denyToken('jti-long', Date.now() + 60 * 1000);
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 5000;
+      try {
+        expect(cleanupDenylist()).toBeGreaterThanOrEqual(1);
+        expect(await isTokenDenied('jti-short')).toBe(false);
+        expect(await isTokenDenied('jti-long')).toBe(true);
+      } finally {
+        Date.now = realNow;
+      }
+    });
+  });
+});
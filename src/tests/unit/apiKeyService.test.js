@@ -0,0 +1,154 @@
+import config from '../../config/environment.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { requireScope, requirePermission } from '../../middleware/authorization.js';
+import ApiKeyService from '../../services/apiKeyService.js';
+
+const createRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const runMiddleware = (middleware, req) => {
+  const res = createRes();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+describe('API Key Service Unit Tests', () => {
+  const originalSalt = config.apiKey.salt;
+
+  beforeAll(() => {
+    config.apiKey.salt = 'test-api-key-salt';
+  });
+
+  afterAll(() => {
+    config.apiKey.salt = originalSalt;
+  });
+
+  describe('generateKey', () => {
+    it('should generate unique prefixed keys', () => {
+      const first = ApiKeyService.generateKey();
+      const second = ApiKeyService.generateKey();
+
+      expect(first.key).toMatch(/^ak_[A-Za-z0-9_-]{43}$/);
+      expect(first.prefix).toBe(first.key.substring(0, 11));
+      expect(first.key).not.toBe(second.key);
+    });
+  });
+
+  describe('hashKey', () => {
+    it('should hash deterministically without exposing the key', () => {
+      const { key } = ApiKeyService.generateKey();
+
+      expect(ApiKeyService.hashKey(key)).toBe(ApiKeyService.hashKey(key));
+      expect(ApiKeyService.hashKey(key)).not.toContain(key);
+    });
+
+    it('should refuse to hash without API_KEY_SALT', () => {
+      config.apiKey.salt = undefined;
+      try {
+        expect(() => ApiKeyService.hashKey('ak_test')).toThrow('API_KEY_SALT');
+      } finally {
+        config.apiKey.salt = 'test-api-key-salt';
+      }
+    });
+  });
+
+  describe('validateScopes', () => {
+    it('should accept scopes the role has and remove duplicates', () => {
+      expect(
+        ApiKeyService.validateScopes(
+          [PERMISSIONS.PROFILE_READ, PERMISSIONS.PROFILE_READ, PERMISSIONS.USER_READ],
+          'user'
+        )
+      ).toEqual([PERMISSIONS.PROFILE_READ, PERMISSIONS.USER_READ]);
+    });
+
+    it('should reject unknown scopes', () => {
+      expect(() => ApiKeyService.validateScopes(['everything'], 'admin')).toThrow(
+        'Unknown scope(s): everything'
+      );
+    });
+
+    it('should reject scopes beyond the role', () => {
+      expect(() => ApiKeyService.validateScopes([PERMISSIONS.AUDIT_EXPORT], 'user')).toThrow(
+        'Your role does not have scope(s): audit:export'
+      );
+    });
+
+    it('should require at least one scope', () => {
+      expect(() => ApiKeyService.validateScopes([], 'user')).toThrow();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should reject malformed keys before querying the database', async () => {
+      await expect(ApiKeyService.authenticate('not-a-key', '127.0.0.1')).rejects.toThrow(
+        'Invalid API key'
+      );
+      await expect(ApiKeyService.authenticate({ $ne: null }, '127.0.0.1')).rejects.toThrow(
+        'Invalid API key'
+      );
+    });
+  });
+
+  describe('scope enforcement', () => {
+    const apiKeyRequest = (role, scopes) => ({
+      user: { id: 'user-1', role },
+      apiKey: { id: 'key-1', scopes },
+      ip: '127.0.0.1',
+      path: '/test',
+      method: 'GET',
+    });
+
+    it('should limit requirePermission to the key scopes', () => {
+      const middleware = requirePermission(PERMISSIONS.AUDIT_LIST);
+
+      expect(
+        runMiddleware(middleware, apiKeyRequest('admin', [PERMISSIONS.AUDIT_LIST])).nextCalled
+      ).toBe(true);
+
+      const { res, nextCalled } = runMiddleware(
+        middleware,
+        apiKeyRequest('admin', [PERMISSIONS.PROFILE_READ])
+      );
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should still require the role permission for API keys', () => {
+      const middleware = requirePermission(PERMISSIONS.AUDIT_LIST);
+      const { nextCalled } = runMiddleware(
+        middleware,
+        apiKeyRequest('user', [PERMISSIONS.AUDIT_LIST])
+      );
+
+      expect(nextCalled).toBe(false);
+    });
+
+    it('should only apply requireScope to API key requests', () => {
+      const middleware = requireScope(PERMISSIONS.PROFILE_READ);
+
+      expect(runMiddleware(middleware, { user: { id: 'user-1', role: 'user' } }).nextCalled).toBe(
+        true
+      );
+      expect(
+        runMiddleware(middleware, apiKeyRequest('user', [PERMISSIONS.PROFILE_READ])).nextCalled
+      ).toBe(true);
+      expect(
+        runMiddleware(middleware, apiKeyRequest('user', [PERMISSIONS.USER_READ])).res.statusCode
+      ).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import config from '../../config/environment.js';
+import { canImpersonate } from '../../config/permissions.js';
+import {
+  authenticate,
+  denyImpersonation,
+  requireRecentAuth,
+} from '../../middleware/authentication.js';
+import TokenService from '../../services/tokenService.js';
+
+const createRes = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const runMiddleware = (middleware, req) => {
+  const res = createRes();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+const tokenRequest = (tokenPayload) => ({
+  userId: 'user-1',
+  tokenPayload,
+  ip: '127.0.0.1',
+  path: '/change-password',
+  method: 'POST',
+});
+
+describe('Authentication Middleware Unit Tests', () => {
+  describe('requireRecentAuth', () => {
+    it('should allow tokens issued after a recent sign-in', () => {
+      const { nextCalled } = runMiddleware(
+        requireRecentAuth(),
+        tokenRequest({ auth_time: secondsAgo(10), amr: ['pwd'] })
+      );
+
+      expect(nextCalled).toBe(true);
+    });
+
+    it('should ask for reauthentication when the sign-in is too old', () => {
+      const { res, nextCalled } = runMiddleware(
+        requireRecentAuth(),
+        tokenRequest({ auth_time: secondsAgo(config.reauth.maxAge + 60), amr: ['pwd'] })
+      );
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error).toBe('insufficient_user_authentication');
+      expect(res.body.data.maxAge).toBe(config.reauth.maxAge);
+      expect(res.headers['WWW-Authenticate']).toContain('error="insufficient_user_authentication"');
+    });
+
+    it('should honour a custom maxAge', () => {
+      const middleware = requireRecentAuth({ maxAge: 30 });
+
+      expect(
+        runMiddleware(middleware, tokenRequest({ auth_time: secondsAgo(10), amr: [] })).nextCalled
+      ).toBe(true);
+      expect(
+        runMiddleware(middleware, tokenRequest({ auth_time: secondsAgo(60), amr: [] })).nextCalled
+      ).toBe(false);
+    });
+
+    it('should reject tokens without auth_time', () => {
+      const { res, nextCalled } = runMiddleware(requireRecentAuth(), tokenRequest({}));
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should require every listed factor', () => {
+      const middleware = requireRecentAuth({ factors: ['mfa'] });
+
+      const { res, nextCalled } = runMiddleware(
+        middleware,
+        tokenRequest({ auth_time: secondsAgo(10), amr: ['pwd'] })
+      );
+      expect(nextCalled).toBe(false);
+      expect(res.body.data.factors).toEqual(['mfa']);
+
+      expect(
+        runMiddleware(
+          middleware,
+          tokenRequest({ auth_time: secondsAgo(10), amr: ['pwd', 'otp', 'mfa'] })
+        ).nextCalled
+      ).toBe(true);
+    });
+
+    it('should never accept API key requests', () => {
+      const { nextCalled } = runMiddleware(requireRecentAuth(), {
+        ...tokenRequest(undefined),
+        apiKey: { id: 'key-1', scopes: [] },
+      });
+
+      expect(nextCalled).toBe(false);
+    });
+  });
+
+  describe('impersonation', () => {
+    it('should only allow impersonating lower roles', () => {
+      expect(canImpersonate('admin', 'user')).toBe(true);
+      expect(canImpersonate('admin', 'moderator')).toBe(true);
+      expect(canImpersonate('admin', 'admin')).toBe(false);
+      expect(canImpersonate('moderator', 'user')).toBe(false);
+    });
+
+    it('should block actions while impersonating', () => {
+      const { res, nextCalled } = runMiddleware(denyImpersonation, {
+        ...tokenRequest({ act: { sub: 'admin-1' } }),
+        impersonator: { id: 'admin-1', role: 'admin' },
+      });
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should let normal requests through', () => {
+      const { nextCalled } = runMiddleware(denyImpersonation, tokenRequest({}));
+
+      expect(nextCalled).toBe(true);
+    });
+  });
+
+  describe('password change tokens', () => {
+    it('should reject them on routes that do not opt in', async () => {
+      const token = await TokenService.generatePasswordChangeToken(
+        { id: '507f1f77bcf86cd799439011', email: 'expired@example.com', role: 'user' },
+        { authTime: new Date(), amr: ['pwd'] }
+      );
+      const res = createRes();
+      let nextCalled = false;
+
+      await authenticate(
+        { ...tokenRequest(undefined), path: '/me', headers: { authorization: `Bearer ${token}` } },
+        res,
+        () => {
+          nextCalled = true;
+        }
+      );
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('password_change_required');
+    });
+  });
+});
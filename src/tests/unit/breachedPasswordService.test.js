@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import config from '../../config/environment.js';
+import BreachedPasswordService from '../../services/breachedPasswordService.js';
+
+describe('Breached Password Service Unit Tests', () => {
+  const original = { ...config.breachedPasswords };
+  const breachedPassword = 'P@ssw0rd123!';
+  let corpusDir;
+
+  const sha1 = (password) => crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+
+  beforeAll(async () => {
+    corpusDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breached-passwords-'));
+
+    const hash = sha1(breachedPassword);
+    const paddedHash = sha1('Padded#Entry1');
+
+    // CRLF line endings, as served by the HIBP range API
+    await fs.writeFile(
+      path.join(corpusDir, `${hash.slice(0, 5)}.txt`),
+      ['0018A45C4D1DEF81644B54AB7F969B88D65:1', `${hash.slice(5)}:3861`].join('\r\n')
+    );
+    await fs.writeFile(
+      path.join(corpusDir, `${paddedHash.slice(0, 5)}.txt`),
+      `${paddedHash.slice(5)}:0\r\n`
+    );
+  });
+
+  beforeEach(() => {
+    config.breachedPasswords.dir = corpusDir;
+    config.breachedPasswords.policy = 'reject';
+  });
+
+  afterAll(async () => {
+    Object.assign(config.breachedPasswords, original);
+    await fs.rm(corpusDir, { recursive: true, force: true });
+  });
+
+  describe('getBreachCount', () => {
+    it('should return how often a password appears in the corpus', async () => {
+      expect(await BreachedPasswordService.getBreachCount(breachedPassword)).toBe(3861);
+    });
+
+    it('should return 0 for passwords that are not in the corpus', async () => {
+      expect(await BreachedPasswordService.getBreachCount('Unlisted#Passw0rd')).toBe(0);
+    });
+
+    it('should treat padding entries as not breached', async () => {
+      expect(await BreachedPasswordService.getBreachCount('Padded#Entry1')).toBe(0);
+    });
+
+    it('should return null when no corpus is configured', async () => {
+      config.breachedPasswords.dir = undefined;
+
+      expect(await BreachedPasswordService.getBreachCount(breachedPassword)).toBeNull();
+    });
+  });
+
+  describe('checkNewPassword', () => {
+    it('should reject breached passwords by default', async () => {
+      await expect(BreachedPasswordService.checkNewPassword(breachedPassword)).rejects.toThrow(
+        'data breach'
+      );
+    });
+
+    it('should only warn when the policy is warn', async () => {
+      config.breachedPasswords.policy = 'warn';
+
+      expect(await BreachedPasswordService.checkNewPassword(breachedPassword)).toMatch(
+        /data breach/
+      );
+    });
+
+    it('should allow breached passwords when the policy is off', async () => {
+      config.breachedPasswords.policy = 'off';
+
+      expect(await BreachedPasswordService.checkNewPassword(breachedPassword)).toBeNull();
+    });
+
+    it('should allow passwords that are not in the corpus', async () => {
+      expect(await BreachedPasswordService.checkNewPassword('Unlisted#Passw0rd')).toBeNull();
+    });
+
+    it('should not block the change when the corpus cannot be read', async () => {
+      config.breachedPasswords.dir = path.join(corpusDir, 'missing', '\0');
+
+      expect(await BreachedPasswordService.checkNewPassword(breachedPassword)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import config from '../../config/environment.js';
+import DataExportService from '../../services/dataExportService.js';
+
+describe('Data Export Service Unit Tests', () => {
+  const originalKey = config.encryption.key;
+  let encryptionService;
+
+  beforeAll(async () => {
+    config.encryption.key = originalKey || 'test-encryption-key-for-data-exports';
+    ({ default: encryptionService } = await import('../../services/encryptionService.js'));
+  });
+
+  afterAll(() => {
+    config.encryption.key = originalKey;
+  });
+
+  describe('hashToken', () => {
+    it('should hash deterministically without exposing the token', () => {
+      const token = 'kq3yIl7yo1W4t0rYvE7eL1yWl1Qm1c6rJc0yq9m8xTQ';
+
+      expect(DataExportService.hashToken(token)).toBe(DataExportService.hashToken(token));
+      expect(DataExportService.hashToken(token)).toMatch(/^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe('getDownloadUrl', () => {
+    it('should point at the download endpoint', () => {
+      expect(DataExportService.getDownloadUrl('abc')).toMatch(/\/api\/v1\/users\/exports\/abc$/);
+    });
+  });
+
+  describe('decryptProfile', () => {
+    it('should decrypt encrypted profile fields', async () => {
+      const profile = await DataExportService.decryptProfile({
+        _id: 'profile-1',
+        phone: encryptionService.encrypt('+15551234567'),
+        phoneHash: encryptionService.hash('+15551234567'),
+        ssn: encryptionService.encrypt('123-45-6789'),
+        ssnHash: encryptionService.hash('123-45-6789'),
+        passportNumber: encryptionService.encrypt('X1234567'),
+        dateOfBirth: encryptionService.encrypt('1990-01-31'),
+        address: { city: 'Lahore' },
+        __v: 0,
+      });
+
+      expect(profile).toEqual(
+        expect.objectContaining({
+          phone: '+15551234567',
+          ssn: '123-45-6789',
+          passportNumber: 'X1234567',
+          dateOfBirth: '1990-01-31',
+          address: { city: 'Lahore' },
+        })
+      );
+      expect(profile).not.toHaveProperty('phoneHash');
+      expect(profile).not.toHaveProperty('ssnHash');
+      expect(profile).not.toHaveProperty('__v');
+    });
+
+    it('should leave out card numbers and security answers', async () => {
+      const profile = await DataExportService.decryptProfile({
+        paymentMethods: [{ type: 'credit_card', last4: '4242', cardNumber: '4242424242424242' }],
+        twoFactorBackup: {
+          backupEmail: 'backup@example.com',
+          securityQuestions: [{ question: 'First pet?', answerHash: 'hash' }],
+        },
+      });
+
+      expect(JSON.parse(JSON.stringify(profile.paymentMethods))).toEqual([
+        { type: 'credit_card', last4: '4242' },
+      ]);
+      expect(profile.twoFactorBackup.securityQuestions).toEqual([{ question: 'First pet?' }]);
+    });
+
+    it('should return null when there is no profile', async () => {
+      expect(await DataExportService.decryptProfile(null)).toBeNull();
+    });
+  });
+});
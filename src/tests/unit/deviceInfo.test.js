@@ -0,0 +1,76 @@
+import { parseUserAgent, getRequestLocation, getClientHints } from '../../utils/deviceInfo.js';
+
+const requestWithHeaders = (headers) => ({
+  get: (name) => headers[name.toLowerCase()],
+});
+
+describe('Device Info Unit Tests', () => {
+  describe('parseUserAgent', () => {
+    it('should describe a desktop browser', () => {
+      const result = parseUserAgent(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      );
+
+      expect(result).toEqual({
+        browser: 'Chrome 120',
+        os: 'Windows',
+        deviceType: 'desktop',
+        label: 'Chrome on Windows',
+      });
+    });
+
+    it('should detect phones and tablets', () => {
+      const iphone = parseUserAgent(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+      );
+      expect(iphone.browser).toBe('Safari 17');
+      expect(iphone.os).toBe('iOS');
+      expect(iphone.deviceType).toBe('mobile');
+
+      const tablet = parseUserAgent(
+        'Mozilla/5.0 (Linux; Android 13; SM-X200) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36'
+      );
+      expect(tablet.os).toBe('Android');
+      expect(tablet.deviceType).toBe('tablet');
+    });
+
+    it('should handle missing user agents', () => {
+      expect(parseUserAgent(undefined).label).toBe('Unknown device');
+      expect(parseUserAgent('').deviceType).toBe('unknown');
+    });
+  });
+
+  describe('getRequestLocation', () => {
+    it('should read country and city from CDN headers', () => {
+      const req = requestWithHeaders({ 'cf-ipcountry': 'de', 'cf-ipcity': 'M%C3%BCnchen' });
+
+      expect(getRequestLocation(req)).toEqual({ country: 'DE', city: 'München' });
+    });
+
+    it('should ignore unknown or malformed countries', () => {
+      expect(getRequestLocation(requestWithHeaders({}))).toBeNull();
+      expect(getRequestLocation(requestWithHeaders({ 'cf-ipcountry': 'XX' }))).toBeNull();
+      expect(getRequestLocation(requestWithHeaders({ 'cf-ipcountry': '<script>' }))).toBeNull();
+    });
+  });
+
+  describe('getClientHints', () => {
+    it('should read platform, mobile and brands without versions', () => {
+      const req = requestWithHeaders({
+        'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"macOS"',
+      });
+
+      expect(getClientHints(req)).toEqual({
+        platform: 'macOS',
+        mobile: false,
+        brands: ['Chromium', 'Google Chrome'],
+      });
+    });
+
+    it('should return null when the browser sends no hints', () => {
+      expect(getClientHints(requestWithHeaders({}))).toBeNull();
+    });
+  });
+});
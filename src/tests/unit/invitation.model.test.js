@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Invitation from '../../models/Invitation.js';
+
+describe('Invitation Model Unit Tests', () => {
+  const build = (fields = {}) =>
+    new Invitation({
+      tokenHash: 'hash',
+      invitedBy: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields,
+    });
+
+  describe('allowsEmail', () => {
+    it('should only allow the invited address', () => {
+      const invitation = build({ email: 'Invited@Example.com' });
+
+      expect(invitation.allowsEmail('invited@example.com')).toBe(true);
+      expect(invitation.allowsEmail('INVITED@example.com')).toBe(true);
+      expect(invitation.allowsEmail('someone@example.com')).toBe(false);
+    });
+
+    it('should only allow addresses at the allowed domain', () => {
+      const invitation = build({ allowedDomain: 'corp.example.com' });
+
+      expect(invitation.allowsEmail('anyone@corp.example.com')).toBe(true);
+      expect(invitation.allowsEmail('anyone@example.com')).toBe(false);
+      expect(invitation.allowsEmail('anyone@evilcorp.example.com')).toBe(false);
+    });
+
+    it('should allow any address when not locked', () => {
+      expect(build().allowsEmail('anyone@example.com')).toBe(true);
+    });
+  });
+
+  describe('status', () => {
+    it('should report pending invitations past their expiry as expired', () => {
+      const invitation = build({ expiresAt: new Date(Date.now() - 1000) });
+
+      expect(invitation.isUsable()).toBe(false);
+      expect(invitation.toJSON().status).toBe('expired');
+    });
+
+    it('should not be usable once accepted or revoked', () => {
+      expect(build().isUsable()).toBe(true);
+      expect(build({ status: 'accepted' }).isUsable()).toBe(false);
+      expect(build({ status: 'revoked' }).isUsable()).toBe(false);
+    });
+
+    it('should never expose the token hash', () => {
+      expect(build().toJSON().tokenHash).toBeUndefined();
+    });
+  });
+});
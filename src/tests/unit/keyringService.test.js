@@ -0,0 +1,115 @@
+import jwt from 'jsonwebtoken';
+import { decodeProtectedHeader } from 'jose';
+import config from '../../config/environment.js';
+import KeyringService from '../../services/keyringService.js';
+import TokenService from '../../services/tokenService.js';
+
+describe('Keyring Service Unit Tests', () => {
+  const payload = { userId: 'user-1', email: 'user@example.com', role: 'user' };
+
+  beforeAll(async () => {
+    await KeyringService.initialize();
+  });
+
+  describe('initialize', () => {
+    it('should create an active signing key', async () => {
+      const keys = await KeyringService.listKeys();
+      const active = keys.filter((key) => key.status === 'active');
+
+      expect(active).toHaveLength(1);
+      expect(active[0].alg).toBe(config.jwt.algorithm);
+    });
+  });
+
+  describe('single active key', () => {
+    it('should not let a second key become active', async () => {
+      const store = KeyringService.getKeyStore();
+      const { kid } = await KeyringService.getSigningKey();
+      const active = store.loadAll().find((record) => record.kid === kid);
+
+      expect(() => store.insert({ ...active, kid: 'second-key' })).toThrow('already active');
+    });
+
+    it('should retire older active keys when loading', async () => {
+      const store = KeyringService.getKeyStore();
+      const { kid } = await KeyringService.getSigningKey();
+      const active = store.loadAll().find((record) => record.kid === kid);
+
+      // As left behind by two instances that bootstrapped at the same time
+      store.records.set('older-key', { ...active, kid: 'older-key', activatedAt: new Date(0) });
+      await KeyringService.loadKeys();
+
+      const keys = await KeyringService.listKeys();
+      expect(keys.filter((key) => key.status === 'active').map((key) => key.kid)).toEqual([kid]);
+      expect(keys.find((key) => key.kid === 'older-key').status).toBe('retired');
+    });
+  });
+
+  describe('getJwks', () => {
+    it('should publish public keys only', async () => {
+      const { keys } = await KeyringService.getJwks();
+
+      expect(keys.length).toBeGreaterThan(0);
+      keys.forEach((key) => {
+        expect(key.kid).toBeDefined();
+        expect(key.use).toBe('sig');
+        expect(key.d).toBeUndefined();
+      });
+    });
+  });
+
+  describe('access token signing', () => {
+    it('should sign with the active key and set the kid header', async () => {
+      const token = await TokenService.generateAccessToken(payload);
+      const header = decodeProtectedHeader(token);
+      const { kid } = await KeyringService.getSigningKey();
+
+      expect(header.alg).toBe(config.jwt.algorithm);
+      expect(header.kid).toBe(kid);
+
+      const decoded = await TokenService.verifyAccessToken(token);
+      expect(decoded.userId).toBe('user-1');
+      expect(decoded.jti).toBeDefined();
+    });
+
+    it('should keep verifying tokens signed with a retired key', async () => {
+      const token = await TokenService.generateAccessToken(payload);
+      const oldKid = decodeProtectedHeader(token).kid;
+
+      const newKid = await KeyringService.rotate();
+      expect(newKid).not.toBe(oldKid);
+
+      const { keys } = await KeyringService.getJwks();
+      expect(keys.map((key) => key.kid)).toEqual(expect.arrayContaining([oldKid, newKid]));
+
+      const decoded = await TokenService.verifyAccessToken(token);
+      expect(decoded.userId).toBe('user-1');
+    });
+
+    it('should reject HS256 tokens', async () => {
+      const token = jwt.sign(
+        { ...payload, type: 'access' },
+        'an-hmac-secret-that-is-32-characters',
+        {
+          expiresIn: '15m',
+          issuer: config.app.name,
+          audience: config.app.name,
+        }
+      );
+
+      await expect(TokenService.verifyAccessToken(token)).rejects.toThrow('Invalid access token');
+    });
+
+    it('should reject tokens with an unknown kid', async () => {
+      const token = await TokenService.generateAccessToken(payload);
+      const [, body, signature] = token.split('.');
+      const header = Buffer.from(
+        JSON.stringify({ alg: config.jwt.algorithm, kid: 'unknown', typ: 'JWT' })
+      ).toString('base64url');
+
+      await expect(
+        TokenService.verifyAccessToken(`${header}.${body}.${signature}`)
+      ).rejects.toThrow('Invalid access token');
+    });
+  });
+});
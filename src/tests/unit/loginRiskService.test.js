@@ -0,0 +1,130 @@
+import config from '../../config/environment.js';
+import LoginRiskService from '../../services/loginRiskService.js';
+
+describe('Login Risk Service Unit Tests', () => {
+  const original = { ...config.loginRisk };
+  const chrome120 =
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const chrome121 = chrome120.replace('Chrome/120', 'Chrome/121');
+  const firefox =
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+  const home = {
+    fingerprint: LoginRiskService.getFingerprint(chrome120),
+    subnet: '203.0.113.0/24',
+    location: { country: 'DE', city: 'Berlin' },
+  };
+  const history = [{ ip: '203.0.113.7', details: home }];
+
+  beforeEach(() => {
+    Object.assign(config.loginRisk, original, { alertScore: 40, stepUpScore: 70 });
+  });
+
+  afterAll(() => {
+    Object.assign(config.loginRisk, original);
+  });
+
+  describe('getFingerprint', () => {
+    it('should ignore browser version updates', () => {
+      expect(LoginRiskService.getFingerprint(chrome121)).toBe(
+        LoginRiskService.getFingerprint(chrome120)
+      );
+    });
+
+    it('should tell different browsers and client hints apart', () => {
+      expect(LoginRiskService.getFingerprint(firefox)).not.toBe(
+        LoginRiskService.getFingerprint(chrome120)
+      );
+      expect(
+        LoginRiskService.getFingerprint(chrome120, {
+          platform: 'macOS',
+          mobile: false,
+          brands: ['Chromium', 'Google Chrome'],
+        })
+      ).not.toBe(LoginRiskService.getFingerprint(chrome120));
+    });
+  });
+
+  describe('getSubnet', () => {
+    it('should group IPv4 addresses by /24', () => {
+      expect(LoginRiskService.getSubnet('203.0.113.7')).toBe('203.0.113.0/24');
+      expect(LoginRiskService.getSubnet('::ffff:203.0.113.99')).toBe('203.0.113.0/24');
+    });
+
+    it('should group IPv6 addresses by /48', () => {
+      expect(LoginRiskService.getSubnet('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(LoginRiskService.getSubnet('2001:0db8::1')).toBe('2001:db8:0::/48');
+    });
+
+    it('should return null for anything else', () => {
+      expect(LoginRiskService.getSubnet('not-an-ip')).toBeNull();
+      expect(LoginRiskService.getSubnet(undefined)).toBeNull();
+    });
+  });
+
+  describe('scoreLogin', () => {
+    it('should not score a user without history', () => {
+      expect(LoginRiskService.scoreLogin({ ...home, fingerprint: 'other' }, [])).toEqual({
+        score: 0,
+        level: 'low',
+        factors: [],
+      });
+    });
+
+    it('should not score a familiar login', () => {
+      expect(LoginRiskService.scoreLogin(home, history).score).toBe(0);
+    });
+
+    it('should alert on a new device from a new network', () => {
+      const result = LoginRiskService.scoreLogin(
+        {
+          ...home,
+          fingerprint: LoginRiskService.getFingerprint(firefox),
+          subnet: '198.51.100.0/24',
+        },
+        history
+      );
+
+      expect(result).toEqual({
+        score: 60,
+        level: 'medium',
+        factors: ['new_device', 'new_network'],
+      });
+    });
+
+    it('should require a second factor for a new device in a new country', () => {
+      const result = LoginRiskService.scoreLogin(
+        {
+          fingerprint: LoginRiskService.getFingerprint(firefox),
+          subnet: '198.51.100.0/24',
+          location: { country: 'BR', city: 'Recife' },
+        },
+        history
+      );
+
+      expect(result.factors).toEqual(['new_device', 'new_network', 'new_country']);
+      expect(result.level).toBe('high');
+    });
+
+    it('should count a new city and recent failed attempts', () => {
+      const result = LoginRiskService.scoreLogin(
+        { ...home, location: { country: 'DE', city: 'Hamburg' }, failedAttempts: 3 },
+        history
+      );
+
+      expect(result).toEqual({
+        score: 25,
+        level: 'low',
+        factors: ['new_city', 'recent_failures'],
+      });
+    });
+
+    it('should use the configured thresholds', () => {
+      config.loginRisk.alertScore = 20;
+
+      const result = LoginRiskService.scoreLogin({ ...home, subnet: '198.51.100.0/24' }, history);
+
+      expect(result).toEqual({ score: 20, level: 'medium', factors: ['new_network'] });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import { createLocalJWKSet, jwtVerify } from 'jose';
+import jwt from 'jsonwebtoken';
+import config from '../../config/environment.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { requirePermission, unlessServiceClient } from '../../middleware/authorization.js';
+import KeyringService from '../../services/keyringService.js';
+import OAuthServerService from '../../services/oauthServerService.js';
+import TokenService from '../../services/tokenService.js';
+
+describe('OAuth Server Service Unit Tests', () => {
+  const user = {
+    id: 'user-1',
+    email: 'user@example.com',
+    username: 'user1',
+    firstName: 'Test',
+    lastName: 'User',
+    fullName: 'Test User',
+    isEmailVerified: true,
+  };
+
+  describe('parseScope', () => {
+    it('should split and de-duplicate scopes', () => {
+      expect(OAuthServerService.parseScope('openid  email openid')).toEqual(['openid', 'email']);
+    });
+
+    it('should return an empty list for missing scope', () => {
+      expect(OAuthServerService.parseScope(undefined)).toEqual([]);
+    });
+  });
+
+  describe('verifyPkce', () => {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    it('should accept the matching code verifier', () => {
+      expect(OAuthServerService.verifyPkce(verifier, challenge)).toBe(true);
+    });
+
+    it('should reject a different code verifier', () => {
+      const other = crypto.randomBytes(32).toString('base64url');
+      expect(OAuthServerService.verifyPkce(other, challenge)).toBe(false);
+    });
+
+    it('should reject verifiers that are too short or missing', () => {
+      expect(OAuthServerService.verifyPkce('short', challenge)).toBe(false);
+      expect(OAuthServerService.verifyPkce(undefined, challenge)).toBe(false);
+    });
+  });
+
+  describe('buildRedirectUri', () => {
+    it('should append parameters and skip undefined values', () => {
+      const uri = OAuthServerService.buildRedirectUri('https://app.example.com/cb?x=1', {
+        code: 'abc',
+        state: undefined,
+      });
+
+      expect(uri).toBe('https://app.example.com/cb?x=1&code=abc');
+    });
+  });
+
+  describe('getUserInfo', () => {
+    it('should only include claims for granted scopes', () => {
+      expect(OAuthServerService.getUserInfo(user, ['openid'])).toEqual({ sub: 'user-1' });
+
+      const claims = OAuthServerService.getUserInfo(user, ['openid', 'email']);
+      expect(claims.email).toBe('user@example.com');
+      expect(claims.email_verified).toBe(true);
+      expect(claims.name).toBeUndefined();
+    });
+  });
+
+  describe('getDiscoveryDocument', () => {
+    it('should advertise code flow with S256 PKCE', () => {
+      const document = OAuthServerService.getDiscoveryDocument();
+
+      expect(document.issuer).toBe(config.oauthServer.issuer);
+      expect(document.response_types_supported).toEqual(['code']);
+      expect(document.code_challenge_methods_supported).toEqual(['S256']);
+      expect(document.jwks_uri).toBe(`${config.oauthServer.issuer}/.well-known/jwks.json`);
+    });
+  });
+
+  describe('ID tokens', () => {
+    it('should be verifiable against the JWKS', async () => {
+      const idToken = await TokenService.generateIdToken(user, {
+        clientId: 'client-1',
+        scopes: ['openid', 'profile'],
+        nonce: 'nonce-1',
+        authTime: 1700000000,
+      });
+
+      const jwks = createLocalJWKSet(await KeyringService.getJwks());
+      const { payload } = await jwtVerify(idToken, jwks, {
+        issuer: config.oauthServer.issuer,
+        audience: 'client-1',
+      });
+
+      expect(payload.sub).toBe('user-1');
+      expect(payload.nonce).toBe('nonce-1');
+      expect(payload.auth_time).toBe(1700000000);
+      expect(payload.preferred_username).toBe('user1');
+      expect(payload.email).toBeUndefined();
+    });
+
+    it('should not be issued or advertised with HS256 signing', async () => {
+      const { algorithm } = config.jwt;
+      config.jwt.algorithm = 'HS256';
+
+      try {
+        await expect(
+          TokenService.generateIdToken(user, { clientId: 'client-1', scopes: ['openid'] })
+        ).rejects.toThrow('ID tokens require an asymmetric JWT_ALGORITHM');
+        expect(OAuthServerService.getDiscoveryDocument().scopes_supported).not.toContain('openid');
+      } finally {
+        config.jwt.algorithm = algorithm;
+      }
+    });
+  });
+
+  describe('refresh token revocation', () => {
+    const { refreshSecret } = config.jwt;
+    const claims = { userId: 'user-1', tokenId: 'token-1', clientId: 'client-1', type: 'refresh' };
+    const sign = (secret, options = {}) =>
+      jwt.sign(claims, secret, {
+        issuer: config.app.name,
+        audience: config.app.name,
+        expiresIn: '1h',
+        ...options,
+      });
+
+    beforeAll(() => {
+      config.jwt.refreshSecret = refreshSecret || 'test-refresh-secret-for-revocation';
+    });
+
+    afterAll(() => {
+      config.jwt.refreshSecret = refreshSecret;
+    });
+
+    it('should only trust refresh tokens signed with the refresh secret', () => {
+      expect(TokenService.verifyRefreshTokenSignature(sign(config.jwt.refreshSecret))).toEqual(
+        expect.objectContaining({ tokenId: 'token-1', clientId: 'client-1' })
+      );
+      expect(TokenService.verifyRefreshTokenSignature(sign('forged-secret'))).toBeNull();
+    });
+
+    it('should still accept expired refresh tokens', () => {
+      const expired = sign(config.jwt.refreshSecret, { expiresIn: -60 });
+
+      expect(TokenService.verifyRefreshTokenSignature(expired)?.tokenId).toBe('token-1');
+    });
+  });
+
+  describe('OAuth access tokens', () => {
+    it('should carry client_id and scope', async () => {
+      const token = await TokenService.generateAccessToken({
+        userId: 'user-1',
+        email: 'user@example.com',
+        role: 'user',
+        clientId: 'client-1',
+        scope: 'openid email',
+      });
+
+      const decoded = await TokenService.verifyAccessToken(token);
+      expect(decoded.client_id).toBe('client-1');
+      expect(decoded.scope).toBe('openid email');
+    });
+  });
+
+  describe('client credentials grant', () => {
+    const serviceClient = {
+      clientId: 'service-1',
+      clientType: 'confidential',
+      grantTypes: ['client_credentials'],
+      allowedScopes: [PERMISSIONS.USER_LIST, PERMISSIONS.AUDIT_LIST],
+    };
+
+    it('should issue a token without a user for the requested scopes', async () => {
+      const response = await OAuthServerService.exchangeClientCredentials(serviceClient, {
+        scope: 'user:list',
+      });
+
+      expect(response.refresh_token).toBeUndefined();
+      expect(response.scope).toBe('user:list');
+
+      const decoded = await TokenService.verifyAccessToken(response.access_token);
+      expect(decoded.client_id).toBe('service-1');
+      expect(decoded.sub).toBe('service-1');
+      expect(decoded.userId).toBeUndefined();
+    });
+
+    it('should default to every allowed scope', async () => {
+      const response = await OAuthServerService.exchangeClientCredentials(serviceClient, {});
+      expect(response.scope).toBe('user:list audit:list');
+    });
+
+    it('should reject scopes the client is not allowed', async () => {
+      await expect(
+        OAuthServerService.exchangeClientCredentials(serviceClient, { scope: 'user:delete' })
+      ).rejects.toMatchObject({ error: 'invalid_scope' });
+    });
+
+    it('should reject clients without the grant', async () => {
+      await expect(
+        OAuthServerService.exchangeClientCredentials(
+          { ...serviceClient, grantTypes: ['authorization_code'] },
+          {}
+        )
+      ).rejects.toMatchObject({ error: 'unauthorized_client' });
+    });
+
+    it('should validate service client registrations', async () => {
+      await expect(
+        OAuthServerService.createClient({
+          name: 'Mixed',
+          grantTypes: ['client_credentials', 'refresh_token'],
+          allowedScopes: [PERMISSIONS.USER_LIST],
+        })
+      ).rejects.toThrow('cannot be combined');
+
+      await expect(
+        OAuthServerService.createClient({
+          name: 'OIDC scopes',
+          grantTypes: ['client_credentials'],
+          allowedScopes: ['openid'],
+        })
+      ).rejects.toThrow('Unsupported scopes: openid');
+    });
+  });
+
+  describe('service client authorization', () => {
+    const run = (middleware, req) => {
+      let nextCalled = false;
+      const res = { status: () => res, json: () => res };
+      middleware({ ip: '127.0.0.1', path: '/test', method: 'GET', ...req }, res, () => {
+        nextCalled = true;
+      });
+      return nextCalled;
+    };
+
+    const client = { clientId: 'service-1', scopes: [PERMISSIONS.USER_LIST] };
+
+    it('should authorize requirePermission from token scopes', () => {
+      expect(run(requirePermission(PERMISSIONS.USER_LIST), { client })).toBe(true);
+      expect(run(requirePermission(PERMISSIONS.AUDIT_LIST), { client })).toBe(false);
+    });
+
+    it('should skip role checks wrapped in unlessServiceClient', () => {
+      const denyAll = () => {};
+      expect(run(unlessServiceClient(denyAll), { client })).toBe(true);
+      expect(run(unlessServiceClient(denyAll), { user: { id: 'user-1', role: 'user' } })).toBe(
+        false
+      );
+    });
+  });
+});
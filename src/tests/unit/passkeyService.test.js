@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import { isoBase64URL, isoCBOR } from '@simplewebauthn/server/helpers';
+import config from '../../config/environment.js';
+import PasskeyService from '../../services/passkeyService.js';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Minimal software authenticator: an ES256 key pair that produces
+ * "none" attestation and assertion responses the way a browser would
+ */
+const createSoftwareAuthenticator = ({ origin = config.webauthn.origins[0] } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const cosePublicKey = isoCBOR.encode(
+    new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, isoBase64URL.toBuffer(jwk.x)],
+      [-3, isoBase64URL.toBuffer(jwk.y)],
+    ])
+  );
+
+  const authenticatorData = (flags, attestedCredentialData = Buffer.alloc(0)) => {
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(counter);
+    return Buffer.concat([
+      sha256(config.webauthn.rpId),
+      Buffer.from([flags]),
+      signCount,
+      attestedCredentialData,
+    ]);
+  };
+
+  // UP (user present) is always set; UV (user verified) is optional
+  const flagsFor = (userVerified) => 0x01 | (userVerified ? 0x04 : 0);
+
+  const clientDataJSON = (type, challenge) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+  return {
+    credentialId: isoBase64URL.fromBuffer(credentialId),
+
+    register(challenge, { userVerified = true } = {}) {
+      const credentialIdLength = Buffer.alloc(2);
+      credentialIdLength.writeUInt16BE(credentialId.length);
+
+      const authData = authenticatorData(
+        flagsFor(userVerified) | 0x40, // AT: attested credential data included
+        Buffer.concat([Buffer.alloc(16), credentialIdLength, credentialId, cosePublicKey])
+      );
+      const attestationObject = isoCBOR.encode(
+        new Map([
+          ['fmt', 'none'],
+          ['attStmt', new Map()],
+          ['authData', authData],
+        ])
+      );
+
+      return {
+        id: isoBase64URL.fromBuffer(credentialId),
+        rawId: isoBase64URL.fromBuffer(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: isoBase64URL.fromBuffer(clientDataJSON('webauthn.create', challenge)),
+          attestationObject: isoBase64URL.fromBuffer(attestationObject),
+          transports: ['internal'],
+        },
+        clientExtensionResults: {},
+      };
+    },
+
+    authenticate(challenge, { userVerified = true } = {}) {
+      counter += 1;
+      const authData = authenticatorData(flagsFor(userVerified));
+      const clientData = clientDataJSON('webauthn.get', challenge);
+      const signature = crypto.sign(
+        'sha256',
+        Buffer.concat([authData, sha256(clientData)]),
+        privateKey
+      );
+
+      return {
+        id: isoBase64URL.fromBuffer(credentialId),
+        rawId: isoBase64URL.fromBuffer(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: isoBase64URL.fromBuffer(clientData),
+          authenticatorData: isoBase64URL.fromBuffer(authData),
+          signature: isoBase64URL.fromBuffer(signature),
+        },
+        clientExtensionResults: {},
+      };
+    },
+  };
+};
+
+describe('Passkey Service Unit Tests', () => {
+  const originalSecret = config.jwt.secret;
+
+  beforeAll(() => {
+    config.jwt.secret = originalSecret || 'test-jwt-secret-for-passkey-challenges';
+  });
+
+  afterAll(() => {
+    config.jwt.secret = originalSecret;
+  });
+
+  const user = {
+    id: '507f1f77bcf86cd799439011',
+    email: 'passkey@example.com',
+    username: 'passkeyuser',
+  };
+
+  const registerPasskey = async (authenticator) => {
+    const { options, challengeToken } = await PasskeyService.generateRegistrationOptions(user);
+    const credential = await PasskeyService.verifyRegistration(user.id, {
+      challengeToken,
+      response: authenticator.register(options.challenge),
+    });
+    return { ...credential, id: 'passkey-1', userId: user.id };
+  };
+
+  const assert = async (authenticator, passkey, { userVerified = true } = {}) => {
+    const { options, challengeToken } = await PasskeyService.generateAuthenticationOptions();
+    const { challenge } = await PasskeyService.consumeChallenge(challengeToken, 'login');
+
+    return PasskeyService.verifyAssertion(passkey, {
+      challenge,
+      response: authenticator.authenticate(options.challenge, { userVerified }),
+      requireUserVerification: true,
+    });
+  };
+
+  describe('registration', () => {
+    it('should return options bound to the relying party and user', async () => {
+      const { options, challengeToken } = await PasskeyService.generateRegistrationOptions(user, [
+        { credentialId: 'existing-credential', transports: ['usb'] },
+      ]);
+
+      expect(options.rp.id).toBe(config.webauthn.rpId);
+      expect(options.user.name).toBe(user.email);
+      expect(options.excludeCredentials).toEqual([
+        expect.objectContaining({ id: 'existing-credential' }),
+      ]);
+      expect(options.authenticatorSelection.residentKey).toBe('required');
+      expect(challengeToken).toEqual(expect.any(String));
+    });
+
+    it('should verify a software authenticator registration', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const credential = await registerPasskey(authenticator);
+
+      expect(credential.credentialId).toBe(authenticator.credentialId);
+      expect(credential.publicKey).toEqual(expect.any(String));
+      expect(credential.counter).toBe(0);
+      expect(credential.transports).toEqual(['internal']);
+    });
+
+    it('should reject a challenge issued to another user', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const { options, challengeToken } = await PasskeyService.generateRegistrationOptions(user);
+
+      await expect(
+        PasskeyService.verifyRegistration('507f1f77bcf86cd799439012', {
+          challengeToken,
+          response: authenticator.register(options.challenge),
+        })
+      ).rejects.toThrow('Invalid passkey challenge');
+    });
+
+    it('should only accept a challenge once', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const { options, challengeToken } = await PasskeyService.generateRegistrationOptions(user);
+      const response = authenticator.register(options.challenge);
+
+      await PasskeyService.verifyRegistration(user.id, { challengeToken, response });
+
+      await expect(
+        PasskeyService.verifyRegistration(user.id, { challengeToken, response })
+      ).rejects.toThrow('Passkey challenge already used');
+    });
+
+    it('should reject responses from another origin', async () => {
+      const authenticator = createSoftwareAuthenticator({ origin: 'https://evil.example' });
+      const { options, challengeToken } = await PasskeyService.generateRegistrationOptions(user);
+
+      await expect(
+        PasskeyService.verifyRegistration(user.id, {
+          challengeToken,
+          response: authenticator.register(options.challenge),
+        })
+      ).rejects.toThrow('Passkey registration failed');
+    });
+  });
+
+  describe('authentication', () => {
+    it('should verify an assertion and return the new counter', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = await registerPasskey(authenticator);
+
+      expect(await assert(authenticator, passkey)).toBe(1);
+    });
+
+    it('should require user verification for passwordless login', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = await registerPasskey(authenticator);
+
+      await expect(assert(authenticator, passkey, { userVerified: false })).rejects.toThrow(
+        'Passkey verification failed'
+      );
+    });
+
+    it('should reject a signature from a different key', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = await registerPasskey(authenticator);
+      const impostor = createSoftwareAuthenticator();
+      const impostorPasskey = await registerPasskey(impostor);
+
+      await expect(
+        assert(authenticator, { ...passkey, publicKey: impostorPasskey.publicKey })
+      ).rejects.toThrow('Passkey verification failed');
+    });
+
+    it('should reject a counter that goes backwards', async () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = await registerPasskey(authenticator);
+
+      await expect(assert(authenticator, { ...passkey, counter: 10 })).rejects.toThrow(
+        'Passkey verification failed'
+      );
+    });
+
+    it('should not accept a login challenge for 2FA', async () => {
+      const { challengeToken } = await PasskeyService.generateAuthenticationOptions();
+
+      await expect(PasskeyService.consumeChallenge(challengeToken, '2fa')).rejects.toThrow(
+        'Invalid passkey challenge'
+      );
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { DEFAULT_PASSWORD_POLICY } from '../../models/PasswordPolicy.js';
+import PasswordExpiryService from '../../services/passwordExpiryService.js';
+
+describe('Password Expiry Service Unit Tests', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const lastPasswordChange = new Date('2025-01-01T00:00:00.000Z');
+
+  describe('getExpiryDate', () => {
+    it('should add the maximum age to the last password change', () => {
+      const expiresAt = PasswordExpiryService.getExpiryDate(
+        { lastPasswordChange },
+        { ...DEFAULT_PASSWORD_POLICY, maxAgeDays: 90 }
+      );
+
+      expect(expiresAt).toEqual(new Date(lastPasswordChange.getTime() + 90 * DAY_MS));
+    });
+
+    it('should return null when passwords do not expire', () => {
+      expect(
+        PasswordExpiryService.getExpiryDate({ lastPasswordChange }, DEFAULT_PASSWORD_POLICY)
+      ).toBeNull();
+    });
+
+    it('should return null for users without a password', () => {
+      expect(
+        PasswordExpiryService.getExpiryDate({}, { ...DEFAULT_PASSWORD_POLICY, maxAgeDays: 90 })
+      ).toBeNull();
+    });
+  });
+
+  describe('getRequiredChangeReason', () => {
+    it('should report changes required by an admin', async () => {
+      expect(
+        await PasswordExpiryService.getRequiredChangeReason({
+          requirePasswordChange: true,
+          lastPasswordChange,
+        })
+      ).toBe('required');
+    });
+  });
+});
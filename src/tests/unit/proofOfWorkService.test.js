@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import config from '../../config/environment.js';
+import ProofOfWorkService from '../../services/proofOfWorkService.js';
+
+describe('Proof-of-Work Service Unit Tests', () => {
+  const original = { ...config.proofOfWork };
+  const originalSecret = config.jwt.secret;
+  const ip = '203.0.113.7';
+
+  const solve = (challenge, difficulty) => {
+    for (let counter = 0; ; counter++) {
+      const hash = crypto.createHash('sha256').update(`${challenge}:${counter}`).digest();
+      if (ProofOfWorkService.leadingZeroBits(hash) >= difficulty) {
+        return String(counter);
+      }
+    }
+  };
+
+  beforeAll(() => {
+    config.jwt.secret = originalSecret || 'test-jwt-secret-for-proof-of-work-challenges';
+  });
+
+  beforeEach(() => {
+    Object.assign(config.proofOfWork, original, { difficulty: 6, maxDifficulty: 8 });
+    ProofOfWorkService.resetMemoryStore();
+  });
+
+  afterAll(() => {
+    config.jwt.secret = originalSecret;
+    Object.assign(config.proofOfWork, original);
+    ProofOfWorkService.resetMemoryStore();
+  });
+
+  describe('leadingZeroBits', () => {
+    it('should count zero bits across bytes', () => {
+      expect(ProofOfWorkService.leadingZeroBits(Buffer.from([0xff]))).toBe(0);
+      expect(ProofOfWorkService.leadingZeroBits(Buffer.from([0x00, 0x1f]))).toBe(11);
+      expect(ProofOfWorkService.leadingZeroBits(Buffer.from([0x00, 0x00]))).toBe(16);
+    });
+  });
+
+  describe('getRequiredDifficulty', () => {
+    it('should not require a challenge below the thresholds', async () => {
+      await ProofOfWorkService.recordOutcome('login', { ip, email: 'a@example.com' }, 401);
+
+      expect(await ProofOfWorkService.getRequiredDifficulty({ ip })).toBeNull();
+    });
+
+    it('should require a harder challenge with every failure past the account threshold', async () => {
+      const subject = { ip, email: 'victim@example.com' };
+
+      for (let i = 0; i < config.proofOfWork.accountThreshold; i++) {
+        await ProofOfWorkService.recordOutcome('login', subject, 401);
+      }
+      expect(await ProofOfWorkService.getRequiredDifficulty(subject)).toBe(6);
+
+      await ProofOfWorkService.recordOutcome('login', subject, 401);
+      expect(await ProofOfWorkService.getRequiredDifficulty(subject)).toBe(7);
+
+      for (let i = 0; i < 5; i++) {
+        await ProofOfWorkService.recordOutcome('login', subject, 401);
+      }
+      expect(await ProofOfWorkService.getRequiredDifficulty(subject)).toBe(8);
+
+      // Another IP guessing the same account is challenged too
+      expect(
+        await ProofOfWorkService.getRequiredDifficulty({ ...subject, ip: '198.51.100.1' })
+      ).toBe(8);
+    });
+
+    it('should clear the account after a successful login', async () => {
+      const subject = { ip: '198.51.100.2', email: 'user@example.com' };
+
+      for (let i = 0; i < config.proofOfWork.accountThreshold; i++) {
+        await ProofOfWorkService.recordOutcome('login', subject, 401);
+      }
+      await ProofOfWorkService.recordOutcome('login', subject, 200);
+
+      expect(await ProofOfWorkService.getRequiredDifficulty(subject)).toBeNull();
+    });
+
+    it('should count every password reset request', async () => {
+      const subject = { ip, email: 'reset@example.com' };
+
+      for (let i = 0; i < config.proofOfWork.accountThreshold; i++) {
+        await ProofOfWorkService.recordOutcome('forgot-password', subject, 200);
+      }
+
+      expect(await ProofOfWorkService.getRequiredDifficulty(subject)).toBe(6);
+    });
+
+    it('should never require a challenge when disabled', async () => {
+      config.proofOfWork.enabled = false;
+      for (let i = 0; i < 10; i++) {
+        await ProofOfWorkService.recordOutcome('register', { ip }, 400);
+      }
+
+      expect(await ProofOfWorkService.getRequiredDifficulty({ ip })).toBeNull();
+    });
+  });
+
+  describe('verifySolution', () => {
+    it('should accept a solved challenge once', async () => {
+      const { challenge, difficulty } = ProofOfWorkService.issueChallenge(6, ip);
+      const solution = solve(challenge, difficulty);
+
+      expect(await ProofOfWorkService.verifySolution(challenge, solution, { ip, difficulty })).toBe(
+        true
+      );
+      expect(await ProofOfWorkService.verifySolution(challenge, solution, { ip, difficulty })).toBe(
+        false
+      );
+    });
+
+    it('should reject challenges from another IP or easier than required', async () => {
+      const { challenge } = ProofOfWorkService.issueChallenge(6, ip);
+      const solution = solve(challenge, 6);
+
+      expect(
+        await ProofOfWorkService.verifySolution(challenge, solution, {
+          ip: '198.51.100.1',
+          difficulty: 6,
+        })
+      ).toBe(false);
+      expect(
+        await ProofOfWorkService.verifySolution(challenge, solution, { ip, difficulty: 7 })
+      ).toBe(false);
+    });
+
+    it('should reject tampered and expired challenges', async () => {
+      const { challenge } = ProofOfWorkService.issueChallenge(6, ip);
+      const [payload, signature] = challenge.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const easier = Buffer.from(JSON.stringify({ ...claims, d: 0 })).toString('base64url');
+
+      expect(
+        await ProofOfWorkService.verifySolution(`${easier}.${signature}`, '0', {
+          ip,
+          difficulty: 0,
+        })
+      ).toBe(false);
+
+      config.proofOfWork.challengeExpiresInSeconds = -1;
+      const expired = ProofOfWorkService.issueChallenge(6, ip).challenge;
+
+      expect(
+        await ProofOfWorkService.verifySolution(expired, solve(expired, 6), { ip, difficulty: 6 })
+      ).toBe(false);
+    });
+  });
+});
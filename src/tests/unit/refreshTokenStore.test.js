@@ -0,0 +1,249 @@
+import {
+  MemoryRefreshTokenStore,
+  RedisRefreshTokenStore,
+  getRefreshTokenStore,
+  hashToken,
+} from '../../services/refreshTokenStore.js';
+
+describe('Refresh Token Store Unit Tests', () => {
+  let store;
+
+  const buildRecord = (overrides = {}) => ({
+    tokenId: `token_${Math.random().toString(36).substring(2, 10)}`,
+    userId: 'user-1',
+    tokenHash: hashToken('refresh-token'),
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    isRevoked: false,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    store = new MemoryRefreshTokenStore();
+  });
+
+  describe('hashToken', () => {
+    it('should produce a stable SHA-256 hex digest', () => {
+      expect(hashToken('abc')).toBe(hashToken('abc'));
+      expect(hashToken('abc')).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashToken('abc')).not.toBe(hashToken('abd'));
+    });
+  });
+
+  describe('getRefreshTokenStore', () => {
+    it('should use the memory store in the test environment', () => {
+      expect(getRefreshTokenStore().name).toBe('memory');
+    });
+  });
+
+  describe('save and find', () => {
+    it('should return a stored record by token ID', () => {
+      const record = buildRecord();
+      store.save(record);
+
+      const found = store.find(record.tokenId);
+      expect(found.userId).toBe('user-1');
+      expect(found.tokenHash).toBe(record.tokenHash);
+      expect(found.isRevoked).toBe(false);
+    });
+
+    it('should return null for unknown token IDs', () => {
+      expect(store.find('missing')).toBeNull();
+    });
+  });
+
+  describe('revoke', () => {
+    it('should revoke a single token', () => {
+      const record = buildRecord();
+      store.save(record);
+
+      expect(store.revoke(record.tokenId)).toBe(true);
+      expect(store.find(record.tokenId).isRevoked).toBe(true);
+    });
+
+    it('should return false for unknown tokens', () => {
+      expect(store.revoke('missing')).toBe(false);
+    });
+
+    it('should revoke all active tokens for a user only', () => {
+      store.save(buildRecord());
+      store.save(buildRecord());
+      store.save(buildRecord({ isRevoked: true }));
+      const other = buildRecord({ userId: 'user-2' });
+      store.save(other);
+
+      expect(store.revokeAllForUser('user-1')).toBe(2);
+      expect(store.findByUser('user-1')).toHaveLength(0);
+      expect(store.find(other.tokenId).isRevoked).toBe(false);
+    });
+  });
+
+  describe('token families', () => {
+    it('should mark a token as rotated only once', () => {
+      const record = buildRecord({ familyId: 'family-1' });
+      store.save(record);
+
+      expect(store.markRotated(record.tokenId, 'next-token')).toBe(true);
+      expect(store.markRotated(record.tokenId, 'other-token')).toBe(false);
+
+      const rotated = store.find(record.tokenId);
+      expect(rotated.isRevoked).toBe(true);
+      expect(rotated.replacedBy).toBe('next-token');
+    });
+
+    it('should revoke every active token in a family', () => {
+      store.save(buildRecord({ familyId: 'family-1', isRevoked: true, replacedBy: 'x' }));
+      store.save(buildRecord({ familyId: 'family-1' }));
+      const otherFamily = buildRecord({ familyId: 'family-2' });
+      store.save(otherFamily);
+
+      expect(store.revokeFamily('family-1')).toBe(1);
+      expect(store.find(otherFamily.tokenId).isRevoked).toBe(false);
+    });
+  });
+
+  describe('touch', () => {
+    it('should update session fields on an existing token', () => {
+      const record = buildRecord({ ip: '10.0.0.1' });
+      store.save(record);
+      const lastSeenAt = new Date(Date.now() + 1000);
+
+      expect(store.touch(record.tokenId, { ip: '10.0.0.2', lastSeenAt })).toBe(true);
+
+      const touched = store.find(record.tokenId);
+      expect(touched.ip).toBe('10.0.0.2');
+      expect(touched.lastSeenAt).toEqual(lastSeenAt);
+      expect(touched.sessionStartedAt).toEqual(record.createdAt);
+    });
+
+    it('should return false for unknown tokens', () => {
+      expect(store.touch('missing', { ip: '10.0.0.2' })).toBe(false);
+    });
+
+    it('should record a reauthentication on the session', () => {
+      const record = buildRecord({ authTime: new Date(Date.now() - 60000), amr: ['pwd'] });
+      store.save(record);
+      const authTime = new Date();
+
+      store.touch(record.tokenId, { authTime, amr: ['pwd', 'otp', 'mfa'] });
+
+      const touched = store.find(record.tokenId);
+      expect(touched.authTime).toEqual(authTime);
+      expect(touched.amr).toEqual(['pwd', 'otp', 'mfa']);
+    });
+  });
+
+  describe('findByUser', () => {
+    it('should exclude revoked and expired tokens', () => {
+      store.save(buildRecord());
+      store.save(buildRecord({ isRevoked: true }));
+      store.save(buildRecord({ expiresAt: new Date(Date.now() - 1000) }));
+
+      expect(store.findByUser('user-1')).toHaveLength(1);
+    });
+  });
+
+  describe('deleteAllForUser', () => {
+    it('should delete revoked and active tokens of one user only', () => {
+      store.save(buildRecord());
+      store.save(buildRecord({ isRevoked: true }));
+      const other = buildRecord({ userId: 'user-2' });
+      store.save(other);
+
+      expect(store.deleteAllForUser('user-1')).toBe(2);
+      expect(store.stats().total).toBe(1);
+      expect(store.find(other.tokenId)).not.toBeNull();
+    });
+  });
+
+  describe('deleteExpired and stats', () => {
+    it('should remove expired tokens and report counts', () => {
+      store.save(buildRecord());
+      store.save(buildRecord({ isRevoked: true }));
+      store.save(buildRecord({ expiresAt: new Date(Date.now() - 1000) }));
+
+      expect(store.stats()).toEqual({ total: 3, active: 1, revoked: 1, expired: 1 });
+      expect(store.deleteExpired()).toBe(1);
+      expect(store.stats()).toEqual({ total: 2, active: 1, revoked: 1, expired: 0 });
+    });
+  });
+
+  describe('Redis store under concurrent updates', () => {
+    let redisStore;
+
+    // Enough of a Redis client for the store. Every command yields to the event
+    // loop so concurrent calls interleave as they would against a server; the
+    // compare-and-set script runs as one step, like Lua does in Redis.
+    const createFakeRedis = () => {
+      const values = new Map();
+      const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+      return {
+        async get(key) {
+          await tick();
+          return values.get(key) ?? null;
+        },
+        async setEx(key, ttl, value) {
+          await tick();
+          values.set(key, value);
+        },
+        async sAdd() {
+          await tick();
+        },
+        async ttl() {
+          await tick();
+          return -1;
+        },
+        async expire() {
+          await tick();
+        },
+        async eval(script, { keys: [key], arguments: [expected, value] }) {
+          await tick();
+          if (values.get(key) !== expected) {
+            return 0;
+          }
+          values.set(key, value);
+          return 1;
+        },
+      };
+    };
+
+    beforeEach(() => {
+      const redis = createFakeRedis();
+      redisStore = new (class extends RedisRefreshTokenStore {
+        get client() {
+          return redis;
+        }
+      })('test:');
+    });
+
+    it('should let only one of two concurrent rotations succeed', async () => {
+      const record = buildRecord({ familyId: 'family-1' });
+      await redisStore.save(record);
+
+      const results = await Promise.all([
+        redisStore.markRotated(record.tokenId, 'next-a'),
+        redisStore.markRotated(record.tokenId, 'next-b'),
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      const rotated = await redisStore.find(record.tokenId);
+      expect(rotated.replacedBy).toBe(results[0] ? 'next-a' : 'next-b');
+    });
+
+    it('should not undo a rotation with a concurrent touch', async () => {
+      const record = buildRecord({ familyId: 'family-1', ip: '10.0.0.1' });
+      await redisStore.save(record);
+
+      await Promise.all([
+        redisStore.touch(record.tokenId, { ip: '10.0.0.2' }),
+        redisStore.markRotated(record.tokenId, 'next-token'),
+      ]);
+
+      const stored = await redisStore.find(record.tokenId);
+      expect(stored.isRevoked).toBe(true);
+      expect(stored.replacedBy).toBe('next-token');
+      expect(stored.ip).toBe('10.0.0.2');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import config from '../../config/environment.js';
+import RegistrationPolicyService from '../../services/registrationPolicyService.js';
+
+describe('Registration Policy Service Unit Tests', () => {
+  const original = { ...config.registration };
+  let listDir;
+  let listFile;
+
+  beforeAll(async () => {
+    listDir = await fs.mkdtemp(path.join(os.tmpdir(), 'disposable-domains-'));
+    listFile = path.join(listDir, 'disposable_email_blocklist.conf');
+
+    await fs.writeFile(
+      listFile,
+      ['# Disposable domains', 'mailinator.com', 'Tempmail.Dev', ''].join('\n')
+    );
+  });
+
+  beforeEach(() => {
+    config.registration.disposableDomainsFile = listFile;
+  });
+
+  afterAll(async () => {
+    Object.assign(config.registration, original);
+    await fs.rm(listDir, { recursive: true, force: true });
+  });
+
+  describe('matchesDomain', () => {
+    it('should match listed domains and their subdomains', () => {
+      const domains = ['example.com'];
+
+      expect(RegistrationPolicyService.matchesDomain('example.com', domains)).toBe(true);
+      expect(RegistrationPolicyService.matchesDomain('mail.example.com', domains)).toBe(true);
+      expect(RegistrationPolicyService.matchesDomain('badexample.com', domains)).toBe(false);
+    });
+  });
+
+  describe('normalizeDomains', () => {
+    it('should lower-case, strip prefixes and de-duplicate', () => {
+      expect(
+        RegistrationPolicyService.normalizeDomains([
+          ' Example.com',
+          '@example.com',
+          '*.corp.io',
+          '',
+        ])
+      ).toEqual(['example.com', 'corp.io']);
+    });
+  });
+
+  describe('isDisposableDomain', () => {
+    it('should recognise listed domains and their subdomains', async () => {
+      expect(await RegistrationPolicyService.isDisposableDomain('mailinator.com')).toBe(true);
+      expect(await RegistrationPolicyService.isDisposableDomain('eu.mailinator.com')).toBe(true);
+      expect(await RegistrationPolicyService.isDisposableDomain('tempmail.dev')).toBe(true);
+      expect(await RegistrationPolicyService.isDisposableDomain('example.com')).toBe(false);
+    });
+
+    it('should pick up changes to the list', async () => {
+      const otherFile = path.join(listDir, 'other.txt');
+      await fs.writeFile(otherFile, 'throwaway.example\n');
+      config.registration.disposableDomainsFile = otherFile;
+
+      expect(await RegistrationPolicyService.isDisposableDomain('throwaway.example')).toBe(true);
+      expect(await RegistrationPolicyService.isDisposableDomain('mailinator.com')).toBe(false);
+      expect(await RegistrationPolicyService.getDisposableDomainCount()).toBe(1);
+    });
+
+    it('should not block sign-up when no list is configured or it cannot be read', async () => {
+      config.registration.disposableDomainsFile = undefined;
+      expect(await RegistrationPolicyService.isDisposableDomain('mailinator.com')).toBe(false);
+
+      config.registration.disposableDomainsFile = path.join(listDir, 'missing.txt');
+      expect(await RegistrationPolicyService.isDisposableDomain('mailinator.com')).toBe(false);
+      expect(await RegistrationPolicyService.getDisposableDomainCount()).toBeNull();
+    });
+  });
+});
@@ -16,31 +16,31 @@ describe('Token Service Unit Tests', () => {
   });
 
   describe('generateAccessToken', () => {
-    it('should generate a valid access token', () => {
-      const token = tokenService.generateAccessToken(testUser);
+    it('should generate a valid access token', async () => {
+      const token = await tokenService.generateAccessToken(testUser);
 
       expect(token).toBeDefined();
       expect(typeof token).toBe('string');
 
-      const decoded = jwt.verify(token, config.jwt.secret);
+      const decoded = await tokenService.verifyAccessToken(token);
       expect(decoded.userId).toBe(testUser._id.toString());
       expect(decoded.email).toBe(testUser.email);
       expect(decoded.role).toBe(testUser.role);
       expect(decoded.type).toBe('access');
     });
 
-    it('should include expiration time', () => {
-      const token = tokenService.generateAccessToken(testUser);
-      const decoded = jwt.verify(token, config.jwt.secret);
+    it('should include expiration time', async () => {
+      const token = await tokenService.generateAccessToken(testUser);
+      const decoded = await tokenService.verifyAccessToken(token);
 
       expect(decoded.exp).toBeDefined();
       expect(decoded.iat).toBeDefined();
       expect(decoded.exp).toBeGreaterThan(decoded.iat);
     });
 
-    it('should not include sensitive information', () => {
-      const token = tokenService.generateAccessToken(testUser);
-      const decoded = jwt.verify(token, config.jwt.secret);
+    it('should not include sensitive information', async () => {
+      const token = await tokenService.generateAccessToken(testUser);
+      const decoded = await tokenService.verifyAccessToken(token);
 
       expect(decoded.password).toBeUndefined();
       expect(decoded.twoFactorSecret).toBeUndefined();
@@ -60,11 +60,11 @@ describe('Token Service Unit Tests', () => {
       expect(decoded.type).toBe('refresh');
     });
 
-    it('should have longer expiration than access token', () => {
-      const accessToken = tokenService.generateAccessToken(testUser);
+    it('should have longer expiration than access token', async () => {
+      const accessToken = await tokenService.generateAccessToken(testUser);
       const refreshToken = tokenService.generateRefreshToken(testUser);
 
-      const accessDecoded = jwt.verify(accessToken, config.jwt.secret);
+      const accessDecoded = await tokenService.verifyAccessToken(accessToken);
       const refreshDecoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
 
       expect(refreshDecoded.exp).toBeGreaterThan(accessDecoded.exp);
@@ -73,7 +73,7 @@ describe('Token Service Unit Tests', () => {
 
   describe('verifyAccessToken', () => {
     it('should verify a valid access token', async () => {
-      const token = tokenService.generateAccessToken(testUser);
+      const token = await tokenService.generateAccessToken(testUser);
       const decoded = await tokenService.verifyAccessToken(token);
 
       expect(decoded).toBeDefined();
@@ -131,7 +131,7 @@ describe('Token Service Unit Tests', () => {
     });
 
     it('should reject access tokens when expecting refresh tokens', async () => {
-      const accessToken = tokenService.generateAccessToken(testUser);
+      const accessToken = await tokenService.generateAccessToken(testUser);
 
       // This should work because verifyRefreshToken uses refreshSecret
       // but the token was signed with regular secret
@@ -1,3 +1,4 @@
+import PasswordPolicy from '../../models/PasswordPolicy.js';
 import User from '../../models/User.mongoose.js';
 import bcrypt from 'bcrypt';
 
@@ -187,6 +188,46 @@ describe('User Model Unit Tests', () => {
         expect(validation.errors.length).toBeGreaterThan(0);
       });
     });
+
+    it('should validate against the stored password policy', async () => {
+      await PasswordPolicy.updatePolicy({
+        minLength: 12,
+        requireSpecialChars: false,
+        bannedWords: ['nexus'],
+      });
+      const policy = await PasswordPolicy.getPolicy();
+
+      expect(User.validatePasswordStrength('NoSpecials1234', policy).isValid).toBe(true);
+      expect(User.validatePasswordStrength('Short1!', policy).errors).toContain(
+        'Password must be at least 12 characters long'
+      );
+      expect(User.validatePasswordStrength('MyNEXUSpassword1', policy).errors).toContain(
+        'Password contains a word that is not allowed'
+      );
+    });
+
+    it('should only check as many previous passwords as the policy remembers', async () => {
+      await PasswordPolicy.updatePolicy({ historyCount: 2 });
+      const user = await User.create({
+        email: 'shorthistory@example.com',
+        username: 'shorthistoryuser',
+        password: 'Password1!',
+      });
+
+      for (let i = 2; i <= 3; i++) {
+        const userToUpdate = await User.findById(user._id).select('+password +passwordHistory');
+        userToUpdate.password = `Password${i}!`;
+        await userToUpdate.save();
+      }
+
+      const finalUser = await User.findById(user._id).select('+passwordHistory');
+      expect(finalUser.passwordHistory.length).toBe(2);
+      expect(await finalUser.isPasswordInHistory('Password2!')).toBe(true);
+      expect(await finalUser.isPasswordInHistory('Password1!')).toBe(false);
+
+      await PasswordPolicy.updatePolicy({ historyCount: 0 });
+      expect(await finalUser.isPasswordInHistory('Password3!')).toBe(false);
+    });
   });
 
   describe('Account Locking', () => {
@@ -207,6 +248,23 @@ describe('User Model Unit Tests', () => {
       expect(lockedUser.loginAttempts).toBe(5);
     });
 
+    it('should lock accounts at the login attempt threshold of the policy', async () => {
+      await PasswordPolicy.updatePolicy({ maxLoginAttempts: 3, lockoutDurationMinutes: 60 });
+      const user = await User.create({
+        email: 'policylock@example.com',
+        username: 'policylockuser',
+        password: 'Password123!',
+      });
+
+      for (let i = 0; i < 3; i++) {
+        await user.incLoginAttempts();
+      }
+
+      const lockedUser = await User.findById(user._id);
+      expect(lockedUser.isLocked()).toBe(true);
+      expect(lockedUser.lockUntil.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+    });
+
     it('should reset login attempts after successful login', async () => {
       const user = await User.create({
         email: 'reset@example.com',
@@ -0,0 +1,25 @@
+import ApiError from './ApiError.js';
+
+/**
+ * OAuth 2.0 Error
+ * Carries an RFC 6749 error code (e.g. invalid_grant) alongside the HTTP status
+ */
+
+class OAuthError extends ApiError {
+  constructor(error, description, statusCode = 400) {
+    super(statusCode, description);
+    this.error = error;
+  }
+
+  /**
+   * Body in the standard OAuth error format
+   */
+  toJSON() {
+    return {
+      error: this.error,
+      error_description: this.message,
+    };
+  }
+}
+
+export default OAuthError;
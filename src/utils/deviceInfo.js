@@ -0,0 +1,139 @@
+/**
+ * Device Info
+ * Describes the device behind a request for session listings and alerts
+ *
+ * User agents are parsed with a small set of patterns rather than a full
+ * database. Besides display, the result feeds login risk scoring
+ * (loginRiskService.js), but only as an advisory signal: the user agent,
+ * client hints and (unless a proxy overwrites them) the geolocation headers
+ * are all sent by the client and can be copied or forged. They may make a
+ * login look riskier; they must never be what lets a request through.
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\// },
+  { name: 'curl', pattern: /^curl\/(\d+)/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/(\d+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+// Headers set by common CDNs and proxies with the client's geolocation
+const COUNTRY_HEADERS = ['cf-ipcountry', 'cloudfront-viewer-country', 'x-vercel-ip-country'];
+const CITY_HEADERS = ['cf-ipcity', 'cloudfront-viewer-city', 'x-vercel-ip-city'];
+
+/**
+ * Parse a user agent into browser, OS and device type
+ * @param {string} userAgent - User-Agent header
+ * @returns {{ browser: string, os: string, deviceType: string, label: string }}
+ */
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return { browser: 'Unknown', os: 'Unknown', deviceType: 'unknown', label: 'Unknown device' };
+  }
+
+  const browserMatch = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const browser = browserMatch
+    ? `${browserMatch.name} ${userAgent.match(browserMatch.pattern)[1]}`
+    : 'Unknown';
+
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent))?.name || 'Unknown';
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  } else if (os === 'Unknown') {
+    deviceType = 'unknown';
+  }
+
+  const label =
+    browser === 'Unknown' && os === 'Unknown'
+      ? 'Unknown device'
+      : `${browserMatch?.name || 'Unknown browser'} on ${os === 'Unknown' ? 'unknown OS' : os}`;
+
+  return { browser, os, deviceType, label };
+};
+
+/**
+ * Approximate location from CDN geolocation headers
+ * Only meaningful behind a proxy that sets (and strips client-sent) headers;
+ * otherwise a client can claim any location
+ * @returns {{ country: string, city: string|null }|null}
+ */
+export const getRequestLocation = (req) => {
+  const header = (names) => names.map((name) => req.get(name)).find(Boolean);
+
+  const country = header(COUNTRY_HEADERS)?.toUpperCase();
+  // XX and T1 are Cloudflare's unknown / Tor markers
+  if (!country || !/^[A-Z]{2}$/.test(country) || country === 'XX') {
+    return null;
+  }
+
+  let city = header(CITY_HEADERS) || null;
+  if (city) {
+    try {
+      city = decodeURIComponent(city).substring(0, 100);
+    } catch {
+      city = null;
+    }
+  }
+
+  return { country, city };
+};
+
+/**
+ * User-agent client hints sent by Chromium-based browsers
+ * Versions are dropped, as are the made-up "Not A Brand" entries browsers add.
+ * @returns {{ platform: string|null, mobile: boolean|null, brands: string[] }|null}
+ */
+export const getClientHints = (req) => {
+  const brandsHeader = req.get('sec-ch-ua');
+  const platformHeader = req.get('sec-ch-ua-platform');
+  const mobileHeader = req.get('sec-ch-ua-mobile');
+
+  if (!brandsHeader && !platformHeader && !mobileHeader) {
+    return null;
+  }
+
+  const brands = [...(brandsHeader || '').matchAll(/"([^"]{1,50})"\s*;\s*v="[^"]*"/g)]
+    .map(([, brand]) => brand)
+    .filter((brand) => !/not.?a.?brand/i.test(brand))
+    .sort();
+
+  return {
+    platform: platformHeader ? platformHeader.replace(/"/g, '').substring(0, 50) : null,
+    mobile: mobileHeader ? mobileHeader === '?1' : null,
+    brands,
+  };
+};
+
+/**
+ * Session context for a request: IP, user agent, client hints and approximate location
+ */
+export const getRequestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  clientHints: getClientHints(req),
+  location: getRequestLocation(req),
+});
+
+export default {
+  parseUserAgent,
+  getRequestLocation,
+  getClientHints,
+  getRequestContext,
+};